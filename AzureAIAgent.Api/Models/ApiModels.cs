@@ -1,3 +1,5 @@
+using AzureAIAgent.Core.Models;
+
 namespace AzureAIAgent.Api.Models;
 
 // Model classes for API requests/responses
@@ -5,6 +7,11 @@ public class ChatRequest
 {
     public string Message { get; set; } = string.Empty;
     public string? SessionId { get; set; }
+
+    /// <summary>
+    /// Reply as Server-Sent Events: token frames while the model writes, then a done frame with the ChatResponse
+    /// </summary>
+    public bool Stream { get; set; }
 }
 
 public class ChatResponse
@@ -15,4 +22,10 @@ public class ChatResponse
     public string? Error { get; set; }
     public object? AdaptiveCard { get; set; } // New: Support for adaptive cards
     public string? ContentType { get; set; } = "text"; // New: "text", "adaptive-card", or "mixed"
+    public List<ChatEntity>? Entities { get; set; } // Resources named in Message, reported by the tools that listed them; null when none were
+}
+
+public class ScaleDeploymentRequest
+{
+    public int Replicas { get; set; }
 }
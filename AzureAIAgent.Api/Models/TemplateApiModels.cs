@@ -61,4 +61,11 @@ public class TemplateParameterInfo
     public string? Default { get; set; }
     public bool Required { get; set; }
     public bool Sensitive { get; set; }
+    public List<TemplateValidationRuleInfo> Validation { get; set; } = new(); // Terraform validation {} rules for client-side checks
+}
+
+public class TemplateValidationRuleInfo
+{
+    public string Condition { get; set; } = string.Empty;
+    public string ErrorMessage { get; set; } = string.Empty;
 }
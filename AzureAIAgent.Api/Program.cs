@@ -248,98 +248,48 @@ app.MapGet("/api/test/interactive-cards", async (
 .WithOpenApi();
 
 // Azure AI Agent endpoints
-app.MapPost("/api/agent/chat", async (ChatRequest request, AzureAIAgent.Core.IAzureAIAgent agent) =>
+app.MapPost("/api/agent/chat", async (ChatRequest request, AzureAIAgent.Core.IAzureAIAgent agent, HttpContext context) =>
 {
-    try
+    var sessionId = request.SessionId ?? Guid.NewGuid().ToString();
+
+    if (request.Stream)
     {
-        var sessionId = request.SessionId ?? Guid.NewGuid().ToString();
-        var result = await agent.ProcessRequestAsync(sessionId, request.Message);
-        
-        // Check if the result contains an adaptive card
-        var response = new AzureAIAgent.Api.Models.ChatResponse
+        // Server-Sent Events: "token" frames while the model writes, then one "done" frame with the full ChatResponse
+        context.Response.ContentType = "text/event-stream";
+        context.Response.Headers.CacheControl = "no-cache";
+        var webJson = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+
+        async Task SendAsync(string eventName, object data)
         {
-            SessionId = sessionId,
-            Success = true,
-            Error = null
-        };
+            await context.Response.WriteAsync($"event: {eventName}\ndata: {JsonSerializer.Serialize(data, webJson)}\n\n", context.RequestAborted);
+            await context.Response.Body.FlushAsync(context.RequestAborted);
+        }
 
-        // Enhanced adaptive card detection - look for 🃏 marker and JSON content
-        if (result.Contains("🃏"))
+        try
         {
-            Console.WriteLine($"[DEBUG] Card emoji detected in result. Length: {result.Length}");
-            Console.WriteLine($"[DEBUG] First 300 chars: {result.Substring(0, Math.Min(300, result.Length))}");
-            
-            // Try to extract the JSON from the response - look for first { to last }
-            var jsonStart = result.IndexOf("{");
-            var jsonEnd = result.LastIndexOf("}");
-            
-            if (jsonStart >= 0 && jsonEnd > jsonStart)
-            {
-                try
-                {
-                    var jsonContent = result.Substring(jsonStart, jsonEnd - jsonStart + 1);
-                    Console.WriteLine($"[DEBUG] Attempting to parse JSON, length: {jsonContent.Length}");
-                    Console.WriteLine($"[DEBUG] JSON preview: {jsonContent.Substring(0, Math.Min(200, jsonContent.Length))}...");
-                    
-                    // Validate that it's actually an AdaptiveCard JSON
-                    if (jsonContent.Contains("\"type\"") && jsonContent.Contains("\"AdaptiveCard\""))
-                    {
-                        // Parse as JsonDocument to preserve the exact structure
-                        using var jsonDoc = JsonDocument.Parse(jsonContent);
-                        var cardObject = jsonDoc.RootElement.Clone();
-                        
-                        response.AdaptiveCard = cardObject;
-                        response.ContentType = "adaptive-card";
-                        
-                        // Extract the message text (everything before the JSON)
-                        var messageText = result.Substring(0, jsonStart).Trim();
-                        
-                        // Clean up the message text - remove the 🃏 marker line and extra formatting
-                        var lines = messageText.Split('\n');
-                        var cleanLines = lines.Where(line => 
-                            !line.Trim().StartsWith("🃏") && 
-                            !string.IsNullOrWhiteSpace(line) &&
-                            !line.Trim().StartsWith("💡")).ToList();
-                        
-                        response.Message = string.Join("\n", cleanLines).Trim();
-                        if (string.IsNullOrEmpty(response.Message))
-                        {
-                            response.Message = "Interactive form generated successfully!";
-                        }
-                        
-                        Console.WriteLine($"[DEBUG] Card parsed successfully! Content type: {response.ContentType}");
-                        Console.WriteLine($"[DEBUG] Message: {response.Message}");
-                    }
-                    else
-                    {
-                        Console.WriteLine("[DEBUG] JSON doesn't appear to be an AdaptiveCard");
-                        response.Message = result;
-                        response.ContentType = "text";
-                    }
-                }
-                catch (Exception ex)
-                {
-                    Console.WriteLine($"[DEBUG] JSON parsing failed: {ex.Message}");
-                    // If JSON parsing fails, treat as regular text
-                    response.Message = result;
-                    response.ContentType = "text";
-                }
-            }
-            else
-            {
-                Console.WriteLine("[DEBUG] No valid JSON found in result with 🃏 marker");
-                response.Message = result;
-                response.ContentType = "text";
-            }
+            using var streamScope = AzureAIAgent.Core.Services.ChatEntityCollector.Begin();
+            var streamed = await agent.ProcessRequestStreamingAsync(sessionId, request.Message,
+                text => SendAsync("token", new { text }), context.RequestAborted);
+            await SendAsync("done", BuildChatResponse(streamed, sessionId, streamScope.Entities));
         }
-        else
+        catch (OperationCanceledException)
         {
-            Console.WriteLine($"[DEBUG] No card marker found in result: {result.Substring(0, Math.Min(100, result.Length))}...");
-            response.Message = result;
-            response.ContentType = "text";
+            // The user stopped the request or closed the page
         }
-        
-        return Results.Ok(response);
+        catch (Exception ex)
+        {
+            await SendAsync("error", new { error = ex.Message });
+        }
+
+        return Results.Empty;
+    }
+
+    try
+    {
+        // Plugins report the resources they list while the agent runs
+        using var entityScope = AzureAIAgent.Core.Services.ChatEntityCollector.Begin();
+        var result = await agent.ProcessRequestAsync(sessionId, request.Message);
+        return Results.Ok(BuildChatResponse(result, sessionId, entityScope.Entities));
     }
     catch (Exception ex)
     {
@@ -404,6 +354,234 @@ app.MapGet("/api/agent/status", () =>
 .WithTags("Azure AI Agent")
 .WithOpenApi();
 
+// Pod containers for the log viewer's container picker
+app.MapGet("/api/kubernetes/pods/{namespaceName}/{podName}/containers", async (
+    string namespaceName,
+    string podName,
+    string? cluster,
+    AzureAIAgent.Plugins.AksMcpPlugin aksPlugin,
+    HttpContext context) =>
+{
+    try
+    {
+        var containers = await aksPlugin.GetPodContainersAsync(cluster ?? "current", namespaceName, podName, context.RequestAborted);
+        return Results.Ok(new { success = true, containers });
+    }
+    catch (Exception ex)
+    {
+        return Results.BadRequest(new { success = false, error = ex.Message });
+    }
+})
+.WithName("GetPodContainers")
+.WithTags("Kubernetes")
+.WithOpenApi();
+
+// Pod logs: the last tailLines as JSON, or with follow=true a Server-Sent Events stream that
+// sends a `line` frame per log line, `end` when the container stops and `failure` on errors
+app.MapGet("/api/kubernetes/pods/{namespaceName}/{podName}/logs", async (
+    string namespaceName,
+    string podName,
+    string? container,
+    int? tailLines,
+    bool? follow,
+    string? cluster,
+    AzureAIAgent.Plugins.AksMcpPlugin aksPlugin,
+    ILogger<Program> logger,
+    HttpContext context) =>
+{
+    var deploymentName = cluster ?? "current";
+    var lines = Math.Clamp(tailLines ?? 500, 1, 10000);
+
+    if (follow != true)
+    {
+        try
+        {
+            using var stream = await aksPlugin.OpenPodLogStreamAsync(deploymentName, namespaceName, podName, container, lines, false, context.RequestAborted);
+            using var reader = new StreamReader(stream);
+            var text = await reader.ReadToEndAsync(context.RequestAborted);
+            return Results.Ok(new
+            {
+                success = true,
+                lines = text.Split('\n').Select(line => line.TrimEnd('\r')).Where(line => line.Length > 0).ToList()
+            });
+        }
+        catch (Exception ex)
+        {
+            return Results.BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    context.Response.ContentType = "text/event-stream";
+    context.Response.Headers.CacheControl = "no-cache";
+    logger.LogInformation("📋 Following logs for pod {PodName} in {Namespace}", podName, namespaceName);
+
+    async Task SendAsync(string eventName, object data)
+    {
+        await context.Response.WriteAsync($"event: {eventName}\ndata: {JsonSerializer.Serialize(data)}\n\n", context.RequestAborted);
+        await context.Response.Body.FlushAsync(context.RequestAborted);
+    }
+
+    try
+    {
+        using var stream = await aksPlugin.OpenPodLogStreamAsync(deploymentName, namespaceName, podName, container, lines, true, context.RequestAborted);
+        using var reader = new StreamReader(stream);
+        string? line;
+        while ((line = await reader.ReadLineAsync(context.RequestAborted)) != null)
+        {
+            await SendAsync("line", new { line });
+        }
+        await SendAsync("end", new { });
+    }
+    catch (OperationCanceledException)
+    {
+        // The viewer closed the stream
+    }
+    catch (Exception ex)
+    {
+        logger.LogWarning(ex, "Log stream for pod {PodName} failed", podName);
+        await SendAsync("failure", new { error = ex.Message });
+    }
+
+    return Results.Empty;
+})
+.WithName("GetPodLogs")
+.WithTags("Kubernetes")
+.WithOpenApi();
+
+// Recent events about one object, for the resource menu's Events action
+app.MapGet("/api/kubernetes/events/{namespaceName}/{name}", async (
+    string namespaceName,
+    string name,
+    string? kind,
+    string? cluster,
+    AzureAIAgent.Plugins.AksMcpPlugin aksPlugin,
+    HttpContext context) =>
+{
+    try
+    {
+        var events = await aksPlugin.GetEventsAsync(cluster ?? "current", namespaceName, name, kind, context.RequestAborted);
+        return Results.Ok(new
+        {
+            success = true,
+            events = events.Select(e => new
+            {
+                type = e.Type,
+                reason = e.Reason,
+                message = e.Message,
+                count = e.Count ?? 1,
+                lastSeen = e.LastTimestamp ?? e.EventTime ?? e.Metadata.CreationTimestamp
+            })
+        });
+    }
+    catch (Exception ex)
+    {
+        return Results.BadRequest(new { success = false, error = ex.Message });
+    }
+})
+.WithName("GetKubernetesEvents")
+.WithTags("Kubernetes")
+.WithOpenApi();
+
+// Restart a pod by deleting it; its controller creates the replacement
+app.MapPost("/api/kubernetes/pods/{namespaceName}/{podName}/restart", async (
+    string namespaceName,
+    string podName,
+    string? cluster,
+    AzureAIAgent.Plugins.AksMcpPlugin aksPlugin,
+    ILogger<Program> logger,
+    HttpContext context) =>
+{
+    try
+    {
+        await aksPlugin.RestartPodAsync(cluster ?? "current", namespaceName, podName, context.RequestAborted);
+        logger.LogInformation("🔄 Restarted pod {PodName} in {Namespace}", podName, namespaceName);
+        return Results.Ok(new { success = true });
+    }
+    catch (Exception ex)
+    {
+        return Results.BadRequest(new { success = false, error = ex.Message });
+    }
+})
+.WithName("RestartPod")
+.WithTags("Kubernetes")
+.WithOpenApi();
+
+app.MapDelete("/api/kubernetes/pods/{namespaceName}/{podName}", async (
+    string namespaceName,
+    string podName,
+    string? cluster,
+    AzureAIAgent.Plugins.AksMcpPlugin aksPlugin,
+    ILogger<Program> logger,
+    HttpContext context) =>
+{
+    try
+    {
+        await aksPlugin.DeletePodAsync(cluster ?? "current", namespaceName, podName, context.RequestAborted);
+        logger.LogInformation("🗑️ Deleted pod {PodName} in {Namespace}", podName, namespaceName);
+        return Results.Ok(new { success = true });
+    }
+    catch (Exception ex)
+    {
+        return Results.BadRequest(new { success = false, error = ex.Message });
+    }
+})
+.WithName("DeletePod")
+.WithTags("Kubernetes")
+.WithOpenApi();
+
+app.MapPost("/api/kubernetes/deployments/{namespaceName}/{name}/scale", async (
+    string namespaceName,
+    string name,
+    string? cluster,
+    ScaleDeploymentRequest request,
+    AzureAIAgent.Plugins.AksMcpPlugin aksPlugin,
+    ILogger<Program> logger,
+    HttpContext context) =>
+{
+    if (request.Replicas < 0)
+    {
+        return Results.BadRequest(new { success = false, error = "Replica count cannot be negative" });
+    }
+
+    try
+    {
+        await aksPlugin.ScaleDeploymentAsync(cluster ?? "current", namespaceName, name, request.Replicas, context.RequestAborted);
+        logger.LogInformation("📏 Scaled deployment {Name} in {Namespace} to {Replicas} replicas", name, namespaceName, request.Replicas);
+        return Results.Ok(new { success = true, replicas = request.Replicas });
+    }
+    catch (Exception ex)
+    {
+        return Results.BadRequest(new { success = false, error = ex.Message });
+    }
+})
+.WithName("ScaleDeployment")
+.WithTags("Kubernetes")
+.WithOpenApi();
+
+// Roll a deployment back to its previous revision (kubectl rollout undo)
+app.MapPost("/api/kubernetes/deployments/{namespaceName}/{name}/rollback", async (
+    string namespaceName,
+    string name,
+    string? cluster,
+    AzureAIAgent.Plugins.AksMcpPlugin aksPlugin,
+    ILogger<Program> logger,
+    HttpContext context) =>
+{
+    try
+    {
+        var revision = await aksPlugin.RollbackDeploymentAsync(cluster ?? "current", namespaceName, name, context.RequestAborted);
+        logger.LogInformation("↩️ Rolled deployment {Name} in {Namespace} back to revision {Revision}", name, namespaceName, revision);
+        return Results.Ok(new { success = true, revision });
+    }
+    catch (Exception ex)
+    {
+        return Results.BadRequest(new { success = false, error = ex.Message });
+    }
+})
+.WithName("RollbackDeployment")
+.WithTags("Kubernetes")
+.WithOpenApi();
+
 // Template Gallery API - Get available templates as Adaptive Card
 app.MapGet("/api/templates/gallery", async (
     string? category,
@@ -433,7 +611,12 @@ app.MapGet("/api/templates/gallery", async (
                     Description = p.Description,
                     Default = p.Default,
                     Required = p.Required,
-                    Sensitive = p.Sensitive
+                    Sensitive = p.Sensitive,
+                    Validation = p.Validation.Select(rule => new AzureAIAgent.Api.Models.TemplateValidationRuleInfo
+                    {
+                        Condition = rule.Condition,
+                        ErrorMessage = rule.ErrorMessage
+                    }).ToList()
                 }).ToList()
             }).ToList(),
             Success = true
@@ -471,6 +654,9 @@ app.MapGet("/api/templates/{templateId}/form", async (
         }
 
         var adaptiveCard = cardService.GenerateParameterFormCard(template);
+
+        // Rules declared in the template's variables.tf, for parameters defined without them
+        var validationRules = await templateService.GetValidationRulesAsync(template);
         
         return Results.Ok(new AzureAIAgent.Api.Models.TemplateParameterFormResponse
         {
@@ -488,7 +674,13 @@ app.MapGet("/api/templates/{templateId}/form", async (
                     Description = p.Description,
                     Default = p.Default,
                     Required = p.Required,
-                    Sensitive = p.Sensitive
+                    Sensitive = p.Sensitive,
+                    Validation = (p.Validation.Count > 0 ? p.Validation : validationRules.GetValueOrDefault(p.Name) ?? new())
+                        .Select(rule => new AzureAIAgent.Api.Models.TemplateValidationRuleInfo
+                        {
+                            Condition = rule.Condition,
+                            ErrorMessage = rule.ErrorMessage
+                        }).ToList()
                 }).ToList()
             },
             Success = true
@@ -692,18 +884,91 @@ app.MapGet("/api/azure/terraform-status/{deploymentId}", async (
 .WithTags("Terraform")
 .WithOpenApi();
 
+// Terraform plan for review before deploying: the code a deploy of this template would run
+// (the session's edited code for the template, otherwise the downloaded template) with the session's parameters
+app.MapPost("/api/azure/terraform-plan", async (
+    TerraformPlanRequest request,
+    ISessionManager sessionManager,
+    AzureAIAgent.Plugins.GitHubTerraformPlugin terraformPlugin,
+    ILogger<Program> logger) =>
+{
+    // The template ID names the plan directory, so it must not carry a path
+    if (string.IsNullOrEmpty(request.TemplateId) || !System.Text.RegularExpressions.Regex.IsMatch(request.TemplateId, "^[A-Za-z0-9_-]+$"))
+    {
+        return Results.BadRequest(new { success = false, error = "Invalid template ID" });
+    }
+
+    try
+    {
+        var session = string.IsNullOrEmpty(request.SessionId) ? null : await sessionManager.GetSessionAsync(request.SessionId);
+        var context = session?.State?.Context;
+
+        string? editedCode = null;
+        string? parametersJson = null;
+        if (context != null)
+        {
+            if (context.TryGetValue("terraform_code_id", out var editedId) && editedId?.ToString() == request.TemplateId)
+            {
+                editedCode = context.TryGetValue("terraform_code", out var code) ? code as string : null;
+            }
+            parametersJson = context.TryGetValue("terraform_parameters", out var parameters) ? parameters as string : null;
+        }
+
+        logger.LogInformation("📋 Planning template {TemplateId} for session {SessionId} (edited code: {Edited})",
+            request.TemplateId, request.SessionId, editedCode != null);
+        var (success, output) = await terraformPlugin.PlanTemplateAsync(request.TemplateId, parametersJson, editedCode);
+        return success
+            ? Results.Ok(new { success = true, plan = output })
+            : Results.BadRequest(new { success = false, error = "Terraform plan failed", plan = output });
+    }
+    catch (Exception ex)
+    {
+        logger.LogError(ex, "Planning template {TemplateId} failed", request.TemplateId);
+        return Results.BadRequest(new { success = false, error = ex.Message });
+    }
+})
+.WithName("PlanTerraform")
+.WithTags("Terraform")
+.WithOpenApi();
+
 // Terraform deployment endpoint
 app.MapPost("/api/azure/deploy-terraform", async (
     TerraformDeployRequest request,
     IServiceProvider serviceProvider) =>
 {
+    // The template ID names the deployment directory, so it must not carry a path
+    if (request.TemplateId != null && !System.Text.RegularExpressions.Regex.IsMatch(request.TemplateId, "^[A-Za-z0-9_-]+$"))
+    {
+        return Results.BadRequest(new { success = false, error = "Invalid template ID" });
+    }
+
     try
     {
         var logger = serviceProvider.GetRequiredService<ILogger<Program>>();
         logger.LogInformation("🚀 API /api/azure/deploy-terraform called with sessionId={SessionId}, parameters count={ParameterCount}", 
             request.SessionId, request.Parameters?.Count ?? 0);
+
+        // Edited code is deployed as sent; without it the template is downloaded
+        var templateId = request.TemplateId ?? "aks-cluster";
+        var editedCode = string.IsNullOrWhiteSpace(request.TerraformCode) ? null : request.TerraformCode;
         
         var sessionManager = serviceProvider.GetRequiredService<ISessionManager>();
+
+        // Only code the session saved for this template may be deployed, never arbitrary code from the request
+        if (editedCode != null)
+        {
+            var owner = string.IsNullOrEmpty(request.SessionId) ? null : await sessionManager.GetSessionAsync(request.SessionId);
+            var context = owner?.State?.Context;
+            var ownsCode = context != null &&
+                context.TryGetValue("terraform_code_id", out var savedId) && savedId?.ToString() == request.TemplateId &&
+                context.TryGetValue("terraform_code", out var savedCode) && savedCode as string == editedCode;
+            if (!ownsCode)
+            {
+                logger.LogWarning("🚫 Refused Terraform code for template {TemplateId} that session {SessionId} did not save", 
+                    request.TemplateId, request.SessionId);
+                return Results.BadRequest(new { success = false, error = "The Terraform code does not match the code saved for this template in the session" });
+            }
+        }
         var terraformPlugin = serviceProvider.GetRequiredService<AzureAIAgent.Plugins.GitHubTerraformPlugin>();
         var cache = serviceProvider.GetRequiredService<IMemoryCache>();
         
@@ -804,14 +1069,18 @@ app.MapPost("/api/azure/deploy-terraform", async (
                     Console.WriteLine($"📟 TERRAFORM OUTPUT: {output}");
                     if (!string.IsNullOrWhiteSpace(output))
                     {
-                        status.TerraformOutput.Add($"{DateTime.UtcNow:HH:mm:ss} {output}");
-                        status.LastOutputTime = DateTime.UtcNow;
-                        
-                        // Keep only last 500 lines to prevent memory issues
-                        if (status.TerraformOutput.Count > 500)
+                        lock (status.TerraformOutput)
                         {
-                            status.TerraformOutput.RemoveAt(0);
+                            status.TerraformOutput.Add($"{DateTime.UtcNow:HH:mm:ss} {output}");
+
+                            // Keep only last 500 lines to prevent memory issues; the offset keeps line numbers absolute
+                            if (status.TerraformOutput.Count > 500)
+                            {
+                                status.TerraformOutput.RemoveAt(0);
+                                status.TerraformOutputOffset++;
+                            }
                         }
+                        status.LastOutputTime = DateTime.UtcNow;
                         
                         // Update current command based on output
                         if (output.StartsWith("$ terraform"))
@@ -854,8 +1123,8 @@ app.MapPost("/api/azure/deploy-terraform", async (
                 Console.WriteLine($"🔍 Session ID: {request.SessionId}");
                 Console.WriteLine("🚀 About to call terraformPlugin.DeployTemplateWithCallback...");
                 
-                taskLogger.LogInformation("About to call terraformPlugin.DeployTemplateWithCallback with templateId=aks-cluster, parametersJson={ParametersJson}, sessionId={SessionId}", 
-                    parametersJson, request.SessionId);
+                taskLogger.LogInformation("About to call terraformPlugin.DeployTemplateWithCallback with templateId={TemplateId}, edited code={HasEditedCode}, parametersJson={ParametersJson}, sessionId={SessionId}", 
+                    templateId, editedCode != null, parametersJson, request.SessionId);
 
                 // Update status to initializing
                 updateStatus("initializing", 30, "Initializing Terraform", "Preparing Terraform environment...");
@@ -863,10 +1132,11 @@ app.MapPost("/api/azure/deploy-terraform", async (
                 // Call the Terraform deployment plugin with callback for real-time output
                 Console.WriteLine("🔄 Calling terraformPlugin.DeployTemplateWithCallback NOW...");
                 var deploymentResult = terraformPlugin.DeployTemplateWithCallback(
-                    "aks-cluster", 
+                    templateId, 
                     parametersJson,
                     request.SessionId,
-                    outputCallback).Result; // Use .Result to make it synchronous
+                    outputCallback,
+                    editedCode).Result; // Use .Result to make it synchronous
 
                 Console.WriteLine($"✅ terraformPlugin.DeployTemplate COMPLETED!");
                 Console.WriteLine($"📝 Result length: {deploymentResult?.Length ?? 0}");
@@ -1014,7 +1284,8 @@ app.MapGet("/api/azure/deployment-status/{deploymentId}", async (
         // Check if deployment status exists in cache
         if (cache.TryGetValue($"deployment_status_{deploymentId}", out var status))
         {
-            return Results.Ok(status);
+            // A running deployment appends output while this is serialised; return a copy
+            return Results.Ok(status is DeploymentProgressStatus progress ? progress.Snapshot() : status);
         }
         
         // Return not found if deployment doesn't exist
@@ -1029,6 +1300,206 @@ app.MapGet("/api/azure/deployment-status/{deploymentId}", async (
 .WithTags("Azure AI Agent")
 .WithOpenApi();
 
+// Destroy the resources of a deployment made by this agent (terraform destroy in its working directory).
+// The destroy runs in the background as an operation followed like a deployment, through
+// /api/azure/deployment-events/{operationId}; a destroy already running for the deployment is reused.
+app.MapPost("/api/azure/destroy-deployment/{deploymentId}", (
+    string deploymentId,
+    AzureAIAgent.Plugins.AzureResourcePlugin azurePlugin,
+    IMemoryCache cache,
+    ILogger<Program> logger) =>
+{
+    // The plugin also accepts a directory path, which must not be reachable from the API
+    if (!System.Text.RegularExpressions.Regex.IsMatch(deploymentId, "^[A-Za-z0-9_-]+$"))
+    {
+        return Results.BadRequest(new { success = false, error = "Invalid deployment ID" });
+    }
+
+    var operationKey = $"destroy_operation_{deploymentId}";
+    DeploymentProgressStatus status;
+    lock (cache)
+    {
+        if (cache.TryGetValue(operationKey, out string? runningId) &&
+            cache.TryGetValue($"deployment_status_{runningId}", out DeploymentProgressStatus? running) &&
+            running != null && !running.IsCompleted)
+        {
+            logger.LogInformation("🗑️ Destroy of {DeploymentId} already running as {OperationId}", deploymentId, runningId);
+            return Results.Ok(new { success = true, operationId = runningId, message = $"Already destroying the resources of {deploymentId}" });
+        }
+
+        status = new DeploymentProgressStatus
+        {
+            DeploymentId = Guid.NewGuid().ToString(),
+            Status = "Destroying",
+            Progress = 10,
+            Message = $"Destroying the resources of {deploymentId}",
+            StartTime = DateTime.UtcNow,
+            TerraformPhase = "destroying",
+            DetailedMessage = "Running terraform destroy...",
+            CurrentTerraformCommand = "$ terraform destroy"
+        };
+        cache.Set($"deployment_status_{status.DeploymentId}", status, TimeSpan.FromHours(1));
+        cache.Set(operationKey, status.DeploymentId, TimeSpan.FromHours(1));
+    }
+
+    logger.LogInformation("🗑️ Destroying resources of deployment {DeploymentId} as operation {OperationId}", deploymentId, status.DeploymentId);
+    _ = Task.Run(async () =>
+    {
+        string message;
+        bool success;
+        try
+        {
+            message = await azurePlugin.DestroyTerraformResources(deploymentId);
+            success = message.Contains("Resources destroyed successfully");
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Destroying deployment {DeploymentId} failed", deploymentId);
+            message = $"❌ Destroy failed: {ex.Message}";
+            success = false;
+        }
+
+        lock (status.TerraformOutput)
+        {
+            foreach (var line in message.Split('\n'))
+            {
+                status.TerraformOutput.Add($"{DateTime.UtcNow:HH:mm:ss} {line.TrimEnd('\r')}");
+            }
+            // Same 500-line window as deployments; the offset keeps line numbers absolute
+            var overflow = status.TerraformOutput.Count - 500;
+            if (overflow > 0)
+            {
+                status.TerraformOutput.RemoveRange(0, overflow);
+                status.TerraformOutputOffset += overflow;
+            }
+        }
+
+        status.LastOutputTime = DateTime.UtcNow;
+        status.Progress = success ? 100 : 0;
+        status.TerraformPhase = success ? "completed" : "error";
+        status.Message = success ? $"Resources of {deploymentId} destroyed" : $"Destroying {deploymentId} failed";
+        status.DetailedMessage = message;
+        status.ErrorMessage = success ? null : message;
+        status.HasError = !success;
+        status.CompletedTime = DateTime.UtcNow;
+        status.PhaseLog.Add($"{DateTime.UtcNow:HH:mm:ss} - {status.TerraformPhase}: {status.Message}");
+
+        // Terminal fields last: the event stream reads this object while it is being filled in
+        status.Status = success ? "Completed" : "Failed";
+        status.IsCompleted = true;
+        cache.Set($"deployment_status_{status.DeploymentId}", status, TimeSpan.FromHours(1));
+    });
+
+    return Results.Ok(new { success = true, operationId = status.DeploymentId, message = $"Destroying the resources of {deploymentId}" });
+})
+.WithName("DestroyDeployment")
+.WithTags("Azure AI Agent")
+.WithOpenApi();
+
+// Deployment event stream - Server-Sent Events for one deployment: `phase` when the Terraform
+// phase changes, `status` when progress or messages change, and `output` with new Terraform lines.
+// fromLine is the absolute line to resume from, so a reconnecting client gets only what it missed.
+app.MapGet("/api/azure/deployment-events/{deploymentId}", async (
+    string deploymentId,
+    int? fromLine,
+    IMemoryCache cache,
+    HttpContext context) =>
+{
+    if (!cache.TryGetValue($"deployment_status_{deploymentId}", out DeploymentProgressStatus? status) || status == null)
+    {
+        // Not started yet, or not a Terraform deployment; the client polls the status endpoint instead
+        return Results.NotFound(new { message = "Deployment not found" });
+    }
+
+    context.Response.ContentType = "text/event-stream";
+    context.Response.Headers.CacheControl = "no-cache";
+    var webJson = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+
+    async Task SendAsync(string eventName, object data)
+    {
+        await context.Response.WriteAsync($"event: {eventName}\ndata: {JsonSerializer.Serialize(data, webJson)}\n\n", context.RequestAborted);
+        await context.Response.Body.FlushAsync(context.RequestAborted);
+    }
+
+    // Status without the output lines, which go out as output frames
+    object Snapshot(DeploymentProgressStatus current) => new
+    {
+        current.DeploymentId,
+        current.Status,
+        current.Progress,
+        current.Message,
+        current.StartTime,
+        current.ResourcesCreated,
+        current.TerraformPhase,
+        current.DetailedMessage,
+        current.IsCompleted,
+        current.HasError,
+        current.CompletedTime,
+        current.ErrorMessage,
+        current.PhaseLog,
+        current.CurrentTerraformCommand,
+        current.LastOutputTime
+    };
+
+    var nextLine = Math.Max(0, fromLine ?? 0);
+    string? phase = null;
+    string? lastSignature = null;
+
+    try
+    {
+        while (!context.RequestAborted.IsCancellationRequested)
+        {
+            // The deployment replaces its cache entry as it goes, so re-read it every tick
+            if (cache.TryGetValue($"deployment_status_{deploymentId}", out DeploymentProgressStatus? latest) && latest != null)
+            {
+                status = latest;
+            }
+
+            List<string> lines;
+            int firstLine;
+            lock (status.TerraformOutput)
+            {
+                firstLine = Math.Max(nextLine, status.TerraformOutputOffset);
+                lines = status.TerraformOutput.Skip(firstLine - status.TerraformOutputOffset).ToList();
+            }
+            if (lines.Count > 0)
+            {
+                await SendAsync("output", new { fromLine = firstLine, lines });
+                nextLine = firstLine + lines.Count;
+            }
+
+            var signature = $"{status.Status}|{status.Progress}|{status.Message}|{status.DetailedMessage}|{status.CurrentTerraformCommand}|{status.IsCompleted}|{status.HasError}";
+            if (status.TerraformPhase != phase)
+            {
+                phase = status.TerraformPhase;
+                lastSignature = signature;
+                await SendAsync("phase", Snapshot(status));
+            }
+            else if (signature != lastSignature)
+            {
+                lastSignature = signature;
+                await SendAsync("status", Snapshot(status));
+            }
+
+            if (status.IsCompleted || status.Status is "Completed" or "Failed" or "Cancelled")
+            {
+                break;
+            }
+
+            await Task.Delay(500, context.RequestAborted);
+        }
+    }
+    catch (OperationCanceledException)
+    {
+        // The client closed the stream
+    }
+
+    return Results.Empty;
+})
+.WithName("GetDeploymentEvents")
+.WithTags("Azure AI Agent")
+.WithOpenApi();
+
 // Terraform state sync and recovery endpoint (now on-demand only)
 app.MapPost("/api/azure/sync-terraform-state", async (
     TerraformSyncRequest request,
@@ -1408,6 +1879,97 @@ app.MapGet("/deployment-status/{deploymentId}", async (string deploymentId, ISer
 .WithTags("Deployment Status")
 .WithOpenApi();
 
+// Turn the agent's reply into a ChatResponse, splitting out an adaptive card when the reply carries one
+static AzureAIAgent.Api.Models.ChatResponse BuildChatResponse(string result, string sessionId, IEnumerable<ChatEntity> entities)
+{
+    // Check if the result contains an adaptive card
+    var response = new AzureAIAgent.Api.Models.ChatResponse
+    {
+        SessionId = sessionId,
+        Success = true,
+        Error = null,
+        Entities = entities.Any() ? entities.ToList() : null
+    };
+
+    // Enhanced adaptive card detection - look for 🃏 marker and JSON content
+    if (result.Contains("🃏"))
+    {
+        Console.WriteLine($"[DEBUG] Card emoji detected in result. Length: {result.Length}");
+        Console.WriteLine($"[DEBUG] First 300 chars: {result.Substring(0, Math.Min(300, result.Length))}");
+        
+        // Try to extract the JSON from the response - look for first { to last }
+        var jsonStart = result.IndexOf("{");
+        var jsonEnd = result.LastIndexOf("}");
+        
+        if (jsonStart >= 0 && jsonEnd > jsonStart)
+        {
+            try
+            {
+                var jsonContent = result.Substring(jsonStart, jsonEnd - jsonStart + 1);
+                Console.WriteLine($"[DEBUG] Attempting to parse JSON, length: {jsonContent.Length}");
+                Console.WriteLine($"[DEBUG] JSON preview: {jsonContent.Substring(0, Math.Min(200, jsonContent.Length))}...");
+                
+                // Validate that it's actually an AdaptiveCard JSON
+                if (jsonContent.Contains("\"type\"") && jsonContent.Contains("\"AdaptiveCard\""))
+                {
+                    // Parse as JsonDocument to preserve the exact structure
+                    using var jsonDoc = JsonDocument.Parse(jsonContent);
+                    var cardObject = jsonDoc.RootElement.Clone();
+                    
+                    response.AdaptiveCard = cardObject;
+                    response.ContentType = "adaptive-card";
+                    
+                    // Extract the message text (everything before the JSON)
+                    var messageText = result.Substring(0, jsonStart).Trim();
+                    
+                    // Clean up the message text - remove the 🃏 marker line and extra formatting
+                    var lines = messageText.Split('\n');
+                    var cleanLines = lines.Where(line => 
+                        !line.Trim().StartsWith("🃏") && 
+                        !string.IsNullOrWhiteSpace(line) &&
+                        !line.Trim().StartsWith("💡")).ToList();
+                    
+                    response.Message = string.Join("\n", cleanLines).Trim();
+                    if (string.IsNullOrEmpty(response.Message))
+                    {
+                        response.Message = "Interactive form generated successfully!";
+                    }
+                    
+                    Console.WriteLine($"[DEBUG] Card parsed successfully! Content type: {response.ContentType}");
+                    Console.WriteLine($"[DEBUG] Message: {response.Message}");
+                }
+                else
+                {
+                    Console.WriteLine("[DEBUG] JSON doesn't appear to be an AdaptiveCard");
+                    response.Message = result;
+                    response.ContentType = "text";
+                }
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[DEBUG] JSON parsing failed: {ex.Message}");
+                // If JSON parsing fails, treat as regular text
+                response.Message = result;
+                response.ContentType = "text";
+            }
+        }
+        else
+        {
+            Console.WriteLine("[DEBUG] No valid JSON found in result with 🃏 marker");
+            response.Message = result;
+            response.ContentType = "text";
+        }
+    }
+    else
+    {
+        Console.WriteLine($"[DEBUG] No card marker found in result: {result.Substring(0, Math.Min(100, result.Length))}...");
+        response.Message = result;
+        response.ContentType = "text";
+    }
+
+    return response;
+}
+
 app.Run();
 
 // DTOs for API
@@ -1430,11 +1992,19 @@ public record WeatherForecast(DateOnly Date, int TemperatureC, string? Summary)
 // Terraform deployment DTOs
 public record TerraformDeployRequest
 {
+    // Deployed instead of the downloaded template when set
     public string TerraformCode { get; init; } = string.Empty;
+    public string? TemplateId { get; init; }
     public Dictionary<string, string> Parameters { get; init; } = new();
     public string? SessionId { get; init; }
 }
 
+public record TerraformPlanRequest
+{
+    public string TemplateId { get; init; } = string.Empty;
+    public string? SessionId { get; init; }
+}
+
 public record TerraformDeployResponse
 {
     public bool Success { get; init; }
@@ -1487,8 +2057,21 @@ public class DeploymentProgressStatus
     
     // Real-time Terraform output streaming
     public List<string> TerraformOutput { get; set; } = new List<string>();
+    public int TerraformOutputOffset { get; set; } // Absolute line number of TerraformOutput[0]
     public string CurrentTerraformCommand { get; set; } = string.Empty;
     public DateTime? LastOutputTime { get; set; }
+
+    // Copy with the output taken under the lock the deployment appends under, safe to serialise
+    public DeploymentProgressStatus Snapshot()
+    {
+        var copy = (DeploymentProgressStatus)MemberwiseClone();
+        lock (TerraformOutput)
+        {
+            copy.TerraformOutput = TerraformOutput.ToList();
+            copy.TerraformOutputOffset = TerraformOutputOffset;
+        }
+        return copy;
+    }
 }
 
 // Terraform recovery DTOs
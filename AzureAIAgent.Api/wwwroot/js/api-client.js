@@ -0,0 +1,378 @@
+/**
+ * API Client
+ * Single entry point for backend calls: JSON handling, retries with backoff and typed errors
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.api = {
+
+    // Error kinds every failed call is mapped to
+    ERROR_KINDS: {
+        NETWORK: 'network',
+        TIMEOUT: 'timeout',
+        CANCELLED: 'cancelled',
+        VALIDATION: 'validation',
+        UNAUTHORIZED: 'unauthorized',
+        NOT_FOUND: 'not-found',
+        SERVER: 'server'
+    },
+
+    // Statuses where the server refused the request and asks us to come back later
+    RETRY_LATER_STATUSES: [429, 503],
+
+    // Build an API error: { name: 'ApiError', kind, status, details, message }
+    createError(kind, message, extra = {}) {
+        const error = new Error(message);
+        error.name = 'ApiError';
+        error.kind = kind;
+        error.status = extra.status || null;
+        error.details = extra.details || null;
+        error.cause = extra.cause || null;
+        return error;
+    },
+
+    // Resolve a path against the configured API base URL
+    buildUrl(path, query = null) {
+        const base = /^https?:\/\//.test(path) ? path : `${window.AzureAIAgent.config.API_BASE_URL}${path}`;
+        if (!query) return base;
+
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                params.append(key, value);
+            }
+        });
+        const search = params.toString();
+        return search ? `${base}${base.includes('?') ? '&' : '?'}${search}` : base;
+    },
+
+    // Open a request and hand back the raw response while it is still tracked, for streaming bodies.
+    // A 401 refreshes the bearer token and replays the request once.
+    // options: { body, query, headers, timeout, cancellable, label }
+    // Returns { response, request }; the caller must call request.finish() when done reading.
+    async open(method, path, options = {}) {
+        const request = window.AzureAIAgent.requests.start({
+            timeout: options.timeout,
+            cancellable: options.cancellable,
+            label: options.label || `${method} ${path}`
+        });
+
+        const headers = { ...(options.headers || {}) };
+        let body = options.body;
+        if (body !== undefined && !(body instanceof FormData) && typeof body !== 'string') {
+            headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+            body = JSON.stringify(body);
+        }
+
+        const send = async () => fetch(this.buildUrl(path, options.query), {
+            method,
+            headers: await window.AzureAIAgent.auth.authorize({ ...headers }),
+            body,
+            signal: request.signal
+        });
+
+        try {
+            let response = await send();
+            if (response.status === 401 && await window.AzureAIAgent.auth.refresh()) {
+                console.log(`🔐 ${method} ${path} was unauthorized, replaying with a fresh token`);
+                response = await send();
+            }
+
+            if (!response.ok) {
+                throw await this.errorFromResponse(response);
+            }
+            return { response, request };
+        } catch (error) {
+            request.finish();
+            throw this.normalizeError(request.wrapError(error));
+        }
+    },
+
+    // Send a request and parse the reply. Idempotent GETs retry with exponential backoff;
+    // any method retries when the server answers 429/503, honouring Retry-After.
+    // options: open() options plus { retries, parse: 'json' | 'text', requireSuccess }
+    async request(method, path, options = {}) {
+        const retryConfig = window.AzureAIAgent.config.API_RETRY;
+        const idempotent = method === 'GET' || method === 'HEAD';
+        const retries = options.retries !== undefined ? options.retries : retryConfig.attempts;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const { response, request } = await this.open(method, path, options);
+                try {
+                    request.touch();
+                    const data = await this.parseBody(response, options.parse);
+                    if (options.requireSuccess && data && data.success === false) {
+                        throw this.createError(this.ERROR_KINDS.VALIDATION, data.error || 'Request was not successful', { status: response.status, details: data });
+                    }
+                    return data;
+                } catch (error) {
+                    throw error.name === 'ApiError' ? error : this.normalizeError(request.wrapError(error));
+                } finally {
+                    request.finish();
+                }
+            } catch (error) {
+                const retryable = error.kind === this.ERROR_KINDS.CANCELLED ? false :
+                    this.RETRY_LATER_STATUSES.includes(error.status) ||
+                    (idempotent && [this.ERROR_KINDS.NETWORK, this.ERROR_KINDS.TIMEOUT, this.ERROR_KINDS.SERVER].includes(error.kind));
+
+                if (!retryable || attempt >= retries) {
+                    throw error;
+                }
+
+                const delay = error.retryAfter !== undefined && error.retryAfter !== null ?
+                    error.retryAfter : this.backoffDelay(attempt);
+                console.warn(`🔁 ${method} ${path} failed (${error.kind}${error.status ? ' ' + error.status : ''}), retrying in ${delay}ms`);
+                await this.wait(delay, options.cancellable);
+            }
+        }
+    },
+
+    // Follow a Server-Sent Events endpoint over fetch, so the bearer token travels in the
+    // Authorization header rather than in the URL as EventSource would need.
+    // handlers: onOpen(), onEvent(name, data), onEnd() when the server closes the stream,
+    //           onError(error) when it cannot be opened or breaks off.
+    // options: { query, label }. Returns { close() }; nothing is reported after close.
+    eventStream(path, handlers = {}, options = {}) {
+        let request = null;
+        let closed = false;
+        const call = (name, ...args) => {
+            if (!closed && handlers[name]) handlers[name](...args);
+        };
+
+        (async () => {
+            try {
+                const opened = await this.open('GET', path, {
+                    query: options.query,
+                    headers: { 'Accept': 'text/event-stream' },
+                    timeout: 0,
+                    label: options.label || `Event stream ${path}`
+                });
+                request = opened.request;
+                if (closed) {
+                    request.abort();
+                    return;
+                }
+
+                call('onOpen');
+                await this.readEvents(opened.response.body, (name, data) => call('onEvent', name, data), request);
+                call('onEnd');
+            } catch (error) {
+                call('onError', this.normalizeError(request ? request.wrapError(error) : error));
+            } finally {
+                if (request) {
+                    request.finish();
+                }
+            }
+        })();
+
+        return {
+            close: () => {
+                closed = true;
+                if (request) {
+                    request.abort();
+                }
+            }
+        };
+    },
+
+    // Read Server-Sent Event frames from a fetch body, calling onEvent(name, data) for each.
+    // JSON payloads are parsed; anything else arrives as { text }. Every chunk touches the request.
+    async readEvents(body, onEvent, request = null) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const handleFrame = (frame) => {
+            let eventName = 'message';
+            const dataLines = [];
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    eventName = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).replace(/^ /, ''));
+                }
+            });
+            if (dataLines.length === 0) return;
+
+            let data;
+            try {
+                data = JSON.parse(dataLines.join('\n'));
+            } catch (error) {
+                data = { text: dataLines.join('\n') };
+            }
+            onEvent(eventName, data);
+        };
+
+        // A handler that throws (e.g. on an error frame) ends the read; the body is cancelled either way
+        let finished = false;
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                if (request) {
+                    request.touch();
+                }
+
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const frame = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    handleFrame(frame);
+                }
+            }
+            finished = true;
+
+            if (buffer.trim()) {
+                handleFrame(buffer);
+            }
+        } finally {
+            if (!finished) {
+                reader.cancel().catch(() => {});
+            }
+        }
+    },
+
+    // Convenience wrappers
+    get(path, options = {}) {
+        return this.request('GET', path, options);
+    },
+
+    post(path, body, options = {}) {
+        return this.request('POST', path, { ...options, body });
+    },
+
+    delete(path, options = {}) {
+        return this.request('DELETE', path, options);
+    },
+
+    // Parse a response body as JSON (falling back to text) or text
+    async parseBody(response, parse = 'json') {
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        if (parse === 'text' || !text) {
+            return text || null;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    },
+
+    // Build a typed error from an unsuccessful response
+    async errorFromResponse(response) {
+        let details = null;
+        try {
+            details = await this.parseBody(response);
+        } catch (error) {
+            details = null;
+        }
+
+        const serverMessage = details && typeof details === 'object' ?
+            (details.error || details.message || details.title) : (typeof details === 'string' ? details.slice(0, 200) : null);
+        const message = serverMessage || `HTTP ${response.status}: ${response.statusText}`;
+
+        let kind = this.ERROR_KINDS.VALIDATION;
+        if (response.status === 401 || response.status === 403) kind = this.ERROR_KINDS.UNAUTHORIZED;
+        if (response.status === 404) kind = this.ERROR_KINDS.NOT_FOUND;
+        if (response.status >= 500) kind = this.ERROR_KINDS.SERVER;
+
+        const error = this.createError(kind, message, { status: response.status, details });
+        error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+        return error;
+    },
+
+    // Map fetch failures, timeouts and cancellations onto the error taxonomy
+    normalizeError(error) {
+        if (error.name === 'ApiError') return error;
+        if (error.name === 'TimeoutError') {
+            return this.createError(this.ERROR_KINDS.TIMEOUT, error.message, { cause: error });
+        }
+        if (error.name === 'AbortError') {
+            return this.createError(this.ERROR_KINDS.CANCELLED, error.message, { cause: error });
+        }
+        return this.createError(this.ERROR_KINDS.NETWORK, error.message || 'Network request failed', { cause: error });
+    },
+
+    // Retry-After is either a number of seconds or an HTTP date; returns milliseconds
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const maxDelay = window.AzureAIAgent.config.API_RETRY.maxDelay;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.min(seconds * 1000, maxDelay);
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.min(Math.max(date - Date.now(), 0), maxDelay);
+    },
+
+    // Exponential backoff with jitter
+    backoffDelay(attempt) {
+        const { baseDelay, maxDelay } = window.AzureAIAgent.config.API_RETRY;
+        const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    },
+
+    // Wait between attempts; a cancellable wait ends early when the user presses Stop
+    wait(delay, cancellable = false) {
+        const request = window.AzureAIAgent.requests.start({ timeout: 0, cancellable, label: 'Retry wait' });
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                request.finish();
+                resolve();
+            }, delay);
+            request.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                request.finish();
+                reject(this.normalizeError(request.wrapError(new Error('aborted'))));
+            });
+        });
+    },
+
+    // Check error kinds
+    isCancelled(error) {
+        return !!error && error.kind === this.ERROR_KINDS.CANCELLED;
+    },
+
+    isTimeout(error) {
+        return !!error && error.kind === this.ERROR_KINDS.TIMEOUT;
+    },
+
+    // User-facing text for an error, by kind
+    describe(error, context = 'The request') {
+        switch (error && error.kind) {
+            case this.ERROR_KINDS.CANCELLED:
+                return '⏹️ **Stopped.** The request was cancelled before a reply arrived.';
+            case this.ERROR_KINDS.TIMEOUT:
+                return `⏱️ **No reply in time**\n\n${error.message}. The agent may still be working; try again or ask for the status.`;
+            case this.ERROR_KINDS.NETWORK:
+                return '❌ **Connection Error**\n\nSorry, I\'m having trouble connecting to the Azure services. Please check your connection and try again.\n\n' +
+                    `Error: ${error.message}`;
+            case this.ERROR_KINDS.VALIDATION:
+                return `⚠️ **${context} was rejected**\n\n${error.message}`;
+            case this.ERROR_KINDS.UNAUTHORIZED:
+                return `🔒 **Not authorized**\n\n${context} needs a signed-in user with access${error.status === 401 ? '. Please sign in and try again' : ''}.\n\nError: ${error.message}`;
+            case this.ERROR_KINDS.NOT_FOUND:
+                return `❓ **Not found**\n\n${error.message}`;
+            case this.ERROR_KINDS.SERVER:
+                return `❌ **Server error**\n\n${context} failed on the server${error.status ? ` (HTTP ${error.status})` : ''}. Please try again in a moment.\n\nError: ${error.message}`;
+            default:
+                return `❌ **Error**: ${error ? error.message : 'Unknown error'}`;
+        }
+    },
+
+    // Show an error the same way everywhere: a chat bubble, or a toast with { notify: true }
+    report(error, options = {}) {
+        const text = this.describe(error, options.context);
+        if (options.notify) {
+            window.AzureAIAgent.ui.showNotification(text.replace(/\*\*/g, '').split('\n')[0], 'error');
+        } else {
+            window.AzureAIAgent.ui.addMessage('assistant', text);
+        }
+    }
+};
+
+console.log('✅ API client loaded');
@@ -28,8 +28,17 @@ window.AzureAIAgent.app = {
             // Initialize UI state
             this.initializeUIState();
             
-            // Show welcome message
-            this.showWelcomeMessage();
+            // Load persistent deployment history
+            window.AzureAIAgent.deploymentHistory.initialize();
+            
+            // Sign in first so restoring the active session is authenticated, then greet a fresh one
+            window.AzureAIAgent.auth.initialize()
+                .then(() => window.AzureAIAgent.sessions.initialize())
+                .then(restored => {
+                    if (!restored) {
+                        this.showWelcomeMessage();
+                    }
+                });
             
             console.log('✅ Azure AI Agent Application initialized successfully');
             
@@ -41,11 +50,6 @@ window.AzureAIAgent.app = {
 
     // Load configuration
     loadConfiguration() {
-        // Initialize session ID if not exists
-        if (!window.AzureAIAgent.config.SESSION_ID) {
-            window.AzureAIAgent.config.SESSION_ID = this.generateSessionId();
-        }
-        
         // Load saved settings from localStorage
         try {
             const savedSettings = localStorage.getItem('azureAIAgentSettings');
@@ -70,6 +74,27 @@ window.AzureAIAgent.app = {
         // Setup tooltips
         window.AzureAIAgent.events.setupTooltips();
         
+        // Setup code block copy, download and collapse buttons
+        window.AzureAIAgent.codeBlocks.initialize();
+        
+        // Setup sorting, filtering and row actions on CLI output tables
+        window.AzureAIAgent.cliTables.initialize();
+        
+        // Setup the action menu for clickable resource names
+        window.AzureAIAgent.resourceMenu.initialize();
+        
+        // Setup the pod log viewer panel
+        window.AzureAIAgent.logViewer.initialize();
+        
+        // Setup the Ctrl+K command palette
+        window.AzureAIAgent.commandPalette.initialize();
+        
+        // Setup conversation export
+        window.AzureAIAgent.transcript.setupExportMenu();
+        
+        // Setup slash commands in the composer
+        window.AzureAIAgent.slashCommands.initialize();
+        
         console.log('📦 Modules initialized');
     },
 
@@ -118,17 +143,13 @@ I'm your intelligent assistant for Azure resource management and deployment. Her
 • Use specific requirements for better results
 • I'll show you previews before deploying
 • All operations are tracked in the dashboard
+• Type \`/\` for quick commands like \`/templates\` or \`/status <id>\`
 
 Type your request below to get started! 🚀`;
 
         window.AzureAIAgent.ui.addMessage('assistant', welcomeMessage);
     },
 
-    // Generate unique session ID
-    generateSessionId() {
-        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    },
-
     // Handle initialization errors
     handleInitializationError(error) {
         console.error('💥 Initialization failed:', error);
@@ -170,6 +191,8 @@ Please refresh the page and try again. If the problem persists, check the browse
                 'cards',
                 'terraform',
                 'progress',
+                'deploymentEvents',
+                'deploymentHistory',
                 'events',
                 'app'
             ],
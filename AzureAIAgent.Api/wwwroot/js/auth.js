@@ -0,0 +1,321 @@
+/**
+ * Authentication
+ * Pluggable token providers for API calls and the signed-in identity shown in the header
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.auth = {
+
+    DEV_STATE_KEY: 'azureAIAgentDevSignedIn',
+
+    // The active provider, the last token it issued and change listeners
+    provider: null,
+    token: null,
+    refreshing: null,
+    ready: null,
+    listeners: [],
+
+    // Provider factories: settings => { name, initialize(), getToken({ forceRefresh }), getAccount(), signIn(), signOut() }.
+    // getToken resolves to null when nobody is signed in.
+    providers: {
+        // Anonymous calls, no Authorization header
+        none() {
+            return {
+                name: 'none',
+                async initialize() {},
+                async getToken() { return null; },
+                getAccount() { return null; },
+                async signIn() {},
+                async signOut() {}
+            };
+        },
+
+        // Local stand-in issuer: a static token when one is configured, otherwise an unsigned
+        // JWT minted in the browser and re-issued when it expires or the API answers 401
+        dev(settings) {
+            const auth = window.AzureAIAgent.auth;
+            const user = settings.user || { name: 'Local Developer', username: 'developer@localhost' };
+            const lifetime = settings.lifetime || 3600;
+            let issued = null;
+
+            const encode = (value) => btoa(unescape(encodeURIComponent(JSON.stringify(value)))).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+            const signedIn = () => {
+                try {
+                    return sessionStorage.getItem(auth.DEV_STATE_KEY) !== 'false';
+                } catch (error) {
+                    return true;
+                }
+            };
+            const setSignedIn = (value) => {
+                try {
+                    sessionStorage.setItem(auth.DEV_STATE_KEY, String(value));
+                } catch (error) {
+                    console.warn('⚠️ Could not persist dev sign-in state:', error);
+                }
+            };
+
+            return {
+                name: 'dev',
+                async initialize() {},
+
+                async getToken(options = {}) {
+                    if (!signedIn()) return null;
+                    if (settings.token) return settings.token;
+
+                    const now = Math.floor(Date.now() / 1000);
+                    if (!issued || options.forceRefresh || issued.expiresAt - 30 <= now) {
+                        const claims = {
+                            iss: 'azure-ai-agent-dev',
+                            aud: 'azure-ai-agent-api',
+                            sub: user.username,
+                            name: user.name,
+                            preferred_username: user.username,
+                            iat: now,
+                            exp: now + lifetime
+                        };
+                        issued = { token: `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.`, expiresAt: claims.exp };
+                        console.log('🔑 Dev issuer minted a token for', user.username);
+                    }
+                    return issued.token;
+                },
+
+                getAccount() {
+                    return signedIn() ? { name: user.name, username: user.username } : null;
+                },
+
+                async signIn() {
+                    setSignedIn(true);
+                },
+
+                async signOut() {
+                    issued = null;
+                    setSignedIn(false);
+                }
+            };
+        },
+
+        // Microsoft Entra ID through msal-browser, as in docs/Production-Authentication-Architecture.md.
+        // Needs the msal-browser script on the page and AUTH.msal { clientId, authority, scopes }.
+        msal(settings) {
+            if (!window.msal || !window.msal.PublicClientApplication) {
+                throw new Error('msal-browser is not loaded');
+            }
+
+            const client = new window.msal.PublicClientApplication({
+                auth: {
+                    clientId: settings.clientId,
+                    authority: settings.authority,
+                    redirectUri: window.location.origin
+                },
+                cache: { cacheLocation: 'sessionStorage' }
+            });
+            const request = { scopes: settings.scopes || [] };
+            const account = () => client.getActiveAccount() || client.getAllAccounts()[0] || null;
+
+            return {
+                name: 'msal',
+
+                async initialize() {
+                    if (client.initialize) {
+                        await client.initialize();
+                    }
+                    const result = await client.handleRedirectPromise();
+                    if (result && result.account) {
+                        client.setActiveAccount(result.account);
+                    }
+                },
+
+                async getToken(options = {}) {
+                    const current = account();
+                    if (!current) return null;
+                    try {
+                        const result = await client.acquireTokenSilent({ ...request, account: current, forceRefresh: !!options.forceRefresh });
+                        return result.accessToken;
+                    } catch (error) {
+                        if (error instanceof window.msal.InteractionRequiredAuthError) {
+                            const result = await client.acquireTokenPopup({ ...request, account: current });
+                            return result.accessToken;
+                        }
+                        throw error;
+                    }
+                },
+
+                getAccount() {
+                    const current = account();
+                    return current ? { name: current.name || current.username, username: current.username } : null;
+                },
+
+                async signIn() {
+                    const result = await client.loginPopup(request);
+                    client.setActiveAccount(result.account);
+                },
+
+                async signOut() {
+                    await client.logoutPopup({ account: account() });
+                }
+            };
+        }
+    },
+
+    // Add a provider factory under a name so AUTH.provider can select it
+    registerProvider(name, factory) {
+        this.providers[name] = factory;
+    },
+
+    // Create the configured provider and render the header identity.
+    // API calls made meanwhile wait for this to finish.
+    initialize() {
+        const settings = window.AzureAIAgent.config.AUTH;
+        this.setupIdentity();
+
+        this.ready = this.use(settings.provider, settings[settings.provider] || {}).catch(error => {
+            console.error(`❌ Auth provider "${settings.provider}" failed, continuing anonymously:`, error);
+            return this.use('none');
+        });
+        return this.ready;
+    },
+
+    // Switch to another provider
+    async use(name, settings = {}) {
+        const factory = this.providers[name];
+        if (!factory) {
+            throw new Error(`Unknown auth provider: ${name}`);
+        }
+
+        this.provider = factory(settings);
+        this.token = null;
+        await this.provider.initialize();
+        console.log('🔐 Auth provider:', name);
+        this.notify();
+    },
+
+    // Current token, or null when anonymous or signed out; failures never block the call itself
+    async getToken(options = {}) {
+        if (this.ready) {
+            await this.ready;
+        }
+        if (!this.provider) return null;
+        try {
+            this.token = await this.provider.getToken(options);
+        } catch (error) {
+            console.error('❌ Could not acquire a token:', error);
+            this.token = null;
+        }
+        return this.token;
+    },
+
+    // Add the Authorization header when a token is available
+    async authorize(headers = {}) {
+        const token = await this.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return headers;
+    },
+
+    // Force a new token after a 401; concurrent callers share one refresh.
+    // Resolves to true when a different token is available to replay with.
+    refresh() {
+        if (!this.refreshing) {
+            const previous = this.token;
+            this.refreshing = this.getToken({ forceRefresh: true })
+                .then(token => {
+                    console.log(token ? '🔄 Token refreshed' : '🔒 No token after refresh');
+                    return !!token && token !== previous;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    },
+
+    // The signed-in user, or null
+    getAccount() {
+        return this.provider ? this.provider.getAccount() : null;
+    },
+
+    async signIn() {
+        try {
+            await this.provider.signIn();
+            await this.getToken();
+        } catch (error) {
+            console.error('❌ Sign-in failed:', error);
+            window.AzureAIAgent.ui.showNotification(`Sign-in failed: ${error.message}`, 'error');
+        }
+        this.notify();
+    },
+
+    async signOut() {
+        try {
+            await this.provider.signOut();
+        } catch (error) {
+            console.error('❌ Sign-out failed:', error);
+        }
+        this.token = null;
+        this.notify();
+    },
+
+    // Register a listener(account); returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    },
+
+    // Re-render the header and tell listeners who is signed in
+    notify() {
+        const account = this.getAccount();
+        this.renderIdentity();
+        this.listeners.forEach(listener => {
+            try {
+                listener(account);
+            } catch (error) {
+                console.error('❌ Auth listener failed:', error);
+            }
+        });
+    },
+
+    // Wire the header sign-in / sign-out buttons
+    setupIdentity() {
+        const container = document.getElementById('authIdentity');
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-auth-action]');
+            if (!action) return;
+
+            if (action.dataset.authAction === 'sign-in') {
+                this.signIn();
+            } else if (action.dataset.authAction === 'sign-out') {
+                this.signOut();
+            }
+        });
+    },
+
+    // Show who is signed in; hidden for anonymous access
+    renderIdentity() {
+        const container = document.getElementById('authIdentity');
+        if (!container) return;
+
+        if (!this.provider || this.provider.name === 'none') {
+            container.hidden = true;
+            return;
+        }
+
+        const escapeHtml = (text) => window.AzureAIAgent.formatting.escapeHtml(text || '').replace(/"/g, '&quot;');
+        const account = this.getAccount();
+        container.hidden = false;
+        container.innerHTML = account ? `
+            <span class="auth-identity-name" title="${escapeHtml(account.username)}">
+                <i class="fas fa-user-shield"></i> ${escapeHtml(account.name)}${this.provider.name === 'dev' ? ' <span class="auth-dev-badge">dev</span>' : ''}
+            </span>
+            <button type="button" class="header-action" data-auth-action="sign-out">Sign out</button>
+        ` : `
+            <button type="button" class="header-action" data-auth-action="sign-in"><i class="fas fa-sign-in-alt"></i> Sign in</button>
+        `;
+    }
+};
+
+console.log('✅ Authentication loaded');
@@ -0,0 +1,310 @@
+/**
+ * Azure Naming Rules
+ * Per-resource-type name limits, allowed characters, uniqueness scope and casing
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.azureNaming = {
+
+    // Naming rules per resource type, following the Azure resource naming restrictions.
+    // chars: allowed characters; start/end: first and last character; scope: where the name must be unique;
+    // prefixes: conventional abbreviations used to recognise names in text
+    RULES: {
+        'resource-group': {
+            label: 'Resource group',
+            min: 1, max: 90,
+            chars: /^[\w().-]+$/, charsHint: 'letters, numbers, underscores, parentheses, hyphens and periods',
+            end: /[^.]$/, endHint: 'cannot end with a period',
+            scope: 'subscription', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_resource_group'],
+            prefixes: [/^rg-/, /-rg$/]
+        },
+        'storage-account': {
+            label: 'Storage account',
+            min: 3, max: 24,
+            chars: /^[a-z0-9]+$/, charsHint: 'lowercase letters and numbers',
+            scope: 'global', casing: 'lowercase',
+            terraformTypes: ['azurerm_storage_account'],
+            prefixes: [/^st[a-z]*\d[a-z0-9]*$/, /^sa[a-z]*\d[a-z0-9]*$/]
+        },
+        'key-vault': {
+            label: 'Key Vault',
+            min: 3, max: 24,
+            chars: /^[a-zA-Z0-9-]+$/, charsHint: 'letters, numbers and hyphens',
+            start: /^[a-zA-Z]/, startHint: 'must start with a letter',
+            end: /[a-zA-Z0-9]$/, endHint: 'must end with a letter or number',
+            noConsecutiveHyphens: true,
+            scope: 'global', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_key_vault'],
+            prefixes: [/^kv-/, /-kv$/]
+        },
+        'aks-cluster': {
+            label: 'AKS cluster',
+            min: 1, max: 63,
+            chars: /^[\w-]+$/, charsHint: 'letters, numbers, underscores and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'must start with a letter or number',
+            end: /[a-zA-Z0-9]$/, endHint: 'must end with a letter or number',
+            scope: 'resource-group', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_kubernetes_cluster'],
+            prefixes: [/^aks-/, /-aks$/]
+        },
+        'container-registry': {
+            label: 'Container registry',
+            min: 5, max: 50,
+            chars: /^[a-zA-Z0-9]+$/, charsHint: 'letters and numbers',
+            scope: 'global', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_container_registry'],
+            prefixes: [/^acr[a-z0-9]+$/, /^cr[a-z]*\d[a-z0-9]*$/]
+        },
+        'virtual-machine': {
+            label: 'Virtual machine',
+            min: 1, max: 64,
+            chars: /^[a-zA-Z0-9._-]+$/, charsHint: 'letters, numbers, periods, underscores and hyphens',
+            start: /^[^_]/, startHint: 'cannot start with an underscore',
+            end: /[^.-]$/, endHint: 'cannot end with a period or hyphen',
+            windowsMax: 15,
+            scope: 'resource-group', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_linux_virtual_machine', 'azurerm_windows_virtual_machine', 'azurerm_virtual_machine'],
+            prefixes: [/^vm-/, /-vm$/]
+        },
+        'virtual-network': {
+            label: 'Virtual network',
+            min: 2, max: 64,
+            chars: /^[\w.-]+$/, charsHint: 'letters, numbers, underscores, periods and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'must start with a letter or number',
+            end: /[\w]$/, endHint: 'must end with a letter, number or underscore',
+            scope: 'resource-group', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_virtual_network'],
+            prefixes: [/^vnet-/, /-vnet$/]
+        },
+        'subnet': {
+            label: 'Subnet',
+            min: 1, max: 80,
+            chars: /^[\w.-]+$/, charsHint: 'letters, numbers, underscores, periods and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'must start with a letter or number',
+            end: /[\w]$/, endHint: 'must end with a letter, number or underscore',
+            scope: 'virtual network', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_subnet'],
+            prefixes: [/^snet-/, /-subnet$/]
+        },
+        'network-security-group': {
+            label: 'Network security group',
+            min: 1, max: 80,
+            chars: /^[\w.-]+$/, charsHint: 'letters, numbers, underscores, periods and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'must start with a letter or number',
+            end: /[\w]$/, endHint: 'must end with a letter, number or underscore',
+            scope: 'resource-group', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_network_security_group'],
+            prefixes: [/^nsg-/, /-nsg$/]
+        },
+        'public-ip': {
+            label: 'Public IP address',
+            min: 1, max: 80,
+            chars: /^[\w.-]+$/, charsHint: 'letters, numbers, underscores, periods and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'must start with a letter or number',
+            end: /[\w]$/, endHint: 'must end with a letter, number or underscore',
+            scope: 'resource-group', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_public_ip'],
+            prefixes: [/^pip-/, /-pip$/]
+        },
+        'load-balancer': {
+            label: 'Load balancer',
+            min: 1, max: 80,
+            chars: /^[\w.-]+$/, charsHint: 'letters, numbers, underscores, periods and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'must start with a letter or number',
+            end: /[\w]$/, endHint: 'must end with a letter, number or underscore',
+            scope: 'resource-group', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_lb'],
+            prefixes: [/^lbi?-/, /-lb$/]
+        },
+        'app-service': {
+            label: 'App Service',
+            min: 2, max: 60,
+            chars: /^[a-zA-Z0-9-]+$/, charsHint: 'letters, numbers and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'cannot start with a hyphen',
+            end: /[a-zA-Z0-9]$/, endHint: 'cannot end with a hyphen',
+            scope: 'global', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_linux_web_app', 'azurerm_windows_web_app', 'azurerm_app_service'],
+            prefixes: [/^app-/, /-(?:app|webapp)$/]
+        },
+        'function-app': {
+            label: 'Function App',
+            min: 2, max: 60,
+            chars: /^[a-zA-Z0-9-]+$/, charsHint: 'letters, numbers and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'cannot start with a hyphen',
+            end: /[a-zA-Z0-9]$/, endHint: 'cannot end with a hyphen',
+            scope: 'global', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_linux_function_app', 'azurerm_windows_function_app', 'azurerm_function_app'],
+            prefixes: [/^func-/, /-func$/]
+        },
+        'sql-server': {
+            label: 'SQL server',
+            min: 1, max: 63,
+            chars: /^[a-z0-9-]+$/, charsHint: 'lowercase letters, numbers and hyphens',
+            start: /^[a-z0-9]/, startHint: 'cannot start with a hyphen',
+            end: /[a-z0-9]$/, endHint: 'cannot end with a hyphen',
+            scope: 'global', casing: 'lowercase',
+            terraformTypes: ['azurerm_mssql_server', 'azurerm_sql_server'],
+            prefixes: [/^sql-/, /-sql$/]
+        },
+        'sql-database': {
+            label: 'SQL database',
+            min: 1, max: 128,
+            chars: /^[^<>*%&:\\/?]+$/, charsHint: 'no <>*%&:\\/? characters',
+            end: /[^. ]$/, endHint: 'cannot end with a period or space',
+            scope: 'server', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_mssql_database', 'azurerm_sql_database'],
+            prefixes: [/^sqldb-/, /-db$/]
+        },
+        'log-analytics-workspace': {
+            label: 'Log Analytics workspace',
+            min: 4, max: 63,
+            chars: /^[a-zA-Z0-9-]+$/, charsHint: 'letters, numbers and hyphens',
+            start: /^[a-zA-Z0-9]/, startHint: 'must start with a letter or number',
+            end: /[a-zA-Z0-9]$/, endHint: 'must end with a letter or number',
+            scope: 'resource-group', casing: 'case-insensitive',
+            terraformTypes: ['azurerm_log_analytics_workspace'],
+            prefixes: [/^log-/, /-law$/]
+        },
+        'cosmosdb-account': {
+            label: 'Cosmos DB account',
+            min: 3, max: 44,
+            chars: /^[a-z0-9-]+$/, charsHint: 'lowercase letters, numbers and hyphens',
+            start: /^[a-z0-9]/, startHint: 'must start with a lowercase letter or number',
+            scope: 'global', casing: 'lowercase',
+            terraformTypes: ['azurerm_cosmosdb_account'],
+            prefixes: [/^cosmos-/, /-cosmos$/]
+        }
+    },
+
+    // Parameter names that hold a resource name, checked in order
+    VARIABLE_PATTERNS: [
+        { type: 'resource-group', pattern: /(^|_)(resource_?group|rg)(_name)?$/i },
+        { type: 'storage-account', pattern: /(^|_)storage(_account)?(_name)?$|(^|_)sa_name$/i },
+        { type: 'key-vault', pattern: /(^|_)(key_?vault|kv)(_name)?$/i },
+        { type: 'aks-cluster', pattern: /(^|_)(aks|kubernetes|cluster)(_cluster)?(_name)?$|^clusterName$/i },
+        { type: 'container-registry', pattern: /(^|_)(acr|container_registry|registry)(_name)?$/i },
+        { type: 'virtual-machine', pattern: /(^|_)(vm|virtual_machine)(_name)?$/i },
+        { type: 'virtual-network', pattern: /(^|_)(vnet|virtual_network)(_name)?$/i },
+        { type: 'subnet', pattern: /(^|_)subnet(_name)?$/i },
+        { type: 'network-security-group', pattern: /(^|_)(nsg|network_security_group)(_name)?$/i },
+        { type: 'public-ip', pattern: /(^|_)(pip|public_ip)(_name)?$/i },
+        { type: 'function-app', pattern: /(^|_)function_app(_name)?$/i },
+        { type: 'app-service', pattern: /(^|_)(web_?app|app_service)(_name)?$/i },
+        { type: 'sql-server', pattern: /(^|_)sql_server(_name)?$/i },
+        { type: 'log-analytics-workspace', pattern: /(^|_)(log_analytics|workspace)(_name)?$/i },
+        { type: 'cosmosdb-account', pattern: /(^|_)cosmos(db)?(_account)?(_name)?$/i }
+    ],
+
+    // Human readable uniqueness scope
+    SCOPE_LABELS: {
+        'global': 'globally unique across Azure',
+        'subscription': 'unique within the subscription',
+        'resource-group': 'unique within the resource group'
+    },
+
+    // Look up a rule by rule key or Terraform resource type
+    getRule(type) {
+        if (!type) return null;
+        if (this.RULES[type]) return this.RULES[type];
+        const key = this.typeForTerraformResource(type);
+        return key ? this.RULES[key] : null;
+    },
+
+    // Rule key for a Terraform resource type such as azurerm_storage_account
+    typeForTerraformResource(resourceType) {
+        return Object.keys(this.RULES).find(key => this.RULES[key].terraformTypes.includes(resourceType)) || null;
+    },
+
+    // Rule key suggested by a parameter name such as storage_account_name
+    typeForVariable(variableName) {
+        const entry = this.VARIABLE_PATTERNS.find(candidate => candidate.pattern.test(variableName || ''));
+        return entry ? entry.type : null;
+    },
+
+    // Map variables to the resource they name, from "name = var.x" and "resource_group_name = var.x" in the code
+    inferVariableTypes(terraformCode) {
+        const types = {};
+        const body = window.AzureAIAgent.hcl.parse(terraformCode || '');
+
+        body.blocks.filter(block => block.type === 'resource').forEach(block => {
+            const key = this.typeForTerraformResource(block.labels[0]);
+            const assignments = [['name', key], ['resource_group_name', 'resource-group']];
+            assignments.forEach(([attribute, type]) => {
+                const value = block.body.attributes[attribute];
+                const match = value && type ? value.raw.match(/^var\.([A-Za-z_][\w-]*)$/) : null;
+                if (match && !types[match[1]]) {
+                    types[match[1]] = type;
+                }
+            });
+        });
+
+        return types;
+    },
+
+    // Check a name against a resource type's rules. Returns { valid, errors, warnings, rule }.
+    validate(type, name) {
+        const rule = this.getRule(type);
+        const errors = [];
+        const warnings = [];
+        if (!rule) {
+            return { valid: true, errors, warnings, rule: null };
+        }
+
+        const value = String(name === undefined || name === null ? '' : name);
+        if (value.length < rule.min || value.length > rule.max) {
+            errors.push(`${rule.label} name must be ${rule.min}-${rule.max} characters (got ${value.length})`);
+        }
+        if (value && !rule.chars.test(value)) {
+            errors.push(`${rule.label} name may only contain ${rule.charsHint}`);
+        }
+        if (value && rule.start && !rule.start.test(value)) {
+            errors.push(`${rule.label} name ${rule.startHint}`);
+        }
+        if (value && rule.end && !rule.end.test(value)) {
+            errors.push(`${rule.label} name ${rule.endHint}`);
+        }
+        if (rule.noConsecutiveHyphens && value.includes('--')) {
+            errors.push(`${rule.label} name cannot contain consecutive hyphens`);
+        }
+        if (rule.windowsMax && value.length > rule.windowsMax) {
+            warnings.push(`Windows computer names are limited to ${rule.windowsMax} characters`);
+        }
+        if (rule.scope === 'global' && errors.length === 0) {
+            warnings.push(`${rule.label} names are ${this.SCOPE_LABELS.global}`);
+        }
+
+        return { valid: errors.length === 0, errors, warnings, rule };
+    },
+
+    // One-line summary of a rule, used as form help text and error messages
+    describe(type) {
+        const rule = this.getRule(type);
+        if (!rule) return '';
+        const scope = this.SCOPE_LABELS[rule.scope] || `unique within the ${rule.scope}`;
+        return `${rule.label} names: ${rule.min}-${rule.max} characters, ${rule.charsHint}; ${scope}.`;
+    },
+
+    // Single regex combining a rule's character, start and end constraints, for form inputs
+    toPattern(type) {
+        const rule = this.getRule(type);
+        if (!rule) return null;
+        const body = rule.chars.source.replace(/^\^/, '').replace(/\$$/, '').replace(/\+$/, '');
+        const start = rule.start ? `(?=${rule.start.source.replace(/^\^/, '')})` : '';
+        const end = rule.end ? `(?=[\\s\\S]*${rule.end.source.replace(/\$$/, '')}$)` : '';
+        return `^${start}${end}${body}{${rule.min},${rule.max}}$`;
+    },
+
+    // Recognise a resource name in free text by its conventional prefix or suffix.
+    // Returns the rule key only when the name is also valid for that resource type.
+    detect(name) {
+        const value = (name || '').trim();
+        if (!value || value.length > 128) return null;
+
+        const lower = value.toLowerCase();
+        return Object.keys(this.RULES).find(key =>
+            this.RULES[key].prefixes.some(prefix => prefix.test(lower)) && this.validate(key, value).valid) || null;
+    }
+};
+
+console.log('✅ Azure naming rules loaded');
@@ -5,25 +5,33 @@
 window.AzureAIAgent = window.AzureAIAgent || {};
 window.AzureAIAgent.cards = {
 
-    // Handle adaptive card actions
+    // Handle adaptive card actions; returns the handler's promise so the card stays locked until it settles
     handleAdaptiveCardAction(actionData) {
         console.log('🎯 Processing adaptive card action:', actionData);
         
         try {
             if (actionData.action === 'submit') {
-                this.handleParameterSubmit(actionData);
+                return this.handleParameterSubmit(actionData);
+            } else if (actionData.action === 'submitTemplateParameters') {
+                return window.AzureAIAgent.parameterForms.handleSubmit(actionData);
+            } else if (actionData.action === 'submitMandatoryParameters') {
+                return window.AzureAIAgent.terraform.handleMandatoryParametersSubmit(actionData);
+            } else if (actionData.action === 'select_template' && actionData.templateId) {
+                return window.AzureAIAgent.parameterForms.showForTemplate(actionData.templateId);
+            } else if (actionData.action === 'deploy_template' && actionData.templateId) {
+                return window.AzureAIAgent.parameterForms.handleSubmit(actionData);
             } else if (actionData.action === 'cancel') {
-                this.handleParameterCancel(actionData);
+                return this.handleParameterCancel(actionData);
             } else if (actionData.action === 'acceptTemplate') {
-                this.handleAcceptTemplate(actionData);
+                return this.handleAcceptTemplate(actionData);
             } else if (actionData.action === 'rejectTemplate') {
-                this.handleRejectTemplate(actionData);
+                return this.handleRejectTemplate(actionData);
             } else if (actionData.action === 'modifyTemplate') {
-                this.handleModifyTemplate(actionData);
+                return this.handleModifyTemplate(actionData);
             } else if (actionData.action === 'deployTemplate') {
-                this.handleDeployTemplate(actionData);
+                return this.handleDeployTemplate(actionData);
             } else if (actionData.action === 'previewTemplate') {
-                this.handlePreviewTemplate(actionData);
+                return this.handlePreviewTemplate(actionData);
             } else {
                 console.log('⚠️ Unknown adaptive card action:', actionData.action);
             }
@@ -42,13 +50,13 @@ window.AzureAIAgent.cards = {
             `✅ Template accepted. ${actionData.comment}` : 
             '✅ Template accepted. Proceeding with deployment.';
         
-        window.AzureAIAgent.chat.sendMessage(message);
-        
-        // Show deployment indicator
-        window.AzureAIAgent.progress.showDeploymentLoading('Preparing deployment...');
-        
         // Update Terraform context
         window.AzureAIAgent.terraform.updateContext('template_accepted', true);
+        
+        // Progress is shown once the reply names a deployment to follow
+        return window.AzureAIAgent.chat.sendMessage(message)
+            .then(result => window.AzureAIAgent.events.trackDeploymentFromReply(result))
+            .catch(error => console.error('❌ Template acceptance failed:', error));
     },
 
     // Handle template rejection
@@ -59,11 +67,14 @@ window.AzureAIAgent.cards = {
             `❌ Template rejected. ${actionData.comment}` : 
             '❌ Template rejected. Please provide alternative requirements.';
         
-        window.AzureAIAgent.chat.sendMessage(message);
+        const pending = window.AzureAIAgent.chat.sendMessage(message)
+            .catch(error => console.error('❌ Template rejection failed:', error));
         
         // Update Terraform context
         window.AzureAIAgent.terraform.updateContext('template_rejected', true);
         window.AzureAIAgent.terraform.updateContext('rejection_reason', actionData.comment || 'No reason provided');
+        
+        return pending;
     },
 
     // Handle template modification
@@ -86,10 +97,13 @@ window.AzureAIAgent.cards = {
             message += '\n\n' + modifications.map(mod => `• ${mod}`).join('\n');
         }
         
-        window.AzureAIAgent.chat.sendMessage(message);
+        const pending = window.AzureAIAgent.chat.sendMessage(message)
+            .catch(error => console.error('❌ Template modification request failed:', error));
         
         // Update Terraform context with modifications
         window.AzureAIAgent.terraform.updateContext('modifications_requested', modifications);
+        
+        return pending;
     },
 
     // Handle template deployment
@@ -100,13 +114,13 @@ window.AzureAIAgent.cards = {
             `🚀 Deploying template directly. ${actionData.comment}` : 
             '🚀 Deploying template directly without further review.';
         
-        window.AzureAIAgent.chat.sendMessage(message);
-        
-        // Show immediate deployment
-        window.AzureAIAgent.progress.showDeploymentLoading('Deploying Azure resources...');
-        
         // Update context
         window.AzureAIAgent.terraform.updateContext('direct_deployment', true);
+        
+        // Progress is shown once the reply names a deployment to follow
+        return window.AzureAIAgent.chat.sendMessage(message)
+            .then(result => window.AzureAIAgent.events.trackDeploymentFromReply(result))
+            .catch(error => console.error('❌ Direct deployment failed:', error));
     },
 
     // Handle template preview
@@ -117,10 +131,13 @@ window.AzureAIAgent.cards = {
             `👁️ Requesting template preview. ${actionData.comment}` : 
             '👁️ Please show me a detailed preview of the template before proceeding.';
         
-        window.AzureAIAgent.chat.sendMessage(message);
+        const pending = window.AzureAIAgent.chat.sendMessage(message)
+            .catch(error => console.error('❌ Template preview request failed:', error));
         
         // Update context
         window.AzureAIAgent.terraform.updateContext('preview_requested', true);
+        
+        return pending;
     },
 
     // Create a simple confirmation card
@@ -202,15 +219,24 @@ window.AzureAIAgent.cards = {
     async handleParameterSubmit(actionData) {
         console.log('✅ Parameters submitted:', actionData);
         
+        // Forms that name their template deploy through the template API
+        if (actionData.templateId) {
+            return window.AzureAIAgent.parameterForms.handleSubmit({ ...actionData, action: 'submitTemplateParameters' });
+        }
+        
         // Remove the action property and prepare parameters
         const { action, ...parameters } = actionData;
         
-        // Build the exact message format that backend expects for structured form submission
-        const parameterPairs = Object.entries(parameters)
-            .filter(([key, value]) => value && value.trim())
-            .map(([key, value]) => `${key}=${value}`);
+        const { errors } = window.AzureAIAgent.terraform.validateTemplateParameters(parameters);
+        if (errors.length > 0) {
+            window.AzureAIAgent.ui.showNotification(errors[0], 'error');
+            return;
+        }
+        
+        // Keep the submitted values so the deployment history can show them later
+        window.AzureAIAgent.terraform.updateContext('submitted_parameters', parameters);
         
-        const message = `Create AKS cluster: ${parameterPairs.join(', ')}`;
+        const message = this.buildParameterMessage(parameters);
         
         console.log('📤 Sending correctly formatted message:', message);
         
@@ -229,26 +255,45 @@ window.AzureAIAgent.cards = {
                 window.AzureAIAgent.ui.addAdaptiveCardMessage(result.message, result.adaptiveCard);
             } else if (result && result.message) {
                 console.log('📝 Handling text message response from form submission');
-                window.AzureAIAgent.ui.addMessage('assistant', result.message);
+                window.AzureAIAgent.ui.addMessage('assistant', result.message, { entities: result.entities });
             } else {
                 console.log('⚠️ No message or card data in form submission response');
             }
         } catch (error) {
             console.error('❌ Error in form submission:', error);
             window.AzureAIAgent.ui.hideTyping();
-            window.AzureAIAgent.ui.addMessage('assistant', 
-                '❌ **Error processing form**: ' + error.message
-            );
+            
+            // API failures were already reported by the chat module
+            if (error.name !== 'ApiError') {
+                window.AzureAIAgent.ui.addMessage('assistant', 
+                    '❌ **Error processing form**: ' + error.message
+                );
+            }
         }
     },
 
+    // Build the chat message for a form without a template ID.
+    // The backend's AKS form is matched on "Create AKS cluster: key=value" with workload_name;
+    // every other form sends its values as a structured JSON object.
+    buildParameterMessage(parameters) {
+        const filled = Object.fromEntries(Object.entries(parameters)
+            .filter(([key, value]) => value !== undefined && value !== null && String(value).trim() !== ''));
+        
+        if (filled.workload_name) {
+            const parameterPairs = Object.entries(filled).map(([key, value]) => `${key}=${value}`);
+            return `Create AKS cluster: ${parameterPairs.join(', ')}`;
+        }
+        
+        return `Deploy with parameters:\n\`\`\`json\n${JSON.stringify(filled, null, 2)}\n\`\`\``;
+    },
+
     // Handle parameter form cancellation
     handleParameterCancel(actionData) {
         console.log('❌ Parameter form cancelled');
         
         // Show cancellation message
         window.AzureAIAgent.ui.addMessage('assistant', 
-            '❌ **AKS Cluster Creation Cancelled**\n\nNo worries! You can start over anytime by saying "Create an AKS cluster" again.'
+            '❌ **Deployment Cancelled**\n\nNo worries! You can start over anytime by asking for the resource again.'
         );
     }
 };
@@ -8,69 +8,117 @@ window.AzureAIAgent.chat = {
     // Send message to the server
     async sendMessage(message) {
         console.log('🆔 SESSION_ID:', window.AzureAIAgent.config.SESSION_ID);
-        console.log('📤 Making API call to:', `${window.AzureAIAgent.config.API_BASE_URL}/api/agent/chat`);
         console.log('📤 Request payload:', { message: message, sessionId: window.AzureAIAgent.config.SESSION_ID });
         
         try {
-            const response = await fetch(`${window.AzureAIAgent.config.API_BASE_URL}/api/agent/chat`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    message: message,
-                    sessionId: window.AzureAIAgent.config.SESSION_ID
-                })
-            });
-            
-            console.log('📥 Raw response received:', response);
-            console.log('📥 Response status:', response.status);
-            console.log('📥 Response ok:', response.ok);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const result = await response.json();
+            const result = await window.AzureAIAgent.api.post('/api/agent/chat', {
+                message: message,
+                sessionId: window.AzureAIAgent.config.SESSION_ID
+            }, this.requestOptions());
             console.log('📥 Parsed JSON result:', result);
             return result;
         } catch (error) {
             console.error('❌ Error in sendMessage:', error);
-            console.error('❌ Error details:', {
-                name: error.name,
-                message: error.message,
-                stack: error.stack
-            });
-            window.AzureAIAgent.ui.addMessage('assistant', 
-                '❌ **Connection Error**\n\nSorry, I\'m having trouble connecting to the Azure services. Please check your connection and try again.\n\n' +
-                `Error: ${error.message}`
-            );
+            window.AzureAIAgent.api.report(error);
             throw error;
         }
     },
 
+    // Chat requests time out and can be stopped from the composer
+    requestOptions() {
+        return {
+            timeout: window.AzureAIAgent.config.REQUEST_TIMEOUTS.chat,
+            cancellable: true,
+            label: 'Chat request'
+        };
+    },
+
+    // Send message and stream the reply as it is generated.
+    // The server streams when it answers with text/event-stream: `token` frames carry
+    // {"text": "..."} deltas and a final `done` frame carries the usual ChatResponse
+    // (including contentType === 'adaptive-card' payloads). Any other response is
+    // treated as the classic single JSON blob, so older servers keep working.
+    async sendMessageStreaming(message, handlers = {}) {
+        const config = window.AzureAIAgent.config;
+        const api = window.AzureAIAgent.api;
+        if (!config.CHAT_STREAMING_ENABLED || !window.ReadableStream || !window.TextDecoder) {
+            return this.sendMessage(message);
+        }
+
+        let request = null;
+
+        try {
+            const opened = await api.open('POST', '/api/agent/chat', {
+                ...this.requestOptions(),
+                headers: { 'Accept': 'text/event-stream, application/json' },
+                body: {
+                    message: message,
+                    sessionId: config.SESSION_ID,
+                    stream: true
+                }
+            });
+            request = opened.request;
+            const response = opened.response;
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!contentType.includes('text/event-stream') || !response.body) {
+                console.log('📥 Server did not stream, using single JSON response');
+                return await api.parseBody(response);
+            }
+
+            return await this.readEventStream(response.body, handlers, request);
+        } catch (error) {
+            const failure = api.normalizeError(request ? request.wrapError(error) : error);
+            console.error('❌ Error in sendMessageStreaming:', failure);
+            api.report(failure);
+            throw failure;
+        } finally {
+            if (request) {
+                request.finish();
+            }
+        }
+    },
+
+    // Read Server-Sent Event frames from a fetch body until the final frame arrives.
+    // Each chunk restarts the request's timeout, so only a stalled stream times out.
+    async readEventStream(body, handlers, request = null) {
+        let streamedText = '';
+        let finalResult = null;
+
+        await window.AzureAIAgent.api.readEvents(body, (eventName, data) => {
+            if (eventName === 'token' || eventName === 'message') {
+                const text = data.text || '';
+                streamedText += text;
+                if (text && handlers.onToken) {
+                    handlers.onToken(text, streamedText);
+                }
+            } else if (eventName === 'done') {
+                finalResult = data;
+            } else if (eventName === 'error') {
+                throw new Error(data.error || data.text || 'Streaming failed');
+            }
+        }, request);
+
+        // A stream that ends without a final frame still produced a text reply
+        const result = finalResult || { success: true, contentType: 'text', message: streamedText };
+        if (!result.message && result.contentType !== 'adaptive-card') {
+            result.message = streamedText;
+        }
+        result.streamed = true;
+        console.log('📥 Stream completed:', result);
+        return result;
+    },
+
     // Send message with Terraform context
     async sendMessageWithContext(message, terraformContext) {
         console.log('📡 Sending message with Terraform context');
         
         try {
-            const response = await fetch(`${window.AzureAIAgent.config.API_BASE_URL}/api/agent/chat`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    message: message,
-                    sessionId: window.AzureAIAgent.config.SESSION_ID,
-                    terraformContext: terraformContext
-                })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const result = await response.json();
+            const result = await window.AzureAIAgent.api.post('/api/agent/chat', {
+                message: message,
+                sessionId: window.AzureAIAgent.config.SESSION_ID,
+                terraformContext: terraformContext
+            }, this.requestOptions());
             
             // Handle adaptive cards in the context function too
             if (result.contentType === 'adaptive-card' && result.adaptiveCard) {
@@ -86,112 +134,14 @@ window.AzureAIAgent.chat = {
         }
     },
 
-    // Handle form submission
-    async handleSubmit(e) {
-        if (e) {
-            e.preventDefault();
-        }
-        
-        const chatInput = window.AzureAIAgent.config.chatInput;
-        if (!chatInput) {
-            console.error('❌ Chat input not found');
-            return;
-        }
-        
-        const message = chatInput.value.trim();
-        if (!message) return;
-        
-        console.log('📤 Form submitted with message:', message);
-        
-        // Clear input immediately for better UX
-        chatInput.value = '';
-        
-        // Add user message to chat
-        window.AzureAIAgent.ui.addMessage('user', message);
-        
-        // Handle special modes
-        if (this.handleSpecialModes(message)) {
-            return;
-        }
-        
-        // Show typing indicator
-        window.AzureAIAgent.ui.showTyping();
-        window.AzureAIAgent.ui.setFormDisabled(true);
-        
-        try {
-            const result = await this.sendMessage(message);
-            
-            console.log('📥 FULL Received result:', JSON.stringify(result, null, 2));
-            console.log('📄 Content type:', result.contentType);
-            console.log('🃏 Has adaptive card:', !!result.adaptiveCard);
-            console.log('🃏 Adaptive card type:', typeof result.adaptiveCard);
-            console.log('🃏 Card data keys:', result.adaptiveCard ? Object.keys(result.adaptiveCard) : 'none');
-            
-            if (result.contentType === 'adaptive-card' && result.adaptiveCard) {
-                console.log('🃏 Handling adaptive card response');
-                console.log('🃏 Card data:', result.adaptiveCard);
-                window.AzureAIAgent.ui.addAdaptiveCardMessage(result.message, result.adaptiveCard);
-            } else if (result.message) {
-                console.log('📝 Handling text message response');
-                window.AzureAIAgent.ui.addMessage('assistant', result.message);
-            } else {
-                console.log('⚠️ No message or card data in response');
-            }
-        } catch (error) {
-            console.error('❌ Error handling submission:', error);
-        } finally {
-            window.AzureAIAgent.ui.hideTyping();
-            window.AzureAIAgent.ui.setFormDisabled(false);
-            const chatInput = window.AzureAIAgent.config.chatInput;
-            if (chatInput) {
-                chatInput.focus();
-            }
-        }
-    },
-
-    // Handle special conversation modes
-    handleSpecialModes(message) {
-        const lowerMessage = message.toLowerCase();
-        
-        // Handle Terraform edit mode
-        if (window.waitingForTerraformEdit) {
-            window.AzureAIAgent.terraform.handleEditRequest(message);
-            return true;
-        }
-        
-        // Handle mandatory parameters mode
-        if (window.waitingForMandatoryParams) {
-            window.AzureAIAgent.terraform.handleMandatoryParametersResponse(message);
-            return true;
-        }
-        
-        // Handle deployment confirmation mode
-        if (window.waitingForDeploymentConfirmation) {
-            window.AzureAIAgent.terraform.handleDeploymentConfirmation(message);
-            return true;
-        }
-        
-        return false;
-    },
-
     // Initialize session with state sync
     async initializeSession() {
         try {
-            const response = await fetch(`${window.AzureAIAgent.config.API_BASE_URL}/api/agent/session/init`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    sessionId: window.AzureAIAgent.config.SESSION_ID
-                })
+            const result = await window.AzureAIAgent.api.post('/api/agent/session/init', {
+                sessionId: window.AzureAIAgent.config.SESSION_ID
             });
-            
-            if (response.ok) {
-                const result = await response.json();
-                console.log('✅ Session initialized:', result);
-                window.AzureAIAgent.ui.updateStatus('ready');
-            }
+            console.log('✅ Session initialized:', result);
+            window.AzureAIAgent.ui.updateStatus('ready');
         } catch (error) {
             console.error('❌ Session initialization failed:', error);
             window.AzureAIAgent.ui.updateStatus('error');
@@ -0,0 +1,338 @@
+/**
+ * CLI Tables
+ * Detects column-aligned kubectl and `az -o table` output and renders it as an interactive table
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.cliTables = {
+
+    // kubectl headers: upper-case column names separated by two or more spaces
+    KUBECTL_HEADER: /^[A-Z][A-Z0-9_()/%.-]*(?: [A-Z][A-Z0-9_()/%.-]*)*(?: {2,}[A-Z][A-Z0-9_()/%.-]*(?: [A-Z][A-Z0-9_()/%.-]*)*)+ *$/,
+
+    // az -o table separator row: dash groups under each column
+    AZ_SEPARATOR: /^-+(?: +-+)+ *$/,
+
+    // Status values grouped by the colour they get
+    STATUS_CLASSES: {
+        ok: /^(running|succeeded|completed|ready|active|bound|available|healthy|enabled|true|deployed|vm running)$/i,
+        warning: /^(pending|containercreating|podinitializing|init:.*|creating|updating|deleting|terminating|notready|unknown|starting|stopping|scheduling|released|vm starting|vm stopping)$/i,
+        error: /^(failed|error|crashloopbackoff|imagepullbackoff|errimagepull|evicted|oomkilled|createcontainerconfigerror|lost|disabled|false|canceled|vm stopped|vm deallocated)$/i
+    },
+
+    // Columns whose values are statuses
+    STATUS_COLUMNS: /^(status|state|provisioningstate|powerstate|phase|ready)$/i,
+
+    // Sort, filter and raw-text toggle for every rendered table
+    initialize() {
+        document.addEventListener('click', (e) => {
+            const header = e.target.closest('.cli-table th[data-column]');
+            if (header) {
+                this.sort(header);
+                return;
+            }
+
+            const control = e.target.closest('[data-cli-action], [data-row-action]');
+            const container = control && control.closest('.cli-table-container');
+            if (!container) return;
+
+            if (control.dataset.cliAction === 'raw') {
+                const raw = container.classList.toggle('show-raw');
+                control.querySelector('.btn-text').textContent = raw ? 'Table' : 'Raw text';
+            } else if (control.dataset.rowAction) {
+                this.runRowAction(control);
+            }
+        });
+
+        document.addEventListener('input', (e) => {
+            if (e.target.classList.contains('cli-table-filter')) {
+                this.filter(e.target.closest('.cli-table-container'), e.target.value);
+            }
+        });
+    },
+
+    // Replace CLI tables found in code blocks and plain paragraphs with the table component.
+    // Runs before code block decoration so only the text around a table becomes a code block.
+    decorate(tree) {
+        const markdown = window.AzureAIAgent.markdown;
+        markdown.visit(tree, (node, index, parent) => {
+            const lines = this.linesOf(node);
+            if (!lines) return null;
+
+            const table = this.detect(lines);
+            if (!table) return null;
+
+            const before = lines.slice(0, table.start).join('\n').replace(/\n+$/, '');
+            const after = lines.slice(table.end).join('\n').replace(/^\n+/, '');
+            const nodes = [];
+            if (before.trim()) nodes.push(markdown.codeNode(before, node.language || null));
+            nodes.push(this.component(table));
+            if (after.trim()) nodes.push(markdown.codeNode(after, node.language || null));
+
+            parent.children.splice(index, 1, ...nodes);
+            return nodes[0];
+        });
+    },
+
+    // Source lines of a code block, or of a paragraph holding nothing but plain text
+    linesOf(node) {
+        if (node.type === 'code' && !node.className) {
+            return node.value.split('\n');
+        }
+        if (node.type === 'paragraph' && node.children.every(child => ['text', 'softbreak', 'break'].includes(child.type))) {
+            return node.children.map(child => child.type === 'text' ? child.value : '\n').join('').split('\n');
+        }
+        return null;
+    },
+
+    // Find the first table in a list of lines: { kind, columns, rows, start, end, raw }, or null
+    detect(lines) {
+        for (let i = 0; i < lines.length - 1; i++) {
+            let columns = null;
+            let kind = null;
+            let first = i + 1;
+
+            if (this.AZ_SEPARATOR.test(lines[i + 1]) && lines[i].trim()) {
+                kind = 'az';
+                columns = this.columnsFromSeparator(lines[i], lines[i + 1]);
+                first = i + 2;
+            } else if (this.KUBECTL_HEADER.test(lines[i])) {
+                kind = 'kubectl';
+                columns = Array.from(lines[i].matchAll(/\S+(?: \S+)*/g)).map(match => ({ name: match[0], start: match.index }));
+            }
+            if (!columns || columns.length < 2) continue;
+
+            const rows = [];
+            let end = first;
+            while (end < lines.length && lines[end].trim()) {
+                const cells = this.splitRow(lines[end], columns);
+                if (!cells) break;
+                rows.push(cells);
+                end++;
+            }
+            if (rows.length === 0) continue;
+
+            return { kind, columns: columns.map(column => column.name), rows, start: i, end, raw: lines.slice(i, end).join('\n') };
+        }
+        return null;
+    },
+
+    // Column names and start offsets taken from the dash groups under an az header
+    columnsFromSeparator(header, separator) {
+        return Array.from(separator.matchAll(/-+/g)).map((match, index, all) => {
+            const next = all[index + 1];
+            const name = header.slice(match.index, next ? next.index : undefined).trim();
+            return { name, start: match.index };
+        });
+    },
+
+    // Cells of a data row cut at the header's column offsets; falls back to splitting on runs of
+    // spaces. Returns null when the line doesn't line up with the columns.
+    splitRow(line, columns) {
+        // No value may run across a column boundary
+        const aligned = columns.every(column => column.start === 0 || column.start >= line.length || line[column.start - 1] === ' ');
+        if (aligned && line[0] !== ' ') {
+            return columns.map((column, index) => {
+                const next = columns[index + 1];
+                return line.slice(column.start, next ? next.start : undefined).trim();
+            });
+        }
+
+        const parts = line.trim().split(/ {2,}/);
+        return parts.length === columns.length ? parts : null;
+    },
+
+    // The Kubernetes or Azure resource type the rows describe, or null
+    resourceType(table) {
+        const has = (name) => table.columns.some(column => column.toUpperCase() === name);
+        if (table.kind === 'az') {
+            return has('NAME') ? 'azure-resource' : null;
+        }
+
+        if (!has('NAME')) return null;
+        if (has('RESTARTS')) return 'pod';
+        if (has('UP-TO-DATE')) return 'deployment';
+        if (has('DESIRED') && has('CURRENT')) return 'replicaset';
+        if (has('CLUSTER-IP')) return 'service';
+        if (has('ROLES')) return 'node';
+        if (has('HOSTS')) return 'ingress';
+        if (has('SCHEDULE')) return 'cronjob';
+        if (has('COMPLETIONS')) return 'job';
+        if (has('TYPE') && has('DATA')) return 'secret';
+        if (has('DATA')) return 'configmap';
+        if (table.columns.length === 3 && has('STATUS') && has('AGE')) return 'namespace';
+        return null;
+    },
+
+    // Colour class for a status cell; READY shows as ok only when all containers are ready
+    statusClass(column, value) {
+        if (!this.STATUS_COLUMNS.test(column.replace(/\s+/g, ''))) return null;
+
+        const ratio = value.match(/^(\d+)\/(\d+)$/);
+        if (ratio) {
+            return ratio[1] === ratio[2] && ratio[2] !== '0' ? 'ok' : 'warning';
+        }
+        const status = Object.keys(this.STATUS_CLASSES).find(key => this.STATUS_CLASSES[key].test(value.trim()));
+        return status || null;
+    },
+
+    // Tree for the component: toolbar, sortable table with row actions, hidden raw text
+    component(table) {
+        const markdown = window.AzureAIAgent.markdown;
+        const formatting = window.AzureAIAgent.formatting;
+        const text = (value) => ({ type: 'text', value });
+        const type = this.resourceType(table);
+        const nameColumn = table.columns.findIndex(column => column.toUpperCase() === 'NAME');
+        const namespaceColumn = table.columns.findIndex(column => column.toUpperCase() === 'NAMESPACE');
+        const groupColumn = table.columns.findIndex(column => column.replace(/\s+/g, '').toUpperCase() === 'RESOURCEGROUP');
+
+        const header = {
+            type: 'tableRow',
+            children: table.columns.map((column, index) => ({
+                type: 'tableCell',
+                header: true,
+                data: { column: index },
+                attributes: { title: 'Sort' },
+                children: [text(column)]
+            })).concat(type ? [{ type: 'tableCell', header: true, children: [text('')] }] : [])
+        };
+
+        const rows = table.rows.map(cells => {
+            // kubectl get all prefixes names with their kind: pod/web-7d9f8
+            const qualified = nameColumn > -1 ? cells[nameColumn].match(/^([a-z.]+)\/(.+)$/) : null;
+            const name = qualified ? qualified[2] : (nameColumn > -1 ? cells[nameColumn] : null);
+            const rowType = qualified ? qualified[1].split('.')[0] : (type === 'azure-resource' && name ? formatting.detectAzureResourceType(name) : type);
+            const context = {
+                resourceType: rowType,
+                resourceName: name,
+                namespace: namespaceColumn > -1 ? cells[namespaceColumn] : null,
+                resourceGroup: groupColumn > -1 ? cells[groupColumn] : null
+            };
+
+            const children = cells.map((cell, index) => {
+                const status = this.statusClass(table.columns[index], cell);
+                return {
+                    type: 'tableCell',
+                    className: status ? `cli-status cli-status-${status}` : null,
+                    children: index === nameColumn && rowType && name ?
+                        [text(qualified ? `${qualified[1]}/` : ''), formatting.resourceNode(rowType, name, context)] :
+                        [text(cell)]
+                };
+            });
+            if (type) {
+                children.push({ type: 'tableCell', className: 'cli-row-actions', children: this.rowActions(context) });
+            }
+            return { type: 'tableRow', children };
+        });
+
+        const raw = markdown.codeNode(table.raw, null);
+        raw.className = 'code-block cli-table-raw';
+
+        const label = type ? `${table.rows.length} ${type === 'azure-resource' ? 'resource' : type}${table.rows.length === 1 ? '' : 's'}` :
+            `${table.rows.length} row${table.rows.length === 1 ? '' : 's'}`;
+
+        return {
+            type: 'container',
+            className: 'cli-table-container',
+            data: { cliKind: table.kind },
+            children: [
+                {
+                    type: 'container',
+                    className: 'cli-table-toolbar',
+                    children: [
+                        { type: 'span', className: 'cli-table-title', children: [text(label)] },
+                        { type: 'input', inputType: 'search', className: 'cli-table-filter', attributes: { placeholder: 'Filter rows…', 'aria-label': 'Filter rows' } },
+                        {
+                            type: 'button',
+                            className: 'action-btn cli-raw-btn',
+                            data: { cliAction: 'raw' },
+                            children: [
+                                { type: 'span', className: 'btn-icon', children: [text('📄')] },
+                                { type: 'span', className: 'btn-text', children: [text('Raw text')] }
+                            ]
+                        }
+                    ]
+                },
+                { type: 'container', className: 'cli-table-scroll', children: [{ type: 'table', className: 'cli-table', children: [header].concat(rows) }] },
+                raw
+            ]
+        };
+    },
+
+    // Buttons for one row; each one runs a read action from the resource menu
+    rowActions(context) {
+        if (!context.resourceName) return [];
+        const azure = window.AzureAIAgent.resourceMenu.menuFor({ type: context.resourceType }) === 'azure';
+        const actions = [azure ? { action: 'properties', label: 'Properties' } : { action: 'describe', label: 'Describe' }];
+        if (context.resourceType === 'pod') {
+            actions.push({ action: 'logs', label: 'Logs' });
+        }
+
+        return actions.map(({ action, label }) => ({
+            type: 'button',
+            className: 'cli-row-action',
+            data: {
+                rowAction: action,
+                resourceType: context.resourceType,
+                resourceName: context.resourceName,
+                namespace: context.namespace,
+                resourceGroup: context.resourceGroup
+            },
+            children: [{ type: 'text', value: label }]
+        }));
+    },
+
+    // Row buttons are shortcuts for the resource menu's read actions
+    runRowAction(button) {
+        const resourceMenu = window.AzureAIAgent.resourceMenu;
+        resourceMenu.run(button.dataset.rowAction, resourceMenu.resourceFrom(button));
+    },
+
+    // Comparable value for a cell: durations (5d3h) in seconds, x/y ratios, numbers, else text
+    sortKey(value) {
+        const text = value.trim();
+        if (/^(\d+[smhdy])+$/.test(text)) {
+            const units = { s: 1, m: 60, h: 3600, d: 86400, y: 31536000 };
+            return Array.from(text.matchAll(/(\d+)([smhdy])/g)).reduce((total, match) => total + match[1] * units[match[2]], 0);
+        }
+        const ratio = text.match(/^(\d+)\/(\d+)$/);
+        if (ratio) {
+            return Number(ratio[2]) ? ratio[1] / ratio[2] : 0;
+        }
+        // Restart counts carry a suffix: "3 (2m ago)"
+        const number = text.match(/^-?\d+(\.\d+)?(?=\s|%|$)/);
+        return number ? parseFloat(number[0]) : text.toLowerCase();
+    },
+
+    // Sort the rows by a header's column, toggling the direction on repeated clicks
+    sort(header) {
+        const table = header.closest('table');
+        const body = table.querySelector('tbody');
+        if (!body) return;
+
+        const column = Number(header.dataset.column);
+        const ascending = header.getAttribute('aria-sort') !== 'ascending';
+        table.querySelectorAll('th[aria-sort]').forEach(cell => cell.removeAttribute('aria-sort'));
+        header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+        const rows = Array.from(body.rows);
+        rows.sort((a, b) => {
+            const left = this.sortKey(a.cells[column].textContent);
+            const right = this.sortKey(b.cells[column].textContent);
+            const order = typeof left === 'number' && typeof right === 'number' ?
+                left - right :
+                String(left).localeCompare(String(right), undefined, { numeric: true });
+            return ascending ? order : -order;
+        });
+        rows.forEach(row => body.appendChild(row));
+    },
+
+    // Hide rows that don't contain the filter text
+    filter(container, query) {
+        const needle = query.trim().toLowerCase();
+        container.querySelectorAll('.cli-table tbody tr').forEach(row => {
+            row.hidden = needle !== '' && !row.textContent.toLowerCase().includes(needle);
+        });
+    }
+};
+
+console.log('✅ CLI tables loaded');
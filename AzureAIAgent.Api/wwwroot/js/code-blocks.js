@@ -0,0 +1,292 @@
+/**
+ * Code Blocks
+ * Syntax highlighting, line numbers, copy, download and collapse for fenced code in chat messages
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.codeBlocks = {
+
+    // Blocks longer than this start collapsed
+    COLLAPSE_LINES: 20,
+
+    // Fence info strings mapped to a language ID
+    ALIASES: {
+        hcl: 'hcl', terraform: 'hcl', tf: 'hcl', tfvars: 'hcl',
+        json: 'json', jsonc: 'json',
+        yaml: 'yaml', yml: 'yaml',
+        bash: 'bash', sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+        powershell: 'powershell', ps1: 'powershell', pwsh: 'powershell', ps: 'powershell'
+    },
+
+    // Display label and download file name per language
+    LANGUAGES: {
+        hcl: { label: 'Terraform', filename: 'main.tf' },
+        json: { label: 'JSON', filename: 'data.json' },
+        yaml: { label: 'YAML', filename: 'values.yaml' },
+        bash: { label: 'Bash', filename: 'script.sh' },
+        powershell: { label: 'PowerShell', filename: 'script.ps1' }
+    },
+
+    // Tokenizer rules per language: [kind, sticky regex], tried in order at each position.
+    // A null kind consumes the match as plain text so words aren't highlighted halfway through.
+    RULES: {
+        hcl: [
+            ['comment', /#.*|\/\/.*|\/\*[\s\S]*?\*\//y],
+            ['string', /<<-?(\w+)\n[\s\S]*?\n\s*\1\b/y],
+            ['string', /"(?:[^"\\\n]|\\.)*"/y],
+            ['keyword', /\b(?:resource|data|variable|output|locals|module|provider|terraform|backend|required_providers|dynamic|lifecycle|provisioner|connection|moved|import|check|for|in|if|else|endif|endfor)\b/y],
+            ['boolean', /\b(?:true|false|null)\b/y],
+            ['number', /\b\d+(?:\.\d+)?\b/y],
+            ['property', /[A-Za-z_][\w-]*(?=\s*=(?!=))/y],
+            ['function', /[A-Za-z_]\w*(?=\()/y],
+            [null, /[A-Za-z_][\w.-]*/y]
+        ],
+        json: [
+            ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+            ['string', /"(?:[^"\\\n]|\\.)*"/y],
+            ['boolean', /\b(?:true|false|null)\b/y],
+            ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y]
+        ],
+        yaml: [
+            ['comment', /(?<![^\s])#.*/y],
+            ['keyword', /^(?:---|\.\.\.)(?=\s|$)/my],
+            ['property', /(?:"(?:[^"\\\n]|\\.)*"|'[^'\n]*'|[^\s#:'"\-[\]{},][^#:\n]*?|-[^\s#:][^#:\n]*?)(?=\s*:(?:\s|$))/y],
+            ['string', /"(?:[^"\\\n]|\\.)*"|'[^'\n]*'/y],
+            ['variable', /[&*][\w-]+/y],
+            ['boolean', /\b(?:true|false|yes|no|on|off|null)\b|~/y],
+            ['number', /-?\b\d+(?:\.\d+)?\b/y],
+            [null, /[A-Za-z_][\w.-]*/y]
+        ],
+        bash: [
+            ['comment', /(?<![^\s])#.*/y],
+            ['string', /"(?:[^"\\]|\\.)*"|'[^']*'/y],
+            ['variable', /\$\{[^}\n]*\}|\$[A-Za-z_]\w*|\$[@#?$!*0-9]/y],
+            ['keyword', /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|function|in|export|local|return|set|source)\b/y],
+            ['function', /(?<=^[ \t]*(?:\$ )?|[|;&][ \t]*)[A-Za-z_][\w.-]*/my],
+            ['property', /(?<![^\s])--?[A-Za-z][\w-]*/y],
+            ['number', /\b\d+\b/y],
+            [null, /[A-Za-z_][\w.-]*/y]
+        ],
+        powershell: [
+            ['comment', /<#[\s\S]*?#>|#.*/y],
+            ['string', /"(?:[^"`]|`.)*"|'[^']*'/y],
+            ['variable', /\$[\w:]+/y],
+            ['keyword', /\b(?:if|else|elseif|foreach|for|while|do|until|function|param|return|try|catch|finally|throw|switch|begin|process|end|in)\b/iy],
+            ['function', /\b[A-Z][A-Za-z]+-[A-Z][A-Za-z]+\b/y],
+            ['property', /(?<![^\s])-[A-Za-z][\w]*/y],
+            ['number', /\b\d+(?:\.\d+)?\b/y],
+            [null, /[A-Za-z_][\w.-]*/y]
+        ]
+    },
+
+    // Copy, download, collapse, dependency graph and project export buttons on code blocks
+    initialize() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-code-action]');
+            const container = button && button.closest('.code-container');
+            if (!container) return;
+
+            const action = button.dataset.codeAction;
+            if (action === 'copy') {
+                this.copy(container, button);
+            } else if (action === 'download') {
+                this.download(container);
+            } else if (action === 'toggle') {
+                this.toggle(container, button);
+            } else if (action === 'graph') {
+                window.AzureAIAgent.dependencyGraph.openFromCode(this.codeOf(container), container.dataset.language);
+            } else if (action === 'export') {
+                window.AzureAIAgent.projectExport.exportCode(this.codeOf(container));
+            }
+        });
+    },
+
+    // Language ID for a fence info string, guessing from the code when there is none
+    resolveLanguage(language, code) {
+        if (language) {
+            return this.ALIASES[language.toLowerCase()] || null;
+        }
+
+        const text = code.trim();
+        if (/^[[{]/.test(text)) {
+            try {
+                JSON.parse(text);
+                return 'json';
+            } catch (error) {
+                // Not JSON, keep guessing
+            }
+        }
+        if (/^\s*(resource|variable|provider|terraform|module|output|data|locals)\b[^\n]*\{/m.test(text)) return 'hcl';
+        if (/^\s*(\$ )?(az|kubectl|terraform|helm|curl|docker|export|cd)\s/m.test(text)) return 'bash';
+        if (/^\s*[A-Z][a-z]+-Az[A-Za-z]+\b/m.test(text)) return 'powershell';
+        if (/^(apiVersion|kind|[\w-]+):(\s|$)/m.test(text) && !/[{};]\s*$/m.test(text)) return 'yaml';
+        return null;
+    },
+
+    // Split code into { kind, value } tokens; kind is null for plain text
+    tokenize(code, language) {
+        const rules = this.RULES[language];
+        if (!rules) return [{ kind: null, value: code }];
+
+        const tokens = [];
+        let plain = '';
+        let position = 0;
+
+        while (position < code.length) {
+            let matched = null;
+            for (const [kind, pattern] of rules) {
+                pattern.lastIndex = position;
+                const match = pattern.exec(code);
+                if (match && match[0]) {
+                    matched = { kind, value: match[0] };
+                    break;
+                }
+            }
+
+            if (!matched) {
+                plain += code[position++];
+                continue;
+            }
+            if (!matched.kind) {
+                plain += matched.value;
+            } else {
+                if (plain) {
+                    tokens.push({ kind: null, value: plain });
+                    plain = '';
+                }
+                tokens.push(matched);
+            }
+            position += matched.value.length;
+        }
+
+        if (plain) {
+            tokens.push({ kind: null, value: plain });
+        }
+        return tokens;
+    },
+
+    // Replace fenced code in a Markdown tree with the code block component.
+    // Runs before the resource-linking passes, which still reach into the highlighted tokens.
+    decorate(tree) {
+        window.AzureAIAgent.markdown.visit(tree, (node) => {
+            if (node.type !== 'code' || node.className) return null;
+            return this.component(node);
+        });
+    },
+
+    // Tree for one block: header with language and buttons, line-number gutter, highlighted code
+    component(node) {
+        const language = this.resolveLanguage(node.language, node.value);
+        const info = this.LANGUAGES[language];
+        const lineCount = node.value.split('\n').length;
+        const collapsible = lineCount > this.COLLAPSE_LINES;
+        const text = (value) => ({ type: 'text', value });
+        const button = (action, icon, label, className, attributes) => ({
+            type: 'button',
+            className: `action-btn ${className}`,
+            data: { codeAction: action },
+            attributes,
+            children: [
+                { type: 'span', className: 'btn-icon', children: [text(icon)] },
+                { type: 'span', className: 'btn-text', children: [text(label)] }
+            ]
+        });
+
+        const code = {
+            ...node,
+            className: 'code-block',
+            language: language || node.language,
+            children: this.tokenize(node.value, language).map(token => token.kind ?
+                { type: 'token', kind: token.kind, children: [text(token.value)] } : text(token.value))
+        };
+
+        const actions = [
+            button('copy', '📋', 'Copy', 'copy-btn', { title: 'Copy to clipboard' }),
+            button('download', '⬇️', 'Download', 'download-btn', { title: `Download as ${this.filenameFor(language)}` })
+        ];
+        // Terraform, plan JSON and `terraform graph` output can be drawn as a dependency graph
+        if (window.AzureAIAgent.dependencyGraph.sourceKind(node.value, language)) {
+            actions.unshift(button('graph', '🕸️', 'Graph', 'graph-btn', { title: 'Show resource dependencies' }));
+        }
+        if (language === 'hcl' && /^\s*resource\s+"/m.test(node.value)) {
+            actions.push(button('export', '📦', 'Export project', 'export-btn', { title: 'Download as a Terraform project (.zip)' }));
+        }
+        if (collapsible) {
+            actions.push(button('toggle', '↕️', `Show all ${lineCount} lines`, 'toggle-btn', { 'aria-expanded': 'false' }));
+        }
+
+        return {
+            type: 'container',
+            className: `code-container${collapsible ? ' collapsed' : ''}`,
+            data: { language: language || node.language },
+            children: [
+                {
+                    type: 'container',
+                    className: 'code-header',
+                    children: [
+                        { type: 'span', className: 'code-language', children: [text(info ? info.label : (node.language || 'Code'))] },
+                        { type: 'container', className: 'code-actions', children: actions }
+                    ]
+                },
+                {
+                    type: 'container',
+                    className: 'code-body',
+                    children: [
+                        {
+                            type: 'container',
+                            className: 'code-gutter',
+                            attributes: { 'aria-hidden': 'true' },
+                            children: [text(Array.from({ length: lineCount }, (unused, index) => index + 1).join('\n'))]
+                        },
+                        code
+                    ]
+                }
+            ]
+        };
+    },
+
+    // File name for downloads, with the extension tools expect for the language
+    filenameFor(language) {
+        const info = this.LANGUAGES[language];
+        return info ? info.filename : 'snippet.txt';
+    },
+
+    // Raw code of a rendered block; token and resource spans only wrap text, so textContent is exact
+    codeOf(container) {
+        const code = container.querySelector('pre code');
+        return code ? code.textContent : '';
+    },
+
+    // Copy the block and flash the button
+    async copy(container, button) {
+        try {
+            await navigator.clipboard.writeText(this.codeOf(container));
+            button.classList.add('copied');
+            button.querySelector('.btn-text').textContent = 'Copied';
+            setTimeout(() => {
+                button.classList.remove('copied');
+                button.querySelector('.btn-text').textContent = 'Copy';
+            }, 1500);
+        } catch (error) {
+            console.error('❌ Could not copy code block:', error);
+            window.AzureAIAgent.ui.showNotification('Could not copy to the clipboard', 'error');
+        }
+    },
+
+    // Save the block as a file named for its language
+    download(container) {
+        const filename = this.filenameFor(container.dataset.language);
+        window.AzureAIAgent.transcript.download(filename, this.codeOf(container), 'text/plain');
+        console.log('⬇️ Downloaded code block as', filename);
+    },
+
+    // Expand or collapse a long block
+    toggle(container, button) {
+        const collapsed = container.classList.toggle('collapsed');
+        const lineCount = this.codeOf(container).split('\n').length;
+        button.setAttribute('aria-expanded', String(!collapsed));
+        button.querySelector('.btn-text').textContent = collapsed ? `Show all ${lineCount} lines` : 'Collapse';
+    }
+};
+
+console.log('✅ Code blocks loaded');
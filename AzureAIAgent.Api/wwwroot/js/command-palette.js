@@ -0,0 +1,295 @@
+/**
+ * Command Palette
+ * Ctrl+K fuzzy search over every registered app action
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.commandPalette = {
+
+    MAX_RESULTS: 50,
+
+    // Static commands by ID: { id, title, category, icon, keywords, shortcut, run() }
+    commands: new Map(),
+
+    // Functions returning commands built from current data (deployments, sessions), read on open
+    sources: [],
+
+    // Palette state
+    element: null,
+    input: null,
+    list: null,
+    results: [],
+    selectedIndex: 0,
+    returnFocus: null,
+
+    // Register the built-in commands and the Ctrl+K shortcut
+    initialize() {
+        this.element = document.getElementById('commandPalette');
+        if (!this.element) return;
+
+        this.input = this.element.querySelector('.command-palette-input');
+        this.list = this.element.querySelector('.command-palette-list');
+        this.registerBuiltIns();
+        this.setupEvents();
+        console.log(`🎛️ Command palette ready with ${this.commands.size} commands`);
+    },
+
+    // Add a command; registering an existing ID replaces it
+    register(command) {
+        this.commands.set(command.id, command);
+    },
+
+    // Remove a command by ID
+    unregister(id) {
+        this.commands.delete(id);
+    },
+
+    // Add a function that returns commands generated from current state
+    registerSource(source) {
+        this.sources.push(source);
+    },
+
+    // Every command available right now
+    allCommands() {
+        const generated = this.sources.flatMap(source => {
+            try {
+                return source() || [];
+            } catch (error) {
+                console.error('❌ Command source failed:', error);
+                return [];
+            }
+        });
+        return Array.from(this.commands.values()).concat(generated);
+    },
+
+    // Fuzzy subsequence score; -1 when the query letters don't all appear in order.
+    // Consecutive letters and letters at word starts score higher, so "tc" finds "Toggle Terraform console".
+    score(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = text.toLowerCase();
+        if (!needle) return 0;
+
+        let score = 0;
+        let position = -1;
+        let streak = 0;
+        for (const char of needle) {
+            const next = haystack.indexOf(char, position + 1);
+            if (next === -1) return -1;
+
+            streak = next === position + 1 ? streak + 1 : 0;
+            const wordStart = next === 0 || /[\s\-_/:.]/.test(haystack[next - 1]);
+            score += 1 + streak * 2 + (wordStart ? 3 : 0);
+            position = next;
+        }
+        return score - haystack.length * 0.01;
+    },
+
+    // Commands matching the query, best first
+    search(query) {
+        const commands = this.allCommands();
+        if (!query.trim()) {
+            return commands.slice(0, this.MAX_RESULTS);
+        }
+
+        return commands
+            .map(command => {
+                const text = `${command.category || ''} ${command.title} ${(command.keywords || []).join(' ')}`;
+                return { command, score: Math.max(this.score(query, command.title), this.score(query, text)) };
+            })
+            .filter(result => result.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.MAX_RESULTS)
+            .map(result => result.command);
+    },
+
+    // Commands that only need other modules' public methods
+    registerBuiltIns() {
+        const app = window.AzureAIAgent;
+
+        this.register({
+            id: 'templates.gallery',
+            title: 'Open template gallery',
+            category: 'Templates',
+            icon: 'fa-th-large',
+            keywords: ['browse', 'catalog'],
+            run: () => app.slashCommands.commands.templates.run('')
+        });
+
+        this.register({
+            id: 'terraform.toggle-console',
+            title: 'Toggle Terraform console',
+            category: 'Terraform',
+            icon: 'fa-terminal',
+            keywords: ['output', 'log'],
+            run: () => app.progress.toggleTerraformConsole()
+        });
+
+        this.register({
+            id: 'terraform.export-project',
+            title: 'Export generated Terraform as a project',
+            category: 'Terraform',
+            icon: 'fa-file-archive',
+            keywords: ['download', 'zip', 'tfvars', 'bundle'],
+            run: () => app.projectExport.export(window.currentTerraformCodeId)
+        });
+
+        this.register({
+            id: 'chat.copy-last-code',
+            title: 'Copy last code block',
+            category: 'Chat',
+            icon: 'fa-copy',
+            keywords: ['terraform', 'clipboard'],
+            run: () => this.copyLastCodeBlock()
+        });
+
+        this.register({
+            id: 'chat.clear',
+            title: 'Clear chat window',
+            category: 'Chat',
+            icon: 'fa-eraser',
+            run: () => app.slashCommands.commands.clear.run('')
+        });
+
+        this.register({
+            id: 'help.shortcuts',
+            title: 'Show keyboard shortcuts',
+            category: 'Help',
+            icon: 'fa-keyboard',
+            shortcut: 'Ctrl+/',
+            run: () => app.events.showKeyboardShortcuts()
+        });
+    },
+
+    // Copy the most recent fenced code block in the conversation
+    async copyLastCodeBlock() {
+        const entries = window.AzureAIAgent.transcript.entries;
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const blocks = entries[i].type === 'message' ?
+                Array.from(entries[i].content.matchAll(/```[\w-]*\n?([\s\S]*?)```/g)) : [];
+            if (blocks.length > 0) {
+                await navigator.clipboard.writeText(blocks[blocks.length - 1][1].replace(/\n$/, ''));
+                window.AzureAIAgent.ui.showNotification('Code block copied to clipboard', 'success');
+                return;
+            }
+        }
+        window.AzureAIAgent.ui.showNotification('No code block in this conversation yet', 'info');
+    },
+
+    // Keyboard shortcut, search box and list interaction
+    setupEvents() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.isOpen() ? this.close() : this.open();
+            }
+        });
+
+        this.input.addEventListener('input', () => this.update());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (this.results.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.selectedIndex = (this.selectedIndex + step + this.results.length) % this.results.length;
+                this.render();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.execute(this.results[this.selectedIndex]);
+            } else if (e.key === 'Escape') {
+                // Don't let the composer's Escape handling clear the input or stop a request
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            }
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-command-index]');
+            if (item) {
+                this.execute(this.results[Number(item.dataset.commandIndex)]);
+            }
+        });
+
+        // Clicking the backdrop closes the palette
+        this.element.addEventListener('mousedown', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+    },
+
+    // Check whether the palette is showing
+    isOpen() {
+        return !!this.element && !this.element.hidden;
+    },
+
+    // Show the palette with every command listed
+    open() {
+        if (!this.element) return;
+        this.returnFocus = document.activeElement;
+        this.element.hidden = false;
+        this.input.value = '';
+        this.update();
+        this.input.focus();
+    },
+
+    // Hide the palette and give focus back to where it was
+    close() {
+        if (!this.element) return;
+        this.element.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    },
+
+    // Re-run the search for the current query
+    update() {
+        this.results = this.search(this.input.value);
+        this.selectedIndex = 0;
+        this.render();
+    },
+
+    // Draw the results with their category and shortcut
+    render() {
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text || '');
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<div class="command-palette-empty">No matching commands</div>';
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((command, index) => `
+            <div class="command-palette-item${index === this.selectedIndex ? ' selected' : ''}" data-command-index="${index}" role="option">
+                <i class="fas ${escape(command.icon || 'fa-bolt')}"></i>
+                <span class="command-palette-title">${escape(command.title)}</span>
+                ${command.category ? `<span class="command-palette-category">${escape(command.category)}</span>` : ''}
+                ${command.shortcut ? `<kbd>${escape(command.shortcut)}</kbd>` : ''}
+            </div>
+        `).join('');
+
+        const selected = this.list.querySelector('.command-palette-item.selected');
+        if (selected) {
+            selected.scrollIntoView({ block: 'nearest' });
+        }
+    },
+
+    // Close the palette and run a command, reporting failures the same way as API calls
+    async execute(command) {
+        if (!command) return;
+
+        this.close();
+        console.log('🎛️ Running command:', command.id);
+        try {
+            await command.run();
+        } catch (error) {
+            console.error(`❌ Command ${command.id} failed:`, error);
+            if (error.name === 'ApiError') {
+                window.AzureAIAgent.api.report(error, { context: command.title });
+            } else {
+                window.AzureAIAgent.ui.showNotification(`${command.title} failed: ${error.message}`, 'error');
+            }
+        }
+    }
+};
+
+console.log('✅ Command palette loaded');
@@ -6,7 +6,66 @@
 const currentProtocol = window.location.protocol;
 const currentHost = window.location.host;
 const API_BASE_URL = `${currentProtocol}//${currentHost}`;
-const SESSION_ID = 'chat-session-' + Date.now();
+
+// Resume the last active conversation; sessions.js manages the saved session list
+function resolveSessionId() {
+    try {
+        const activeSession = localStorage.getItem('azureAIAgentActiveSession');
+        if (activeSession) {
+            return activeSession;
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not read active session:', error);
+    }
+    return 'chat-session-' + Date.now();
+}
+
+const SESSION_ID = resolveSessionId();
+
+// Ask the server to stream chat replies; falls back to single JSON responses automatically
+const CHAT_STREAMING_ENABLED = true;
+
+// Request timeouts in milliseconds (0 disables). Chat replies can take a while to generate;
+// while a reply streams the timeout restarts with every chunk received.
+const REQUEST_TIMEOUTS = {
+    chat: 120000,
+    status: 15000,
+    default: 30000
+};
+
+// Retry policy for the API client: idempotent GETs retry on network, timeout and 5xx errors;
+// any call retries on 429/503. Delays double from baseDelay up to maxDelay (or Retry-After).
+const API_RETRY = {
+    attempts: 3,
+    baseDelay: 500,
+    maxDelay: 8000
+};
+
+// Authentication for API calls. provider: 'none' (anonymous, the default), 'dev' (local
+// stand-in issuer) or 'msal' (Microsoft Entra ID). Opt in per browser by storing JSON in
+// localStorage 'azureAIAgentAuth', e.g. {"provider":"dev","dev":{"token":"..."}}.
+function resolveAuthConfig() {
+    const defaults = {
+        provider: 'none',
+        dev: { token: null, user: { name: 'Local Developer', username: 'developer@localhost' }, lifetime: 3600 },
+        msal: { clientId: '', authority: 'https://login.microsoftonline.com/common', scopes: [] }
+    };
+
+    try {
+        const override = JSON.parse(localStorage.getItem('azureAIAgentAuth') || '{}');
+        return {
+            ...defaults,
+            ...override,
+            dev: { ...defaults.dev, ...(override.dev || {}) },
+            msal: { ...defaults.msal, ...(override.msal || {}) }
+        };
+    } catch (error) {
+        console.warn('⚠️ Could not read auth settings:', error);
+        return defaults;
+    }
+}
+
+const AUTH = resolveAuthConfig();
 
 console.log('API_BASE_URL:', API_BASE_URL);
 
@@ -21,19 +80,19 @@ let dotAnimationInterval;
 // Terraform context tracking
 window.currentTerraformContext = null;
 window.currentTerraformCodeId = null;
-window.waitingForTerraformEdit = false;
 window.waitingForMandatoryParams = false;
 window.waitingForDeploymentConfirmation = false;
 window.missingParamsList = null;
 
 // DOM element cache
-let chatMessages, chatInput, sendButton, chatForm, typingIndicator, progressIndicator, statusIndicator, sessionIdElement;
+let chatMessages, chatInput, sendButton, stopButton, chatForm, typingIndicator, progressIndicator, statusIndicator, sessionIdElement;
 
 // Initialize DOM elements cache
 function initializeDOMCache() {
     chatMessages = document.getElementById('chatMessages');
     chatInput = document.getElementById('chatInput');
     sendButton = document.getElementById('sendButton');
+    stopButton = document.getElementById('stopButton');
     chatForm = document.getElementById('chatForm');
     typingIndicator = document.getElementById('typingIndicator');
     progressIndicator = document.getElementById('progressIndicator');
@@ -42,7 +101,7 @@ function initializeDOMCache() {
     
     // Set session ID
     if (sessionIdElement) {
-        sessionIdElement.textContent = SESSION_ID;
+        sessionIdElement.textContent = window.AzureAIAgent.config.SESSION_ID;
     }
     
     // Log cache status
@@ -50,6 +109,7 @@ function initializeDOMCache() {
         chatMessages: !!chatMessages,
         chatInput: !!chatInput,
         sendButton: !!sendButton,
+        stopButton: !!stopButton,
         chatForm: !!chatForm,
         typingIndicator: !!typingIndicator,
         progressIndicator: !!progressIndicator,
@@ -63,11 +123,16 @@ window.AzureAIAgent = window.AzureAIAgent || {};
 window.AzureAIAgent.config = {
     API_BASE_URL,
     SESSION_ID,
+    CHAT_STREAMING_ENABLED,
+    REQUEST_TIMEOUTS,
+    API_RETRY,
+    AUTH,
     initializeDOMCache,
     // DOM elements getters
     get chatMessages() { return chatMessages; },
     get chatInput() { return chatInput; },
     get sendButton() { return sendButton; },
+    get stopButton() { return stopButton; },
     get chatForm() { return chatForm; },
     get typingIndicator() { return typingIndicator; },
     get progressIndicator() { return progressIndicator; },
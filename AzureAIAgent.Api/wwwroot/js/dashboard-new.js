@@ -12,6 +12,13 @@ window.AzureAIAgent.dashboard = {
         this.updateStat('resourceCount', 0);
         this.updateStat('sessionTime', '00:00');
         this.startSessionTimer();
+        
+        // Count deployments when the state machine reports them done
+        window.AzureAIAgent.deploymentState.onChange((deploymentId, state) => {
+            if (state === 'done') {
+                this.incrementDeploymentCount();
+            }
+        });
         console.log('📊 Dashboard module initialized successfully');
     },
 
@@ -80,10 +87,6 @@ window.AzureAIAgent.dashboard = {
     updateFromMessage(content) {
         const lowerContent = content.toLowerCase();
         
-        if (lowerContent.includes('deployment') && lowerContent.includes('successful')) {
-            this.incrementDeploymentCount();
-        }
-        
         // Count resources mentioned
         const resourceTypes = ['virtual machine', 'storage account', 'network', 'kubernetes', 'database', 'app service'];
         let resourceMentions = 0;
@@ -0,0 +1,502 @@
+/**
+ * Dependency Graph
+ * Draws a template's resources and their references as an SVG graph, coloured by the planned
+ * action and, while a deployment applies, by each resource's live status
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.dependencyGraph = {
+
+    // Layout in SVG units
+    NODE_WIDTH: 210,
+    NODE_HEIGHT: 46,
+    COLUMN_GAP: 90,
+    ROW_GAP: 18,
+    PADDING: 24,
+
+    // Most significant first, for modules and counted resources drawn as one node
+    ACTION_ORDER: ['replace', 'destroy', 'update', 'create', 'read', 'none'],
+    STATUS_ORDER: ['failed', 'in-progress', 'complete'],
+
+    STATUS_LABELS: {
+        'in-progress': 'applying',
+        complete: 'applied',
+        failed: 'failed'
+    },
+
+    // Deployments being applied: deploymentId → { templateId, parser }
+    deployments: {},
+
+    // Open graph
+    backdrop: null,
+    graph: null,
+    templateId: null,
+    deploymentId: null,
+    selected: null,
+
+    // Which graph source a code block holds: 'hcl', 'plan' (terraform show -json), 'dot' (terraform graph) or null
+    sourceKind(code, language) {
+        if (language === 'hcl' && /^\s*(resource|data|module)\s+"/m.test(code)) return 'hcl';
+        if (language === 'json' && /"resource_changes"\s*:/.test(code)) return 'plan';
+        if (/^\s*digraph\b/.test(code)) return 'dot';
+        return null;
+    },
+
+    // Nodes and edges from any supported source: { nodes: [{ address, kind, type, name, action }], edges: [{ from, to }] }
+    parse(code, kind) {
+        if (kind === 'plan') return this.fromPlanJson(code);
+        if (kind === 'dot') return this.fromDot(code);
+        return window.AzureAIAgent.hcl.findDependencies(code);
+    },
+
+    // Graph address a Terraform address is drawn under: instance keys dropped, module contents folded into the module.
+    // Returns null for things that are not resources (providers, variables, outputs, locals).
+    addressOf(raw) {
+        const address = (raw || '').replace(/\[[^\]]*\]/g, '');
+        const parts = address.split('.');
+        if (parts[0] === 'module' && parts.length >= 2) return parts.slice(0, 2).join('.');
+        if (parts[0] === 'data' && parts.length >= 3) return parts.slice(0, 3).join('.');
+        if (['var', 'local', 'output', 'provider', 'path', 'terraform', 'each', 'count', 'self', 'meta', 'root'].includes(parts[0])) return null;
+        return parts.length >= 2 && /^[a-z][a-z0-9_]*$/.test(parts[0]) ? parts.slice(0, 2).join('.') : null;
+    },
+
+    // Node for a graph address
+    nodeFor(address) {
+        const parts = address.split('.');
+        const kind = parts[0] === 'module' ? 'module' : parts[0] === 'data' ? 'data' : 'resource';
+        return {
+            address,
+            kind,
+            type: kind === 'module' ? 'module' : kind === 'data' ? parts[1] : parts[0],
+            name: parts[parts.length - 1]
+        };
+    },
+
+    // Graph from `terraform show -json` plan output: actions from resource_changes, edges from the configuration's references
+    fromPlanJson(text) {
+        const plan = JSON.parse(text);
+        const nodes = new Map();
+        const edges = [];
+        const seen = new Set();
+
+        (plan.resource_changes || []).forEach(change => {
+            const address = this.addressOf(change.address);
+            if (!address) return;
+            const node = nodes.get(address) || { ...this.nodeFor(address), action: 'none' };
+            node.action = this.strongest(this.ACTION_ORDER, node.action, this.planAction(change.change && change.change.actions));
+            nodes.set(address, node);
+        });
+
+        // Every "references" array under a resource's expressions, plus depends_on
+        const collect = (value, found) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => collect(item, found));
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, item]) => {
+                    if (key === 'references' && Array.isArray(item)) found.push(...item);
+                    else collect(item, found);
+                });
+            }
+            return found;
+        };
+        const addEdges = (from, references) => {
+            references.forEach(reference => {
+                const to = this.addressOf(reference);
+                const key = `${from}→${to}`;
+                if (to && to !== from && nodes.has(from) && nodes.has(to) && !seen.has(key)) {
+                    seen.add(key);
+                    edges.push({ from, to });
+                }
+            });
+        };
+
+        const root = (plan.configuration && plan.configuration.root_module) || {};
+        (root.resources || []).forEach(resource => {
+            addEdges(this.addressOf(resource.address), collect(resource.expressions, []).concat(resource.depends_on || []));
+        });
+        Object.entries(root.module_calls || {}).forEach(([name, call]) => {
+            addEdges(`module.${name}`, collect(call.expressions, []).concat(call.depends_on || []));
+        });
+
+        return { nodes: Array.from(nodes.values()), edges };
+    },
+
+    // Graph from `terraform graph` DOT output; both the "[root] x (expand)" and the plain node naming
+    fromDot(text) {
+        const nodes = new Map();
+        const edges = [];
+        const seen = new Set();
+        const clean = (name) => this.addressOf(name.replace(/^\[root\]\s*/, '').replace(/\s*\((expand|close)\)$/, ''));
+        const addNode = (address) => {
+            if (address && !nodes.has(address)) nodes.set(address, this.nodeFor(address));
+        };
+
+        text.split('\n').forEach(line => {
+            const edge = line.match(/"([^"]+)"\s*->\s*"([^"]+)"/);
+            if (edge) {
+                const from = clean(edge[1]);
+                const to = clean(edge[2]);
+                addNode(from);
+                addNode(to);
+                const key = `${from}→${to}`;
+                if (from && to && from !== to && !seen.has(key)) {
+                    seen.add(key);
+                    edges.push({ from, to });
+                }
+                return;
+            }
+            const node = line.match(/^\s*"([^"]+)"\s*\[/);
+            if (node) addNode(clean(node[1]));
+        });
+
+        return { nodes: Array.from(nodes.values()), edges };
+    },
+
+    // Plan JSON actions: ["create"], ["delete", "create"], ["no-op"] …
+    planAction(actions = []) {
+        if (actions.includes('delete') && actions.includes('create')) return 'replace';
+        if (actions.includes('delete')) return 'destroy';
+        if (actions.includes('update')) return 'update';
+        if (actions.includes('create')) return 'create';
+        if (actions.includes('read')) return 'read';
+        return 'none';
+    },
+
+    // Whichever of two values comes first in an ordering
+    strongest(order, a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return order.indexOf(a) <= order.indexOf(b) ? a : b;
+    },
+
+    // Open the graph for a code block's contents
+    openFromCode(code, language) {
+        const kind = this.sourceKind(code, language);
+        if (!kind) return;
+
+        try {
+            const graph = this.parse(code, kind);
+            const templateId = kind === 'hcl' ? window.AzureAIAgent.terraform.findTemplateId(code) : window.currentTerraformCodeId;
+            this.show(graph, templateId);
+        } catch (error) {
+            console.error('❌ Could not build dependency graph:', error);
+            window.AzureAIAgent.ui.showNotification('Could not read a dependency graph from this block', 'error');
+        }
+    },
+
+    // Open the graph for Terraform generated in the conversation
+    open(templateId) {
+        const code = window.AzureAIAgent.terraform.getGeneratedCode(templateId);
+        if (!code) {
+            window.AzureAIAgent.ui.showNotification('No generated Terraform to graph yet', 'info');
+            return;
+        }
+        this.show(window.AzureAIAgent.hcl.findDependencies(code), templateId);
+    },
+
+    // Show a parsed graph in the modal
+    show(graph, templateId = null) {
+        if (graph.nodes.length === 0) {
+            window.AzureAIAgent.ui.showNotification('No resources found to graph', 'info');
+            return;
+        }
+
+        this.close();
+        this.graph = graph;
+        this.templateId = templateId;
+        this.deploymentId = this.latestDeploymentFor(templateId);
+        this.selected = null;
+        this.build();
+        this.render();
+        console.log(`🕸️ Dependency graph opened: ${graph.nodes.length} resources, ${graph.edges.length} dependencies`);
+    },
+
+    // Close the graph
+    close() {
+        if (this.backdrop) {
+            this.backdrop.remove();
+            this.backdrop = null;
+        }
+        this.graph = null;
+    },
+
+    // Forget deployments and close the graph, e.g. when switching conversations
+    reset() {
+        this.close();
+        this.deployments = {};
+    },
+
+    // Modal markup and its event handlers
+    build() {
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+        const legend = (className, label) => `<span class="graph-legend-item ${className}"><span class="graph-legend-swatch"></span>${label}</span>`;
+        const backdrop = document.createElement('div');
+        backdrop.className = 'history-log-backdrop dependency-graph-backdrop';
+        backdrop.innerHTML = `
+            <div class="history-log-modal dependency-graph-modal" role="dialog" aria-label="Resource dependency graph">
+                <div class="history-log-header">
+                    <h3><i class="fas fa-project-diagram"></i> Resource dependencies${this.templateId ? ` <code>${escape(this.templateId)}</code>` : ''}</h3>
+                    <button type="button" class="history-log-close" title="Close">✕</button>
+                </div>
+                <div class="dependency-graph-legend">
+                    ${legend('action-create', 'create')}
+                    ${legend('action-update', 'update')}
+                    ${legend('action-replace', 'replace')}
+                    ${legend('action-destroy', 'destroy')}
+                    ${legend('action-none', 'no change / not planned')}
+                    ${legend('status-in-progress', 'applying')}
+                    ${legend('status-complete', 'applied')}
+                    ${legend('status-failed', 'failed')}
+                </div>
+                <div class="dependency-graph-body"></div>
+                <div class="dependency-graph-footer"></div>
+            </div>
+        `;
+
+        this.backdrop = backdrop;
+        backdrop.addEventListener('click', (e) => {
+            if (e.target === backdrop || e.target.closest('.history-log-close')) {
+                this.close();
+                return;
+            }
+            const node = e.target.closest('.graph-node');
+            if (node) {
+                this.select(node.dataset.address === this.selected ? null : node.dataset.address);
+            } else if (e.target.closest('svg')) {
+                this.select(null);
+            }
+        });
+        backdrop.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            } else if ((e.key === 'Enter' || e.key === ' ') && e.target.closest('.graph-node')) {
+                e.preventDefault();
+                const address = e.target.closest('.graph-node').dataset.address;
+                this.select(address === this.selected ? null : address);
+            }
+        });
+
+        document.body.appendChild(backdrop);
+        backdrop.querySelector('.history-log-close').focus();
+    },
+
+    // Columns by dependency depth (dependencies on the left), rows ordered to keep edges short
+    layout(graph) {
+        const dependencies = new Map(graph.nodes.map(node => [node.address, []]));
+        graph.edges.forEach(edge => dependencies.get(edge.from).push(edge.to));
+
+        // Longest path to a node without dependencies; edges closing a cycle are ignored
+        const columns = new Map();
+        const visiting = new Set();
+        const columnOf = (address) => {
+            if (columns.has(address)) return columns.get(address);
+            if (visiting.has(address)) return -1;
+            visiting.add(address);
+            const column = dependencies.get(address).reduce((max, dependency) => Math.max(max, columnOf(dependency) + 1), 0);
+            visiting.delete(address);
+            columns.set(address, column);
+            return column;
+        };
+        graph.nodes.forEach(node => columnOf(node.address));
+
+        const byColumn = [];
+        graph.nodes.forEach(node => {
+            const column = columns.get(node.address);
+            (byColumn[column] = byColumn[column] || []).push(node.address);
+        });
+
+        // Each column sorted by the average row of what it depends on
+        const rows = new Map();
+        byColumn.forEach((addresses, column) => {
+            const weight = (address) => {
+                const placed = dependencies.get(address).filter(dependency => rows.has(dependency));
+                return placed.length ? placed.reduce((sum, dependency) => sum + rows.get(dependency), 0) / placed.length : Infinity;
+            };
+            addresses
+                .map(address => ({ address, weight: column === 0 ? 0 : weight(address) }))
+                .sort((a, b) => a.weight - b.weight || a.address.localeCompare(b.address))
+                .forEach((entry, row) => rows.set(entry.address, row));
+        });
+
+        const positions = new Map();
+        graph.nodes.forEach(node => positions.set(node.address, {
+            x: this.PADDING + columns.get(node.address) * (this.NODE_WIDTH + this.COLUMN_GAP),
+            y: this.PADDING + rows.get(node.address) * (this.NODE_HEIGHT + this.ROW_GAP)
+        }));
+
+        const tallest = Math.max(...byColumn.map(addresses => (addresses || []).length));
+        return {
+            positions,
+            width: this.PADDING * 2 + byColumn.length * this.NODE_WIDTH + (byColumn.length - 1) * this.COLUMN_GAP,
+            height: this.PADDING * 2 + tallest * this.NODE_HEIGHT + (tallest - 1) * this.ROW_GAP
+        };
+    },
+
+    // Planned action per node: from the graph source, else from the template's reviewed plan
+    actionsFor(graph) {
+        const actions = new Map();
+        graph.nodes.forEach(node => {
+            if (node.action) actions.set(node.address, node.action);
+        });
+        if (actions.size > 0) return actions;
+
+        const plan = this.templateId ? window.AzureAIAgent.planReview.getPlan(this.templateId) : null;
+        if (plan) {
+            plan.resources.forEach(resource => {
+                const address = this.addressOf(resource.address);
+                if (address) actions.set(address, this.strongest(this.ACTION_ORDER, actions.get(address), resource.action));
+            });
+        }
+        return actions;
+    },
+
+    // Live status per node from the deployment being applied
+    statusesFor() {
+        const statuses = new Map();
+        const deployment = this.deploymentId && this.deployments[this.deploymentId];
+        if (!deployment) return statuses;
+
+        deployment.parser.resources.forEach(resource => {
+            const address = this.addressOf(resource.address);
+            if (address) statuses.set(address, this.strongest(this.STATUS_ORDER, statuses.get(address), resource.status));
+        });
+        return statuses;
+    },
+
+    // Draw the SVG and the footer summary
+    render() {
+        if (!this.backdrop || !this.graph) return;
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+        const graph = this.graph;
+        const { positions, width, height } = this.layout(graph);
+        const fit = (text, size) => {
+            const max = Math.floor((this.NODE_WIDTH - 20) / (size * 0.6));
+            return text.length > max ? text.slice(0, max - 1) + '…' : text;
+        };
+
+        // Edges run from the dependent's left side back to the dependency's right side
+        const edges = graph.edges.map(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            const x1 = from.x;
+            const y1 = from.y + this.NODE_HEIGHT / 2;
+            const x2 = to.x + this.NODE_WIDTH;
+            const y2 = to.y + this.NODE_HEIGHT / 2;
+            const bend = Math.max(40, Math.abs(x1 - x2) / 2);
+            return `<path class="graph-edge" data-from="${escape(edge.from)}" data-to="${escape(edge.to)}" ` +
+                `d="M ${x1} ${y1} C ${x1 - bend} ${y1}, ${x2 + bend} ${y2}, ${x2} ${y2}" marker-end="url(#graphArrow)"></path>`;
+        }).join('');
+
+        const nodes = graph.nodes.map(node => {
+            const { x, y } = positions.get(node.address);
+            const kindLabel = node.kind === 'data' ? `data · ${node.type}` : node.type;
+            return `
+                <g class="graph-node kind-${node.kind}" data-address="${escape(node.address)}" transform="translate(${x}, ${y})" tabindex="0" role="button">
+                    <title>${escape(node.address)}</title>
+                    <rect width="${this.NODE_WIDTH}" height="${this.NODE_HEIGHT}" rx="6"></rect>
+                    <text class="graph-node-type" x="10" y="17">${escape(fit(kindLabel, 11))}</text>
+                    <text class="graph-node-name" x="10" y="35">${escape(fit(node.name, 13))}</text>
+                    <text class="graph-node-state" x="${this.NODE_WIDTH - 8}" y="17" text-anchor="end"></text>
+                </g>`;
+        }).join('');
+
+        this.backdrop.querySelector('.dependency-graph-body').innerHTML = `
+            <svg class="dependency-graph" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                <defs>
+                    <marker id="graphArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                    </marker>
+                </defs>
+                ${edges}
+                ${nodes}
+            </svg>
+        `;
+
+        this.updateStates();
+    },
+
+    // Colour nodes by planned action and live status, and summarise both in the footer
+    updateStates() {
+        if (!this.backdrop || !this.graph) return;
+        const actions = this.actionsFor(this.graph);
+        const statuses = this.statusesFor();
+
+        this.backdrop.querySelectorAll('.graph-node').forEach(element => {
+            const address = element.dataset.address;
+            const action = actions.get(address) || 'none';
+            const status = statuses.get(address) || null;
+            element.setAttribute('class', `graph-node kind-${this.nodeFor(address).kind} action-${action}${status ? ` status-${status}` : ''}`);
+            element.querySelector('.graph-node-state').textContent = status ? this.STATUS_LABELS[status] || status : action === 'none' ? '' : action;
+            element.querySelector('title').textContent = `${address}\nPlanned: ${action === 'none' ? 'no change' : action}` +
+                (status ? `\nStatus: ${this.STATUS_LABELS[status] || status}` : '');
+        });
+
+        const count = (map, value) => Array.from(map.values()).filter(item => item === value).length;
+        const parts = [`${this.graph.nodes.length} resources`, `${this.graph.edges.length} dependencies`];
+        const planned = ['create', 'update', 'replace', 'destroy']
+            .filter(action => count(actions, action) > 0)
+            .map(action => `${count(actions, action)} to ${action}`);
+        if (planned.length > 0) parts.push(`plan: ${planned.join(', ')}`);
+        if (statuses.size > 0) {
+            parts.push(`apply: ${count(statuses, 'complete')} applied, ${count(statuses, 'in-progress')} in progress` +
+                (count(statuses, 'failed') ? `, ${count(statuses, 'failed')} failed` : ''));
+        }
+        this.backdrop.querySelector('.dependency-graph-footer').textContent = parts.join(' · ');
+        this.select(this.selected);
+    },
+
+    // Highlight a node with everything it depends on and everything depending on it; null clears
+    select(address) {
+        this.selected = address;
+        if (!this.backdrop || !this.graph) return;
+        const svg = this.backdrop.querySelector('svg');
+        if (!svg) return;
+
+        const related = new Set(address ? [address] : []);
+        if (address) {
+            this.graph.edges.forEach(edge => {
+                if (edge.from === address) related.add(edge.to);
+                if (edge.to === address) related.add(edge.from);
+            });
+        }
+
+        svg.classList.toggle('has-selection', !!address);
+        svg.querySelectorAll('.graph-node').forEach(element => {
+            element.classList.toggle('related', related.has(element.dataset.address));
+            element.classList.toggle('selected', element.dataset.address === address);
+        });
+        svg.querySelectorAll('.graph-edge').forEach(element => {
+            element.classList.toggle('related', element.dataset.from === address || element.dataset.to === address);
+        });
+    },
+
+    // Start following a deployment's apply output for a template
+    followDeployment(deploymentId, templateId) {
+        this.deployments[deploymentId] = { templateId, parser: window.AzureAIAgent.terraformOutput.createParser() };
+        if (this.graph && templateId && templateId === this.templateId) {
+            this.deploymentId = deploymentId;
+            this.updateStates();
+        }
+    },
+
+    // Most recent followed deployment of a template
+    latestDeploymentFor(templateId) {
+        if (!templateId) return null;
+        const ids = Object.keys(this.deployments).filter(id => this.deployments[id].templateId === templateId);
+        return ids.length ? ids[ids.length - 1] : null;
+    },
+
+    // Feed new Terraform output lines from the deployment status feed
+    applyOutput(deploymentId, lines) {
+        const deployment = this.deployments[deploymentId];
+        if (!deployment) return;
+
+        const events = deployment.parser.feed(lines);
+        if (events.length > 0 && this.graph && deploymentId === this.deploymentId) {
+            this.updateStates();
+        }
+    }
+};
+
+console.log('✅ Dependency graph loaded');
@@ -0,0 +1,226 @@
+/**
+ * Deployment Event Subscriptions
+ * Single push channel for deployment phase changes, Terraform output and terminal status
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.deploymentEvents = {
+
+    // Active subscriptions keyed by deployment ID
+    subscriptions: {},
+
+    // Reconnect and fallback tuning
+    maxReconnectDelay: 15000,
+    maxConnectRetries: 4,
+    pollInterval: 2000,
+    maxNotFoundPolls: 10,
+
+    // Subscribe to a deployment's event stream.
+    // handlers: onPhase(phase, snapshot), onOutput(newLines, firstLineNumber),
+    //           onStatus(snapshot), onComplete(snapshot), onError(error)
+    // options:  statusPath(deploymentId) - snapshot endpoint used when the server cannot push
+    subscribe(deploymentId, handlers = {}, options = {}) {
+        if (!deploymentId) {
+            console.warn('⚠️ Cannot subscribe to deployment events without an ID');
+            return null;
+        }
+
+        // One channel per deployment; a new subscriber replaces the old one
+        this.unsubscribe(deploymentId);
+
+        const subscription = {
+            deploymentId,
+            handlers,
+            statusPath: options.statusPath || (id => `/api/azure/deployment-status/${id}`),
+            lastLine: 0,
+            phase: null,
+            source: null,
+            pollTimer: null,
+            reconnectAttempts: 0,
+            connectFailures: 0,
+            notFoundPolls: 0,
+            mode: 'push',
+            closed: false,
+            close: () => {
+                if (this.subscriptions[deploymentId] === subscription) {
+                    this.unsubscribe(deploymentId);
+                }
+            }
+        };
+
+        this.subscriptions[deploymentId] = subscription;
+        console.log('📡 Subscribing to deployment events:', deploymentId);
+
+        if (window.ReadableStream && options.push !== false) {
+            this.connect(subscription);
+        } else {
+            this.startFallbackPolling(subscription);
+        }
+
+        return subscription;
+    },
+
+    // Close a deployment's channel, whichever transport it is using
+    unsubscribe(deploymentId) {
+        const subscription = this.subscriptions[deploymentId];
+        if (!subscription) return;
+
+        subscription.closed = true;
+        if (subscription.source) {
+            subscription.source.close();
+            subscription.source = null;
+        }
+        if (subscription.pollTimer) {
+            clearTimeout(subscription.pollTimer);
+            subscription.pollTimer = null;
+        }
+
+        delete this.subscriptions[deploymentId];
+        console.log('🔌 Unsubscribed from deployment events:', deploymentId);
+    },
+
+    // Open (or re-open) the Server-Sent Events channel, resuming after the last line we saw
+    connect(subscription) {
+        let opened = false;
+
+        const lost = () => {
+            subscription.source = null;
+            if (subscription.closed) return;
+
+            // The stream is refused until the deployment's status is cached, so a failed connect is
+            // retried with backoff; only repeated refusals mean the server cannot push
+            if (!opened && ++subscription.connectFailures > this.maxConnectRetries) {
+                console.log('📋 Deployment event stream unavailable, falling back to polling');
+                this.startFallbackPolling(subscription);
+                return;
+            }
+
+            this.scheduleReconnect(subscription);
+        };
+
+        subscription.source = window.AzureAIAgent.api.eventStream(
+            `/api/azure/deployment-events/${encodeURIComponent(subscription.deploymentId)}`, {
+                onOpen: () => {
+                    opened = true;
+                    subscription.reconnectAttempts = 0;
+                    subscription.connectFailures = 0;
+                    console.log('✅ Deployment event stream connected:', subscription.deploymentId);
+                },
+                onEvent: (name, data) => {
+                    if (name === 'phase' || name === 'status') {
+                        this.handleSnapshot(subscription, data);
+                    } else if (name === 'output') {
+                        this.handleOutputFrame(subscription, data.fromLine || 0, data.lines || []);
+                    }
+                },
+                onEnd: lost,
+                onError: lost
+            }, { query: { fromLine: subscription.lastLine }, label: 'Deployment events' });
+    },
+
+    // Reconnect with exponential backoff, resuming from the last received line
+    scheduleReconnect(subscription) {
+        subscription.reconnectAttempts++;
+        const delay = Math.min(1000 * Math.pow(2, subscription.reconnectAttempts - 1), this.maxReconnectDelay);
+        console.log(`🔄 Reconnecting deployment events in ${delay}ms (attempt ${subscription.reconnectAttempts})`);
+
+        subscription.pollTimer = setTimeout(() => {
+            subscription.pollTimer = null;
+            if (!subscription.closed) {
+                this.connect(subscription);
+            }
+        }, delay);
+    },
+
+    // Poll the snapshot endpoint when push is unavailable, emitting the same events
+    startFallbackPolling(subscription) {
+        subscription.mode = 'poll';
+
+        const poll = async () => {
+            subscription.pollTimer = null;
+            if (subscription.closed) return;
+
+            try {
+                // The poll loop is its own retry, so each poll is a single attempt
+                const snapshot = await window.AzureAIAgent.api.get(subscription.statusPath(subscription.deploymentId), {
+                    timeout: window.AzureAIAgent.config.REQUEST_TIMEOUTS.status,
+                    retries: 0
+                });
+                subscription.notFoundPolls = 0;
+                if (snapshot.terraformOutput) {
+                    this.handleOutputFrame(subscription, snapshot.terraformOutputOffset || 0, snapshot.terraformOutput);
+                }
+                this.handleSnapshot(subscription, snapshot);
+            } catch (error) {
+                if (error.kind === window.AzureAIAgent.api.ERROR_KINDS.NOT_FOUND) {
+                    subscription.notFoundPolls++;
+                    if (subscription.notFoundPolls >= this.maxNotFoundPolls) {
+                        this.emit(subscription, 'onError', new Error('Deployment ID not found in system'));
+                        subscription.close();
+                        return;
+                    }
+                    console.log('📋 Deployment not found yet, will retry...');
+                } else {
+                    console.error('❌ Error polling deployment status:', error);
+                    this.emit(subscription, 'onError', error);
+                }
+            }
+
+            if (!subscription.closed) {
+                subscription.pollTimer = setTimeout(poll, this.pollInterval);
+            }
+        };
+
+        poll();
+    },
+
+    // Dispatch phase changes, status updates and terminal status from a snapshot
+    handleSnapshot(subscription, snapshot) {
+        if (!snapshot || subscription.closed) return;
+
+        const phase = snapshot.terraformPhase || snapshot.phase;
+        if (phase && phase !== subscription.phase) {
+            subscription.phase = phase;
+            this.emit(subscription, 'onPhase', phase, snapshot);
+        }
+
+        this.emit(subscription, 'onStatus', snapshot);
+
+        if (this.isTerminal(snapshot.status)) {
+            console.log('🏁 Deployment reached terminal status:', snapshot.status);
+            this.emit(subscription, 'onComplete', snapshot);
+            subscription.close();
+        }
+    },
+
+    // Accept a run of output lines starting at absolute line fromLine, dropping lines we already have.
+    // The server keeps only the last 500 lines, so after a long gap fromLine can be past lastLine.
+    handleOutputFrame(subscription, fromLine, lines) {
+        const skip = Math.max(0, subscription.lastLine - fromLine);
+        const newLines = lines.slice(skip);
+        if (newLines.length === 0) return;
+
+        const firstLine = Math.max(subscription.lastLine, fromLine);
+        subscription.lastLine = firstLine + newLines.length;
+        this.emit(subscription, 'onOutput', newLines, firstLine);
+    },
+
+    // Check whether a backend status string ends the deployment
+    isTerminal(status) {
+        return ['completed', 'failed', 'cancelled'].includes((status || '').toLowerCase());
+    },
+
+    // Call a subscriber handler without letting it break the channel
+    emit(subscription, handlerName, ...args) {
+        const handler = subscription.handlers[handlerName];
+        if (!handler) return;
+
+        try {
+            handler(...args);
+        } catch (error) {
+            console.error(`❌ Deployment event handler ${handlerName} failed:`, error);
+        }
+    }
+};
+
+console.log('✅ Deployment event subscriptions loaded');
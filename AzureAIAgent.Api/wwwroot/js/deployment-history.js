@@ -0,0 +1,386 @@
+/**
+ * Deployment History Store and Panel
+ * Persists every deployment in IndexedDB so history survives reloads and closed tabs
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.deploymentHistory = {
+
+    DB_NAME: 'AzureAIAgentHistory',
+    DB_VERSION: 1,
+    STORE_NAME: 'deployments',
+    // Output lines kept per deployment, as many as the server keeps; older lines are counted in outputTrimmed
+    MAX_OUTPUT_LINES: 500,
+
+    db: null,
+    entries: new Map(),
+    pendingWrites: new Map(),
+    filters: { status: 'all', resourceType: 'all' },
+
+    // Open the store, load cached entries and hydrate from the backend
+    async initialize() {
+        console.log('🗄️ Deployment history initializing...');
+
+        try {
+            this.db = await this.openDatabase();
+            const stored = await this.readAll();
+            stored.forEach(entry => this.entries.set(entry.deploymentId, entry));
+            console.log(`🗄️ Loaded ${stored.length} deployments from IndexedDB`);
+        } catch (error) {
+            // Private browsing or blocked storage: keep history in memory for this tab
+            console.warn('⚠️ IndexedDB unavailable, deployment history will not persist:', error);
+        }
+
+        this.setupPanel();
+        this.renderPanel();
+
+        await this.hydrate(window.AzureAIAgent.config.SESSION_ID);
+    },
+
+    // Open (and on first use create) the IndexedDB database
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                    const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'deploymentId' });
+                    store.createIndex('status', 'status');
+                    store.createIndex('resourceType', 'resourceType');
+                    store.createIndex('startedAt', 'startedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Read every stored deployment
+    readAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.STORE_NAME, 'readonly');
+            const request = transaction.objectStore(this.STORE_NAME).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Write an entry, coalescing bursts of output updates into one put per deployment
+    persist(entry) {
+        if (!this.db) return;
+
+        clearTimeout(this.pendingWrites.get(entry.deploymentId));
+        this.pendingWrites.set(entry.deploymentId, setTimeout(() => {
+            this.pendingWrites.delete(entry.deploymentId);
+            try {
+                const transaction = this.db.transaction(this.STORE_NAME, 'readwrite');
+                transaction.objectStore(this.STORE_NAME).put(entry);
+                transaction.onerror = () => console.warn('⚠️ Could not persist deployment:', transaction.error);
+            } catch (error) {
+                console.warn('⚠️ Could not persist deployment:', error);
+            }
+        }, 500));
+    },
+
+    // Record a newly started deployment
+    record(details) {
+        const existing = this.entries.get(details.deploymentId);
+        const entry = Object.assign({
+            deploymentId: details.deploymentId,
+            templateId: null,
+            templateName: null,
+            resourceType: this.detectResourceType(details.templateName || details.templateId || ''),
+            parameters: {},
+            sessionId: window.AzureAIAgent.config.SESSION_ID,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            status: 'InProgress',
+            output: [],
+            outputTrimmed: 0
+        }, existing, details);
+
+        this.entries.set(entry.deploymentId, entry);
+        this.persist(entry);
+        this.renderPanel();
+        console.log('🗄️ Deployment recorded:', entry.deploymentId);
+        return entry;
+    },
+
+    // Update fields of a recorded deployment
+    update(deploymentId, changes) {
+        const entry = this.entries.get(deploymentId) || this.record({ deploymentId });
+        Object.assign(entry, changes);
+        this.persist(entry);
+        this.renderPanel();
+        return entry;
+    },
+
+    // Capture Terraform output lines for a deployment, keeping the last MAX_OUTPUT_LINES
+    appendOutput(deploymentId, lines) {
+        const entry = this.entries.get(deploymentId) || this.record({ deploymentId });
+        entry.output.push(...lines);
+
+        const overflow = entry.output.length - this.MAX_OUTPUT_LINES;
+        if (overflow > 0) {
+            entry.output.splice(0, overflow);
+            entry.outputTrimmed = (entry.outputTrimmed || 0) + overflow;
+        }
+        this.persist(entry);
+    },
+
+    // Mark a deployment finished with its final backend status
+    complete(deploymentId, status) {
+        this.update(deploymentId, {
+            status: status || 'Completed',
+            endedAt: new Date().toISOString()
+        });
+    },
+
+    // Get a single deployment
+    get(deploymentId) {
+        return this.entries.get(deploymentId) || null;
+    },
+
+    // List deployments newest first, optionally filtered by status and resource type
+    list(filters = {}) {
+        return Array.from(this.entries.values())
+            .filter(entry => !filters.status || filters.status === 'all' || entry.status === filters.status)
+            .filter(entry => !filters.resourceType || filters.resourceType === 'all' || entry.resourceType === filters.resourceType)
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    },
+
+    // Pull deployment IDs mentioned in the backend conversation history into the store
+    async hydrate(sessionId) {
+        if (!sessionId) return;
+
+        try {
+            const messages = await window.AzureAIAgent.api.get(`/api/agent/history/${encodeURIComponent(sessionId)}`);
+            let added = 0;
+
+            (messages || []).forEach(message => {
+                const content = message.content || '';
+                const idPattern = /Deployment ID[:*\s]*`*([a-f0-9-]{36})`*/gi;
+                let match;
+                while ((match = idPattern.exec(content)) !== null) {
+                    const deploymentId = match[1];
+                    if (this.entries.has(deploymentId)) continue;
+
+                    const templateMatch = content.match(/template[:*\s]*`*([A-Za-z0-9._\-]+)`*/i);
+                    this.record({
+                        deploymentId,
+                        templateId: templateMatch ? templateMatch[1] : null,
+                        resourceType: this.detectResourceType(content),
+                        sessionId,
+                        startedAt: message.timestamp || new Date().toISOString(),
+                        status: 'Unknown'
+                    });
+                    added++;
+                }
+            });
+
+            console.log(`🗄️ Hydrated ${added} deployments from backend history`);
+        } catch (error) {
+            if (error.kind === window.AzureAIAgent.api.ERROR_KINDS.NOT_FOUND) {
+                console.log('📋 No backend history available for session:', sessionId);
+                return;
+            }
+            console.warn('⚠️ Could not hydrate deployment history:', error);
+        }
+    },
+
+    // Guess a coarse resource type from a template ID, name or message
+    detectResourceType(text) {
+        const lowerText = (text || '').toLowerCase();
+        const types = [
+            ['AKS', ['aks', 'kubernetes']],
+            ['Key Vault', ['keyvault', 'key-vault', 'key vault']],
+            ['Storage', ['storage']],
+            ['Network', ['vnet', 'virtual network', 'network']],
+            ['Container Registry', ['acr', 'container registry', 'registry']],
+            ['Virtual Machine', ['virtual machine', 'vm-', '-vm']],
+            ['App Service', ['app service', 'webapp', 'web app', 'function']],
+            ['Database', ['sql', 'database', 'cosmos', 'postgres', 'mysql']]
+        ];
+
+        const found = types.find(([, keywords]) => keywords.some(keyword => lowerText.includes(keyword)));
+        return found ? found[0] : 'Other';
+    },
+
+    // Wire up the sidebar panel controls and palette commands
+    setupPanel() {
+        const palette = window.AzureAIAgent.commandPalette;
+        palette.register({
+            id: 'history.toggle',
+            title: 'Toggle deployment history',
+            category: 'Deployments',
+            icon: 'fa-history',
+            run: () => this.togglePanel()
+        });
+        palette.registerSource(() => this.list().map(entry => ({
+            id: `history.show-${entry.deploymentId}`,
+            title: `Jump to deployment ${entry.templateName || entry.templateId || entry.deploymentId.substring(0, 8)} (${entry.status})`,
+            category: 'Deployments',
+            icon: 'fa-rocket',
+            keywords: [entry.deploymentId, entry.resourceType || ''],
+            run: () => this.showLog(entry.deploymentId)
+        })));
+
+        const toggle = document.getElementById('historyToggle');
+        const panel = document.getElementById('historyPanel');
+        if (!toggle || !panel) return;
+
+        toggle.addEventListener('click', () => this.togglePanel());
+
+        const closeButton = panel.querySelector('.history-panel-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.togglePanel(false));
+        }
+
+        const statusFilter = document.getElementById('historyStatusFilter');
+        const typeFilter = document.getElementById('historyTypeFilter');
+        if (statusFilter) {
+            statusFilter.addEventListener('change', () => {
+                this.filters.status = statusFilter.value;
+                this.renderPanel();
+            });
+        }
+        if (typeFilter) {
+            typeFilter.addEventListener('change', () => {
+                this.filters.resourceType = typeFilter.value;
+                this.renderPanel();
+            });
+        }
+
+        // Event delegation for entries rendered later
+        const list = document.getElementById('historyList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const item = e.target.closest('.history-item');
+                if (item) {
+                    this.showLog(item.dataset.deploymentId);
+                }
+            });
+        }
+    },
+
+    // Open or close the sidebar
+    togglePanel(open) {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+
+        const shouldOpen = open === undefined ? !panel.classList.contains('open') : open;
+        panel.classList.toggle('open', shouldOpen);
+        if (shouldOpen) {
+            this.renderPanel();
+        }
+    },
+
+    // Render the filtered deployment list and refresh the resource type options
+    renderPanel() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+
+        const typeFilter = document.getElementById('historyTypeFilter');
+        if (typeFilter) {
+            const types = Array.from(new Set(Array.from(this.entries.values()).map(entry => entry.resourceType))).sort();
+            const current = this.filters.resourceType;
+            typeFilter.innerHTML = '<option value="all">All resource types</option>' +
+                types.map(type => `<option value="${this.escape(type)}">${this.escape(type)}</option>`).join('');
+            typeFilter.value = types.includes(current) ? current : 'all';
+            this.filters.resourceType = typeFilter.value;
+        }
+
+        const entries = this.list(this.filters);
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="history-empty">No deployments yet</div>';
+            return;
+        }
+
+        const formatting = window.AzureAIAgent.formatting;
+        list.innerHTML = entries.map(entry => {
+            const duration = entry.endedAt ?
+                formatting.formatDuration(new Date(entry.endedAt) - new Date(entry.startedAt)) : 'running';
+            return `
+                <div class="history-item status-${this.escape(entry.status.toLowerCase())}" data-deployment-id="${this.escape(entry.deploymentId)}">
+                    <div class="history-item-header">
+                        <span class="history-item-template">${this.escape(entry.templateName || entry.templateId || 'Terraform deployment')}</span>
+                        <span class="history-item-status">${this.escape(entry.status)}</span>
+                    </div>
+                    <div class="history-item-meta">
+                        <span>${this.escape(entry.resourceType)}</span>
+                        <span>${new Date(entry.startedAt).toLocaleString()}</span>
+                        <span>${duration}</span>
+                    </div>
+                    <div class="history-item-id">${this.escape(entry.deploymentId)}</div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // Re-open a deployment's captured log in a modal
+    showLog(deploymentId) {
+        const entry = this.get(deploymentId);
+        if (!entry) return;
+
+        this.hideLog();
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'history-log-backdrop';
+
+        const parameters = Object.entries(entry.parameters || {})
+            .map(([key, value]) => `<li><strong>${this.escape(key)}</strong>: ${this.escape(String(value))}</li>`)
+            .join('');
+
+        backdrop.innerHTML = `
+            <div class="history-log-modal">
+                <div class="history-log-header">
+                    <h3>${this.escape(entry.templateName || entry.templateId || 'Terraform deployment')}</h3>
+                    <button type="button" class="history-log-close" title="Close">✕</button>
+                </div>
+                <div class="history-log-meta">
+                    <div><strong>Deployment ID:</strong> ${this.escape(entry.deploymentId)}</div>
+                    <div><strong>Status:</strong> ${this.escape(entry.status)}</div>
+                    <div><strong>Started:</strong> ${new Date(entry.startedAt).toLocaleString()}</div>
+                    <div><strong>Ended:</strong> ${entry.endedAt ? new Date(entry.endedAt).toLocaleString() : '—'}</div>
+                    ${parameters ? `<ul class="history-log-parameters">${parameters}</ul>` : ''}
+                </div>
+                <div class="terraform-console history-log-console"><pre></pre></div>
+            </div>
+        `;
+
+        const trimmed = entry.outputTrimmed ? `… ${entry.outputTrimmed} earlier lines were not kept\n` : '';
+        backdrop.querySelector('pre').textContent = entry.output.length > 0 ?
+            trimmed + entry.output.join('\n') : 'No Terraform output was captured for this deployment.';
+
+        backdrop.addEventListener('click', (e) => {
+            if (e.target === backdrop || e.target.classList.contains('history-log-close')) {
+                this.hideLog();
+            }
+        });
+
+        document.body.appendChild(backdrop);
+    },
+
+    // Close the log modal
+    hideLog() {
+        const existing = document.querySelector('.history-log-backdrop');
+        if (existing) {
+            existing.remove();
+        }
+    },
+
+    // Escape text for HTML templates
+    escape(text) {
+        return window.AzureAIAgent.formatting.escapeHtml(text === null || text === undefined ? '' : String(text))
+            .replace(/"/g, '&quot;');
+    }
+};
+
+console.log('✅ Deployment history loaded');
@@ -0,0 +1,152 @@
+/**
+ * Deployment State Machine
+ * Typed deployment lifecycle fed from backend status snapshots
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.deploymentState = {
+
+    // Lifecycle states in order; the last three are terminal
+    STATES: ['queued', 'init', 'plan', 'awaiting-approval', 'apply', 'outputs', 'done', 'failed', 'cancelled'],
+    TERMINAL_STATES: ['done', 'failed', 'cancelled'],
+
+    // Human readable label per state
+    LABELS: {
+        'queued': 'Queued',
+        'init': 'Initializing Terraform',
+        'plan': 'Planning changes',
+        'awaiting-approval': 'Waiting for approval',
+        'apply': 'Applying changes',
+        'outputs': 'Collecting outputs',
+        'done': 'Deployment completed',
+        'failed': 'Deployment failed',
+        'cancelled': 'Deployment cancelled'
+    },
+
+    // Backend terraformPhase values and the state they represent
+    PHASE_STATES: {
+        'queued': 'queued',
+        'pending': 'queued',
+        'downloading': 'init',
+        'initializing': 'init',
+        'preparing': 'init',
+        'validating': 'init',
+        'planning': 'plan',
+        'awaiting-approval': 'awaiting-approval',
+        'awaitingapproval': 'awaiting-approval',
+        'pendingapproval': 'awaiting-approval',
+        'applying': 'apply',
+        'provisioning': 'apply',
+        'finalizing': 'outputs',
+        'outputs': 'outputs',
+        'completed': 'done',
+        'error': 'failed',
+        'cancelled': 'cancelled'
+    },
+
+    // Current machine per deployment ID
+    machines: {},
+    listeners: [],
+
+    // Start tracking a deployment in the queued state
+    create(deploymentId) {
+        const machine = { deploymentId, state: 'queued', history: [{ state: 'queued', at: new Date().toISOString() }], snapshot: null };
+        this.machines[deploymentId] = machine;
+        console.log('🧭 Deployment state machine created:', deploymentId);
+        this.notify(machine, null);
+        return machine;
+    },
+
+    // Get a deployment's current state
+    getState(deploymentId) {
+        const machine = this.machines[deploymentId];
+        return machine ? machine.state : null;
+    },
+
+    // Check whether a state ends the deployment
+    isTerminal(state) {
+        return this.TERMINAL_STATES.includes(state);
+    },
+
+    // Map a backend status snapshot onto a lifecycle state
+    fromStatus(snapshot) {
+        if (!snapshot) return null;
+
+        const status = (snapshot.status || '').toLowerCase();
+        if (status === 'completed' || status === 'succeeded') return 'done';
+        if (status === 'failed') return 'failed';
+        if (status === 'cancelled' || status === 'canceled') return 'cancelled';
+
+        const phase = (snapshot.terraformPhase || snapshot.phase || '').toLowerCase();
+        if (this.PHASE_STATES[phase]) return this.PHASE_STATES[phase];
+
+        if (status === 'initializing' || status === 'queued' || status === 'starting') return 'queued';
+
+        // Template deployments only report a coarse status
+        if (status === 'deploying') return 'apply';
+        return null;
+    },
+
+    // Feed a backend snapshot into the deployment's machine
+    feed(deploymentId, snapshot) {
+        const next = this.fromStatus(snapshot);
+        if (!this.machines[deploymentId]) {
+            this.create(deploymentId);
+        }
+
+        const machine = this.machines[deploymentId];
+        machine.snapshot = snapshot;
+        if (next) {
+            this.transition(deploymentId, next, snapshot);
+        }
+        return machine.state;
+    },
+
+    // Move to a new state. Deployments only move forward, and terminal states are final.
+    transition(deploymentId, next, snapshot = null) {
+        const machine = this.machines[deploymentId];
+        if (!machine || !this.STATES.includes(next) || machine.state === next) return false;
+
+        if (this.isTerminal(machine.state)) {
+            console.warn(`⚠️ Ignoring ${next} for finished deployment ${deploymentId} (${machine.state})`);
+            return false;
+        }
+
+        if (!this.isTerminal(next) && this.STATES.indexOf(next) < this.STATES.indexOf(machine.state)) {
+            console.warn(`⚠️ Ignoring backwards transition ${machine.state} → ${next} for ${deploymentId}`);
+            return false;
+        }
+
+        const previous = machine.state;
+        machine.state = next;
+        machine.history.push({ state: next, at: new Date().toISOString() });
+        if (snapshot) {
+            machine.snapshot = snapshot;
+        }
+
+        console.log(`🧭 Deployment ${deploymentId}: ${previous} → ${next}`);
+        this.notify(machine, previous);
+        return true;
+    },
+
+    // Register a listener(deploymentId, state, previousState, snapshot); returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    },
+
+    // Tell every listener about a state change
+    notify(machine, previous) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(machine.deploymentId, machine.state, previous, machine.snapshot);
+            } catch (error) {
+                console.error('❌ Deployment state listener failed:', error);
+            }
+        });
+    }
+};
+
+console.log('✅ Deployment state machine loaded');
@@ -26,6 +26,15 @@ window.AzureAIAgent.events = {
             });
         }
 
+        // Stop button aborts whatever the user is waiting on
+        if (window.AzureAIAgent.config.stopButton) {
+            window.AzureAIAgent.config.stopButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                window.AzureAIAgent.requests.stop();
+            });
+        }
+        window.AzureAIAgent.requests.onChange(busy => window.AzureAIAgent.ui.setRequestActive(busy));
+
         // Chat input events
         if (window.AzureAIAgent.config.chatInput) {
             // Enter key handling
@@ -83,8 +92,10 @@ window.AzureAIAgent.events = {
                 this.handleSendMessage();
             }
 
-            // Escape to clear input
-            if (e.key === 'Escape' && window.AzureAIAgent.config.chatInput) {
+            // Escape stops a pending request, otherwise clears the input
+            if (e.key === 'Escape' && window.AzureAIAgent.requests.isBusy()) {
+                window.AzureAIAgent.requests.stop();
+            } else if (e.key === 'Escape' && window.AzureAIAgent.config.chatInput) {
                 window.AzureAIAgent.config.chatInput.value = '';
                 window.AzureAIAgent.config.chatInput.focus();
             }
@@ -121,8 +132,9 @@ window.AzureAIAgent.events = {
     setupResourceClickEvents() {
         // Use event delegation for dynamically added content
         document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('clickable-resource')) {
-                this.handleResourceClick(e.target);
+            const resource = e.target.closest('.clickable-resource');
+            if (resource) {
+                this.handleResourceClick(resource);
             } else if (e.target.classList.contains('resource-name') || 
                        e.target.classList.contains('pod-name') || 
                        e.target.closest('.resource-name') ||
@@ -142,26 +154,23 @@ window.AzureAIAgent.events = {
             /^[a-z0-9]+-[a-z0-9]+-[a-z0-9]+$/i,  // Standard pod names
             /^[a-z0-9]+-[0-9a-f]+-[a-z0-9]+$/i,  // Pod names with hash
             /^.*-[0-9a-f]{8,}$/i,                 // Pods ending with hash
-            /^[a-z0-9-]+-[0-9]+$/i,              // Pods ending with numbers
-            
-            // Azure patterns
-            /^rg-[a-z0-9-]+$/i,                  // Resource groups
-            /^[a-z0-9-]+-rg$/i,                  // Resource groups (suffix)
-            /^aks-[a-z0-9-]+$/i,                 // AKS clusters
-            /^acr[a-z0-9]+$/i,                   // Container registries
-            /^[a-z0-9-]+-(?:app|webapp|vm|sql|db|kv|keyvault)$/i  // Various Azure resources
+            /^[a-z0-9-]+-[0-9]+$/i               // Pods ending with numbers
         ];
         
         const cleanText = text.trim();
-        return resourcePatterns.some(pattern => pattern.test(cleanText)) && 
-               cleanText.length > 3 && 
-               cleanText.length < 100;
+        if (cleanText.length <= 3 || cleanText.length >= 100) {
+            return false;
+        }
+        
+        // Azure names must follow their resource type's naming rules
+        return resourcePatterns.some(pattern => pattern.test(cleanText)) ||
+               window.AzureAIAgent.azureNaming.detect(cleanText) !== null;
     },
 
     // Handle send message
     async handleSendMessage() {
         const input = window.AzureAIAgent.config.chatInput;
-        if (!input || !input.value.trim()) {
+        if (!input || input.disabled || !input.value.trim()) {
             console.log('⚠️ No message to send');
             return;
         }
@@ -174,15 +183,52 @@ window.AzureAIAgent.events = {
         input.focus();
         this.autoResizeTextarea(input);
 
+        // Known slash commands run locally; anything else goes to the agent
+        if (message.startsWith('/')) {
+            window.AzureAIAgent.slashCommands.closePopup();
+            if (await window.AzureAIAgent.slashCommands.execute(message)) {
+                return;
+            }
+        }
+
+        // Replies to the missing-variables prompt fill in the pending values instead of going to the agent
+        if (window.waitingForMandatoryParams) {
+            window.AzureAIAgent.ui.addMessage('user', message);
+            window.AzureAIAgent.terraform.handleMandatoryParametersResponse(message);
+            return;
+        }
+
+        await this.sendUserMessage(message);
+    },
+
+    // The one path that sends a chat message: show it as the user's and stream the agent's reply
+    // into the chat. The composer stays disabled until the reply is in, so it cannot be sent twice.
+    // options.display replaces the text shown in the chat, e.g. a summary of submitted code
+    async sendUserMessage(message, options = {}) {
+        let streamingMessage = null;
+        const display = options.display || message;
+
         try {
-            // Show typing indicator
+            // Show typing indicator and lock the composer
             window.AzureAIAgent.ui.showTyping();
+            window.AzureAIAgent.ui.setFormDisabled(true);
             
             // Add user message to chat
-            window.AzureAIAgent.ui.addMessage('user', message);
+            window.AzureAIAgent.ui.addMessage('user', display);
+            window.AzureAIAgent.sessions.noteUserMessage(display);
             
-            // Send the message and await response
-            const result = await window.AzureAIAgent.chat.sendMessage(message);
+            // Send the message and render tokens into a single bubble as they stream in
+            const result = await window.AzureAIAgent.chat.sendMessageStreaming(message, {
+                onToken: (text) => {
+                    if (!streamingMessage) {
+                        window.AzureAIAgent.ui.hideTyping();
+                        streamingMessage = window.AzureAIAgent.ui.beginStreamingMessage();
+                    }
+                    if (streamingMessage) {
+                        streamingMessage.append(text);
+                    }
+                }
+            });
             
             console.log('📥 FULL Received result:', JSON.stringify(result, null, 2));
             console.log('📄 Content type:', result.contentType);
@@ -191,24 +237,34 @@ window.AzureAIAgent.events = {
             // Hide typing indicator
             window.AzureAIAgent.ui.hideTyping();
             
-            // Hide deployment progress indicator if it was shown
-            window.AzureAIAgent.progress.hideDeploymentLoading();
-            
             // Process the response - handle adaptive cards first
-            if (result.contentType === 'adaptive-card' && result.adaptiveCard) {
+            if (streamingMessage) {
+                streamingMessage.complete(result);
+            } else if (result.contentType === 'adaptive-card' && result.adaptiveCard) {
                 console.log('🃏 Handling adaptive card response from events.js');
                 console.log('🃏 Card data:', result.adaptiveCard);
                 window.AzureAIAgent.ui.addAdaptiveCardMessage(result.message, result.adaptiveCard);
             } else if (result && result.message) {
                 console.log('📝 Handling text message response from events.js');
-                window.AzureAIAgent.ui.addMessage('assistant', result.message);
+                window.AzureAIAgent.ui.addMessage('assistant', result.message, { entities: result.entities });
             } else {
                 console.log('⚠️ No message or card data in response from events.js');
             }
+
+            // A typed request can start a deployment too; follow it like one started from a button
+            this.trackDeploymentFromReply(result);
         } catch (error) {
             console.error('❌ Error sending message:', error);
+            if (streamingMessage) {
+                streamingMessage.interrupt();
+            }
+        } finally {
             window.AzureAIAgent.ui.hideTyping();
-            window.AzureAIAgent.progress.hideDeploymentLoading();
+            window.AzureAIAgent.ui.setFormDisabled(false);
+            const chatInput = window.AzureAIAgent.config.chatInput;
+            if (chatInput) {
+                chatInput.focus();
+            }
         }
     },
 
@@ -254,77 +310,18 @@ window.AzureAIAgent.events = {
         return isValid;
     },
 
-    // Handle resource clicks
+    // Open the action menu for a resource linked by the formatter
     handleResourceClick(element) {
-        const resourceType = element.dataset.resourceType;
-        const resourceName = element.dataset.resourceName;
-        
-        console.log(`🔗 Resource clicked: ${resourceType} - ${resourceName}`);
-        
-        // Get the chat input element
-        const chatInput = window.AzureAIAgent.config.chatInput;
-        if (!chatInput) {
-            console.error('❌ Chat input not found');
-            return;
-        }
-        
-        // Create natural language queries that the AI agent can understand
-        let queryText;
-        switch(resourceType.toLowerCase()) {
-            case 'pod':
-                queryText = `Tell me about pod ${resourceName}`;
-                break;
-            case 'deployment':
-                queryText = `Get details on deployment ${resourceName}`;
-                break;
-            case 'service':
-                queryText = `Show me service ${resourceName} details`;
-                break;
-            case 'namespace':
-                queryText = `Describe namespace ${resourceName}`;
-                break;
-            case 'configmap':
-                queryText = `What's in configmap ${resourceName}?`;
-                break;
-            case 'secret':
-                queryText = `Get details on secret ${resourceName}`;
-                break;
-            case 'ingress':
-                queryText = `Tell me about ingress ${resourceName}`;
-                break;
-            case 'job':
-                queryText = `What's the status of job ${resourceName}?`;
-                break;
-            case 'cronjob':
-                queryText = `Get details on cronjob ${resourceName}`;
-                break;
-            default:
-                // For Azure resources or unknown types, use generic natural language
-                queryText = `Tell me more about ${resourceType} ${resourceName}`;
-                break;
-        }
-        
-        // Get existing text and append the new query
-        const existingText = chatInput.value.trim();
-        const newText = existingText ? `${existingText} ${queryText}` : queryText;
-        
-        // Set the new text in the input
-        chatInput.value = newText;
-        
-        // Focus the input and position cursor at the end
-        chatInput.focus();
-        chatInput.setSelectionRange(newText.length, newText.length);
-        
+        const resource = window.AzureAIAgent.resourceMenu.resourceFrom(element);
+        console.log(`🔗 Resource clicked: ${resource.type} - ${resource.name}`);
+
+        window.AzureAIAgent.resourceMenu.open(element, resource);
+
         // Visual feedback
         element.classList.add('clicked');
         setTimeout(() => {
             element.classList.remove('clicked');
         }, 200);
-        
-        // Trigger auto-resize if available
-        if (this.autoResizeTextarea) {
-            this.autoResizeTextarea(chatInput);
-        }
     },
 
     // Handle generic resource clicks (Azure, Kubernetes, etc.)
@@ -345,33 +342,20 @@ window.AzureAIAgent.events = {
         // Clean up the resource name (remove extra whitespace, status indicators, etc.)
         resourceName = resourceName.replace(/\s+/g, ' ').trim();
         
-        // If there are multiple lines or status info, take just the first meaningful part
-        const lines = resourceName.split('\n');
-        if (lines.length > 0) {
-            resourceName = lines[0].trim();
-        }
-        
         // Extract just the resource name part (before any status or additional info)
         const parts = resourceName.split(/\s+/);
         if (parts.length > 0) {
             resourceName = parts[0];
         }
         
-        console.log(`🔗 Resource clicked: ${resourceName}`);
+        // These elements carry no kind, so infer it from the name
+        const resourceType = resourceElement.dataset.podName ? 'pod' :
+            window.AzureAIAgent.azureNaming.detect(resourceName) ||
+            (window.AzureAIAgent.formatting.looksLikeKubernetesPod(resourceName) ? 'pod' : '');
         
-        // Append to chat input instead of sending immediately
-        const chatInput = window.AzureAIAgent.config.chatInput;
-        if (chatInput) {
-            const currentValue = chatInput.value.trim();
-            const newValue = currentValue ? `${currentValue} ${resourceName}` : resourceName;
-            chatInput.value = newValue;
-            chatInput.focus();
-            
-            // Auto-resize if the function exists
-            if (this.autoResizeTextarea) {
-                this.autoResizeTextarea(chatInput);
-            }
-        }
+        console.log(`🔗 Resource clicked: ${resourceType || 'unknown'} - ${resourceName}`);
+        
+        window.AzureAIAgent.resourceMenu.open(resourceElement, { type: resourceType, name: resourceName });
         
         // Visual feedback
         resourceElement.classList.add('clicked');
@@ -425,6 +409,7 @@ window.AzureAIAgent.events = {
             'Shift+Enter - New line',
             'Ctrl+Enter - Send message (alternative)',
             'Escape - Clear input',
+            'Ctrl+K - Command palette',
             'Ctrl+/ - Show this help'
         ];
         
@@ -507,58 +492,80 @@ window.AzureAIAgent.events = {
         }
     },
 
-    // Handle deploy action with real progress tracking
+    // Handle deploy action - collect missing variables, review the plan, then deploy
     handleDeployAction(deploymentId) {
+        const terraform = window.AzureAIAgent.terraform;
+        const missing = terraform.checkMandatoryParameters(
+            terraform.getGeneratedCode(deploymentId), terraform.providedParameters[deploymentId] || []);
+        if (missing.length > 0) {
+            console.log('📝 Terraform variables missing before deploy:', missing.map(variable => variable.name));
+            terraform.askForMandatoryParameters(missing, deploymentId);
+            return;
+        }
+
+        window.AzureAIAgent.planReview.confirmDeploy(deploymentId).then(confirmed => {
+            if (!confirmed) {
+                console.log('🛑 Deployment cancelled at plan review:', deploymentId);
+                return;
+            }
+            this.startDeployment(deploymentId);
+        });
+    },
+
+    // Start the deployment with real progress tracking
+    startDeployment(deploymentId) {
         console.log(`🚀 Starting deployment for: ${deploymentId}`);
         
-        // Show modern progress modal
-        window.AzureAIAgent.progress.showDeploymentLoading('Initializing Terraform deployment...');
-        
-        // Note: Don't start progress tracking yet - wait for actual deployment ID from API response
-        
         // Send deployment message to backend
         const message = `Deploy terraform template: ${deploymentId}`;
         
-        // Send message and handle response properly
+        // The progress UI opens once the backend hands back a deployment ID to follow
         window.AzureAIAgent.chat.sendMessage(message).then(result => {
             console.log('📥 Deploy action response:', result);
             
-            // Extract the actual deployment ID from the response
-            let actualDeploymentId = null;
             if (result && result.message) {
-                // Look for the deployment ID in the response message
-                const deploymentIdMatch = result.message.match(/Deployment ID[:\*\s]*[`]*([a-f0-9-]{36})[`]*/i);
-                if (deploymentIdMatch) {
-                    actualDeploymentId = deploymentIdMatch[1];
-                    console.log('✅ Extracted actual deployment ID:', actualDeploymentId);
-                    
-                    // Start tracking with the actual deployment ID immediately
-                    console.log('🔄 Starting progress tracking for deployment:', actualDeploymentId);
-                    window.AzureAIAgent.progress.trackDeploymentProgress(actualDeploymentId);
-                }
-                
-                if (result.message.includes('deployment started') || result.message.includes('applying terraform')) {
-                    window.AzureAIAgent.progress.updateDeploymentMessage('Applying Terraform configuration...');
-                    window.AzureAIAgent.progress.addLogEntry('Terraform apply started');
-                } else if (result.message.includes('deployment complete') || result.message.includes('successfully deployed')) {
-                    this.handleDeploymentSuccess(result.message);
-                } else if (result.message.includes('error') || result.message.includes('failed')) {
-                    this.handleDeploymentError(result.message);
-                } else {
-                    // Continue deployment process
-                    window.AzureAIAgent.progress.addLogEntry('Processing deployment...');
-                    window.AzureAIAgent.ui.addMessage('assistant', result.message);
-                }
+                this.trackDeploymentFromReply(result, deploymentId);
+                window.AzureAIAgent.ui.addMessage('assistant', result.message, { entities: result.entities });
             }
         }).catch(error => {
             console.error('❌ Deploy action failed:', error);
-            this.handleDeploymentError(`Deployment failed: ${error.message}`);
         });
     },
 
-    // Handle edit action  
+    // Follow the deployment announced in a backend reply, if there is one
+    trackDeploymentFromReply(result, templateId = null) {
+        const deploymentIdMatch = result && result.message ?
+            result.message.match(/Deployment ID[:\*\s]*[`]*([a-f0-9-]{36})[`]*/i) : null;
+        if (!deploymentIdMatch) {
+            return null;
+        }
+        
+        const actualDeploymentId = deploymentIdMatch[1];
+        console.log('✅ Extracted actual deployment ID:', actualDeploymentId);
+        
+        // Record the deployment in the persistent history store
+        window.AzureAIAgent.terraform.trackTemplateOperation('deployment_started', {
+            deploymentId: actualDeploymentId,
+            templateId: templateId,
+            parameters: window.AzureAIAgent.terraform.getContext('submitted_parameters') || {}
+        });
+        
+        // The dependency graph colours the template's resources as the apply reaches them
+        window.AzureAIAgent.dependencyGraph.followDeployment(actualDeploymentId, templateId || window.currentTerraformCodeId);
+        
+        // Hand the deployment to the state machine driven progress tracking
+        console.log('🔄 Starting progress tracking for deployment:', actualDeploymentId);
+        window.AzureAIAgent.progress.trackDeploymentProgress(actualDeploymentId);
+        return actualDeploymentId;
+    },
+
+    // Handle edit action: open the code editor when the template's code is known, else ask the agent
     handleEditAction(deploymentId) {
         console.log(`✏️ Editing deployment: ${deploymentId}`);
+
+        if (window.AzureAIAgent.terraformEditor.open(deploymentId)) {
+            return;
+        }
         
         // Send edit message without progress indicator
         const message = `Edit terraform template: ${deploymentId}`;
@@ -566,7 +573,7 @@ window.AzureAIAgent.events = {
         window.AzureAIAgent.chat.sendMessage(message).then(result => {
             console.log('📥 Edit action response:', result);
             if (result && result.message) {
-                window.AzureAIAgent.ui.addMessage('assistant', result.message);
+                window.AzureAIAgent.ui.addMessage('assistant', result.message, { entities: result.entities });
             }
         }).catch(error => {
             console.error('❌ Edit action failed:', error);
@@ -583,7 +590,7 @@ window.AzureAIAgent.events = {
         window.AzureAIAgent.chat.sendMessage(message).then(result => {
             console.log('📥 Cancel action response:', result);
             if (result && result.message) {
-                window.AzureAIAgent.ui.addMessage('assistant', result.message);
+                window.AzureAIAgent.ui.addMessage('assistant', result.message, { entities: result.entities });
             }
         }).catch(error => {
             console.error('❌ Cancel action failed:', error);
@@ -5,58 +5,47 @@
 window.AzureAIAgent = window.AzureAIAgent || {};
 window.AzureAIAgent.formatting = {
 
-    // Format message content with enhanced markdown support
-    formatMessageContent(content) {
+    // Render message Markdown to sanitised HTML; enhancement passes work on the parsed tree.
+    // options.entities is the reply's entity list; when it is missing or empty resource names are guessed.
+    formatMessageContent(content, options = {}) {
         if (!content) return '';
-        
-        // Convert markdown-like formatting to HTML
-        let formattedContent = content
-            // Code blocks with syntax highlighting - PROCESS FIRST to protect content
-            .replace(/```(\w+)?\n?([\s\S]*?)```/g, (match, lang, code) => {
-                const language = lang ? ` data-language="${lang}"` : '';
-                // Replace # with a placeholder to prevent header conversion
-                const protectedCode = code.replace(/^#/gm, '§HASH§');
-                return `<pre class="code-block"${language}><code>${this.escapeHtml(protectedCode.trim())}</code></pre>`;
-            })
-            // Inline code
-            .replace(/`([^`]+)`/g, '<code class="inline-code">$1</code>')
-            // Bold
-            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-            // Italic
-            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-            // Headers - now safe to process
-            .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-            .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-            .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-            // Lists
-            .replace(/^\* (.+)$/gm, '<li>$1</li>')
-            .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>')
-            // Line breaks
-            .replace(/\n/g, '<br>')
-            // Restore hash symbols in code blocks
-            .replace(/§HASH§/g, '#');
+
+        const markdown = window.AzureAIAgent.markdown;
+        const tree = markdown.parse(content);
 
         // Detect and enhance specific content types
         if (this.containsLogs(content)) {
-            formattedContent = this.enhanceLogContent(formattedContent);
+            this.enhanceLogContent(tree);
         }
 
         if (this.containsTerraformOutput(content)) {
-            formattedContent = this.enhanceTerraformOutput(formattedContent);
-            
-            // Check for deployment success and update progress if needed
-            if (this.isDeploymentCompletedSuccessfully(content)) {
-                console.log('✅ Deployment success detected in content, updating progress status');
-                setTimeout(() => {
-                    if (window.AzureAIAgent.progress) {
-                        window.AzureAIAgent.progress.handleSuccess('Deployment completed successfully!');
-                    }
-                }, 100);
-            }
+            this.enhanceTerraformOutput(tree);
         }
 
+        // Column-aligned kubectl and az output becomes an interactive table
+        window.AzureAIAgent.cliTables.decorate(tree);
+
+        // Highlighted code blocks with copy, download and collapse
+        window.AzureAIAgent.codeBlocks.decorate(tree);
+
         // Make certain content clickable
-        formattedContent = this.makeContentClickable(formattedContent);
+        const templateId = this.makeContentClickable(tree, content, options.entities);
+
+        let formattedContent = markdown.sanitize(markdown.render(tree, { breaks: true }));
+
+        // Render terraform plans as a reviewable per-resource diff
+        const planReview = window.AzureAIAgent.planReview;
+        if (planReview && planReview.containsPlan(content)) {
+            const plan = planReview.parsePlan(content);
+            planReview.remember(plan, templateId);
+            formattedContent += planReview.renderPlan(plan);
+        }
+
+        // Keep generated Terraform so the Deploy action can check its variables
+        const codeBlocks = window.AzureAIAgent.hcl ? window.AzureAIAgent.hcl.extractCodeBlocks(content) : [];
+        if (codeBlocks.length > 0) {
+            window.AzureAIAgent.terraform.rememberGeneratedCode(codeBlocks.join('\n'), templateId);
+        }
 
         return formattedContent;
     },
@@ -85,38 +74,22 @@ window.AzureAIAgent.formatting = {
         return terraformPatterns.some(pattern => pattern.test(content));
     },
 
-    // Check if the content indicates a completed successful deployment
-    isDeploymentCompletedSuccessfully(content) {
-        const successIndicators = [
-            /✅.*deployment.*completed.*successfully/i,
-            /apply\s+complete!\s*resources:\s*\d+\s+added/i,
-            /deployment.*completed.*successfully/i,
-            /terraform.*apply.*completed/i,
-            /infrastructure.*deployed.*successfully/i,
-            /resources.*created.*successfully/i
-        ];
-        
-        return successIndicators.some(pattern => pattern.test(content));
-    },
-
-    // Enhance log content with better styling
-    enhanceLogContent(content) {
-        // Wrap log blocks in special containers
-        return content.replace(
-            /<pre class="code-block"([^>]*)><code>([\s\S]*?)<\/code><\/pre>/g,
-            (match, attrs, code) => {
-                if (this.looksLikeLogs(code)) {
-                    return `<div class="logs-container">
-                        <div class="logs-header">
-                            <span class="logs-title">📋 Logs</span>
-                            <span class="logs-scroll-hint">↕️ Scroll to view all</span>
-                        </div>
-                        <pre class="logs-block"${attrs}><code>${code}</code></pre>
-                    </div>`;
-                }
-                return match;
-            }
-        );
+    // Wrap code blocks that look like logs in a scrollable logs container
+    enhanceLogContent(tree) {
+        const markdown = window.AzureAIAgent.markdown;
+        const span = (className, text) => ({ type: 'span', className, children: [{ type: 'text', value: text }] });
+
+        markdown.visit(tree, (node) => {
+            if (node.type !== 'code' || !this.looksLikeLogs(node.value)) return null;
+            return {
+                type: 'container',
+                className: 'logs-container',
+                children: [
+                    { type: 'container', className: 'logs-header', children: [span('logs-title', '📋 Logs'), span('logs-scroll-hint', '↕️ Scroll to view all')] },
+                    { ...node, className: 'logs-block' }
+                ]
+            };
+        });
     },
 
     // Check if code looks like logs
@@ -130,43 +103,91 @@ window.AzureAIAgent.formatting = {
         return logIndicators.some(pattern => pattern.test(code));
     },
 
-    // Enhance Terraform output
-    enhanceTerraformOutput(content) {
-        return content.replace(
-            /(terraform\s+(init|plan|apply|destroy)[\s\S]*?)(<br>|$)/gi,
-            '<div class="terraform-output">🏗️ $1</div>'
-        );
+    // Highlight terraform commands mentioned in prose, up to the end of the line
+    enhanceTerraformOutput(tree) {
+        window.AzureAIAgent.markdown.replaceText(tree, /terraform\s+(init|plan|apply|destroy)[^\n]*/gi, (match) => ({
+            type: 'span',
+            className: 'terraform-output',
+            children: [{ type: 'text', value: `🏗️ ${match[0]}` }]
+        }));
     },
 
-    // Make specific content clickable
-    makeContentClickable(content) {
+    // Make resource names and deployment actions clickable; returns the deployment ID the actions use
+    makeContentClickable(tree, content, entities) {
         // Skip processing if this looks like a welcome message or static content
         if (this.isStaticContent(content)) {
             console.log('🚫 Skipping resource detection for static content');
-            return content;
+            return null;
         }
-        
-        // Make URLs clickable
-        content = content.replace(
-            /(https?:\/\/[^\s<>]+)/g,
-            '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>'
-        );
 
-        // Only make very specific resource patterns clickable (conservative)
-        content = content.replace(
-            /^(\s*)(resource group|cluster|namespace|pod|service):\s*([A-Za-z0-9\-_]+)(.*)$/gmi,
-            '$1$2: <span class="clickable-resource" data-resource-type="$2" data-resource-name="$3">$3</span>$4'
-        );
-
-        // Make AKS/Kubernetes and Azure resource names clickable (conservative)
-        content = this.makeAllResourcesClickable(content);
+        if (Array.isArray(entities) && entities.length > 0) {
+            // The reply names its resources, so link exactly those
+            this.linkEntities(tree, entities);
+        } else {
+            // Replies without entities (legacy, or no tool reported any): "type: name" at the start of a line (conservative)
+            window.AzureAIAgent.markdown.replaceText(tree,
+                /^(\s*)(resource group|cluster|namespace|pod|service):\s*([A-Za-z0-9\-_]+)/gmi,
+                (match, context) => context.lineStart ? [
+                    { type: 'text', value: `${match[1]}${match[2]}: ` },
+                    this.resourceNode(match[2], match[3])
+                ] : null,
+                { includeCode: true });
+
+            // ...and names shaped like Kubernetes pods
+            this.makeAllResourcesClickable(tree, content);
+        }
 
         // Make deployment actions clickable if this looks like a terraform deployment
         if (content.includes('terraform') || content.includes('Deploy') || content.includes('deployment')) {
-            content = this.makeDeploymentClickable(content);
+            return this.makeDeploymentClickable(tree, content);
         }
 
-        return content;
+        return null;
+    },
+
+    // Clickable resource node handled by events.setupResourceClickEvents;
+    // details carries the namespace, cluster, resourceGroup and resourceId when known
+    resourceNode(type, name, details = {}) {
+        return {
+            type: 'span',
+            className: 'clickable-resource',
+            data: {
+                resourceType: type,
+                resourceName: name,
+                namespace: details.namespace,
+                cluster: details.cluster,
+                resourceGroup: details.resourceGroup,
+                resourceId: details.resourceId
+            },
+            children: [{ type: 'text', value: name }]
+        };
+    },
+
+    // Link every whole-name occurrence of the reply's entities, prose and code alike
+    linkEntities(tree, entities) {
+        const byName = new Map();
+        entities.forEach(entity => {
+            if (entity && entity.name && entity.kind && !byName.has(entity.name)) {
+                byName.set(entity.name, entity);
+            }
+        });
+        if (byName.size === 0) return;
+
+        // Longest first so "web-api" wins over "web"; names may contain "-" and "." so \b isn't enough
+        const names = Array.from(byName.keys()).sort((a, b) => b.length - a.length);
+        const pattern = new RegExp(`(?<![\\w.-])(?:${names.map(name => this.escapeRegexSpecialChars(name)).join('|')})(?![\\w-]|\\.\\w)`, 'g');
+
+        const link = (entity) => this.resourceNode(entity.kind.toLowerCase(), entity.name, entity);
+        let count = window.AzureAIAgent.markdown.replaceText(tree, pattern, (match) => link(byName.get(match[0])), { includeCode: true });
+
+        // `name` in backticks is linked whole, keeping the code styling
+        window.AzureAIAgent.markdown.visit(tree, (node, index, parent, ancestors) => {
+            const entity = node.type === 'inlineCode' && byName.get(node.value.trim());
+            if (!entity || ancestors.some(ancestor => ancestor.type === 'link' || ancestor.type === 'span')) return null;
+            count++;
+            return { ...link(entity), children: [node] };
+        });
+        console.log(`🔗 Linked ${count} mentions of ${byName.size} entities`);
     },
 
     // Check if content is static/welcome message that shouldn't have clickable resources
@@ -190,135 +211,44 @@ window.AzureAIAgent.formatting = {
     },
 
     // Make Kubernetes/AKS and Azure resource names in listings clickable
-    makeAllResourcesClickable(content) {
+    makeAllResourcesClickable(tree, content) {
         console.log('🔍 Processing content for clickable resources:', content.substring(0, 100) + '...');
-        
+
         // Skip processing if this looks like a welcome message or static content
         if (this.isStaticContent(content)) {
             console.log('🚫 Skipping resource detection for static content');
-            return content;
+            return;
         }
-        
+
         // Use semantic detection instead of rigid patterns
-        return this.makeResourcesClickableSemanticApproach(content);
+        this.makeResourcesClickableSemanticApproach(tree);
     },
 
-    // Direct mapping approach: directly target known pod names
-    makeResourcesClickableSemanticApproach(content) {
-        console.log('🎯 Using direct pod mapping approach for bulletproof detection');
-        
-        // Define the exact pod names we know exist in the cluster (from live data)
-        const knownPodNames = [
-            'azure-cns-mp2pg',
-            'azure-ip-masq-agent-nbnf4',
-            'azure-npm-vm8xk',
-            'cloud-node-manager-blkv2',
-            'coredns-6f776c8fb5-dhf76',
-            'coredns-6f776c8fb5-mwsg8',
-            'coredns-autoscaler-864c4496bf-n6576',
-            'csi-azuredisk-node-872qk',
-            'csi-azurefile-node-w4khj',
-            'konnectivity-agent-5df845cf4d-5tszk',
-            'konnectivity-agent-5df845cf4d-nnzbc',
-            'konnectivity-agent-autoscaler-6ddd978bfc-vpktb',
-            'kube-proxy-5zjpv',
-            'metrics-server-6bb78bfcc5-492bs',
-            'metrics-server-6bb78bfcc5-p8wkg',
-            'microsoft-defender-collector-ds-zjmj2',
-            'microsoft-defender-collector-misc-6c7847c69-w6zgp',
-            'microsoft-defender-publisher-ds-6kf4z'
-        ];
-        
-        console.log(`� Direct mapping for ${knownPodNames.length} known pod names`);
-        
-        let modifiedContent = content;
+    // Fallback for replies without entities: names shaped like Deployment, ReplicaSet and DaemonSet pods
+    makeResourcesClickableSemanticApproach(tree) {
+        const markdown = window.AzureAIAgent.markdown;
         let replacementCount = 0;
-        
-        // Process each known pod name with bulletproof replacement
-        knownPodNames.forEach(podName => {
-            console.log(`🎯 Processing pod: '${podName}'`);
-            
-            // Check if this pod name exists in the content first
-            if (!modifiedContent.includes(podName)) {
-                console.log(`⏭️ Pod '${podName}' not found in content, skipping`);
-                return;
-            }
-            
-            // Escape special regex characters for safe pattern matching
-            const escapedPodName = podName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            
-            // Create clickable span replacement with correct data attributes
-            const replacement = `<span class="clickable-resource" data-resource-name="${podName}" data-resource-type="pod">${podName}</span>`;
-            
-            // Try exact word boundary match first (most precise)
-            const wordBoundaryPattern = new RegExp(`\\b${escapedPodName}\\b`, 'g');
-            const beforeReplace = modifiedContent;
-            
-            modifiedContent = modifiedContent.replace(wordBoundaryPattern, replacement);
-            
-            if (modifiedContent !== beforeReplace) {
-                console.log(`✅ Successfully mapped pod '${podName}' - made clickable`);
-                replacementCount++;
-            } else {
-                // Fallback: try simpler pattern without word boundaries
-                console.log(`🔄 Trying fallback pattern for '${podName}'`);
-                const simplePattern = new RegExp(escapedPodName, 'g');
-                modifiedContent = modifiedContent.replace(simplePattern, replacement);
-                
-                if (modifiedContent !== beforeReplace) {
-                    console.log(`✅ Successfully mapped pod '${podName}' with fallback pattern`);
-                    replacementCount++;
-                } else {
-                    console.log(`❌ Failed to map pod '${podName}' with any pattern`);
-                }
-            }
-        });
-        
-        // Also handle generic Kubernetes patterns as fallback for unknown pods
-        console.log('🔄 Applying generic Kubernetes patterns for unknown resources...');
-        
-        // Generic pod patterns (for any new pods not in our known list)
+
         const genericPatterns = [
             // Standard deployment pod pattern: name-hash-hash
             /\b[a-z][a-z0-9-]*-[a-z0-9]{8,10}-[a-z0-9]{5}\b/g,
-            // DaemonSet pattern: name-hash  
+            // DaemonSet pattern: name-hash
             /\b[a-z][a-z0-9-]*-[a-z0-9]{5}\b/g,
             // ReplicaSet pattern: name-hash-hash
             /\b[a-z][a-z0-9-]*-[a-z0-9]{9,10}-[a-z0-9]{5}\b/g
         ];
-        
-        genericPatterns.forEach((pattern, index) => {
-            const matches = [...modifiedContent.matchAll(pattern)];
-            matches.forEach(match => {
-                const potentialPod = match[0];
-                
-                // Only process if:
-                // 1. Not already in our known list
-                // 2. Not already processed (doesn't have clickable span)
-                // 3. Looks like a legitimate Kubernetes resource
-                if (!knownPodNames.includes(potentialPod) && 
-                    !modifiedContent.includes(`data-resource-name="${potentialPod}"`) &&
-                    this.looksLikeKubernetesPod(potentialPod)) {
-                    
-                    console.log(`🆕 Generic pattern ${index + 1} found new pod: '${potentialPod}'`);
-                    
-                    const escapedMatch = potentialPod.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                    const fallbackPattern = new RegExp(`\\b${escapedMatch}\\b`, 'g');
-                    const replacement = `<span class="clickable-resource" data-resource-name="${potentialPod}" data-resource-type="pod">${potentialPod}</span>`;
-                    
-                    const beforeGeneric = modifiedContent;
-                    modifiedContent = modifiedContent.replace(fallbackPattern, replacement);
-                    
-                    if (modifiedContent !== beforeGeneric) {
-                        console.log(`✅ Made new pod '${potentialPod}' clickable`);
-                        replacementCount++;
-                    }
-                }
-            });
+
+        // Generated suffixes nearly always contain a digit; ordinary hyphenated words ("follow-based") don't
+        const hasGeneratedSuffix = (name) => /\d/.test(name.split('-').slice(-2).join(''));
+
+        // Text already turned into a resource node is skipped by replaceText
+        genericPatterns.forEach(pattern => {
+            replacementCount += markdown.replaceText(tree, pattern, match =>
+                hasGeneratedSuffix(match[0]) && this.looksLikeKubernetesPod(match[0]) ? this.resourceNode('pod', match[0]) : null,
+                { includeCode: true });
         });
-        
-        console.log(`🎯 Direct mapping complete: ${replacementCount} resources made clickable`);
-        return modifiedContent;
+
+        console.log(`🎯 Pod name fallback: ${replacementCount} resources made clickable`);
     },
 
     // Extract potential resources from a line using semantic analysis
@@ -424,19 +354,9 @@ window.AzureAIAgent.formatting = {
         return false;
     },
 
-    // Check if token looks like an Azure resource
+    // Check if token looks like an Azure resource: a conventional prefix plus a name valid for that type
     looksLikeAzureResource(token) {
-        const lowerToken = token.toLowerCase();
-        
-        // Azure resource naming indicators
-        if (lowerToken.includes('rg') || lowerToken.includes('aks') || 
-            lowerToken.includes('acr') || lowerToken.includes('stor') ||
-            lowerToken.includes('vault') || lowerToken.includes('sql') ||
-            lowerToken.includes('func') || lowerToken.includes('app')) {
-            return /^[a-z0-9\-\.]+$/i.test(token) && token.length >= 3 && token.length <= 80;
-        }
-        
-        return false;
+        return window.AzureAIAgent.azureNaming.detect(token) !== null;
     },
 
     // Check if a resource name is legitimate based on context
@@ -483,27 +403,9 @@ window.AzureAIAgent.formatting = {
         return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     },
 
-    // Detect the type of Azure resource based on naming patterns
+    // Detect the type of Azure resource from its naming convention
     detectAzureResourceType(resourceName) {
-        const name = resourceName.toLowerCase();
-        
-        if (name.includes('rg') || name.startsWith('rg-') || name.endsWith('-rg')) return 'resource-group';
-        if (name.includes('storage') || name.includes('stor') || name.includes('sa')) return 'storage-account';
-        if (name.includes('app') || name.includes('webapp')) return 'app-service';
-        if (name.startsWith('aks-') || name.includes('cluster')) return 'aks-cluster';
-        if (name.startsWith('acr') || name.includes('registry')) return 'container-registry';
-        if (name.includes('kv') || name.includes('keyvault')) return 'key-vault';
-        if (name.includes('sql') || name.includes('db')) return 'database';
-        if (name.includes('vm') && !name.includes('vnet')) return 'virtual-machine';
-        if (name.includes('func') || name.includes('function')) return 'function-app';
-        if (name.includes('vnet') || name.includes('network')) return 'virtual-network';
-        if (name.includes('subnet')) return 'subnet';
-        if (name.includes('nsg') || name.includes('security')) return 'network-security-group';
-        if (name.includes('lb') || name.includes('loadbalancer')) return 'load-balancer';
-        if (name.includes('pip') || name.includes('publicip')) return 'public-ip';
-        
-        // Default to generic Azure resource
-        return 'azure-resource';
+        return window.AzureAIAgent.azureNaming.detect(resourceName) || 'azure-resource';
     },
 
     // Check if a name looks like a valid Azure resource
@@ -635,8 +537,10 @@ window.AzureAIAgent.formatting = {
         }
     },
 
-    // Make deployment actions clickable (from formatting_fixed.js)
-    makeDeploymentClickable(content) {
+    // Make deployment actions clickable; returns the deployment ID or null when none is found
+    makeDeploymentClickable(tree, content) {
+        const markdown = window.AzureAIAgent.markdown;
+
         // Extract deployment ID from content using multiple patterns
         const deploymentPatterns = [
             /deployment[_\s]*id[:\s]*([a-zA-Z0-9\-_]+)/i,
@@ -644,7 +548,7 @@ window.AzureAIAgent.formatting = {
             /(rg-[a-zA-Z0-9\-_]+)/i,
             /([a-zA-Z0-9\-_]+-\d{3})/i
         ];
-        
+
         let deploymentId = null;
         for (const pattern of deploymentPatterns) {
             const match = content.match(pattern);
@@ -653,64 +557,66 @@ window.AzureAIAgent.formatting = {
                 break;
             }
         }
-        
+
         if (!deploymentId) {
             console.log('⚠️ No deployment ID found, skipping action making clickable');
-            return content;
+            return null;
         }
-        
+
         console.log(`✅ Using deployment ID: ${deploymentId}`);
-        
-        // Make Deploy, Edit, Cancel actions clickable - only if they're not already buttons
-        let processedContent = content;
-        
-        // Check if content already has action buttons
-        if (processedContent.includes('terraform-action') || processedContent.includes('class="btn')) {
-            console.log('🎯 Actions already exist, skipping duplicate creation');
-            return processedContent;
-        }
-        
-        // Only make specific patterns clickable, not every instance of Deploy/Edit/Cancel
-        processedContent = processedContent
-            .replace(/\*\*Actions:\*\*[\s\S]*?Deploy/g, (match) => {
-                return match.replace(/Deploy$/, `<span class="terraform-action" data-action="deploy" data-deployment-id="${deploymentId}">Deploy</span>`);
-            })
-            .replace(/\*\*Actions:\*\*[\s\S]*?Edit/g, (match) => {
-                return match.replace(/Edit$/, `<span class="terraform-action" data-action="edit" data-deployment-id="${deploymentId}">Edit</span>`);
-            })
-            .replace(/\*\*Actions:\*\*[\s\S]*?Cancel/g, (match) => {
-                return match.replace(/Cancel$/, `<span class="terraform-action" data-action="cancel" data-deployment-id="${deploymentId}">Cancel</span>`);
+
+        const action = (name, label) => ({
+            type: 'span',
+            className: 'terraform-action',
+            data: { action: name, deploymentId },
+            children: [{ type: 'text', value: label }]
+        });
+
+        // Only the Deploy/Edit/Cancel words in the block that starts with a bold "Actions:" label
+        let linked = 0;
+        markdown.visit(tree, (node, index, parent) => {
+            if (node.type === 'strong' && markdown.textContent(node).trim() === 'Actions:') {
+                linked += markdown.replaceText(parent, /\b(Deploy|Edit|Cancel)\b/g, match => action(match[1].toLowerCase(), match[1]));
+            }
+            return null;
+        });
+
+        // Otherwise add the actions after the last code block, or at the end
+        if (linked === 0) {
+            const container = {
+                type: 'container',
+                className: 'terraform-actions-container',
+                children: [
+                    { type: 'text', value: '🎯 ' },
+                    { type: 'strong', children: [{ type: 'text', value: 'Actions:' }] },
+                    { type: 'break' },
+                    { type: 'break' },
+                    action('deploy', 'Deploy'),
+                    { type: 'text', value: ' ' },
+                    action('edit', 'Edit'),
+                    { type: 'text', value: ' ' },
+                    action('cancel', 'Cancel')
+                ]
+            };
+
+            let lastCodeBlock = -1;
+            tree.children.forEach((block, index) => {
+                let hasCode = block.type === 'code';
+                markdown.visit(block, (node) => {
+                    hasCode = hasCode || node.type === 'code';
+                    return null;
+                });
+                if (hasCode) lastCodeBlock = index;
             });
-        
-        // If no Deploy/Edit/Cancel found, add them outside the terraform block
-        if (!processedContent.includes('terraform-action')) {
-            // Find the end of the terraform code block
-            const codeBlockEnd = processedContent.lastIndexOf('</pre>') || processedContent.lastIndexOf('</code>');
-            
-            if (codeBlockEnd > -1) {
-                // Insert actions after the code block
-                const beforeActions = processedContent.substring(0, codeBlockEnd + 6);
-                const afterActions = processedContent.substring(codeBlockEnd + 6);
-                
-                processedContent = beforeActions + 
-                    `<br><br><div class="terraform-actions-container">` +
-                    `🎯 <strong>Actions:</strong><br><br>` +
-                    `<span class="terraform-action" data-action="deploy" data-deployment-id="${deploymentId}">Deploy</span> ` +
-                    `<span class="terraform-action" data-action="edit" data-deployment-id="${deploymentId}">Edit</span> ` +
-                    `<span class="terraform-action" data-action="cancel" data-deployment-id="${deploymentId}">Cancel</span>` +
-                    `</div>` + afterActions;
+
+            if (lastCodeBlock > -1) {
+                tree.children.splice(lastCodeBlock + 1, 0, container);
             } else {
-                // Add at the end if no code block found
-                processedContent += `<br><br><div class="terraform-actions-container">` +
-                    `🎯 <strong>Actions:</strong><br><br>` +
-                    `<span class="terraform-action" data-action="deploy" data-deployment-id="${deploymentId}">Deploy</span> ` +
-                    `<span class="terraform-action" data-action="edit" data-deployment-id="${deploymentId}">Edit</span> ` +
-                    `<span class="terraform-action" data-action="cancel" data-deployment-id="${deploymentId}">Cancel</span>` +
-                    `</div>`;
+                tree.children.push(container);
             }
         }
-        
+
         console.log('🎯 Terraform deployment actions made clickable');
-        return processedContent;
+        return deploymentId;
     }
 };
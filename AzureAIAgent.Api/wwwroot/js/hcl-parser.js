@@ -0,0 +1,549 @@
+/**
+ * HCL Parser
+ * Lightweight tokenizer and block parser for Terraform code generated in the chat
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.hcl = {
+
+    // Multi-character operators, longest first
+    operators: ['==', '!=', '>=', '<=', '&&', '||', '=>', '...'],
+
+    // Split HCL source into tokens: { type, value, start, end, line }.
+    // Types: ident, number, string, heredoc, punct, newline, eof
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+
+        const push = (type, value, start) => {
+            tokens.push({ type, value, start, end: i, line });
+        };
+
+        while (i < source.length) {
+            const char = source[i];
+            const start = i;
+
+            if (char === '\n') {
+                i++;
+                push('newline', '\n', start);
+                line++;
+                continue;
+            }
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Comments: "#" and "//" run to the end of the line, "/* */" may span lines
+            if (char === '#' || (char === '/' && source[i + 1] === '/')) {
+                while (i < source.length && source[i] !== '\n') i++;
+                continue;
+            }
+            if (char === '/' && source[i + 1] === '*') {
+                const close = source.indexOf('*/', i + 2);
+                const end = close === -1 ? source.length : close + 2;
+                line += (source.slice(i, end).match(/\n/g) || []).length;
+                i = end;
+                continue;
+            }
+
+            // Heredocs: <<EOF ... EOF and the indented <<-EOF form
+            const heredoc = source.slice(i).match(/^<<(-?)([A-Za-z_][\w]*)[ \t]*\r?\n/);
+            if (heredoc) {
+                const bodyStart = i + heredoc[0].length;
+                const terminator = new RegExp(`^[ \\t]*${heredoc[2]}[ \\t]*$`, 'm');
+                const rest = source.slice(bodyStart);
+                const match = terminator.exec(rest);
+                const bodyEnd = match ? bodyStart + match.index : source.length;
+                let body = source.slice(bodyStart, bodyEnd).replace(/\r?\n$/, '');
+                if (heredoc[1]) {
+                    body = this.dedent(body);
+                }
+                i = match ? bodyStart + match.index + match[0].length : source.length;
+                push('heredoc', body, start);
+                line += (source.slice(start, i).match(/\n/g) || []).length;
+                continue;
+            }
+
+            // Quoted strings, skipping over ${ } and %{ } template sequences
+            if (char === '"') {
+                i++;
+                let templateDepth = 0;
+                while (i < source.length) {
+                    if (source[i] === '\\') {
+                        i += 2;
+                        continue;
+                    }
+                    if ((source[i] === '$' || source[i] === '%') && source[i + 1] === '{' && source[i - 1] !== source[i]) {
+                        templateDepth++;
+                        i += 2;
+                        continue;
+                    }
+                    if (templateDepth > 0 && source[i] === '}') {
+                        templateDepth--;
+                    } else if (templateDepth === 0 && (source[i] === '"' || source[i] === '\n')) {
+                        break;
+                    }
+                    i++;
+                }
+                i++;
+                push('string', source.slice(start + 1, i - 1), start);
+                continue;
+            }
+
+            const number = source.slice(i).match(/^\d+(\.\d+)?([eE][+-]?\d+)?/);
+            if (number) {
+                i += number[0].length;
+                push('number', number[0], start);
+                continue;
+            }
+
+            const ident = source.slice(i).match(/^[A-Za-z_][\w-]*/);
+            if (ident) {
+                i += ident[0].length;
+                push('ident', ident[0], start);
+                continue;
+            }
+
+            const operator = this.operators.find(op => source.startsWith(op, i));
+            i += operator ? operator.length : 1;
+            push('punct', operator || char, start);
+        }
+
+        tokens.push({ type: 'eof', value: '', start: source.length, end: source.length, line });
+        return tokens;
+    },
+
+    // Remove the common leading indentation of a <<- heredoc
+    dedent(text) {
+        const lines = text.split('\n');
+        const indents = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+        const indent = indents.length ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(indent)).join('\n');
+    },
+
+    // Parse source into a body: { attributes: { name: { raw, value, line } }, blocks: [{ type, labels, body, line }] }
+    parse(source) {
+        const tokens = this.tokenize(source);
+        const state = { tokens, pos: 0, source };
+        return this.parseBody(state, false);
+    },
+
+    // Parse attributes and nested blocks until the closing brace (or end of input)
+    parseBody(state, nested) {
+        const body = { attributes: {}, blocks: [] };
+
+        while (true) {
+            const token = state.tokens[state.pos];
+            if (token.type === 'eof') break;
+            if (token.type === 'newline' || (token.type === 'punct' && token.value === ',')) {
+                state.pos++;
+                continue;
+            }
+            if (token.type === 'punct' && token.value === '}') {
+                if (nested) {
+                    state.pos++;
+                    break;
+                }
+                state.pos++;
+                continue;
+            }
+
+            if (token.type !== 'ident') {
+                // Not something we understand; skip to the next line
+                this.skipLine(state);
+                continue;
+            }
+
+            const next = state.tokens[state.pos + 1];
+            if (next.type === 'punct' && (next.value === '=' || next.value === ':')) {
+                state.pos += 2;
+                const expression = this.readExpression(state);
+                body.attributes[token.value] = {
+                    raw: expression.raw,
+                    value: this.evaluate(expression.tokens),
+                    line: token.line
+                };
+                continue;
+            }
+
+            // Block header: type followed by string or identifier labels, then "{"
+            const labels = [];
+            let pos = state.pos + 1;
+            while (state.tokens[pos].type === 'string' || state.tokens[pos].type === 'ident') {
+                labels.push(state.tokens[pos].value);
+                pos++;
+            }
+            if (state.tokens[pos].type === 'punct' && state.tokens[pos].value === '{') {
+                state.pos = pos + 1;
+                body.blocks.push({ type: token.value, labels, body: this.parseBody(state, true), line: token.line });
+                continue;
+            }
+
+            this.skipLine(state);
+        }
+
+        return body;
+    },
+
+    // Skip tokens up to the end of the current line
+    skipLine(state) {
+        while (!['newline', 'eof'].includes(state.tokens[state.pos].type)) {
+            state.pos++;
+        }
+    },
+
+    // Read an attribute expression: everything up to a newline or closing brace at bracket depth 0
+    readExpression(state) {
+        const tokens = [];
+        let depth = 0;
+
+        while (true) {
+            const token = state.tokens[state.pos];
+            if (token.type === 'eof') break;
+            if (depth === 0 && (token.type === 'newline' || (token.type === 'punct' && (token.value === '}' || token.value === ',')))) {
+                break;
+            }
+            if (token.type === 'punct' && ['(', '[', '{'].includes(token.value)) depth++;
+            if (token.type === 'punct' && [')', ']', '}'].includes(token.value)) depth--;
+            tokens.push(token);
+            state.pos++;
+        }
+
+        const raw = tokens.length ?
+            state.source.slice(tokens[0].start, tokens[tokens.length - 1].end).replace(/\s+/g, ' ').trim() : '';
+        return { tokens: tokens.filter(token => token.type !== 'newline'), raw };
+    },
+
+    // Evaluate a literal expression (strings, numbers, bools, null, lists, objects).
+    // Returns undefined when the expression needs Terraform to evaluate it.
+    evaluate(tokens) {
+        const state = { tokens, pos: 0 };
+        const value = this.evaluateValue(state);
+        return state.pos === tokens.length ? value : undefined;
+    },
+
+    // Evaluate one literal value starting at the current token
+    evaluateValue(state) {
+        const token = state.tokens[state.pos];
+        if (!token) return undefined;
+
+        if (token.type === 'string') {
+            if (/[$%]\{/.test(token.value.replace(/([$%])\1\{/g, ''))) return undefined;
+            state.pos++;
+            return this.unescape(token.value);
+        }
+        if (token.type === 'heredoc') {
+            state.pos++;
+            return token.value;
+        }
+        if (token.type === 'number') {
+            state.pos++;
+            return Number(token.value);
+        }
+        if (token.type === 'punct' && token.value === '-' && state.tokens[state.pos + 1] && state.tokens[state.pos + 1].type === 'number') {
+            state.pos += 2;
+            return -Number(state.tokens[state.pos - 1].value);
+        }
+        if (token.type === 'ident' && ['true', 'false', 'null'].includes(token.value)) {
+            state.pos++;
+            return token.value === 'null' ? null : token.value === 'true';
+        }
+
+        if (token.type === 'punct' && token.value === '[') {
+            state.pos++;
+            const list = [];
+            while (state.tokens[state.pos] && !(state.tokens[state.pos].type === 'punct' && state.tokens[state.pos].value === ']')) {
+                const item = this.evaluateValue(state);
+                if (item === undefined) return undefined;
+                list.push(item);
+                const separator = state.tokens[state.pos];
+                if (separator && separator.type === 'punct' && separator.value === ',') state.pos++;
+            }
+            state.pos++;
+            return list;
+        }
+
+        if (token.type === 'punct' && token.value === '{') {
+            state.pos++;
+            const object = {};
+            while (state.tokens[state.pos] && !(state.tokens[state.pos].type === 'punct' && state.tokens[state.pos].value === '}')) {
+                const key = state.tokens[state.pos];
+                const assign = state.tokens[state.pos + 1];
+                if (!key || !['ident', 'string'].includes(key.type) || !assign || !['=', ':'].includes(assign.value)) {
+                    return undefined;
+                }
+                state.pos += 2;
+                const value = this.evaluateValue(state);
+                if (value === undefined) return undefined;
+                object[key.type === 'string' ? this.unescape(key.value) : key.value] = value;
+                const separator = state.tokens[state.pos];
+                if (separator && separator.type === 'punct' && separator.value === ',') state.pos++;
+            }
+            state.pos++;
+            return object;
+        }
+
+        return undefined;
+    },
+
+    // Resolve escape sequences in a quoted string
+    unescape(text) {
+        return text.replace(/\\(["\\nrt])/g, (match, char) => ({ n: '\n', r: '\r', t: '\t' }[char] || char));
+    },
+
+    // Every "var.<name>" reference outside variable blocks, with the line it appears on
+    findReferences(source) {
+        const references = [];
+        const tokens = this.tokenize(source);
+        const variableRanges = this.variableBlockRanges(tokens);
+        const inVariableBlock = (offset) => variableRanges.some(([start, end]) => offset >= start && offset < end);
+
+        tokens.forEach((token, index) => {
+            if (inVariableBlock(token.start)) return;
+
+            if (token.type === 'ident' && token.value === 'var') {
+                const dot = tokens[index + 1];
+                const name = tokens[index + 2];
+                if (dot && dot.value === '.' && name && name.type === 'ident') {
+                    references.push({ name: name.value, line: token.line });
+                }
+            } else if (token.type === 'string' || token.type === 'heredoc') {
+                // References inside ${ } interpolation
+                const pattern = /\$\{[^}]*?\bvar\.([A-Za-z_][\w-]*)/g;
+                let match;
+                while ((match = pattern.exec(token.value)) !== null) {
+                    references.push({ name: match[1], line: token.line });
+                }
+            }
+        });
+
+        return references;
+    },
+
+    // Source offsets covered by variable blocks, whose validation rules refer to themselves
+    variableBlockRanges(tokens) {
+        const ranges = [];
+        tokens.forEach((token, index) => {
+            if (token.type !== 'ident' || token.value !== 'variable') return;
+            if (index > 0 && tokens[index - 1].type !== 'newline') return;
+
+            let pos = index + 1;
+            while (tokens[pos] && (tokens[pos].type === 'string' || tokens[pos].type === 'ident')) pos++;
+            if (!tokens[pos] || tokens[pos].value !== '{') return;
+
+            let depth = 0;
+            for (; pos < tokens.length; pos++) {
+                if (tokens[pos].type !== 'punct') continue;
+                if (tokens[pos].value === '{') depth++;
+                if (tokens[pos].value === '}' && --depth === 0) break;
+            }
+            ranges.push([token.start, tokens[Math.min(pos, tokens.length - 1)].end]);
+        });
+        return ranges;
+    },
+
+    // Declared variables in the parameter shape used by the form engine:
+    // { name, type, description, default, hasDefault, required, sensitive, nullable, validation, line }
+    extractVariables(source) {
+        const body = this.parse(source);
+
+        return body.blocks
+            .filter(block => block.type === 'variable' && block.labels.length > 0)
+            .map(block => {
+                const attributes = block.body.attributes;
+                const hasDefault = Object.prototype.hasOwnProperty.call(attributes, 'default');
+                const literal = (name) => attributes[name] ? attributes[name].value : undefined;
+                const defaultValue = hasDefault ?
+                    (attributes.default.value !== undefined ? attributes.default.value : attributes.default.raw) : undefined;
+
+                return {
+                    name: block.labels[0],
+                    type: attributes.type ? attributes.type.raw : 'string',
+                    description: literal('description') || '',
+                    default: defaultValue,
+                    hasDefault,
+                    required: !hasDefault,
+                    sensitive: literal('sensitive') === true,
+                    nullable: literal('nullable') !== false,
+                    validation: block.body.blocks
+                        .filter(rule => rule.type === 'validation')
+                        .map(rule => ({
+                            condition: rule.body.attributes.condition ? rule.body.attributes.condition.raw : '',
+                            errorMessage: rule.body.attributes.error_message ?
+                                (rule.body.attributes.error_message.value || rule.body.attributes.error_message.raw) : ''
+                        })),
+                    line: block.line
+                };
+            });
+    },
+
+    // Resources, data sources and modules with the blocks each one refers to:
+    // { nodes: [{ address, kind, type, name, line }], edges: [{ from, to }] } where "from" depends on "to"
+    findDependencies(source) {
+        const tokens = this.tokenize(source);
+        const blocks = [];
+
+        // Top-level blocks only; nested blocks belong to the resource around them
+        let depth = 0;
+        tokens.forEach((token, index) => {
+            if (token.type === 'punct' && (token.value === '{' || token.value === '[' || token.value === '(')) depth++;
+            if (token.type === 'punct' && (token.value === '}' || token.value === ']' || token.value === ')')) depth--;
+            if (depth !== 0 || token.type !== 'ident' || !['resource', 'data', 'module'].includes(token.value)) return;
+            if (index > 0 && tokens[index - 1].type !== 'newline') return;
+
+            const labels = [];
+            let pos = index + 1;
+            while (tokens[pos].type === 'string' || tokens[pos].type === 'ident') {
+                labels.push(tokens[pos].value);
+                pos++;
+            }
+            const expected = token.value === 'module' ? 1 : 2;
+            if (labels.length !== expected || tokens[pos].value !== '{') return;
+
+            const address = token.value === 'resource' ? labels.join('.') :
+                token.value === 'data' ? `data.${labels.join('.')}` : `module.${labels[0]}`;
+            blocks.push({
+                node: { address, kind: token.value, type: token.value === 'module' ? 'module' : labels[0], name: labels[labels.length - 1], line: token.line },
+                from: pos
+            });
+        });
+
+        // Each block runs until its braces balance again
+        blocks.forEach(block => {
+            let level = 0;
+            let pos = block.from;
+            for (; pos < tokens.length; pos++) {
+                if (tokens[pos].type !== 'punct') continue;
+                if (tokens[pos].value === '{') level++;
+                if (tokens[pos].value === '}' && --level === 0) break;
+            }
+            block.to = pos;
+        });
+
+        const addresses = new Set(blocks.map(block => block.node.address));
+        // "x.y.attr" → the block address it starts with: "data.x.y", "module.x" or "x.y"
+        const resolve = (path) => {
+            const parts = path.split('.');
+            const candidate = parts.slice(0, parts[0] === 'data' ? 3 : 2).join('.');
+            return addresses.has(candidate) ? candidate : null;
+        };
+
+        const edges = [];
+        const seen = new Set();
+        blocks.forEach(block => {
+            const add = (path) => {
+                const target = resolve(path);
+                const key = `${block.node.address}→${target}`;
+                if (target && target !== block.node.address && !seen.has(key)) {
+                    seen.add(key);
+                    edges.push({ from: block.node.address, to: target });
+                }
+            };
+
+            for (let pos = block.from; pos < block.to; pos++) {
+                const token = tokens[pos];
+                if (token.type === 'ident' && !(tokens[pos - 1].type === 'punct' && tokens[pos - 1].value === '.')) {
+                    // Join "ident . ident . ident" chains, which is how references are written
+                    const parts = [token.value];
+                    let next = pos + 1;
+                    while (tokens[next].value === '.' && tokens[next + 1].type === 'ident') {
+                        parts.push(tokens[next + 1].value);
+                        next += 2;
+                    }
+                    if (parts.length > 1) add(parts.join('.'));
+                } else if (token.type === 'string' || token.type === 'heredoc') {
+                    // References inside ${ } interpolation
+                    const pattern = /\$\{([^}]*)\}/g;
+                    let match;
+                    while ((match = pattern.exec(token.value)) !== null) {
+                        (match[1].match(/[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)+/g) || []).forEach(add);
+                    }
+                }
+            }
+        });
+
+        return { nodes: blocks.map(block => block.node), edges };
+    },
+
+    // Top-level blocks as source text, each with the comment lines directly above it:
+    // [{ type, labels, text, line }] in source order
+    splitBlocks(source) {
+        const tokens = this.tokenize(source);
+        const lines = source.split('\n');
+        const blocks = [];
+        let depth = 0;
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'punct' && (token.value === '{' || token.value === '[' || token.value === '(')) depth++;
+            if (token.type === 'punct' && (token.value === '}' || token.value === ']' || token.value === ')')) depth--;
+            if (depth !== 0 || token.type !== 'ident') return;
+            if (index > 0 && tokens[index - 1].type !== 'newline') return;
+
+            const labels = [];
+            let pos = index + 1;
+            while (tokens[pos].type === 'string' || tokens[pos].type === 'ident') {
+                labels.push(tokens[pos].value);
+                pos++;
+            }
+            if (tokens[pos].value !== '{') return;
+
+            let level = 0;
+            for (; pos < tokens.length - 1; pos++) {
+                if (tokens[pos].type !== 'punct') continue;
+                if (tokens[pos].value === '{') level++;
+                if (tokens[pos].value === '}' && --level === 0) break;
+            }
+            blocks.push({ type: token.value, labels, startLine: token.line, endLine: tokens[pos].line });
+        });
+
+        // Comments directly above a block travel with it, unless they belong to the block before
+        let claimed = 0;
+        return blocks.map(block => {
+            let first = block.startLine;
+            while (first - 1 > claimed && /^\s*(#|\/\/)/.test(lines[first - 2])) first--;
+            claimed = block.endLine;
+            return {
+                type: block.type,
+                labels: block.labels,
+                text: lines.slice(first - 1, block.endLine).join('\n'),
+                line: block.startLine
+            };
+        });
+    },
+
+    // Everything the UI needs about a configuration's inputs
+    analyze(source) {
+        const variables = this.extractVariables(source);
+        const references = this.findReferences(source);
+        const referenced = [...new Set(references.map(reference => reference.name))];
+        const declared = variables.map(variable => variable.name);
+
+        return {
+            variables,
+            references,
+            undeclared: referenced.filter(name => !declared.includes(name)),
+            unused: declared.filter(name => !referenced.includes(name))
+        };
+    },
+
+    // Terraform code blocks embedded in a chat message
+    extractCodeBlocks(content) {
+        const blocks = [];
+        const pattern = /```(\w+)?\n?([\s\S]*?)```/g;
+        let match;
+        while ((match = pattern.exec(content || '')) !== null) {
+            const language = (match[1] || '').toLowerCase();
+            const code = match[2];
+            if (['hcl', 'terraform', 'tf'].includes(language) ||
+                (!language && /^\s*(resource|variable|provider|module|terraform)\s+("|\{)/m.test(code))) {
+                blocks.push(code);
+            }
+        }
+        return blocks;
+    }
+};
+
+console.log('✅ HCL parser loaded');
@@ -0,0 +1,423 @@
+/**
+ * Pod Log Viewer
+ * Side panel that tails pod logs with follow, pause, filtering, level colours and download
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.logViewer = {
+
+    // Oldest lines are dropped past this many; TAIL_LINES is what a new stream starts with
+    MAX_LINES: 5000,
+    TAIL_LINES: 500,
+
+    // Kubernetes prefixes every line with an RFC 3339 timestamp when asked to
+    TIMESTAMP_PATTERN: /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2}))\s(.*)$/,
+
+    // Log levels, first match wins: words, key=value and JSON fields, klog's E0102/W0102 prefixes
+    LEVELS: [
+        ['error', /\b(?:fatal|panic|crit(?:ical)?|err(?:or)?|exception)\b|^[EF]\d{4}\s/i],
+        ['warning', /\bwarn(?:ing)?\b|^W\d{4}\s/i],
+        ['info', /\binfo\b|^I\d{4}\s/i],
+        ['debug', /\b(?:debug|trace)\b/i]
+    ],
+
+    // Panel elements
+    element: null,
+    linesElement: null,
+    statusElement: null,
+    containerSelect: null,
+    filterInput: null,
+
+    // What is being tailed: { pod, namespace, cluster, container }
+    target: null,
+    // Captured buffer: { timestamp, text, level } per line, independent of the filter
+    lines: [],
+    // Lines captured while paused, shown on resume
+    pending: 0,
+    // Bumped on every restart so late replies for an old stream are dropped
+    generation: 0,
+    source: null,
+    following: true,
+    paused: false,
+    filter: null,
+
+    // Wire up the panel's controls
+    initialize() {
+        this.element = document.getElementById('logViewer');
+        if (!this.element) return;
+
+        this.linesElement = this.element.querySelector('.log-viewer-lines');
+        this.statusElement = this.element.querySelector('.log-viewer-status');
+        this.containerSelect = this.element.querySelector('.log-viewer-container');
+        this.filterInput = this.element.querySelector('.log-viewer-filter');
+        const regexToggle = this.element.querySelector('.log-viewer-regex input');
+
+        this.element.querySelector('.log-viewer-close').addEventListener('click', () => this.close());
+        this.containerSelect.addEventListener('change', () => {
+            this.target.container = this.containerSelect.value || null;
+            this.restart();
+        });
+        this.filterInput.addEventListener('input', () => this.setFilter(this.filterInput.value, regexToggle.checked));
+        regexToggle.addEventListener('change', () => this.setFilter(this.filterInput.value, regexToggle.checked));
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-log-action]');
+            if (!button) return;
+
+            const action = button.dataset.logAction;
+            if (action === 'follow') {
+                this.setFollowing(!this.following);
+            } else if (action === 'pause') {
+                this.setPaused(!this.paused);
+            } else if (action === 'timestamps') {
+                const hidden = this.element.classList.toggle('hide-timestamps');
+                button.setAttribute('aria-pressed', String(!hidden));
+            } else if (action === 'download') {
+                this.download();
+            } else if (action === 'restart') {
+                this.restart();
+            }
+        });
+
+        // Scrolling up stops following; scrolling back to the bottom resumes it
+        this.linesElement.addEventListener('scroll', () => {
+            const atEnd = this.linesElement.scrollHeight - this.linesElement.scrollTop - this.linesElement.clientHeight < 8;
+            if (atEnd !== this.following) {
+                this.setFollowing(atEnd);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen() && this.element.contains(document.activeElement)) {
+                this.close();
+            }
+        });
+    },
+
+    // Check whether the panel is showing
+    isOpen() {
+        return !!this.element && this.element.classList.contains('open');
+    },
+
+    // Show the panel for a pod ({ name, namespace, cluster } as the resource menu describes it) and start tailing
+    async open(resource) {
+        if (!this.element) return;
+
+        this.disconnect();
+        this.generation++;
+        this.target = {
+            pod: resource.name,
+            namespace: resource.namespace || 'default',
+            cluster: resource.cluster || null,
+            container: null
+        };
+        this.element.querySelector('.log-viewer-title').textContent = resource.name;
+        this.element.querySelector('.log-viewer-subtitle').textContent =
+            `namespace ${this.target.namespace}${this.target.cluster ? ` · cluster ${this.target.cluster}` : ''}`;
+        this.element.classList.add('open');
+        this.setPaused(false);
+        this.setFollowing(true);
+        this.lines = [];
+        this.linesElement.innerHTML = '';
+        this.updateCount();
+
+        // Multi-container pods need a container before the stream can start
+        const target = this.target;
+        await this.loadContainers();
+        if (this.target !== target) return;
+        this.restart();
+        console.log(`📋 Log viewer opened for pod ${this.target.namespace}/${this.target.pod}`);
+    },
+
+    // Stop tailing and hide the panel
+    close() {
+        this.disconnect();
+        if (this.element) {
+            this.element.classList.remove('open');
+        }
+    },
+
+    // Path of a pod endpoint
+    podPath(suffix) {
+        return `/api/kubernetes/pods/${encodeURIComponent(this.target.namespace)}/${encodeURIComponent(this.target.pod)}/${suffix}`;
+    },
+
+    // Fill the container picker and select the first container; the picker only shows for multi-container pods
+    async loadContainers() {
+        const select = this.containerSelect;
+        select.hidden = true;
+        select.innerHTML = '';
+
+        const target = this.target;
+        this.setStatus('Connecting…', 'pending');
+        try {
+            const data = await window.AzureAIAgent.api.get(this.podPath('containers'), {
+                query: { cluster: target.cluster },
+                retries: 0,
+                requireSuccess: true
+            });
+            if (this.target !== target) return;
+
+            const containers = data.containers || [];
+            if (containers.length > 1) {
+                select.innerHTML = containers.map(name => {
+                    const escaped = window.AzureAIAgent.formatting.escapeHtml(name);
+                    return `<option value="${escaped}">${escaped}</option>`;
+                }).join('');
+                target.container = containers[0];
+                select.hidden = false;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not list containers:', error);
+        }
+    },
+
+    // Clear the buffer and reconnect, e.g. after picking another container
+    restart() {
+        this.generation++;
+        this.lines = [];
+        this.pending = 0;
+        this.linesElement.innerHTML = '';
+        this.connect();
+    },
+
+    // Tail through the log stream endpoint; if it can't be reached, load a snapshot instead
+    connect() {
+        this.disconnect();
+        if (!window.ReadableStream) {
+            this.loadSnapshot();
+            return;
+        }
+
+        const target = this.target;
+        let opened = false;
+        this.setStatus('Connecting…', 'pending');
+
+        const source = window.AzureAIAgent.api.eventStream(this.podPath('logs'), {
+            onOpen: () => {
+                opened = true;
+                this.setStatus('Streaming', 'live');
+            },
+            onEvent: (name, data) => {
+                if (name === 'line' && typeof data.line === 'string') {
+                    this.addLines([data.line]);
+                } else if (name === 'end') {
+                    this.disconnect();
+                    this.setStatus('Stream ended: the container stopped');
+                } else if (name === 'failure') {
+                    this.disconnect();
+                    this.setStatus(`Log stream failed: ${data.error || 'unknown error'}`, 'error');
+                }
+            },
+            onEnd: () => {
+                if (this.source !== source) return;
+                this.disconnect();
+                this.setStatus('Connection lost', 'error');
+            },
+            onError: (error) => {
+                if (this.source !== source) return;
+                this.disconnect();
+                if (opened) {
+                    this.setStatus('Connection lost', 'error');
+                } else {
+                    console.warn('⚠️ Log stream unavailable, loading a snapshot instead:', error);
+                    this.loadSnapshot();
+                }
+            }
+        }, {
+            query: {
+                container: target.container,
+                cluster: target.cluster,
+                tailLines: this.TAIL_LINES,
+                follow: true
+            },
+            label: 'Pod log stream'
+        });
+        this.source = source;
+    },
+
+    // Close the stream, if any
+    disconnect() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    },
+
+    // Fallback: the last lines from the same endpoint without follow.
+    // This is a snapshot, not a tail, so the status offers a refresh.
+    async loadSnapshot() {
+        const target = this.target;
+        const generation = this.generation;
+        this.setStatus('Loading logs…', 'pending');
+
+        try {
+            const data = await window.AzureAIAgent.api.get(this.podPath('logs'), {
+                query: {
+                    container: target.container,
+                    cluster: target.cluster,
+                    tailLines: this.TAIL_LINES
+                },
+                retries: 0,
+                requireSuccess: true
+            });
+            if (this.generation !== generation) return;
+
+            this.addLines(data.lines || []);
+            this.setStatus('Snapshot (live streaming unavailable)', 'snapshot');
+        } catch (error) {
+            if (this.generation !== generation) return;
+            console.warn('⚠️ Could not load logs:', error);
+            this.setStatus(`Could not load logs: ${error.message}`, 'error');
+        }
+    },
+
+    // Split off the timestamp and classify the level
+    parseLine(raw) {
+        const match = raw.match(this.TIMESTAMP_PATTERN);
+        const text = match ? match[2] : raw;
+        const level = this.LEVELS.find(([, pattern]) => pattern.test(text));
+        return { timestamp: match ? match[1] : null, text, level: level ? level[0] : null };
+    },
+
+    // Capture new lines; they are drawn now unless the view is paused
+    addLines(rawLines) {
+        const entries = rawLines.map(raw => this.parseLine(raw));
+        this.lines.push(...entries);
+
+        const overflow = this.lines.length - this.MAX_LINES;
+        if (overflow > 0) {
+            this.lines.splice(0, overflow);
+        }
+
+        if (this.paused) {
+            this.pending += entries.length;
+            this.updatePauseButton();
+            return;
+        }
+        this.appendToView(entries);
+        if (overflow > 0) {
+            this.trimView();
+        }
+    },
+
+    // Draw lines that pass the filter below the ones already shown
+    appendToView(entries) {
+        const fragment = document.createDocumentFragment();
+        entries.filter(entry => this.matches(entry)).forEach(entry => fragment.appendChild(this.lineElement(entry)));
+        this.linesElement.appendChild(fragment);
+        this.updateCount();
+        if (this.following) {
+            this.linesElement.scrollTop = this.linesElement.scrollHeight;
+        }
+    },
+
+    // Keep the view no longer than the buffer
+    trimView() {
+        while (this.linesElement.childElementCount > this.MAX_LINES) {
+            this.linesElement.firstElementChild.remove();
+        }
+    },
+
+    // Redraw every captured line, e.g. after the filter changes
+    render() {
+        this.linesElement.innerHTML = '';
+        this.appendToView(this.lines);
+    },
+
+    // One line: timestamp (hidden by the toggle) and text, coloured by level
+    lineElement(entry) {
+        const line = document.createElement('div');
+        line.className = `log-line${entry.level ? ` level-${entry.level}` : ''}`;
+        if (entry.timestamp) {
+            const timestamp = document.createElement('span');
+            timestamp.className = 'log-timestamp';
+            timestamp.textContent = entry.timestamp;
+            line.appendChild(timestamp);
+        }
+        const text = document.createElement('span');
+        text.className = 'log-text';
+        text.textContent = entry.text;
+        line.appendChild(text);
+        return line;
+    },
+
+    // Plain text or /regex/ filter; an invalid regex is flagged and filters nothing
+    setFilter(value, isRegex) {
+        this.filterInput.classList.remove('invalid');
+        if (!value) {
+            this.filter = null;
+        } else if (isRegex) {
+            try {
+                const pattern = new RegExp(value, 'i');
+                this.filter = (text) => pattern.test(text);
+            } catch (error) {
+                this.filterInput.classList.add('invalid');
+                this.filter = null;
+            }
+        } else {
+            const needle = value.toLowerCase();
+            this.filter = (text) => text.toLowerCase().includes(needle);
+        }
+        this.render();
+    },
+
+    // Check a line against the filter
+    matches(entry) {
+        return !this.filter || this.filter(entry.text);
+    },
+
+    // Follow keeps the newest line in view
+    setFollowing(following) {
+        this.following = following;
+        const button = this.element.querySelector('[data-log-action="follow"]');
+        button.setAttribute('aria-pressed', String(following));
+        if (following) {
+            this.linesElement.scrollTop = this.linesElement.scrollHeight;
+        }
+    },
+
+    // Pause freezes the view; lines keep being captured and appear on resume
+    setPaused(paused) {
+        this.paused = paused;
+        if (!paused && this.pending > 0) {
+            this.pending = 0;
+            this.render();
+        }
+        this.updatePauseButton();
+    },
+
+    // Pause button label, with the count of lines waiting to be shown
+    updatePauseButton() {
+        const button = this.element.querySelector('[data-log-action="pause"]');
+        button.setAttribute('aria-pressed', String(this.paused));
+        button.querySelector('.btn-text').textContent = this.paused ?
+            (this.pending > 0 ? `Resume (${this.pending} new)` : 'Resume') : 'Pause';
+    },
+
+    // Shown and captured line counts
+    updateCount() {
+        const shown = this.linesElement.childElementCount;
+        this.element.querySelector('.log-viewer-count').textContent = shown === this.lines.length ?
+            `${this.lines.length} lines` : `${shown} of ${this.lines.length} lines`;
+    },
+
+    // Connection state under the lines; kind is pending, live, snapshot or error.
+    // Reconnect is offered once nothing is in flight.
+    setStatus(message, kind = '') {
+        this.statusElement.textContent = message;
+        this.statusElement.className = `log-viewer-status${kind ? ` ${kind}` : ''}`;
+        this.element.querySelector('[data-log-action="restart"]').hidden = kind === 'live' || kind === 'pending';
+    },
+
+    // Save the whole captured buffer, timestamps included, whatever the filter shows
+    download() {
+        const target = this.target;
+        const text = this.lines.map(entry => entry.timestamp ? `${entry.timestamp} ${entry.text}` : entry.text).join('\n');
+        const filename = `${target.pod}${target.container ? `-${target.container}` : ''}.log`;
+        window.AzureAIAgent.transcript.download(filename, text, 'text/plain');
+        console.log('⬇️ Downloaded log buffer as', filename);
+    }
+};
+
+console.log('✅ Log viewer loaded');
@@ -0,0 +1,760 @@
+/**
+ * Markdown Rendering
+ * CommonMark parser producing a node tree, an HTML renderer and an allowlist sanitiser
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.markdown = {
+
+    // Link protocols allowed in href; relative links and #anchors are always allowed
+    SAFE_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+
+    // Tags that survive sanitising, with the attributes each may keep
+    ALLOWED_TAGS: {
+        a: ['href', 'target', 'rel'],
+        p: [], br: [], hr: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        strong: [], em: [], del: [], code: [], pre: [],
+        blockquote: [], ul: [], ol: ['start'], li: [],
+        table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+        div: [], span: [], button: ['type'], input: ['type', 'placeholder']
+    },
+
+    // Attributes allowed on every tag; the data attributes carry what click handlers need
+    GLOBAL_ATTRIBUTES: ['class', 'title', 'aria-hidden', 'aria-label', 'aria-expanded', 'data-language', 'data-resource-type', 'data-resource-name', 'data-action', 'data-deployment-id', 'data-code-action',
+        'data-cli-action', 'data-row-action', 'data-column', 'data-namespace', 'data-resource-group',
+        'data-cluster', 'data-resource-id'],
+
+    // Disallowed tags whose content is dropped instead of kept as text
+    DROP_CONTENT_TAGS: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'select'],
+
+    // Characters a backslash can escape
+    ESCAPABLE: '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~',
+
+    // Entities decoded in text; anything else is kept literally
+    ENTITIES: { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©', reg: '®', hellip: '…', mdash: '—', ndash: '–' },
+
+    // Parse, render and sanitise in one step
+    toHtml(text, options = {}) {
+        return this.sanitize(this.render(this.parse(text), options));
+    },
+
+    // Parse Markdown into a tree of { type, children, ... } nodes.
+    // Block types: document, heading, paragraph, code, blockquote, list, listItem, table, tableRow,
+    // tableCell, thematicBreak, container. Inline types: text, softbreak, break, inlineCode,
+    // strong, emphasis, delete, link, span, button, input, token (a highlighted piece of code).
+    // container, span, button, input and the table nodes take className, data and attributes.
+    parse(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+        return { type: 'document', children: this.parseBlocks(lines) };
+    },
+
+    // Block structure of a run of lines
+    parseBlocks(lines) {
+        const blocks = [];
+        let paragraph = null;
+        let i = 0;
+
+        const closeParagraph = () => {
+            if (paragraph) {
+                blocks.push({ type: 'paragraph', children: this.parseInline(paragraph.join('\n').trim()) });
+                paragraph = null;
+            }
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (!line.trim()) {
+                closeParagraph();
+                i++;
+                continue;
+            }
+
+            // Setext heading underline turns the open paragraph into a heading
+            if (paragraph && (match = line.match(/^ {0,3}(=+|-+)[ \t]*$/))) {
+                blocks.push({ type: 'heading', depth: match[1][0] === '=' ? 1 : 2, children: this.parseInline(paragraph.join('\n').trim()) });
+                paragraph = null;
+                i++;
+                continue;
+            }
+
+            // Indented code cannot interrupt a paragraph
+            if (!paragraph && /^ {4}/.test(line)) {
+                const code = [];
+                while (i < lines.length && (/^ {4}/.test(lines[i]) || !lines[i].trim())) {
+                    code.push(lines[i].slice(4));
+                    i++;
+                }
+                while (code.length && !code[code.length - 1].trim()) {
+                    code.pop();
+                }
+                blocks.push(this.codeNode(code.join('\n'), null));
+                continue;
+            }
+
+            if ((match = line.match(/^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/)) || (match = line.match(/^( {0,3})(~{3,})[ \t]*(\S*).*$/))) {
+                closeParagraph();
+                const indent = match[1].length;
+                const fence = match[2];
+                const code = [];
+                i++;
+                while (i < lines.length && !new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`).test(lines[i])) {
+                    code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+                    i++;
+                }
+                i++;
+                blocks.push(this.codeNode(code.join('\n'), this.unescape(match[3]) || null));
+                continue;
+            }
+
+            if ((match = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/))) {
+                closeParagraph();
+                blocks.push({ type: 'heading', depth: match[1].length, children: this.parseInline(match[2] || '') });
+                i++;
+                continue;
+            }
+
+            if (this.isThematicBreak(line)) {
+                closeParagraph();
+                blocks.push({ type: 'thematicBreak' });
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}>/.test(line)) {
+                closeParagraph();
+                const quoted = [];
+                while (i < lines.length && lines[i].trim()) {
+                    if (/^ {0,3}>/.test(lines[i])) {
+                        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    } else if (quoted.length && !this.startsBlock(lines[i])) {
+                        // Lazy continuation of a quoted paragraph
+                        quoted.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                blocks.push({ type: 'blockquote', children: this.parseBlocks(quoted) });
+                continue;
+            }
+
+            const item = this.listMarker(line);
+            if (item && (!paragraph || (!item.empty && (!item.ordered || item.start === 1)))) {
+                closeParagraph();
+                i = this.parseList(lines, i, blocks);
+                continue;
+            }
+
+            // A table may follow paragraph text directly, as chat replies often do
+            if (this.isTableStart(lines, i)) {
+                closeParagraph();
+                i = this.parseTable(lines, i, blocks);
+                continue;
+            }
+
+            paragraph = paragraph || [];
+            paragraph.push(line);
+            i++;
+        }
+
+        closeParagraph();
+        return blocks;
+    },
+
+    // Fenced and indented code keep their raw text in value; passes may decorate children
+    codeNode(value, language) {
+        return { type: 'code', language, value, children: [{ type: 'text', value }] };
+    },
+
+    // Check whether a line is ***, --- or ___
+    isThematicBreak(line) {
+        return /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/.test(line);
+    },
+
+    // Check whether a line opens a block that ends a lazy paragraph continuation
+    startsBlock(line) {
+        return /^ {0,3}(#{1,6}(\s|$)|>|`{3,}|~{3,})/.test(line) || this.isThematicBreak(line) || !!this.listMarker(line);
+    },
+
+    // List item marker on a line: { ordered, marker, start, indent, contentIndent, empty }
+    listMarker(line) {
+        const match = line.match(/^( {0,3})([*+-]|\d{1,9}[.)])( +|$)(.*)$/);
+        if (!match) return null;
+
+        const ordered = /\d/.test(match[2]);
+        const spacing = match[3].length >= 5 || !match[4] ? 1 : match[3].length;
+        return {
+            ordered,
+            marker: ordered ? match[2].slice(-1) : match[2],
+            start: ordered ? parseInt(match[2], 10) : null,
+            indent: match[1].length,
+            contentIndent: match[1].length + match[2].length + spacing,
+            empty: !match[4].trim()
+        };
+    },
+
+    // Consume one list starting at lines[start]; returns the index after it
+    parseList(lines, start, blocks) {
+        const first = this.listMarker(lines[start]);
+        const list = { type: 'list', ordered: first.ordered, start: first.start, tight: true, children: [] };
+        let i = start;
+        let blankBetween = false;
+
+        while (i < lines.length) {
+            const marker = this.listMarker(lines[i]);
+            if (!marker || marker.ordered !== first.ordered || marker.marker !== first.marker || this.isThematicBreak(lines[i])) break;
+            if (blankBetween) list.tight = false;
+
+            const content = [lines[i].slice(marker.contentIndent)];
+            let blank = false;
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (!line.trim()) {
+                    blank = true;
+                    content.push('');
+                } else if (line.search(/\S/) >= marker.contentIndent) {
+                    if (blank && content.some(text => text.trim())) list.tight = false;
+                    blank = false;
+                    content.push(line.slice(marker.contentIndent));
+                } else if (!blank && !this.startsBlock(line)) {
+                    // Lazy continuation of the item's paragraph
+                    content.push(line.trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            while (content.length && !content[content.length - 1].trim()) {
+                content.pop();
+            }
+            list.children.push({ type: 'listItem', children: this.parseBlocks(content) });
+            blankBetween = blank;
+            if (blank && !this.listMarker(lines[i] || '')) break;
+        }
+
+        blocks.push(list);
+        return i;
+    },
+
+    // Split a table row into cell sources, honouring escaped pipes and code spans
+    splitRow(line) {
+        const cells = [];
+        let current = '';
+        let inCode = false;
+        const text = line.trim().replace(/^\|/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && text[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (char === '`') {
+                inCode = !inCode;
+                current += char;
+            } else if (char === '|' && !inCode) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim() || !/\|\s*$/.test(text)) {
+            cells.push(current.trim());
+        }
+        return cells;
+    },
+
+    // GFM table: a header row followed by a delimiter row with the same number of cells
+    isTableStart(lines, index) {
+        const header = lines[index];
+        const delimiter = lines[index + 1];
+        if (!delimiter || !header.includes('|')) return false;
+        if (!/^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(delimiter)) return false;
+        return this.splitRow(header).length === this.splitRow(delimiter).length;
+    },
+
+    // Consume a table starting at lines[start]; returns the index after it
+    parseTable(lines, start, blocks) {
+        const align = this.splitRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+        });
+        const row = (line, header) => {
+            const cells = this.splitRow(line);
+            return {
+                type: 'tableRow',
+                children: align.map((alignment, column) => ({
+                    type: 'tableCell',
+                    header,
+                    align: alignment,
+                    children: this.parseInline(cells[column] || '')
+                }))
+            };
+        };
+
+        const table = { type: 'table', align, children: [row(lines[start], true)] };
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i])) {
+            table.children.push(row(lines[i], false));
+            i++;
+        }
+
+        blocks.push(table);
+        return i;
+    },
+
+    // Inline content of a block: code spans, links, emphasis, breaks and bare URLs.
+    // Inside link labels bare URLs stay text so links never nest.
+    parseInline(text, inLink = false) {
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const pushText = (value) => {
+            const last = nodes[nodes.length - 1];
+            if (last && last.type === 'text') {
+                last.value += value;
+            } else {
+                nodes.push({ type: 'text', value });
+            }
+        };
+        const flush = () => {
+            if (buffer) {
+                const value = this.decodeEntities(buffer);
+                (inLink ? [{ type: 'text', value }] : this.linkifyText(value))
+                    .forEach(node => node.type === 'text' ? pushText(node.value) : nodes.push(node));
+                buffer = '';
+            }
+        };
+        const push = (node) => {
+            flush();
+            nodes.push(node);
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+            const rest = text.slice(i);
+            let match;
+
+            if (char === '\\' && text[i + 1] === '\n') {
+                push({ type: 'break' });
+                i += 2;
+                continue;
+            }
+
+            if (char === '\\' && this.ESCAPABLE.includes(text[i + 1])) {
+                flush();
+                pushText(text[i + 1]);
+                i += 2;
+                continue;
+            }
+
+            if (char === '\n') {
+                const hard = / {2,}$/.test(buffer);
+                buffer = buffer.replace(/ +$/, '');
+                push({ type: hard ? 'break' : 'softbreak' });
+                i++;
+                while (text[i] === ' ') i++;
+                continue;
+            }
+
+            if (char === '`') {
+                const ticks = rest.match(/^`+/)[0];
+                const close = this.findClosingTicks(text, i + ticks.length, ticks.length);
+                if (close !== -1) {
+                    let code = text.slice(i + ticks.length, close).replace(/\n/g, ' ');
+                    if (/^ .*[^ ].* $/.test(code)) {
+                        code = code.slice(1, -1);
+                    }
+                    push({ type: 'inlineCode', value: code });
+                    i = close + ticks.length;
+                } else {
+                    buffer += ticks;
+                    i += ticks.length;
+                }
+                continue;
+            }
+
+            if ((match = rest.match(/^<((?:https?|mailto):[^\s<>]*)>/i))) {
+                push({ type: 'link', url: match[1], title: null, children: [{ type: 'text', value: match[1] }] });
+                i += match[0].length;
+                continue;
+            }
+
+            if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+                const link = this.parseLink(text, char === '!' ? i + 1 : i);
+                if (link) {
+                    // Images render as links so chat content never loads remote resources
+                    push({ type: 'link', url: link.url, title: link.title, children: this.parseInline(link.label, true) });
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            if (char === '*' || char === '_' || char === '~') {
+                const emphasis = this.parseEmphasis(text, i, inLink);
+                if (emphasis) {
+                    push(emphasis.node);
+                    i = emphasis.end;
+                    continue;
+                }
+                const run = rest.match(/^(\*+|_+|~+)/)[0];
+                buffer += run;
+                i += run.length;
+                continue;
+            }
+
+            buffer += char;
+            i++;
+        }
+
+        flush();
+        return nodes;
+    },
+
+    // Index of the next backtick run of exactly the given length, or -1
+    findClosingTicks(text, from, length) {
+        const pattern = /`+/g;
+        pattern.lastIndex = from;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0].length === length) return match.index;
+        }
+        return -1;
+    },
+
+    // [label](destination "title") starting at text[start]; null when it isn't a complete link
+    parseLink(text, start) {
+        let depth = 0;
+        let i = start;
+        for (; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '`') {
+                const ticks = text.slice(i).match(/^`+/)[0];
+                const close = this.findClosingTicks(text, i + ticks.length, ticks.length);
+                if (close !== -1) i = close + ticks.length - 1;
+            } else if (text[i] === '[') {
+                depth++;
+            } else if (text[i] === ']' && --depth === 0) {
+                break;
+            }
+        }
+        if (depth !== 0) return null;
+
+        const match = text.slice(i + 1).match(/^\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/);
+        if (!match) return null;
+
+        return {
+            label: text.slice(start + 1, i),
+            url: this.unescape(match[1].replace(/^<|>$/g, '')),
+            title: match[2] ? this.unescape(match[2].slice(1, -1)) : null,
+            end: i + 1 + match[0].length
+        };
+    },
+
+    // Strong (** __), emphasis (* _) and strikethrough (~~) starting at text[start]; null when unclosed
+    parseEmphasis(text, start, inLink) {
+        const char = text[start];
+        const run = text.slice(start).match(char === '*' ? /^\*+/ : char === '_' ? /^_+/ : /^~+/)[0];
+        const before = text[start - 1] || ' ';
+        const after = text[start + run.length] || ' ';
+
+        // The opener must be followed by content, and an underscore can't open inside a word
+        if (/\s/.test(after) || (char === '_' && /[\p{L}\p{N}]/u.test(before))) return null;
+        if (char === '~' && run.length !== 2) return null;
+
+        const sizes = char === '~' ? [2] : run.length >= 3 ? [3, 2, 1] : [run.length];
+        for (const size of sizes) {
+            const delimiter = char.repeat(size);
+            let from = start + size;
+            while (from < text.length) {
+                const close = text.indexOf(delimiter, from);
+                if (close === -1) break;
+
+                const closeBefore = text[close - 1];
+                const closeAfter = text[close + size] || ' ';
+                const skipsCode = this.insideCodeSpan(text, start + size, close);
+                const valid = close > start + size && !/\s/.test(closeBefore) && closeBefore !== '\\' && closeBefore !== char &&
+                    !skipsCode && (char !== '_' || !/[\p{L}\p{N}]/u.test(closeAfter)) && closeAfter !== char;
+                if (valid) {
+                    const inner = this.parseInline(text.slice(start + size, close), inLink);
+                    const type = char === '~' ? 'delete' : size === 1 ? 'emphasis' : 'strong';
+                    const node = size === 3 ?
+                        { type: 'strong', children: [{ type: 'emphasis', children: inner }] } :
+                        { type, children: inner };
+                    return { node, end: close + size };
+                }
+                from = close + 1;
+            }
+        }
+        return null;
+    },
+
+    // Check whether position end falls inside an unterminated code span opened after from
+    insideCodeSpan(text, from, end) {
+        const ticks = (text.slice(from, end).match(/`/g) || []).length;
+        return ticks % 2 === 1;
+    },
+
+    // Turn bare http(s) URLs in plain text into link nodes (GFM autolink literals)
+    linkifyText(value) {
+        const nodes = [];
+        const pattern = /https?:\/\/[^\s<>"]+/gi;
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(value))) {
+            let url = match[0].replace(/[.,;:!?'*_~]+$/, '');
+            // Drop closing parentheses that don't belong to the URL
+            while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+                url = url.slice(0, -1);
+            }
+            if (match.index > last) {
+                nodes.push({ type: 'text', value: value.slice(last, match.index) });
+            }
+            nodes.push({ type: 'link', url, title: null, children: [{ type: 'text', value: url }] });
+            last = match.index + url.length;
+            pattern.lastIndex = last;
+        }
+
+        if (last < value.length) {
+            nodes.push({ type: 'text', value: value.slice(last) });
+        }
+        return nodes;
+    },
+
+    // Remove backslash escapes
+    unescape(text) {
+        return this.decodeEntities(text.replace(/\\([!-/:-@[-`{-~])/g, '$1'));
+    },
+
+    // Decode named and numeric character references
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]{1,6}|#\d{1,7}|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+            }
+            return Object.prototype.hasOwnProperty.call(this.ENTITIES, entity) ? this.ENTITIES[entity] : match;
+        });
+    },
+
+    // Call visitor(node, index, parent, ancestors) for every node below root, depth first.
+    // Returning a node from the visitor replaces the current one without descending into it.
+    visit(root, visitor, ancestors = []) {
+        if (!root.children) return;
+        const path = ancestors.concat(root);
+        for (let index = 0; index < root.children.length; index++) {
+            const node = root.children[index];
+            const replacement = visitor(node, index, root, path);
+            if (replacement) {
+                root.children[index] = replacement;
+            } else {
+                this.visit(node, visitor, path);
+            }
+        }
+    },
+
+    // Plain text of a node and its descendants
+    textContent(node) {
+        if (node.type === 'code') return node.value;
+        if (node.value !== undefined) return node.value;
+        return (node.children || []).map(child => this.textContent(child)).join('');
+    },
+
+    // Run a global regex over text nodes and splice in the nodes build(match, context) returns
+    // (a node, an array, or null to leave the match alone). Text in links and spans is never
+    // touched; text in code blocks only with options.includeCode. Returns the replacement count.
+    replaceText(root, pattern, build, options = {}) {
+        let count = 0;
+        this.visit(root, (node, index, parent, ancestors) => {
+            if (node.type !== 'text') return null;
+            if (ancestors.some(ancestor => ancestor.type === 'link' || ancestor.type === 'span')) return null;
+            const inCode = ancestors.some(ancestor => ancestor.type === 'code');
+            if (inCode && !options.includeCode) return null;
+
+            const previous = parent.children[index - 1];
+            const startsLine = index === 0 || previous.type === 'softbreak' || previous.type === 'break';
+            const pieces = [];
+            let last = 0;
+            let match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(node.value))) {
+                if (match[0] === '') {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                const built = build(match, { inCode, lineStart: match.index > 0 || startsLine, ancestors });
+                if (!built) continue;
+                if (match.index > last) {
+                    pieces.push({ type: 'text', value: node.value.slice(last, match.index) });
+                }
+                pieces.push(...[].concat(built));
+                last = match.index + match[0].length;
+                count++;
+            }
+            if (pieces.length === 0) return null;
+            if (last < node.value.length) {
+                pieces.push({ type: 'text', value: node.value.slice(last) });
+            }
+            parent.children.splice(index, 1, ...pieces);
+            // Returning the first piece stops the walk descending; the rest are visited as siblings
+            return pieces[0];
+        });
+        return count;
+    },
+
+    // Escape text for HTML content and attribute values
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Check whether a link destination uses an allowed protocol
+    isSafeUrl(url) {
+        // Browsers ignore whitespace and control characters inside the scheme
+        const trimmed = String(url || '').replace(/[\u0000-\u0020\u007f]/g, '');
+        const protocol = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !protocol || this.SAFE_PROTOCOLS.includes(protocol[1].toLowerCase() + ':');
+    },
+
+    // Render a tree to HTML. options.breaks renders soft line breaks as <br>, as chat messages expect.
+    // No whitespace is emitted between tags because message bubbles use white-space: pre-wrap.
+    render(node, options = {}) {
+        const children = (items) => (items || []).map(child => this.render(child, options)).join('');
+        const attributes = (pairs) => Object.entries(pairs)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => ` ${name}="${this.escape(value)}"`)
+            .join('');
+        const dataAttributes = (data) => Object.entries(data || {}).reduce((result, [key, value]) => {
+            result[`data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`] = value;
+            return result;
+        }, {});
+        const extra = (item) => ({ class: item.className, ...dataAttributes(item.data), ...(item.attributes || {}) });
+
+        switch (node.type) {
+            case 'document':
+                return children(node.children);
+            case 'heading':
+                return `<h${node.depth}>${children(node.children)}</h${node.depth}>`;
+            case 'paragraph':
+                return `<p>${children(node.children)}</p>`;
+            case 'code':
+                return `<pre${attributes({ class: node.className || 'code-block', 'data-language': node.language })}><code>${children(node.children)}</code></pre>`;
+            case 'blockquote':
+                return `<blockquote>${children(node.children)}</blockquote>`;
+            case 'list': {
+                const tag = node.ordered ? 'ol' : 'ul';
+                const start = node.ordered && node.start !== 1 ? node.start : null;
+                const items = node.children.map(item => {
+                    // Tight lists render their paragraphs without <p> wrappers
+                    const content = item.children.map(child => node.tight && child.type === 'paragraph' ?
+                        children(child.children) : this.render(child, options)).join('');
+                    return `<li>${content}</li>`;
+                }).join('');
+                return `<${tag}${attributes({ start })}>${items}</${tag}>`;
+            }
+            case 'table': {
+                const [header, ...rows] = node.children;
+                const body = rows.length ? `<tbody>${children(rows)}</tbody>` : '';
+                return `<table${attributes(extra(node))}><thead>${this.render(header, options)}</thead>${body}</table>`;
+            }
+            case 'tableRow':
+                return `<tr${attributes(extra(node))}>${children(node.children)}</tr>`;
+            case 'tableCell': {
+                const tag = node.header ? 'th' : 'td';
+                return `<${tag}${attributes({ align: node.align, ...extra(node) })}>${children(node.children)}</${tag}>`;
+            }
+            case 'thematicBreak':
+                return '<hr>';
+            case 'container':
+                return `<div${attributes(extra(node))}>${children(node.children)}</div>`;
+            case 'text':
+                return this.escape(node.value);
+            case 'softbreak':
+                return options.breaks ? '<br>' : '\n';
+            case 'break':
+                return '<br>';
+            case 'inlineCode':
+                return `<code class="inline-code">${this.escape(node.value)}</code>`;
+            case 'strong':
+                return `<strong>${children(node.children)}</strong>`;
+            case 'emphasis':
+                return `<em>${children(node.children)}</em>`;
+            case 'delete':
+                return `<del>${children(node.children)}</del>`;
+            case 'link':
+                if (!this.isSafeUrl(node.url)) {
+                    return children(node.children);
+                }
+                return `<a${attributes({ href: node.url, title: node.title, target: '_blank', rel: 'noopener noreferrer' })}>${children(node.children)}</a>`;
+            case 'span':
+                return `<span${attributes({ ...extra(node), title: node.title })}>${children(node.children)}</span>`;
+            case 'button':
+                return `<button type="button"${attributes(extra(node))}>${children(node.children)}</button>`;
+            case 'input':
+                return `<input${attributes({ type: node.inputType || 'text', ...extra(node) })}>`;
+            case 'token':
+                return `<span class="token token-${this.escape(node.kind)}">${children(node.children)}</span>`;
+            default:
+                return children(node.children);
+        }
+    },
+
+    // Strip every tag, attribute and URL not on the allowlist from an HTML string
+    sanitize(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.sanitizeChildren(template.content);
+        return template.innerHTML;
+    },
+
+    // Sanitise the children of a DOM node in place
+    sanitizeChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(this.ALLOWED_TAGS, tag)) {
+                if (this.DROP_CONTENT_TAGS.includes(tag)) {
+                    node.remove();
+                } else {
+                    // Keep the text of unknown elements, lose the element itself
+                    this.sanitizeChildren(node);
+                    node.replaceWith(...Array.from(node.childNodes));
+                }
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const allowed = this.GLOBAL_ATTRIBUTES.includes(name) || this.ALLOWED_TAGS[tag].includes(name);
+                if (!allowed || (name === 'href' && !this.isSafeUrl(attribute.value))) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+            if (tag === 'a' && node.hasAttribute('target')) {
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            this.sanitizeChildren(node);
+        });
+    }
+};
+
+console.log('✅ Markdown renderer loaded');
@@ -0,0 +1,385 @@
+/**
+ * Schema-Driven Parameter Forms
+ * Builds validated Adaptive Card forms from a template's declared Terraform variables
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.parameterForms = {
+
+    // Loaded schemas keyed by template ID
+    schemas: {},
+
+    // Masked stand-in for sensitive values kept in context and history
+    SENSITIVE_MASK: '••••••',
+
+    // Normalize variables from the template API or the HCL parser into one shape:
+    // { name, type, description, default, required, sensitive, resourceType, validation: [{ condition, errorMessage }] }
+    // resourceType is the Azure naming rule that applies to the value, when the variable names a resource
+    normalizeVariables(variables) {
+        return (variables || []).map(variable => {
+            const hasDefault = variable.default !== undefined && variable.default !== null;
+            return {
+                name: variable.name,
+                type: (variable.type || 'string').toString().trim(),
+                description: variable.description || '',
+                default: hasDefault ? variable.default : null,
+                required: variable.required !== undefined ? !!variable.required : !hasDefault,
+                sensitive: !!variable.sensitive,
+                resourceType: variable.resourceType || window.AzureAIAgent.azureNaming.typeForVariable(variable.name),
+                validation: variable.validation || []
+            };
+        });
+    },
+
+    // Base Terraform type of a variable: string, number, bool, list, map, set, object or tuple
+    baseType(variable) {
+        const match = variable.type.match(/^(\w+)/);
+        return match ? match[1].toLowerCase() : 'string';
+    },
+
+    // Turn the validation conditions we understand into form constraints.
+    // Conditions we cannot interpret are still enforced by Terraform at plan time.
+    compileRules(variable) {
+        const rules = { minLength: null, maxLength: null, pattern: null, options: null, min: null, max: null, messages: [] };
+        const name = variable.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        variable.validation.forEach(rule => {
+            const condition = rule.condition || '';
+            if (rule.errorMessage) {
+                rules.messages.push(rule.errorMessage);
+            }
+
+            const lengthPattern = new RegExp(`length\\(\\s*var\\.${name}\\s*\\)\\s*(>=|<=|>|<|==)\\s*(\\d+)`, 'g');
+            let match;
+            while ((match = lengthPattern.exec(condition)) !== null) {
+                this.applyBound(rules, 'minLength', 'maxLength', match[1], parseInt(match[2], 10));
+            }
+
+            const valuePattern = new RegExp(`(?<!length\\()\\bvar\\.${name}\\s*(>=|<=|>|<)\\s*(-?\\d+(?:\\.\\d+)?)`, 'g');
+            while ((match = valuePattern.exec(condition)) !== null) {
+                this.applyBound(rules, 'min', 'max', match[1], parseFloat(match[2]));
+            }
+
+            const containsMatch = condition.match(new RegExp(`contains\\(\\s*\\[([^\\]]*)\\]\\s*,\\s*(?:lower\\()?var\\.${name}\\)?\\s*\\)`));
+            if (containsMatch) {
+                rules.options = (containsMatch[1].match(/"(?:[^"\\]|\\.)*"|[\w.-]+/g) || [])
+                    .map(option => option.replace(/^"(.*)"$/, '$1'));
+            }
+
+            const regexMatch = condition.match(new RegExp(`regex\\(\\s*"((?:[^"\\\\]|\\\\.)*)"\\s*,\\s*var\\.${name}\\s*\\)`));
+            if (regexMatch) {
+                rules.pattern = regexMatch[1].replace(/\\\\/g, '\\');
+            }
+        });
+
+        return rules;
+    },
+
+    // Record a bound from a comparison operator
+    applyBound(rules, minKey, maxKey, operator, value) {
+        const integerStep = Number.isInteger(value) ? 1 : 0;
+        switch (operator) {
+            case '>=': rules[minKey] = value; break;
+            case '>': rules[minKey] = value + integerStep; break;
+            case '<=': rules[maxKey] = value; break;
+            case '<': rules[maxKey] = value - integerStep; break;
+            case '==': rules[minKey] = value; rules[maxKey] = value; break;
+        }
+    },
+
+    // Human readable label for a variable name
+    labelFor(variable) {
+        return variable.name.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+    },
+
+    // Build the Adaptive Card form for a template; options.submitAction overrides the Deploy action
+    buildAdaptiveCard(template, variables, options = {}) {
+        const body = [
+            { type: 'TextBlock', text: `⚙️ ${template.name || template.id}`, weight: 'Bolder', size: 'Medium', wrap: true }
+        ];
+        if (template.description) {
+            body.push({ type: 'TextBlock', text: template.description, wrap: true, isSubtle: true, spacing: 'Small' });
+        }
+
+        variables.forEach(variable => {
+            body.push(this.buildInput(variable));
+        });
+
+        return {
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.5',
+            body,
+            actions: [
+                { type: 'Action.Submit', title: '🚀 Deploy', style: 'positive', data: { action: options.submitAction || 'submitTemplateParameters', templateId: template.id } },
+                { type: 'Action.Submit', title: 'Cancel', associatedInputs: 'none', data: { action: 'cancel' } }
+            ]
+        };
+    },
+
+    // Build one Adaptive Card input with the constraints the renderer can enforce inline
+    buildInput(variable) {
+        const rules = this.compileRules(variable);
+        const type = this.baseType(variable);
+        const label = this.labelFor(variable) + (variable.sensitive ? ' 🔒' : '');
+        const errorMessage = rules.messages.join(' ') || `${this.labelFor(variable)} is required`;
+        const common = {
+            id: variable.name,
+            label,
+            isRequired: variable.required,
+            errorMessage
+        };
+
+        if (type === 'bool') {
+            return {
+                ...common,
+                type: 'Input.Toggle',
+                title: variable.description || label,
+                value: String(variable.default === null ? false : variable.default),
+                valueOn: 'true',
+                valueOff: 'false'
+            };
+        }
+
+        if (rules.options) {
+            return {
+                ...common,
+                type: 'Input.ChoiceSet',
+                style: 'compact',
+                choices: rules.options.map(option => ({ title: option, value: option })),
+                value: variable.default !== null ? String(variable.default) : undefined
+            };
+        }
+
+        if (type === 'number') {
+            return {
+                ...common,
+                type: 'Input.Number',
+                placeholder: variable.description,
+                value: variable.default !== null ? Number(variable.default) : undefined,
+                min: rules.min !== null ? rules.min : undefined,
+                max: rules.max !== null ? rules.max : undefined
+            };
+        }
+
+        if (type !== 'string') {
+            // Collections are entered as JSON
+            return {
+                ...common,
+                type: 'Input.Text',
+                isMultiline: true,
+                placeholder: `${variable.description} (JSON ${variable.type})`.trim(),
+                value: variable.default !== null ?
+                    (typeof variable.default === 'string' ? variable.default : JSON.stringify(variable.default)) : undefined
+            };
+        }
+
+        // Length bounds become a regex when the template does not supply its own;
+        // names of Azure resources fall back to the resource type's naming rule
+        const naming = window.AzureAIAgent.azureNaming;
+        const namingRule = naming.getRule(variable.resourceType);
+        let regex = rules.pattern;
+        if (!regex && namingRule) {
+            regex = naming.toPattern(variable.resourceType);
+            rules.maxLength = rules.maxLength !== null ? Math.min(rules.maxLength, namingRule.max) : namingRule.max;
+            common.errorMessage = `${rules.messages.join(' ')} ${naming.describe(variable.resourceType)}`.trim();
+        }
+        if (!regex && (rules.minLength !== null || rules.maxLength !== null)) {
+            regex = `^[\\s\\S]{${rules.minLength !== null ? rules.minLength : 0},${rules.maxLength !== null ? rules.maxLength : ''}}$`;
+        }
+
+        return {
+            ...common,
+            type: 'Input.Text',
+            style: variable.sensitive ? 'Password' : 'Text',
+            placeholder: variable.description,
+            value: variable.default !== null ? String(variable.default) : undefined,
+            maxLength: rules.maxLength !== null ? rules.maxLength : undefined,
+            regex: regex || undefined
+        };
+    },
+
+    // Validate and convert raw form values into typed parameters.
+    // Returns { values, errors } where errors maps variable names to messages.
+    validate(variables, rawValues) {
+        const values = {};
+        const errors = {};
+
+        variables.forEach(variable => {
+            const label = this.labelFor(variable);
+            const rules = this.compileRules(variable);
+            const message = rules.messages.join(' ');
+            const raw = rawValues[variable.name];
+            const isEmpty = raw === undefined || raw === null || String(raw).trim() === '';
+
+            if (isEmpty) {
+                if (variable.required) {
+                    errors[variable.name] = `${label} is required`;
+                } else if (variable.default !== null) {
+                    values[variable.name] = variable.default;
+                }
+                return;
+            }
+
+            const text = String(raw).trim();
+            switch (this.baseType(variable)) {
+                case 'bool':
+                    values[variable.name] = text === 'true';
+                    break;
+                case 'number': {
+                    const number = Number(text);
+                    if (isNaN(number)) {
+                        errors[variable.name] = `${label} must be a number`;
+                    } else if ((rules.min !== null && number < rules.min) || (rules.max !== null && number > rules.max)) {
+                        errors[variable.name] = message || `${label} must be between ${rules.min} and ${rules.max}`;
+                    } else {
+                        values[variable.name] = number;
+                    }
+                    break;
+                }
+                case 'string': {
+                    const naming = variable.resourceType ?
+                        window.AzureAIAgent.azureNaming.validate(variable.resourceType, text) : null;
+                    if ((rules.minLength !== null && text.length < rules.minLength) ||
+                        (rules.maxLength !== null && text.length > rules.maxLength)) {
+                        errors[variable.name] = message || `${label} must be ${rules.minLength || 0}-${rules.maxLength || '∞'} characters`;
+                    } else if (rules.options && !rules.options.includes(text)) {
+                        errors[variable.name] = message || `${label} must be one of: ${rules.options.join(', ')}`;
+                    } else if (rules.pattern && !this.testPattern(rules.pattern, text)) {
+                        errors[variable.name] = message || `${label} has an invalid format`;
+                    } else if (naming && !naming.valid) {
+                        errors[variable.name] = naming.errors.join('; ');
+                    } else {
+                        values[variable.name] = text;
+                    }
+                    break;
+                }
+                default:
+                    try {
+                        values[variable.name] = JSON.parse(text);
+                    } catch (error) {
+                        errors[variable.name] = `${label} must be valid JSON (${variable.type})`;
+                    }
+            }
+        });
+
+        return { values, errors };
+    },
+
+    // Test a Terraform (RE2) pattern, treating patterns JavaScript cannot compile as passing
+    testPattern(pattern, text) {
+        try {
+            return new RegExp(pattern).test(text);
+        } catch (error) {
+            console.warn('⚠️ Unsupported validation pattern, leaving it to Terraform:', pattern);
+            return true;
+        }
+    },
+
+    // Copy of the parameters that is safe to keep in context and history
+    maskSensitive(variables, values) {
+        const masked = { ...values };
+        variables.forEach(variable => {
+            if (variable.sensitive && masked[variable.name] !== undefined) {
+                masked[variable.name] = this.SENSITIVE_MASK;
+            }
+        });
+        return masked;
+    },
+
+    // The deploy API takes a string dictionary; collections travel as JSON
+    serialize(values) {
+        const serialized = {};
+        Object.entries(values).forEach(([name, value]) => {
+            serialized[name] = typeof value === 'string' ? value : JSON.stringify(value);
+        });
+        return serialized;
+    },
+
+    // Fetch a template's declared variables from the template API
+    async loadSchema(templateId) {
+        const data = await window.AzureAIAgent.api.get(`/api/templates/${encodeURIComponent(templateId)}/form`, { requireSuccess: true });
+
+        this.schemas[templateId] = { template: data.template, variables: this.normalizeVariables(data.template.parameters) };
+        return this.schemas[templateId];
+    },
+
+    // Load a template's variables and show its form in the chat
+    async showForTemplate(templateId) {
+        try {
+            const schema = await this.loadSchema(templateId);
+            this.showForm(schema.template, schema.variables);
+        } catch (error) {
+            console.error('❌ Error loading parameter form:', error);
+            window.AzureAIAgent.api.report(error, { context: 'Loading the parameter form' });
+        }
+    },
+
+    // Show a form for any template given its declared variables
+    showForm(template, variables, options = {}) {
+        const normalized = this.normalizeVariables(variables);
+        this.schemas[template.id] = { template, variables: normalized };
+        window.AzureAIAgent.terraform.updateContext('template_variables', normalized);
+
+        console.log(`🧾 Showing parameter form for ${template.id} with ${normalized.length} variables`);
+        window.AzureAIAgent.ui.addAdaptiveCardMessage(null, this.buildAdaptiveCard(template, normalized, options));
+    },
+
+    // Validate a submitted form and deploy it with a structured parameter object
+    async handleSubmit(actionData) {
+        const { action, templateId, ...rawValues } = actionData;
+        let schema = this.schemas[templateId];
+        if (!schema) {
+            try {
+                schema = await this.loadSchema(templateId);
+            } catch (error) {
+                console.error('❌ No parameter schema for template:', templateId, error);
+                window.AzureAIAgent.api.report(error, { context: `Loading template ${templateId}` });
+                return;
+            }
+        }
+
+        const { values, errors } = this.validate(schema.variables, rawValues);
+        const errorList = Object.values(errors);
+        if (errorList.length > 0) {
+            window.AzureAIAgent.ui.showNotification(errorList[0], 'error');
+            window.AzureAIAgent.ui.addMessage('assistant',
+                '⚠️ **Please fix these parameters:**\n' + errorList.map(error => `* ${error}`).join('\n'));
+            return;
+        }
+
+        const maskedValues = this.maskSensitive(schema.variables, values);
+        window.AzureAIAgent.terraform.updateContext('submitted_parameters', maskedValues);
+        window.AzureAIAgent.ui.addMessage('user', `🚀 Deploy **${schema.template.name || templateId}**`);
+
+        try {
+            const data = await window.AzureAIAgent.api.post('/api/templates/deploy', {
+                templateId: templateId,
+                parameters: this.serialize(values),
+                sessionId: window.AzureAIAgent.config.SESSION_ID
+            }, { requireSuccess: true });
+
+            console.log('✅ Template deployment started:', data.deploymentId);
+            if (data.adaptiveCard) {
+                window.AzureAIAgent.ui.addAdaptiveCardMessage(null, JSON.parse(data.adaptiveCard));
+            }
+
+            window.AzureAIAgent.terraform.trackTemplateOperation('deployment_started', {
+                deploymentId: data.deploymentId,
+                templateId: templateId,
+                templateName: schema.template.name,
+                parameters: maskedValues
+            });
+            // Template deployments have no event stream, only a status snapshot
+            window.AzureAIAgent.progress.trackDeploymentProgress(data.deploymentId, {
+                statusPath: id => `/api/templates/deployments/${encodeURIComponent(id)}/status`,
+                push: false
+            });
+        } catch (error) {
+            console.error('❌ Template deployment failed:', error);
+            window.AzureAIAgent.api.report(error, { context: 'Starting the deployment' });
+        }
+    }
+};
+
+console.log('✅ Schema-driven parameter forms loaded');
@@ -0,0 +1,283 @@
+/**
+ * Terraform Plan Review
+ * Parses `terraform plan` output into a per-resource diff and gates destructive deploys
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.planReview = {
+
+    // Most recent plan per template ID
+    plans: {},
+
+    // Plan headers look like "# azurerm_resource_group.main will be created"
+    actionPatterns: [
+        { action: 'replace', pattern: /must be replaced|will be replaced/i },
+        { action: 'destroy', pattern: /will be destroyed/i },
+        { action: 'update', pattern: /will be updated in-place/i },
+        { action: 'create', pattern: /will be created/i },
+        { action: 'read', pattern: /will be read during apply/i }
+    ],
+
+    actionLabels: {
+        create: 'create',
+        update: 'update in-place',
+        replace: 'replace',
+        destroy: 'destroy',
+        read: 'read'
+    },
+
+    // Check whether content carries a plan summary or per-resource plan headers
+    containsPlan(content) {
+        if (!content) return false;
+        return /\d+\s+to\s+add,\s+\d+\s+to\s+change,\s+\d+\s+to\s+destroy/i.test(content) ||
+            /^\s*#\s+\S+\s+(will be (created|destroyed|updated in-place|replaced)|must be replaced)/m.test(content);
+    },
+
+    // Parse plan text into { resources, summary, hasDestructive }
+    parsePlan(text) {
+        const resources = [];
+        let current = null;
+        let summary = null;
+
+        this.cleanLines(text).forEach(line => {
+            const summaryMatch = line.match(/Plan:\s*(\d+)\s+to\s+add,\s+(\d+)\s+to\s+change,\s+(\d+)\s+to\s+destroy/i);
+            if (summaryMatch) {
+                summary = {
+                    add: parseInt(summaryMatch[1], 10),
+                    change: parseInt(summaryMatch[2], 10),
+                    destroy: parseInt(summaryMatch[3], 10)
+                };
+                current = null;
+                return;
+            }
+
+            const headerMatch = line.match(/^\s*#\s+(\S+)\s+(.*)$/);
+            if (headerMatch) {
+                const match = this.actionPatterns.find(entry => entry.pattern.test(headerMatch[2]));
+                if (match) {
+                    current = { address: headerMatch[1], action: match.action, reason: headerMatch[2].trim(), lines: [], depth: 0 };
+                    resources.push(current);
+                    return;
+                }
+            }
+
+            if (current) {
+                if (!line.trim() && current.lines.length === 0) return;
+
+                // The resource body ends when its braces balance again
+                current.lines.push(line);
+                const code = line.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+                current.depth += (code.match(/{/g) || []).length - (code.match(/}/g) || []).length;
+                if (current.depth <= 0 && /[{}]/.test(code)) {
+                    current = null;
+                }
+            }
+        });
+
+        // Older plans or trimmed output may only carry the summary; derive it otherwise
+        if (!summary) {
+            summary = {
+                add: resources.filter(r => r.action === 'create' || r.action === 'replace').length,
+                change: resources.filter(r => r.action === 'update').length,
+                destroy: resources.filter(r => r.action === 'destroy' || r.action === 'replace').length
+            };
+        }
+
+        const destructive = resources.filter(r => r.action === 'destroy' || r.action === 'replace');
+
+        return {
+            resources,
+            summary,
+            destructive,
+            hasDestructive: destructive.length > 0 || summary.destroy > 0
+        };
+    },
+
+    // Strip ANSI colours and the backend's "HH:mm:ss " line prefixes
+    cleanLines(text) {
+        return (text || '')
+            .replace(/\u001b\[[0-9;]*m/g, '')
+            .split(/\r?\n/)
+            .map(line => line.replace(/^\d{2}:\d{2}:\d{2}\s/, ''));
+    },
+
+    // Remember a plan so the Deploy action for the same template can be reviewed
+    remember(plan, templateId) {
+        if (!templateId) {
+            // A plan that names no template cannot be matched to a Deploy action safely
+            console.log('📋 Terraform plan shown without a template ID, not recorded for review:', plan.summary);
+            return;
+        }
+        this.plans[templateId] = plan;
+        console.log('📋 Terraform plan recorded:', templateId, plan.summary);
+    },
+
+    // Forget recorded plans, e.g. when switching conversations
+    reset() {
+        this.plans = {};
+    },
+
+    // Drop a template's plan once its code has changed
+    forget(templateId) {
+        delete this.plans[templateId];
+    },
+
+    // Find the plan that belongs to a template
+    getPlan(templateId) {
+        return this.plans[templateId] || null;
+    },
+
+    // Render the summary badges and a collapsible diff per resource
+    renderPlan(plan) {
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+
+        const resources = plan.resources.map(resource => {
+            const body = resource.lines.map(line => {
+                const marker = line.trim().match(/^(-\/\+|\+\/-|<=|[+~-])/);
+                const cls = marker ? this.lineClass(marker[1]) : '';
+                return `<span class="plan-line${cls ? ' ' + cls : ''}">${escape(line)}</span>`;
+            }).join('\n');
+
+            // Destructive changes start expanded so they cannot be missed
+            const open = resource.action === 'destroy' || resource.action === 'replace' ? ' open' : '';
+            return `
+                <details class="plan-resource plan-${resource.action}"${open}>
+                    <summary>
+                        <span class="plan-action-badge">${this.actionLabels[resource.action]}</span>
+                        <span class="plan-address">${escape(resource.address)}</span>
+                    </summary>
+                    ${body ? `<pre class="plan-diff">${body}</pre>` : ''}
+                </details>
+            `;
+        }).join('');
+
+        return `
+            <div class="plan-review">
+                <div class="plan-summary">
+                    <span class="plan-count plan-create">+${plan.summary.add} to add</span>
+                    <span class="plan-count plan-update">~${plan.summary.change} to change</span>
+                    <span class="plan-count plan-destroy">-${plan.summary.destroy} to destroy</span>
+                </div>
+                ${resources}
+            </div>
+        `;
+    },
+
+    // Colour a diff line by its leading marker
+    lineClass(marker) {
+        switch (marker) {
+            case '+': return 'plan-line-add';
+            case '-': return 'plan-line-remove';
+            case '~': return 'plan-line-change';
+            case '-/+':
+            case '+/-': return 'plan-line-replace';
+            default: return '';
+        }
+    },
+
+    // Show the plan before deploying. Resolves true when the user chooses to deploy.
+    // Without a recorded plan one is run on the backend first; when none can be had the deploy is refused.
+    // Plans that destroy or replace resources need an explicit acknowledgement first.
+    async confirmDeploy(templateId) {
+        const plan = this.getPlan(templateId) || await this.fetchPlan(templateId);
+        if (!plan) {
+            return false;
+        }
+        return this.showReview(plan);
+    },
+
+    // Run `terraform plan` for a template on the backend and record it. Resolves null when it fails.
+    async fetchPlan(templateId) {
+        const app = window.AzureAIAgent;
+        console.log('📋 No Terraform plan reviewed for', templateId, '- running one');
+        app.ui.showNotification(`Running terraform plan for ${templateId}…`, 'info');
+
+        try {
+            // init downloads providers, so the plan can take longer than any fixed timeout
+            const data = await app.api.post('/api/azure/terraform-plan', {
+                templateId,
+                sessionId: app.config.SESSION_ID
+            }, { timeout: 0, requireSuccess: true, label: `Terraform plan ${templateId}` });
+
+            const plan = this.parsePlan(data.plan);
+            this.remember(plan, templateId);
+            return plan;
+        } catch (error) {
+            console.error('❌ Terraform plan failed:', error);
+            app.api.report(error, { context: `The Terraform plan for ${templateId}` });
+            const output = error.details && error.details.plan;
+            app.ui.addMessage('assistant', '🛑 **Deployment not started** - it needs a reviewed plan.' +
+                (output ? `\n\n\`\`\`\n${output.trim()}\n\`\`\`` : ''));
+            return null;
+        }
+    },
+
+    // Open the review dialog for a plan
+    showReview(plan) {
+        return new Promise(resolve => {
+            this.hide();
+
+            const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+            const backdrop = document.createElement('div');
+            backdrop.className = 'history-log-backdrop plan-review-backdrop';
+
+            const acknowledgement = plan.hasDestructive ? `
+                <label class="plan-acknowledge">
+                    <input type="checkbox" class="plan-acknowledge-input">
+                    I understand this deployment will destroy or replace
+                    ${plan.destructive.length || plan.summary.destroy} existing resource(s)
+                    ${plan.destructive.length ? `(${plan.destructive.map(r => escape(r.address)).join(', ')})` : ''}
+                </label>
+            ` : '';
+
+            backdrop.innerHTML = `
+                <div class="history-log-modal plan-review-modal">
+                    <div class="history-log-header">
+                        <h3>Review Terraform plan</h3>
+                        <button type="button" class="history-log-close" title="Close">✕</button>
+                    </div>
+                    <div class="plan-review-body">${this.renderPlan(plan)}</div>
+                    <div class="plan-review-footer">
+                        ${acknowledgement}
+                        <div class="plan-review-buttons">
+                            <button type="button" class="plan-review-cancel">Cancel</button>
+                            <button type="button" class="plan-review-deploy"${plan.hasDestructive ? ' disabled' : ''}>Deploy</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const finish = (confirmed) => {
+                this.hide();
+                resolve(confirmed);
+            };
+
+            const deployButton = backdrop.querySelector('.plan-review-deploy');
+            const acknowledge = backdrop.querySelector('.plan-acknowledge-input');
+            if (acknowledge) {
+                acknowledge.addEventListener('change', () => {
+                    deployButton.disabled = !acknowledge.checked;
+                });
+            }
+
+            deployButton.addEventListener('click', () => finish(true));
+            backdrop.querySelector('.plan-review-cancel').addEventListener('click', () => finish(false));
+            backdrop.querySelector('.history-log-close').addEventListener('click', () => finish(false));
+            backdrop.addEventListener('click', (e) => {
+                if (e.target === backdrop) finish(false);
+            });
+
+            document.body.appendChild(backdrop);
+        });
+    },
+
+    // Close the review dialog
+    hide() {
+        const existing = document.querySelector('.plan-review-backdrop');
+        if (existing) {
+            existing.remove();
+        }
+    }
+};
+
+console.log('✅ Terraform plan review loaded');
@@ -7,7 +7,9 @@ window.AzureAIAgent = window.AzureAIAgent || {};
 window.AzureAIAgent.progress = {
 
     deploymentId: null,
-    pollInterval: null,
+    subscription: null,
+    outputView: null,
+    stateListener: null,
 
     // Start deployment with real terraform output tracking
     showDeploymentLoading(message = 'Starting deployment...') {
@@ -29,39 +31,92 @@ window.AzureAIAgent.progress = {
         }
 
         // Clear previous output
-        const outputPre = document.getElementById('terraformOutputPre');
-        if (outputPre) {
-            outputPre.textContent = '';
+        this.getOutputView()?.reset();
+    },
+
+    // Show or hide the Terraform output console; open defaults to flipping it
+    toggleTerraformConsole(open) {
+        const terraformOutput = document.getElementById('terraformLiveOutput');
+        if (!terraformOutput) return;
+
+        const shouldOpen = open === undefined ? terraformOutput.style.display === 'none' : open;
+        terraformOutput.style.display = shouldOpen ? 'block' : 'none';
+    },
+
+    // Parsed resource table and searchable log inside the terraform console
+    getOutputView() {
+        if (!this.outputView) {
+            const terraformConsole = document.getElementById('terraformConsole');
+            if (terraformConsole) {
+                this.outputView = window.AzureAIAgent.terraformOutput.createView(terraformConsole);
+            }
         }
+        return this.outputView;
     },
 
-    // Start polling for real terraform output
-    startPolling(deploymentId) {
+    // Subscribe to the deployment's event channel for real terraform output.
+    // options are passed through to deploymentEvents.subscribe (e.g. statusPath)
+    startPolling(deploymentId, options = {}) {
+        this.stopPolling();
         this.deploymentId = deploymentId;
-        console.log(`🔄 Starting to poll for deployment: ${deploymentId}`);
+        console.log(`📡 Subscribing to deployment events: ${deploymentId}`);
         
-        this.pollInterval = setInterval(() => {
-            this.pollProgress();
-        }, 1000); // Poll every second for real-time output
+        this.subscription = window.AzureAIAgent.deploymentEvents.subscribe(deploymentId, {
+            onOutput: (lines) => {
+                this.appendTerraformOutput(lines);
+                window.AzureAIAgent.deploymentHistory.appendOutput(deploymentId, lines);
+                window.AzureAIAgent.dependencyGraph.applyOutput(deploymentId, lines);
+            },
+            onStatus: (status) => {
+                this.updateFromRealStatus(status);
+                window.AzureAIAgent.deploymentState.feed(deploymentId, status);
+            },
+            onError: (error) => console.error('❌ Deployment event error:', error)
+        }, options);
     },
 
-    // Poll for actual terraform progress
-    async pollProgress() {
-        if (!this.deploymentId) return;
+    // React to deployment lifecycle changes - the only thing that opens or closes the progress UI
+    handleStateChange(deploymentId, state, snapshot) {
+        const label = window.AzureAIAgent.deploymentState.LABELS[state];
 
-        try {
-            const response = await fetch(`/api/azure/deployment-status/${this.deploymentId}`);
-            if (response.ok) {
-                const status = await response.json();
-                console.log('📊 Progress status:', status);
-                this.updateFromRealStatus(status);
-            }
-        } catch (error) {
-            console.error('❌ Error polling progress:', error);
+        const statusElement = document.getElementById('deploymentStatus');
+        if (statusElement) {
+            statusElement.dataset.state = state;
+        }
+
+        switch (state) {
+            case 'queued':
+                this.showDeploymentLoading(`${label}...`);
+                break;
+            case 'done':
+                window.AzureAIAgent.terraform.trackTemplateOperation('deployment_completed', { deploymentId });
+                this.handleSuccess((snapshot && snapshot.message) || 'Deployment completed successfully!');
+                break;
+            case 'failed':
+                window.AzureAIAgent.terraform.trackTemplateOperation('deployment_failed', { deploymentId });
+                this.handleError((snapshot && (snapshot.errorMessage || snapshot.message)) || 'Deployment failed');
+                break;
+            case 'cancelled':
+                window.AzureAIAgent.deploymentHistory.complete(deploymentId, 'Cancelled');
+                this.handleError(label);
+                break;
+            default:
+                this.updateDeploymentMessage((snapshot && snapshot.message) || `${label}...`);
         }
     },
 
-    // Update UI with real terraform output
+    // Subscribe to the state machine once
+    ensureStateListener() {
+        if (this.stateListener) return;
+
+        this.stateListener = window.AzureAIAgent.deploymentState.onChange((deploymentId, state, previous, snapshot) => {
+            if (deploymentId === this.deploymentId) {
+                this.handleStateChange(deploymentId, state, snapshot);
+            }
+        });
+    },
+
+    // Update status text and current command from a backend snapshot
     updateFromRealStatus(status) {
         // Update status text
         if (status.message) {
@@ -78,62 +133,15 @@ window.AzureAIAgent.progress = {
                 commandElement.textContent = status.currentTerraformCommand;
             }
         }
-
-        // Display real terraform output
-        if (status.terraformOutput && status.terraformOutput.length > 0) {
-            this.displayRealTerraformOutput(status.terraformOutput);
-            
-            // Check for success patterns in terraform output
-            const fullOutput = status.terraformOutput.join('\n').toLowerCase();
-            if (this.isDeploymentSuccessful(fullOutput)) {
-                console.log('✅ Success detected in terraform output');
-                this.handleSuccess('Deployment completed successfully!');
-                return;
-            }
-        }
-
-        // Handle completion based on status
-        if (status.status === 'Completed') {
-            this.handleSuccess(status.message || 'Deployment completed successfully!');
-        } else if (status.status === 'Failed') {
-            this.handleError(status.errorMessage || 'Deployment failed');
-        }
     },
 
-    // Display actual terraform output without simulation
-    displayRealTerraformOutput(outputLines) {
-        const outputPre = document.getElementById('terraformOutputPre');
-        if (!outputPre) return;
+    // Feed newly received terraform output lines to the parsed view
+    appendTerraformOutput(newLines) {
+        const outputView = this.getOutputView();
+        if (!outputView) return;
 
-        console.log('📟 Displaying real terraform output:', outputLines.length, 'lines');
-
-        // Join all output lines with newlines to show complete terraform log
-        const fullOutput = outputLines.join('\n');
-        outputPre.textContent = fullOutput;
-
-        // Auto-scroll to bottom to show latest output
-        const terraformConsole = document.getElementById('terraformConsole');
-        if (terraformConsole) {
-            terraformConsole.scrollTop = terraformConsole.scrollHeight;
-        }
-    },
-
-    // Check if deployment was successful based on terraform output
-    isDeploymentSuccessful(terraformOutput) {
-        const successPatterns = [
-            'apply complete!',
-            'deployment completed successfully',
-            'resources: \\d+ added, \\d+ changed, \\d+ destroyed', // handles both no changes and changes
-            'terraform apply completed',
-            'deployment successful',
-            'infrastructure deployed successfully',
-            'resources created successfully'
-        ];
-        
-        return successPatterns.some(pattern => {
-            const regex = new RegExp(pattern, 'i');
-            return regex.test(terraformOutput);
-        });
+        console.log('📟 Appending real terraform output:', newLines.length, 'lines');
+        outputView.append(newLines);
     },
 
     // Handle successful deployment
@@ -167,11 +175,11 @@ window.AzureAIAgent.progress = {
         // Keep output visible for debugging
     },
 
-    // Stop polling
+    // Stop listening for deployment events
     stopPolling() {
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-            this.pollInterval = null;
+        if (this.subscription) {
+            this.subscription.close();
+            this.subscription = null;
         }
     },
 
@@ -194,10 +202,13 @@ window.AzureAIAgent.progress = {
         this.stopPolling();
     },
 
-    // Compatibility method for existing event handlers
-    trackDeploymentProgress(deploymentId) {
+    // Follow a deployment: create its state machine, then feed it from the event channel
+    trackDeploymentProgress(deploymentId, options = {}) {
         console.log('🔄 trackDeploymentProgress called with:', deploymentId);
-        this.startPolling(deploymentId);
+        this.ensureStateListener();
+        this.deploymentId = deploymentId;
+        window.AzureAIAgent.deploymentState.create(deploymentId);
+        this.startPolling(deploymentId, options);
     },
 
     // Compatibility method for error handling
@@ -5,6 +5,12 @@
 window.AzureAIAgent = window.AzureAIAgent || {};
 window.AzureAIAgent.progress = {
 
+    deploymentSubscription: null,
+    deploymentId: null,
+    stateListener: null,
+    terraformOutputView: null,
+    currentTerraformCommand: '',
+
     // Show deployment loading indicator - Modern modal style
     showDeploymentLoading(message = 'Initializing deployment...') {
         // Remove any existing progress indicator
@@ -268,8 +274,8 @@ window.AzureAIAgent.progress = {
         }
     },
 
-    // Track deployment progress with real backend status
-    trackDeploymentProgress(deploymentId) {
+    // Track deployment progress with real backend status; options go to deploymentEvents.subscribe
+    trackDeploymentProgress(deploymentId, options = {}) {
         // Only track actual deployment IDs, not application events
         if (!deploymentId || deploymentId === 'Application Started' || deploymentId.startsWith('Application ')) {
             console.log('⏭️ Skipping progress tracking for application event:', deploymentId);
@@ -278,51 +284,56 @@ window.AzureAIAgent.progress = {
 
         console.log('🔄 Starting deployment progress tracking for:', deploymentId);
         
-        let pollCount = 0;
-        const maxPolls = 150; // 5 minutes max (150 * 2 seconds)
+        if (this.deploymentSubscription) {
+            this.deploymentSubscription.close();
+        }
+        if (this.terraformOutputView) {
+            this.terraformOutputView.reset();
+        }
         
-        const checkProgress = async () => {
-            try {
-                pollCount++;
-                console.log(`📊 Polling deployment status (${pollCount}/${maxPolls}):`, deploymentId);
-                
-                const response = await fetch(`/api/azure/deployment-status/${deploymentId}`);
-                if (response.ok) {
-                    const status = await response.json();
-                    console.log('📥 Deployment status received:', status);
-                    this.updateProgressFromStatus(status);
-                    
-                    // Continue polling if deployment is still in progress
-                    if ((status.status === 'InProgress' || status.status === 'Pending') && pollCount < maxPolls) {
-                        setTimeout(checkProgress, 2000); // Poll every 2 seconds
-                    } else if (status.status === 'Completed') {
-                        this.handleDeploymentComplete(status);
-                    } else if (status.status === 'Failed') {
-                        this.handleDeploymentFailed(status);
-                    } else if (pollCount >= maxPolls) {
-                        console.log('⏰ Max polling attempts reached, stopping');
-                        this.addLogEntry('Polling timeout reached. Check deployment status manually.');
-                    }
-                } else if (response.status === 404) {
-                    console.log('📋 Deployment not found in cache yet, will retry...');
-                    if (pollCount < 10) { // Give it 20 seconds to appear in cache
-                        setTimeout(checkProgress, 2000);
-                    } else {
-                        console.log('❌ Deployment ID not found after retries');
-                        this.addLogEntry('Deployment tracking failed: ID not found in system');
-                    }
-                } else {
-                    console.error('❌ Failed to fetch deployment status:', response.status);
-                    this.addLogEntry(`Error fetching status: ${response.status}`);
-                }
-            } catch (error) {
+        this.ensureStateListener();
+        this.deploymentId = deploymentId;
+        window.AzureAIAgent.deploymentState.create(deploymentId);
+        
+        this.deploymentSubscription = window.AzureAIAgent.deploymentEvents.subscribe(deploymentId, {
+            onOutput: (lines) => {
+                window.AzureAIAgent.deploymentHistory.appendOutput(deploymentId, lines);
+                this.updateTerraformOutput(lines, this.currentTerraformCommand);
+            },
+            onStatus: (status) => {
+                console.log('📥 Deployment status received:', status);
+                this.updateProgressFromStatus(status);
+                window.AzureAIAgent.deploymentState.feed(deploymentId, status);
+            },
+            onComplete: () => {
+                this.deploymentSubscription = null;
+            },
+            onError: (error) => {
                 console.error('❌ Error tracking deployment progress:', error);
                 this.addLogEntry(`Error tracking deployment: ${error.message}`);
             }
-        };
-        
-        // Start polling immediately
-        checkProgress();
+        }, options);
+    },
+
+    // Subscribe to the state machine once; it alone decides steps and completion
+    ensureStateListener() {
+        if (this.stateListener) return;
+
+        this.stateListener = window.AzureAIAgent.deploymentState.onChange((deploymentId, state, previous, snapshot) => {
+            if (deploymentId !== this.deploymentId) return;
+
+            this.updateStepsFromState(state);
+            if (state === 'done') {
+                window.AzureAIAgent.terraform.trackTemplateOperation('deployment_completed', { deploymentId });
+                this.handleDeploymentComplete(snapshot);
+            } else if (state === 'failed') {
+                window.AzureAIAgent.terraform.trackTemplateOperation('deployment_failed', { deploymentId });
+                this.handleDeploymentFailed(snapshot);
+            } else if (state === 'cancelled') {
+                window.AzureAIAgent.deploymentHistory.complete(deploymentId, 'Cancelled');
+                this.handleDeploymentFailed(snapshot);
+            }
+        });
     },
 
     // Handle deployment completion
@@ -381,31 +392,19 @@ window.AzureAIAgent.progress = {
             }
         }
         
-        // Update terraform output in real-time
-        if (status.terraformOutput && status.terraformOutput.length > 0) {
-            this.updateTerraformOutput(status.terraformOutput, status.currentTerraformCommand);
-        }
-        
-        // Update steps based on terraform phase
-        if (status.terraformPhase) {
-            this.updateStepsFromTerraformPhase(status.terraformPhase);
+        // Terraform output lines arrive separately through the deployment event channel
+        if (status.currentTerraformCommand) {
+            this.currentTerraformCommand = status.currentTerraformCommand;
         }
         
         // Add log entry
         if (status.detailedMessage) {
             this.addLogEntry(status.detailedMessage);
         }
-        
-        // Handle completion
-        if (status.status === 'Completed') {
-            this.handleDeploymentSuccess('Deployment completed successfully!');
-        } else if (status.status === 'Failed') {
-            this.handleDeploymentError(status.errorMessage || 'Deployment failed');
-        }
     },
 
-    // Update terraform output in real-time code block
-    updateTerraformOutput(outputLines, currentCommand) {
+    // Feed new terraform output lines to the parsed resource table and searchable log
+    updateTerraformOutput(newLines, currentCommand) {
         let outputContainer = document.querySelector('.terraform-output-container');
         
         // Create terraform output container if it doesn't exist
@@ -419,9 +418,7 @@ window.AzureAIAgent.progress = {
                         <span class="terraform-output-title">🖥️ Terraform Output</span>
                         <span class="terraform-current-command">${currentCommand || ''}</span>
                     </div>
-                    <div class="terraform-output-content">
-                        <pre class="terraform-output-code"></pre>
-                    </div>
+                    <div class="terraform-output-content"></div>
                 `;
                 
                 // Add CSS styles
@@ -446,24 +443,10 @@ window.AzureAIAgent.progress = {
                 `;
                 
                 const content = outputContainer.querySelector('.terraform-output-content');
-                content.style.cssText = `
-                    max-height: 300px;
-                    overflow-y: auto;
-                    padding: 0;
-                `;
-                
-                const codeBlock = outputContainer.querySelector('.terraform-output-code');
-                codeBlock.style.cssText = `
-                    margin: 0;
-                    padding: 16px;
-                    background: #1a1a1a;
-                    color: #00ff00;
-                    font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
-                    font-size: 12px;
-                    line-height: 1.4;
-                    white-space: pre-wrap;
-                    word-break: break-all;
-                `;
+                if (this.terraformOutputView) {
+                    this.terraformOutputView.destroy();
+                }
+                this.terraformOutputView = window.AzureAIAgent.terraformOutput.createView(content);
                 
                 // Insert before the actions div
                 const actionsDiv = modal.querySelector('.deployment-actions');
@@ -483,37 +466,45 @@ window.AzureAIAgent.progress = {
             }
         }
         
-        // Update output content
-        const codeBlock = outputContainer.querySelector('.terraform-output-code');
-        if (codeBlock && outputLines) {
-            // Show last 100 lines to prevent UI lag
-            const recentLines = outputLines.slice(-100);
-            codeBlock.textContent = recentLines.join('\n');
-            
-            // Auto-scroll to bottom
-            const contentDiv = outputContainer.querySelector('.terraform-output-content');
-            if (contentDiv) {
-                contentDiv.scrollTop = contentDiv.scrollHeight;
-            }
+        // Append to the full, untruncated log
+        if (this.terraformOutputView && newLines) {
+            this.terraformOutputView.append(newLines);
         }
     },
 
-    // Update steps based on terraform phase
-    updateStepsFromTerraformPhase(phase) {
-        const stepMapping = {
-            'initializing': 0,
-            'downloading': 0,
-            'preparing': 1,
-            'planning': 1,
-            'applying': 2,
-            'provisioning': 2,
-            'finalizing': 3,
-            'completed': 4,
-            'error': -1
+    // Update steps from the deployment state machine
+    updateStepsFromState(state) {
+        const stateSteps = {
+            'queued': 'init',
+            'init': 'init',
+            'plan': 'plan',
+            'awaiting-approval': 'plan',
+            'apply': 'apply',
+            'outputs': 'apply',
+            'done': 'complete'
         };
         
-        const stepIndex = stepMapping[phase] || 0;
-        this.updateActiveStep(stepIndex);
+        const steps = document.querySelectorAll('.deployment-step');
+        if (state === 'failed' || state === 'cancelled') {
+            steps.forEach(step => {
+                if (step.classList.contains('active')) {
+                    step.classList.add('error');
+                    step.classList.remove('processing');
+                }
+            });
+            return;
+        }
+        
+        const currentStep = stateSteps[state] || 'init';
+        steps.forEach(step => {
+            const stepName = step.dataset.step;
+            if (stepName === currentStep) {
+                step.classList.add('active', 'processing');
+            } else if (this.isStepBefore(stepName, currentStep)) {
+                step.classList.add('completed');
+                step.classList.remove('active', 'processing');
+            }
+        });
     },
 
     // Update steps based on current operation
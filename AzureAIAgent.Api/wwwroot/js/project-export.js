@@ -0,0 +1,275 @@
+/**
+ * Terraform Project Export
+ * Splits generated Terraform into a conventional file layout and downloads it as a zip built in the browser
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.projectExport = {
+
+    // Which file each top-level block type goes to; anything else lands in main.tf
+    FILE_FOR_BLOCK: {
+        variable: 'variables.tf',
+        output: 'outputs.tf',
+        terraform: 'providers.tf',
+        provider: 'providers.tf'
+    },
+
+    // Used when the generated code declares no terraform or provider blocks; matches the AKS template
+    DEFAULT_PROVIDERS: [
+        'terraform {',
+        '  required_version = ">= 1.0"',
+        '  required_providers {',
+        '    azurerm = {',
+        '      source  = "hashicorp/azurerm"',
+        '      version = "~> 3.0"',
+        '    }',
+        '  }',
+        '}',
+        '',
+        'provider "azurerm" {',
+        '  features {}',
+        '}'
+    ].join('\n'),
+
+    crcTable: null,
+
+    // Export the Terraform generated for a template
+    export(templateId) {
+        const code = window.AzureAIAgent.terraform.getGeneratedCode(templateId);
+        if (!code) {
+            window.AzureAIAgent.ui.showNotification('No generated Terraform to export yet', 'info');
+            return;
+        }
+        this.exportCode(code, templateId || window.currentTerraformCodeId);
+    },
+
+    // Export a piece of Terraform, e.g. from a code block's Export button
+    exportCode(code, templateId = null) {
+        const id = templateId || window.AzureAIAgent.terraform.findTemplateId(code);
+        const folder = (id || 'terraform-project').replace(/[^\w.-]+/g, '-');
+
+        try {
+            const files = this.buildFiles(code, id);
+            const zip = this.zip(files.map(file => ({ path: `${folder}/${file.path}`, content: file.content })));
+            window.AzureAIAgent.transcript.download(`${folder}.zip`, zip, 'application/zip');
+            window.AzureAIAgent.ui.showNotification(`Exported ${files.length} files as ${folder}.zip`, 'success');
+            console.log('📦 Exported Terraform project:', folder, files.map(file => file.path));
+        } catch (error) {
+            console.error('❌ Could not export Terraform project:', error);
+            window.AzureAIAgent.ui.showNotification('Could not export the Terraform project', 'error');
+        }
+    },
+
+    // The project's files: [{ path, content }]
+    buildFiles(code, templateId) {
+        const hcl = window.AzureAIAgent.hcl;
+        const sections = { 'main.tf': [], 'variables.tf': [], 'outputs.tf': [], 'providers.tf': [] };
+        hcl.splitBlocks(code).forEach(block => {
+            sections[this.FILE_FOR_BLOCK[block.type] || 'main.tf'].push(block.text);
+        });
+
+        const variables = hcl.extractVariables(code);
+        const submitted = window.AzureAIAgent.terraform.getContext('submitted_parameters') || {};
+        const file = (path, blocks, empty) => ({ path, content: (blocks.length ? blocks.join('\n\n') : empty) + '\n' });
+
+        return [
+            file('main.tf', sections['main.tf'], '# No resources were generated'),
+            file('variables.tf', sections['variables.tf'], '# This configuration declares no input variables'),
+            file('outputs.tf', sections['outputs.tf'], '# This configuration declares no outputs'),
+            file('providers.tf', sections['providers.tf'], this.DEFAULT_PROVIDERS),
+            { path: 'terraform.tfvars', content: this.tfvars(variables, submitted, templateId) },
+            { path: 'README.md', content: this.readme(code, variables, templateId) }
+        ];
+    },
+
+    // Variable values in terraform.tfvars.example style. Submitted values are filled in; masked
+    // sensitive values, defaults and missing required values are left as comments.
+    tfvars(variables, submitted, templateId) {
+        const mask = window.AzureAIAgent.parameterForms.SENSITIVE_MASK;
+        const lines = [
+            `# Variable values for ${templateId ? `template ${templateId}` : 'the exported configuration'}`,
+            '# Filled in from the parameters submitted in the chat; these values can be overridden when running terraform',
+            ''
+        ];
+
+        variables.forEach(variable => {
+            const value = submitted[variable.name];
+            if (value === mask) {
+                lines.push(`# ${variable.name}: sensitive, set it with the TF_VAR_${variable.name} environment variable`);
+            } else if (value !== undefined && value !== '') {
+                lines.push(`${variable.name} = ${this.hclValue(value, variable.type)}`);
+            } else if (variable.hasDefault) {
+                lines.push(`# ${variable.name} = ${this.hclValue(variable.default, variable.type)}`);
+            } else {
+                lines.push(`# ${variable.name}: required, no value was submitted`);
+            }
+        });
+
+        if (variables.length === 0) {
+            lines.push('# This configuration declares no input variables');
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    // A value as HCL: numbers and booleans bare, collections as JSON (valid HCL), everything else quoted
+    hclValue(value, type = 'string') {
+        if (typeof value === 'number' || typeof value === 'boolean' || value === null) return String(value);
+        if (typeof value === 'object') return JSON.stringify(value);
+
+        const text = String(value);
+        if (/^number$/.test(type) && /^-?\d+(\.\d+)?$/.test(text.trim())) return text.trim();
+        if (/^bool$/.test(type) && /^(true|false)$/.test(text.trim())) return text.trim();
+        if (/^(list|set|map|object|tuple)\b/.test(type)) {
+            try {
+                return JSON.stringify(JSON.parse(text));
+            } catch (error) {
+                // Not JSON; fall through and quote it
+            }
+        }
+        return JSON.stringify(text);
+    },
+
+    // README with the layout, resources, inputs and how to run it
+    readme(code, variables, templateId) {
+        const resources = window.AzureAIAgent.hcl.findDependencies(code).nodes;
+        const cell = (text) => String(text === undefined ? '' : text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const lines = [
+            `# ${templateId || 'Terraform project'}`,
+            '',
+            `Terraform configuration generated by Azure AI Agent and exported on ${new Date().toISOString().slice(0, 10)}.`,
+            '',
+            '## Files',
+            '',
+            '| File | Contents |',
+            '|------|----------|',
+            '| `main.tf` | Resources, data sources, locals and modules |',
+            '| `variables.tf` | Input variable declarations |',
+            '| `outputs.tf` | Output values |',
+            '| `providers.tf` | Terraform settings and provider configuration |',
+            '| `terraform.tfvars` | Variable values submitted in the chat |',
+            ''
+        ];
+
+        if (resources.length > 0) {
+            lines.push('## Resources', '');
+            resources.forEach(resource => lines.push(`- \`${resource.address}\``));
+            lines.push('');
+        }
+
+        if (variables.length > 0) {
+            lines.push('## Variables', '', '| Name | Type | Required | Description |', '|------|------|----------|-------------|');
+            variables.forEach(variable => lines.push(
+                `| \`${variable.name}\` | \`${cell(variable.type)}\` | ${variable.required ? 'yes' : 'no'} | ${cell(variable.description)} |`));
+            lines.push('');
+        }
+
+        lines.push(
+            '## Usage',
+            '',
+            '1. Sign in to Azure with `az login`.',
+            '2. Review `terraform.tfvars` and fill in any values left as comments. Sensitive values are never exported;',
+            '   set them with `TF_VAR_<name>` environment variables.',
+            '3. Run Terraform:',
+            '',
+            '```bash',
+            'terraform init',
+            'terraform plan -out tfplan',
+            'terraform apply tfplan',
+            '```',
+            '',
+            '⚠️ Applying creates real Azure resources, which incur costs. Run `terraform destroy` to remove them.',
+            ''
+        );
+        return lines.join('\n');
+    },
+
+    // Zip archive of text files, stored without compression: Uint8Array
+    zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            // Local file header; flag bit 11 marks UTF-8 names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(new Uint8Array(local.buffer), name, data);
+
+            // Central directory entry pointing back at it
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const chunks = parts.concat(central, [new Uint8Array(end.buffer)]);
+        const archive = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+        let position = 0;
+        chunks.forEach(chunk => {
+            archive.set(chunk, position);
+            position += chunk.length;
+        });
+        return archive;
+    },
+
+    // CRC-32 as zip expects it
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+};
+
+console.log('✅ Terraform project export loaded');
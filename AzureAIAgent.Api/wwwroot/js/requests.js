@@ -0,0 +1,102 @@
+/**
+ * Request Lifecycle
+ * Timeouts and user cancellation for outbound calls, driving the composer's Stop button
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.requests = {
+
+    // Requests the Stop button can cancel
+    active: new Set(),
+    listeners: [],
+
+    // Start tracking a request. settings: { timeout (ms, 0 disables), cancellable, label }.
+    // The timeout is an idle timeout: touch() restarts it, e.g. for every streamed chunk.
+    start(settings = {}) {
+        const timeouts = window.AzureAIAgent.config.REQUEST_TIMEOUTS;
+        const timeout = settings.timeout !== undefined ? settings.timeout : timeouts.default;
+        const controller = new AbortController();
+
+        const request = {
+            label: settings.label || 'request',
+            signal: controller.signal,
+            reason: null,
+            timer: null,
+
+            // Restart the timeout because the request is still making progress
+            touch: () => {
+                clearTimeout(request.timer);
+                if (timeout > 0) {
+                    request.timer = setTimeout(() => request.abort('timeout'), timeout);
+                }
+            },
+
+            // Abort with a reason: 'timeout' or 'cancelled'
+            abort: (reason = 'cancelled') => {
+                if (request.reason || controller.signal.aborted) return;
+                request.reason = reason;
+                console.log(`⏹️ ${request.label} ${reason === 'timeout' ? 'timed out' : 'cancelled'}`);
+                controller.abort();
+            },
+
+            // Stop tracking once the response has been fully handled
+            finish: () => {
+                clearTimeout(request.timer);
+                if (this.active.delete(request)) {
+                    this.notify();
+                }
+            },
+
+            // Turn an abort into a descriptive error; other errors pass through
+            wrapError: (error) => {
+                if (!request.reason) return error;
+                const wrapped = new Error(request.reason === 'timeout' ?
+                    `Request timed out after ${Math.round(timeout / 1000)}s` : 'Request cancelled');
+                wrapped.name = request.reason === 'timeout' ? 'TimeoutError' : 'AbortError';
+                wrapped.cause = error;
+                return wrapped;
+            }
+        };
+
+        request.touch();
+        if (settings.cancellable) {
+            this.active.add(request);
+            this.notify();
+        }
+        return request;
+    },
+
+    // Cancel every request the user is waiting on
+    stop() {
+        const requests = Array.from(this.active);
+        requests.forEach(request => request.abort('cancelled'));
+        return requests.length;
+    },
+
+    // Check whether any cancellable request is in flight
+    isBusy() {
+        return this.active.size > 0;
+    },
+
+    // Register a listener(busy); returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    },
+
+    // Tell listeners whether anything is in flight
+    notify() {
+        const busy = this.isBusy();
+        this.listeners.forEach(listener => {
+            try {
+                listener(busy);
+            } catch (error) {
+                console.error('❌ Request listener failed:', error);
+            }
+        });
+    }
+};
+
+console.log('✅ Request lifecycle loaded');
@@ -0,0 +1,350 @@
+/**
+ * Resource Context Menu
+ * Per-kind actions for clickable resource names; reads run at once, changes ask first
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.resourceMenu = {
+
+    PORTAL_URL: 'https://portal.azure.com/#@/resource',
+
+    // Kubernetes kinds; any other resource type is treated as an Azure resource
+    KUBERNETES_KINDS: ['pod', 'deployment', 'service', 'namespace', 'node', 'configmap', 'secret', 'ingress',
+        'job', 'cronjob', 'replicaset', 'daemonset', 'statefulset', 'persistentvolumeclaim'],
+
+    // Action IDs shown for each menu, in order
+    MENUS: {
+        pod: ['describe', 'logs', 'events', 'restart', 'delete'],
+        deployment: ['describe', 'rolloutStatus', 'scale', 'rollback'],
+        kubernetes: ['describe', 'events'],
+        azure: ['properties', 'portal', 'cost']
+    },
+
+    // Actions by ID: { label, icon, destructive, ask(resource), confirm(resource, input), prompt(resource, input, scope),
+    // request(resource, input), url(resource), panel(resource) }. ask collects extra input (null cancels), prompt is the
+    // instruction sent to the agent, request calls a Kubernetes endpoint directly, panel opens an in-page view,
+    // and destructive actions show confirm() first.
+    ACTIONS: {
+        describe: {
+            label: 'Describe',
+            icon: 'fa-info-circle',
+            prompt: (r, input, scope) => `Describe ${r.type ? `${r.type} ` : ''}${r.name}${scope}`
+        },
+        logs: {
+            label: 'Logs',
+            icon: 'fa-file-alt',
+            panel: (r) => window.AzureAIAgent.logViewer.open(r)
+        },
+        events: {
+            label: 'Events',
+            icon: 'fa-history',
+            request: (r) => window.AzureAIAgent.resourceMenu.showEvents(r)
+        },
+        restart: {
+            label: 'Restart',
+            icon: 'fa-redo',
+            destructive: true,
+            confirm: (r) => `Restart pod ${r.name}? The pod is deleted and its controller starts a replacement.`,
+            request: (r) => window.AzureAIAgent.resourceMenu.change('POST', 'pods', r, '/restart', {
+                context: `Restarting pod ${r.name}`,
+                done: `Pod ${r.name} deleted; its controller is starting a replacement`
+            })
+        },
+        delete: {
+            label: 'Delete',
+            icon: 'fa-trash-alt',
+            destructive: true,
+            confirm: (r) => `Delete pod ${r.name}? This cannot be undone.`,
+            request: (r) => window.AzureAIAgent.resourceMenu.change('DELETE', 'pods', r, '', {
+                context: `Deleting pod ${r.name}`,
+                done: `Pod ${r.name} deleted`
+            })
+        },
+        rolloutStatus: {
+            label: 'Rollout status',
+            icon: 'fa-tasks',
+            prompt: (r, input, scope) => `Show the rollout status of deployment ${r.name}${scope}`
+        },
+        scale: {
+            label: 'Scale…',
+            icon: 'fa-sliders-h',
+            destructive: true,
+            ask: (r) => {
+                const answer = window.prompt(`Scale deployment ${r.name} to how many replicas?`, '');
+                if (answer === null) return null;
+                if (!/^\d+$/.test(answer.trim())) {
+                    window.AzureAIAgent.ui.showNotification('Replica count must be a whole number', 'error');
+                    return null;
+                }
+                return Number(answer.trim());
+            },
+            confirm: (r, replicas) => replicas === 0 ?
+                `Scale deployment ${r.name} to 0 replicas? Every pod of the deployment is stopped.` :
+                `Scale deployment ${r.name} to ${replicas} replicas?`,
+            request: (r, replicas) => window.AzureAIAgent.resourceMenu.change('POST', 'deployments', r, '/scale', {
+                body: { replicas },
+                context: `Scaling deployment ${r.name}`,
+                done: `Deployment ${r.name} scaled to ${replicas} replicas`
+            })
+        },
+        rollback: {
+            label: 'Roll back',
+            icon: 'fa-undo',
+            destructive: true,
+            confirm: (r) => `Roll deployment ${r.name} back to its previous revision?`,
+            request: (r) => window.AzureAIAgent.resourceMenu.change('POST', 'deployments', r, '/rollback', {
+                context: `Rolling back deployment ${r.name}`,
+                done: (data) => `Deployment ${r.name} rolled back to revision ${data.revision}`
+            })
+        },
+        properties: {
+            label: 'Show properties',
+            icon: 'fa-list',
+            prompt: (r, input, scope) => `Show the properties of ${r.label} ${r.name}${scope}`
+        },
+        portal: {
+            label: 'Open in Azure portal',
+            icon: 'fa-external-link-alt',
+            url: (r) => r.resourceId && r.resourceId.startsWith('/subscriptions/') ?
+                window.AzureAIAgent.resourceMenu.PORTAL_URL + r.resourceId : null,
+            // Without a resource ID only the agent can look the resource up
+            prompt: (r, input, scope) => `Give me the Azure portal link for ${r.label} ${r.name}${scope}`
+        },
+        cost: {
+            label: 'Show cost',
+            icon: 'fa-dollar-sign',
+            prompt: (r, input, scope) => `Show the cost of ${r.label} ${r.name}${scope} for the current month`
+        }
+    },
+
+    // Menu state
+    element: null,
+    resource: null,
+    anchor: null,
+
+    // Close the menu on outside clicks, Escape, scrolling the chat and resizing
+    initialize() {
+        this.element = document.getElementById('resourceMenu');
+        if (!this.element) return;
+
+        this.element.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-menu-action]');
+            if (item) {
+                const resource = this.resource;
+                this.close();
+                this.run(item.dataset.menuAction, resource);
+            }
+        });
+
+        this.element.addEventListener('keydown', (e) => {
+            const items = Array.from(this.element.querySelectorAll('[data-menu-action]'));
+            const current = items.indexOf(document.activeElement);
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                items[(current + step + items.length) % items.length].focus();
+            } else if (e.key === 'Escape' || e.key === 'Tab') {
+                e.preventDefault();
+                this.close(true);
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen() && !this.element.contains(e.target)) {
+                this.close();
+            }
+        });
+        window.addEventListener('resize', () => this.close());
+        if (window.AzureAIAgent.config.chatMessages) {
+            window.AzureAIAgent.config.chatMessages.addEventListener('scroll', () => this.close());
+        }
+    },
+
+    // Resource described by a clickable element's data attributes
+    resourceFrom(element) {
+        const data = element.dataset;
+        return {
+            type: (data.resourceType || '').toLowerCase(),
+            name: data.resourceName || element.textContent.trim(),
+            namespace: data.namespace || null,
+            cluster: data.cluster || null,
+            resourceGroup: data.resourceGroup || null,
+            resourceId: data.resourceId || null
+        };
+    },
+
+    // Which menu a resource gets; "cluster" from legacy replies means the AKS cluster
+    menuFor(resource) {
+        if (this.MENUS[resource.type]) return resource.type;
+        if (this.KUBERNETES_KINDS.includes(resource.type)) return 'kubernetes';
+        return resource.type ? 'azure' : 'kubernetes';
+    },
+
+    // Readable kind for Azure prompts: "Storage account" rather than "storage-account"
+    labelFor(resource) {
+        const rule = window.AzureAIAgent.azureNaming.RULES[resource.type];
+        if (rule) return rule.label;
+        if (resource.type === 'cluster') return 'AKS cluster';
+        return !resource.type || resource.type === 'azure-resource' ? 'Azure resource' : resource.type;
+    },
+
+    // " in namespace x on cluster y" / " in resource group z", whatever the resource carries
+    scopeOf(resource) {
+        const parts = [];
+        if (resource.namespace) parts.push(` in namespace ${resource.namespace}`);
+        if (resource.resourceGroup) parts.push(` in resource group ${resource.resourceGroup}`);
+        if (resource.cluster) parts.push(` on cluster ${resource.cluster}`);
+        return parts.join('');
+    },
+
+    // Check whether the menu is showing
+    isOpen() {
+        return !!this.element && !this.element.hidden;
+    },
+
+    // Show the menu for a resource next to the element that was clicked
+    open(anchor, resource) {
+        if (!this.element || !resource.name) return;
+
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text || '');
+        const actions = this.MENUS[this.menuFor(resource)];
+        this.resource = resource;
+        this.anchor = anchor;
+
+        this.element.innerHTML = `
+            <div class="resource-menu-header">
+                <span class="resource-menu-name">${escape(resource.name)}</span>
+                <span class="resource-menu-kind">${escape(this.menuFor(resource) === 'azure' ? this.labelFor(resource) : resource.type || 'resource')}</span>
+            </div>
+            ${actions.map(id => {
+                const action = this.ACTIONS[id];
+                return `
+                    <button type="button" class="resource-menu-item${action.destructive ? ' destructive' : ''}" data-menu-action="${id}" role="menuitem">
+                        <i class="fas ${action.icon}"></i>
+                        <span>${escape(action.label)}</span>
+                    </button>`;
+            }).join('')}
+        `;
+
+        // Below the name, flipped above or left when it would leave the viewport
+        this.element.hidden = false;
+        const rect = anchor.getBoundingClientRect();
+        const width = this.element.offsetWidth;
+        const height = this.element.offsetHeight;
+        const top = rect.bottom + 4 + height > window.innerHeight ? Math.max(4, rect.top - 4 - height) : rect.bottom + 4;
+        const left = Math.max(4, Math.min(rect.left, window.innerWidth - width - 4));
+        this.element.style.top = `${top}px`;
+        this.element.style.left = `${left}px`;
+
+        const first = this.element.querySelector('[data-menu-action]');
+        if (first) first.focus();
+        console.log(`📋 Resource menu opened for ${resource.type || 'resource'} ${resource.name}`);
+    },
+
+    // Hide the menu; restoreFocus returns focus to the resource name for keyboard users
+    close(restoreFocus = false) {
+        if (!this.isOpen()) return;
+        this.element.hidden = true;
+        if (restoreFocus && this.anchor && this.anchor.focus) {
+            this.anchor.focus();
+        }
+        this.resource = null;
+        this.anchor = null;
+    },
+
+    // Run an action: links, panels and Kubernetes requests run directly, everything else becomes an agent request in the chat
+    async run(actionId, resource) {
+        const action = this.ACTIONS[actionId];
+        if (!action || !resource) return;
+
+        const subject = { ...resource, label: this.labelFor(resource) };
+        const url = action.url && action.url(subject);
+        if (url) {
+            window.open(url, '_blank', 'noopener');
+            return;
+        }
+        if (action.panel) {
+            action.panel(resource);
+            return;
+        }
+
+        const input = action.ask ? action.ask(subject) : undefined;
+        if (input === null) return;
+
+        if (action.destructive && !confirm(action.confirm(subject, input))) {
+            window.AzureAIAgent.ui.showNotification(`${action.label.replace('…', '')} cancelled`, 'info');
+            return;
+        }
+
+        console.log(`📋 Running ${actionId} for ${resource.type} ${resource.name}`);
+        if (action.request) {
+            await action.request(subject, input);
+            return;
+        }
+        // Reads without an endpoint go to the agent; its AKS and Azure plugins handle these phrasings
+        await window.AzureAIAgent.events.sendUserMessage(action.prompt(subject, input, this.scopeOf(resource)));
+    },
+
+    // Path of a Kubernetes endpoint for a resource; without a namespace it is "default", as with kubectl
+    kubernetesPath(collection, resource, suffix = '') {
+        return `/api/kubernetes/${collection}/${encodeURIComponent(resource.namespace || 'default')}/${encodeURIComponent(resource.name)}${suffix}`;
+    },
+
+    // Make a change through its Kubernetes endpoint: options { body, context, done },
+    // where done is the success message or builds it from the reply
+    async change(method, collection, resource, suffix, options) {
+        const api = window.AzureAIAgent.api;
+        try {
+            const data = await api.request(method, this.kubernetesPath(collection, resource, suffix), {
+                body: options.body,
+                query: { cluster: resource.cluster },
+                retries: 0,
+                requireSuccess: true
+            });
+            const done = typeof options.done === 'function' ? options.done(data) : options.done;
+            window.AzureAIAgent.ui.showNotification(done, 'success');
+            console.log(`✅ ${done}`);
+        } catch (error) {
+            api.report(error, { context: options.context });
+        }
+    },
+
+    // List an object's recent events in the chat, newest first
+    async showEvents(resource) {
+        const api = window.AzureAIAgent.api;
+        const subject = `${resource.type || 'resource'} ${resource.name}`;
+        try {
+            const data = await api.get(this.kubernetesPath('events', resource), {
+                query: {
+                    kind: this.KUBERNETES_KINDS.includes(resource.type) ? resource.type : null,
+                    cluster: resource.cluster
+                },
+                retries: 0,
+                requireSuccess: true
+            });
+
+            const events = data.events || [];
+            const scope = this.scopeOf({ ...resource, namespace: resource.namespace || 'default' });
+            if (events.length === 0) {
+                window.AzureAIAgent.ui.addMessage('assistant',
+                    `No recent events for ${subject}${scope}. Kubernetes keeps events for about an hour.`);
+                return;
+            }
+
+            const cell = (text) => String(text === undefined || text === null ? '' : text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+            const lines = [
+                `**Events for ${subject}**${scope}`,
+                '',
+                '| Last seen | Type | Reason | Count | Message |',
+                '|-----------|------|--------|-------|---------|'
+            ];
+            events.forEach(event => lines.push(
+                `| ${event.lastSeen ? new Date(event.lastSeen).toLocaleString() : ''} | ${cell(event.type)} | ${cell(event.reason)} | ${event.count} | ${cell(event.message)} |`));
+            window.AzureAIAgent.ui.addMessage('assistant', lines.join('\n'));
+        } catch (error) {
+            api.report(error, { context: `Loading events for ${subject}` });
+        }
+    }
+};
+
+console.log('✅ Resource menu loaded');
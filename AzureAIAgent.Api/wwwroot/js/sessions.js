@@ -0,0 +1,308 @@
+/**
+ * Conversation Session Management
+ * Named, resumable chat sessions that survive page reloads
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.sessions = {
+
+    STORAGE_KEY: 'azureAIAgentSessions',
+    ACTIVE_KEY: 'azureAIAgentActiveSession',
+    DEFAULT_NAME: 'New session',
+
+    // Register the active session, render the switcher and restore its transcript.
+    // Resolves to the number of restored messages.
+    async initialize() {
+        this.ensureSession(window.AzureAIAgent.config.SESSION_ID);
+        this.setupSwitcher();
+        this.renderSwitcher();
+
+        return this.restoreTranscript(window.AzureAIAgent.config.SESSION_ID);
+    },
+
+    // Load the saved session list
+    list() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return stored.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        } catch (error) {
+            console.warn('⚠️ Could not load saved sessions:', error);
+            return [];
+        }
+    },
+
+    // Save the session list
+    save(sessions) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(sessions));
+        } catch (error) {
+            console.warn('⚠️ Could not save sessions:', error);
+        }
+    },
+
+    // Get a session by ID
+    get(sessionId) {
+        return this.list().find(session => session.id === sessionId) || null;
+    },
+
+    // Make sure a session ID is in the saved list
+    ensureSession(sessionId) {
+        const sessions = this.list();
+        if (!sessions.some(session => session.id === sessionId)) {
+            const now = new Date().toISOString();
+            sessions.push({ id: sessionId, name: this.DEFAULT_NAME, createdAt: now, updatedAt: now });
+            this.save(sessions);
+        }
+        this.setActive(sessionId);
+    },
+
+    // Remember which session is active across reloads
+    setActive(sessionId) {
+        window.AzureAIAgent.config.SESSION_ID = sessionId;
+        try {
+            localStorage.setItem(this.ACTIVE_KEY, sessionId);
+        } catch (error) {
+            console.warn('⚠️ Could not persist active session:', error);
+        }
+
+        const sessionIdElement = window.AzureAIAgent.config.sessionIdElement;
+        if (sessionIdElement) {
+            sessionIdElement.textContent = sessionId;
+        }
+    },
+
+    // Generate a new session ID
+    generateSessionId() {
+        return 'chat-session-' + Date.now();
+    },
+
+    // Start a fresh session and switch to it
+    async create(name) {
+        const sessionId = this.generateSessionId();
+        const now = new Date().toISOString();
+        const sessions = this.list();
+        sessions.push({ id: sessionId, name: name || this.DEFAULT_NAME, createdAt: now, updatedAt: now });
+        this.save(sessions);
+
+        await this.switchTo(sessionId);
+        return sessionId;
+    },
+
+    // Rename a session
+    rename(sessionId, name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return;
+
+        const sessions = this.list();
+        const session = sessions.find(s => s.id === sessionId);
+        if (session) {
+            session.name = trimmed;
+            this.save(sessions);
+            this.renderSwitcher();
+        }
+    },
+
+    // Delete a session locally and on the backend. The local entry always goes; a server
+    // failure is reported so the user knows the history may still exist there.
+    async remove(sessionId) {
+        try {
+            await window.AzureAIAgent.api.delete(`/api/agent/history/${encodeURIComponent(sessionId)}`);
+        } catch (error) {
+            console.error('❌ Could not delete session history on the server:', error);
+            window.AzureAIAgent.api.report(error, { context: 'Deleting the session history on the server', notify: true });
+        }
+
+        const remaining = this.list().filter(session => session.id !== sessionId);
+        this.save(remaining);
+        console.log('🗑️ Session deleted:', sessionId);
+
+        if (sessionId === window.AzureAIAgent.config.SESSION_ID) {
+            if (remaining.length > 0) {
+                await this.switchTo(remaining[0].id);
+            } else {
+                await this.create();
+            }
+        } else {
+            this.renderSwitcher();
+        }
+    },
+
+    // Switch the chat to another session and restore its transcript
+    async switchTo(sessionId) {
+        if (!sessionId) return;
+
+        console.log('🔀 Switching to session:', sessionId);
+        this.ensureSession(sessionId);
+        this.renderSwitcher();
+
+        const chatMessages = window.AzureAIAgent.config.chatMessages;
+        if (chatMessages) {
+            chatMessages.innerHTML = '';
+        }
+        window.AzureAIAgent.transcript.reset();
+
+        // Template context and pending prompts belong to the conversation they were set in
+        window.AzureAIAgent.terraform.clearContext();
+        window.AzureAIAgent.planReview.reset();
+        window.AzureAIAgent.terraformEditor.close();
+        window.AzureAIAgent.dependencyGraph.reset();
+        window.waitingForMandatoryParams = false;
+        window.waitingForDeploymentConfirmation = false;
+
+        const restored = await this.restoreTranscript(sessionId);
+        if (restored === 0) {
+            window.AzureAIAgent.app.showWelcomeMessage();
+        }
+
+        window.AzureAIAgent.deploymentHistory.hydrate(sessionId);
+    },
+
+    // Re-render a session's conversation from the backend history
+    async restoreTranscript(sessionId) {
+        try {
+            const messages = (await window.AzureAIAgent.api.get(`/api/agent/history/${encodeURIComponent(sessionId)}`)) || [];
+            let restored = 0;
+
+            messages.forEach(message => {
+                const role = (message.role || '').toString().toLowerCase();
+                if (role !== 'user' && role !== 'assistant') return;
+
+                window.AzureAIAgent.ui.addMessage(role, this.stripCardPayload(message.content || ''), { replay: true });
+                restored++;
+            });
+
+            console.log(`📜 Restored ${restored} messages for session ${sessionId}`);
+            return restored;
+        } catch (error) {
+            console.warn('⚠️ Could not restore session transcript:', error);
+            return 0;
+        }
+    },
+
+    // Stored assistant turns keep the raw adaptive card JSON after the 🃏 marker; show the text only
+    stripCardPayload(content) {
+        if (!content.includes('🃏')) return content;
+
+        const jsonStart = content.indexOf('{');
+        const text = jsonStart >= 0 ? content.substring(0, jsonStart) : content;
+        return text.split('\n').filter(line => !line.trim().startsWith('🃏')).join('\n').trim() ||
+            '_(interactive card)_';
+    },
+
+    // Name an unnamed session after its first user message and bump its timestamp
+    noteUserMessage(message) {
+        const sessions = this.list();
+        const session = sessions.find(s => s.id === window.AzureAIAgent.config.SESSION_ID);
+        if (!session) return;
+
+        if (session.name === this.DEFAULT_NAME) {
+            session.name = message.length > 40 ? message.substring(0, 40) + '…' : message;
+        }
+        session.updatedAt = new Date().toISOString();
+        this.save(sessions);
+        this.renderSwitcher();
+    },
+
+    // Wire up the session switcher dropdown and palette commands
+    setupSwitcher() {
+        const palette = window.AzureAIAgent.commandPalette;
+        palette.register({
+            id: 'session.new',
+            title: 'Start a new session',
+            category: 'Sessions',
+            icon: 'fa-plus',
+            run: () => this.create()
+        });
+        palette.registerSource(() => this.list()
+            .filter(session => session.id !== window.AzureAIAgent.config.SESSION_ID)
+            .map(session => ({
+                id: `session.switch-${session.id}`,
+                title: `Switch to session: ${session.name}`,
+                category: 'Sessions',
+                icon: 'fa-comments',
+                keywords: [session.id],
+                run: () => this.switchTo(session.id)
+            })));
+
+        const switcher = document.getElementById('sessionSwitcher');
+        if (!switcher) return;
+
+        switcher.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.session-switcher-toggle');
+            const item = e.target.closest('.session-menu-item');
+            const action = e.target.closest('[data-session-action]');
+
+            if (toggle) {
+                switcher.classList.toggle('open');
+                return;
+            }
+
+            if (action) {
+                e.stopPropagation();
+                const sessionId = action.dataset.sessionId;
+                switch (action.dataset.sessionAction) {
+                    case 'new':
+                        switcher.classList.remove('open');
+                        this.create();
+                        break;
+                    case 'rename': {
+                        const session = this.get(sessionId);
+                        const name = prompt('Rename session', session ? session.name : '');
+                        if (name !== null) {
+                            this.rename(sessionId, name);
+                        }
+                        break;
+                    }
+                    case 'delete':
+                        if (confirm('Delete this session and its conversation history?')) {
+                            switcher.classList.remove('open');
+                            this.remove(sessionId);
+                        }
+                        break;
+                }
+                return;
+            }
+
+            if (item) {
+                switcher.classList.remove('open');
+                if (item.dataset.sessionId !== window.AzureAIAgent.config.SESSION_ID) {
+                    this.switchTo(item.dataset.sessionId);
+                }
+            }
+        });
+    },
+
+    // Render the current session name and the menu of saved sessions
+    renderSwitcher() {
+        const switcher = document.getElementById('sessionSwitcher');
+        if (!switcher) return;
+
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text).replace(/"/g, '&quot;');
+        const activeId = window.AzureAIAgent.config.SESSION_ID;
+        const sessions = this.list();
+        const active = sessions.find(session => session.id === activeId);
+
+        const label = switcher.querySelector('.session-switcher-label');
+        if (label) {
+            label.textContent = active ? active.name : this.DEFAULT_NAME;
+        }
+
+        const menu = switcher.querySelector('.session-menu');
+        if (!menu) return;
+
+        menu.innerHTML = sessions.map(session => `
+            <div class="session-menu-item${session.id === activeId ? ' active' : ''}" data-session-id="${escape(session.id)}">
+                <div class="session-menu-text">
+                    <span class="session-menu-name">${escape(session.name)}</span>
+                    <span class="session-menu-date">${new Date(session.updatedAt).toLocaleString()}</span>
+                </div>
+                <button type="button" data-session-action="rename" data-session-id="${escape(session.id)}" title="Rename">✏️</button>
+                <button type="button" data-session-action="delete" data-session-id="${escape(session.id)}" title="Delete">🗑️</button>
+            </div>
+        `).join('') + `
+            <div class="session-menu-new" data-session-action="new">＋ New session</div>
+        `;
+    }
+};
+
+console.log('✅ Session management loaded');
@@ -0,0 +1,498 @@
+/**
+ * Slash Commands
+ * Composer commands that call the API directly, with an autocomplete popup and argument hints
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.slashCommands = {
+
+    TEMPLATE_CATEGORIES: ['compute', 'containers', 'web', 'storage', 'database'],
+    MAX_SUGGESTIONS: 8,
+
+    // Registered commands by name:
+    // { name, args: '<id>' | '[category]' | '', description, suggest(arg) => [{ value, label }], run(arg) }
+    commands: {},
+
+    // Autocomplete state
+    popup: null,
+    suggestions: [],
+    selectedIndex: 0,
+    templates: null,
+
+    // Register the built-in commands and attach the popup to the composer
+    initialize() {
+        this.registerBuiltIns();
+        this.setupAutocomplete();
+        console.log('⌨️ Slash commands ready:', Object.keys(this.commands).map(name => `/${name}`).join(' '));
+    },
+
+    // Add a command; modules can register their own
+    register(command) {
+        this.commands[command.name] = command;
+    },
+
+    // Split "/name rest of line" into the command name and its argument text
+    parse(text) {
+        const match = (text || '').trim().match(/^\/([\w-]*)(?:\s+([\s\S]*))?$/);
+        return match ? { name: match[1].toLowerCase(), arg: (match[2] || '').trim() } : null;
+    },
+
+    // Run a known command. Resolves to false for anything else, which is sent as normal chat.
+    async execute(text) {
+        const parsed = this.parse(text);
+        const command = parsed ? this.commands[parsed.name] : null;
+        if (!command) return false;
+
+        console.log(`⌨️ Running /${command.name}`, parsed.arg);
+        window.AzureAIAgent.ui.addMessage('user', text.trim());
+        try {
+            await command.run(parsed.arg);
+        } catch (error) {
+            console.error(`❌ /${command.name} failed:`, error);
+            if (error.name === 'ApiError') {
+                window.AzureAIAgent.api.report(error, { context: `/${command.name}` });
+            } else {
+                window.AzureAIAgent.ui.addMessage('assistant', `❌ **/${command.name} failed**: ${error.message}`);
+            }
+        }
+        return true;
+    },
+
+    // Show how to call a command when its argument is missing
+    usage(name) {
+        const command = this.commands[name];
+        window.AzureAIAgent.ui.addMessage('assistant',
+            `ℹ️ Usage: \`/${name}${command.args ? ' ' + command.args : ''}\` - ${command.description}`);
+    },
+
+    // The commands every composer gets
+    registerBuiltIns() {
+        const app = window.AzureAIAgent;
+        const deploymentSuggestions = (arg) => app.deploymentHistory.list()
+            .filter(entry => entry.deploymentId.startsWith(arg))
+            .map(entry => ({
+                value: entry.deploymentId,
+                label: `${entry.templateName || entry.templateId || entry.resourceType || 'Deployment'} · ${entry.status}`
+            }));
+
+        this.register({
+            name: 'deploy',
+            args: '[template-id]',
+            description: 'Deploy a template, or the Terraform generated in this conversation',
+            suggest: async (arg) => {
+                const generated = window.currentTerraformCodeId && window.currentTerraformCodeId.startsWith(arg) ?
+                    [{ value: window.currentTerraformCodeId, label: 'Generated in this conversation' }] : [];
+                const templates = (await this.loadTemplates())
+                    .filter(template => template.id.toLowerCase().startsWith(arg.toLowerCase()))
+                    .map(template => ({ value: template.id, label: template.name || template.category }));
+                return generated.concat(templates);
+            },
+            run: async (arg) => {
+                const templateId = arg || window.currentTerraformCodeId;
+                if (!templateId) {
+                    this.usage('deploy');
+                    return;
+                }
+                // Generated code goes through variable collection and plan review; gallery templates open their form
+                if (app.terraform.generatedCode[templateId] || !arg) {
+                    app.events.handleDeployAction(templateId);
+                } else {
+                    await app.parameterForms.showForTemplate(templateId);
+                }
+            }
+        });
+
+        this.register({
+            name: 'edit',
+            args: '[template-id]',
+            description: 'Edit the Terraform generated in this conversation',
+            suggest: async (arg) => Object.keys(app.terraform.generatedCode)
+                .filter(id => id !== 'latest' && id.startsWith(arg))
+                .map(id => ({ value: id, label: id === window.currentTerraformCodeId ? 'Latest template' : 'Generated template' })),
+            run: async (arg) => {
+                const templateId = arg || window.currentTerraformCodeId;
+                if (!templateId || !app.terraform.generatedCode[templateId]) {
+                    app.ui.showNotification('No generated Terraform to edit yet', 'info');
+                    return;
+                }
+                app.terraformEditor.open(templateId);
+            }
+        });
+
+        this.register({
+            name: 'graph',
+            args: '[template-id]',
+            description: 'Show how the resources of generated Terraform depend on each other',
+            suggest: async (arg) => Object.keys(app.terraform.generatedCode)
+                .filter(id => id !== 'latest' && id.startsWith(arg))
+                .map(id => ({ value: id, label: id === window.currentTerraformCodeId ? 'Latest template' : 'Generated template' })),
+            run: async (arg) => {
+                app.dependencyGraph.open(arg || window.currentTerraformCodeId);
+            }
+        });
+
+        this.register({
+            name: 'export',
+            args: '[template-id]',
+            description: 'Download generated Terraform as a project zip with tfvars and a README',
+            suggest: async (arg) => Object.keys(app.terraform.generatedCode)
+                .filter(id => id !== 'latest' && id.startsWith(arg))
+                .map(id => ({ value: id, label: id === window.currentTerraformCodeId ? 'Latest template' : 'Generated template' })),
+            run: async (arg) => {
+                app.projectExport.export(arg || window.currentTerraformCodeId);
+            }
+        });
+
+        this.register({
+            name: 'status',
+            args: '<deployment-id>',
+            description: 'Show the current status of a deployment',
+            suggest: async (arg) => deploymentSuggestions(arg),
+            run: async (arg) => {
+                if (!arg) {
+                    this.usage('status');
+                    return;
+                }
+                await this.showStatus(arg);
+            }
+        });
+
+        this.register({
+            name: 'templates',
+            args: '[category]',
+            description: 'Browse the template gallery',
+            suggest: async (arg) => this.TEMPLATE_CATEGORIES
+                .filter(category => category.startsWith(arg.toLowerCase()))
+                .map(category => ({ value: category, label: 'Category' })),
+            run: async (arg) => {
+                const data = await app.api.get('/api/templates/gallery', { query: { category: arg || null }, requireSuccess: true });
+                if (!arg) {
+                    this.templates = data.templates;
+                }
+                app.ui.addAdaptiveCardMessage(
+                    `📦 **${data.templates.length} templates**${arg ? ` in *${arg}*` : ''}`, JSON.parse(data.adaptiveCard));
+            }
+        });
+
+        this.register({
+            name: 'history',
+            args: '',
+            description: 'Open the deployment history panel',
+            run: async () => {
+                app.deploymentHistory.togglePanel(true);
+            }
+        });
+
+        this.register({
+            name: 'destroy',
+            args: '<deployment-id>',
+            description: 'Destroy the resources of a deployment',
+            suggest: async (arg) => deploymentSuggestions(arg),
+            run: async (arg) => {
+                if (!arg) {
+                    this.usage('destroy');
+                    return;
+                }
+                if (!confirm(`Destroy every resource created by deployment ${arg}? This cannot be undone.`)) {
+                    app.ui.addMessage('assistant', '🛑 Destroy cancelled.');
+                    return;
+                }
+                await this.destroyDeployment(arg);
+            }
+        });
+
+        this.register({
+            name: 'clear',
+            args: '',
+            description: 'Clear the chat window (the session history is kept)',
+            run: async () => {
+                const chatMessages = app.config.chatMessages;
+                if (chatMessages) {
+                    chatMessages.innerHTML = '';
+                }
+                app.transcript.reset();
+                app.app.showWelcomeMessage();
+            }
+        });
+
+        this.register({
+            name: 'session',
+            args: '[new <name> | rename <name> | <name or id>]',
+            description: 'Show, create, rename or switch conversation sessions',
+            suggest: async (arg) => {
+                const actions = ['new', 'rename']
+                    .filter(action => action.startsWith(arg))
+                    .map(action => ({ value: action + ' ', label: action === 'new' ? 'Start a new session' : 'Rename this session' }));
+                const sessions = app.sessions.list()
+                    .filter(session => session.name.toLowerCase().startsWith(arg.toLowerCase()) || session.id.startsWith(arg))
+                    .map(session => ({ value: session.id, label: session.name }));
+                return actions.concat(sessions);
+            },
+            run: async (arg) => {
+                const [action, ...rest] = arg.split(/\s+/);
+                const name = rest.join(' ');
+                const sessionId = app.config.SESSION_ID;
+
+                if (!arg) {
+                    const session = app.sessions.get(sessionId);
+                    app.ui.addMessage('assistant',
+                        `💬 **${session ? session.name : app.sessions.DEFAULT_NAME}**\n\nSession ID: \`${sessionId}\`\n\n` +
+                        `${app.sessions.list().length} saved sessions. Use \`/session new <name>\`, \`/session rename <name>\` or \`/session <name>\` to switch.`);
+                } else if (action === 'new') {
+                    await app.sessions.create(name || undefined);
+                } else if (action === 'rename' && name) {
+                    app.sessions.rename(sessionId, name);
+                    app.ui.addMessage('assistant', `✏️ Session renamed to **${name}**.`);
+                } else {
+                    const target = app.sessions.list().find(session => session.id === arg) ||
+                        app.sessions.list().find(session => session.name.toLowerCase() === arg.toLowerCase());
+                    if (!target) {
+                        app.ui.addMessage('assistant', `❓ No saved session called **${arg}**.`);
+                        return;
+                    }
+                    await app.sessions.switchTo(target.id);
+                }
+            }
+        });
+
+        this.register({
+            name: 'help',
+            args: '',
+            description: 'List the slash commands',
+            run: async () => {
+                const lines = Object.values(this.commands).map(command =>
+                    `* \`/${command.name}${command.args ? ' ' + command.args : ''}\` - ${command.description}`);
+                app.ui.addMessage('assistant', '⌨️ **Slash commands**\n\n' + lines.join('\n') +
+                    '\n\nAnything else starting with `/` is sent to the agent as a normal message.');
+            }
+        });
+    },
+
+    // Fetch a deployment's status snapshot; template deployments live behind their own endpoint
+    async showStatus(deploymentId) {
+        const api = window.AzureAIAgent.api;
+        let snapshot;
+        try {
+            snapshot = await api.get(`/api/azure/deployment-status/${encodeURIComponent(deploymentId)}`);
+        } catch (error) {
+            if (error.kind !== api.ERROR_KINDS.NOT_FOUND) throw error;
+            snapshot = await api.get(`/api/templates/deployments/${encodeURIComponent(deploymentId)}/status`);
+        }
+
+        const entry = window.AzureAIAgent.deploymentHistory.get(deploymentId);
+        const phase = snapshot.terraformPhase || snapshot.phase;
+        const lines = [
+            `📊 **Deployment status**: ${snapshot.status || 'Unknown'}`,
+            '',
+            `* Deployment ID: \`${deploymentId}\``
+        ];
+        if (entry && (entry.templateName || entry.templateId)) lines.push(`* Template: ${entry.templateName || entry.templateId}`);
+        if (phase) lines.push(`* Phase: ${phase}`);
+        if (snapshot.progress !== undefined) lines.push(`* Progress: ${snapshot.progress}%`);
+        if (snapshot.message) lines.push('', snapshot.message);
+
+        if (snapshot.adaptiveCard) {
+            window.AzureAIAgent.ui.addAdaptiveCardMessage(lines.join('\n'),
+                typeof snapshot.adaptiveCard === 'string' ? JSON.parse(snapshot.adaptiveCard) : snapshot.adaptiveCard);
+        } else {
+            window.AzureAIAgent.ui.addMessage('assistant', lines.join('\n'));
+        }
+    },
+
+    // Start terraform destroy for a deployment on the server and show the plugin's report when it finishes
+    async destroyDeployment(deploymentId) {
+        const app = window.AzureAIAgent;
+        let data;
+        try {
+            // Starting a destroy must never be replayed; the server answers as soon as it is running
+            data = await app.api.post(`/api/azure/destroy-deployment/${encodeURIComponent(deploymentId)}`, {}, {
+                retries: 0,
+                requireSuccess: true
+            });
+        } catch (error) {
+            console.error('❌ Destroy failed:', error);
+            app.api.report(error, { context: 'Destroying the deployment' });
+            return;
+        }
+
+        app.ui.addMessage('assistant', `🗑️ Destroying the resources of deployment \`${deploymentId}\`… ` +
+            'This can take several minutes; the result will appear here.');
+
+        // The destroy runs in the background; follow it like a deployment until it finishes
+        app.deploymentEvents.subscribe(data.operationId, {
+            onComplete: (snapshot) => {
+                app.ui.addMessage('assistant', snapshot.detailedMessage || snapshot.message);
+            },
+            onError: (error) => {
+                console.warn('⚠️ Following destroy operation:', data.operationId, error);
+            }
+        });
+    },
+
+    // Send a fixed instruction to the agent and render its reply
+    async sendToAgent(message) {
+        window.AzureAIAgent.ui.showTyping();
+        try {
+            const result = await window.AzureAIAgent.chat.sendMessage(message);
+            if (result.contentType === 'adaptive-card' && result.adaptiveCard) {
+                window.AzureAIAgent.ui.addAdaptiveCardMessage(result.message, result.adaptiveCard);
+            } else if (result.message) {
+                window.AzureAIAgent.ui.addMessage('assistant', result.message, { entities: result.entities });
+            }
+        } catch (error) {
+            // chat.sendMessage has already reported the failure
+            console.error('❌ Agent request failed:', error);
+        } finally {
+            window.AzureAIAgent.ui.hideTyping();
+        }
+    },
+
+    // Template list for /deploy suggestions, fetched once
+    async loadTemplates() {
+        if (!this.templates) {
+            try {
+                const data = await window.AzureAIAgent.api.get('/api/templates/gallery', { requireSuccess: true });
+                this.templates = data.templates || [];
+            } catch (error) {
+                console.warn('⚠️ Could not load templates for suggestions:', error);
+                return [];
+            }
+        }
+        return this.templates;
+    },
+
+    // Suggestions for the current input: command names first, then the command's arguments
+    async suggest(text) {
+        const parsed = this.parse(text);
+        if (!parsed) return [];
+
+        const hasArgument = /^\/[\w-]*\s/.test(text);
+        if (!hasArgument) {
+            return Object.values(this.commands)
+                .filter(command => command.name.startsWith(parsed.name))
+                .map(command => ({
+                    value: `/${command.name}${command.args ? ' ' : ''}`,
+                    label: `/${command.name}`,
+                    hint: command.args,
+                    description: command.description
+                }));
+        }
+
+        const command = this.commands[parsed.name];
+        if (!command) return [];
+
+        const argumentSuggestions = command.suggest ? await command.suggest(parsed.arg) : [];
+        const header = { value: null, label: `/${command.name}`, hint: command.args, description: command.description };
+        return [header].concat(argumentSuggestions.slice(0, this.MAX_SUGGESTIONS).map(suggestion => ({
+            value: `/${command.name} ${suggestion.value}`,
+            label: suggestion.value,
+            description: suggestion.label
+        })));
+    },
+
+    // Attach the popup to the composer input
+    setupAutocomplete() {
+        const input = window.AzureAIAgent.config.chatInput;
+        this.popup = document.getElementById('slashPopup');
+        if (!input || !this.popup) return;
+
+        input.addEventListener('input', () => this.updatePopup());
+        input.addEventListener('blur', () => setTimeout(() => this.closePopup(), 150));
+
+        // Keys the popup consumes never reach the composer's Enter (send) and Escape (clear) handling
+        input.addEventListener('keydown', (e) => {
+            if (this.popup.hidden) return;
+
+            const selectable = this.suggestions.filter(suggestion => suggestion.value !== null);
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (selectable.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.selectedIndex = (this.selectedIndex + step + selectable.length) % selectable.length;
+                this.renderPopup();
+            } else if (e.key === 'Tab' || e.key === 'Enter') {
+                const selected = selectable[this.selectedIndex];
+                // Enter runs the command once the input already matches the suggestion
+                if (selected && (e.key === 'Tab' || selected.value.trim() !== input.value.trim())) {
+                    e.preventDefault();
+                    this.accept(selected);
+                } else {
+                    this.closePopup();
+                }
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.closePopup();
+            }
+        });
+
+        this.popup.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-suggestion-index]');
+            if (!item) return;
+            e.preventDefault();
+            const selectable = this.suggestions.filter(suggestion => suggestion.value !== null);
+            this.accept(selectable[Number(item.dataset.suggestionIndex)]);
+        });
+    },
+
+    // Put a suggestion into the composer and offer the next step
+    accept(suggestion) {
+        const input = window.AzureAIAgent.config.chatInput;
+        if (!suggestion || !input) return;
+
+        input.value = suggestion.value;
+        input.focus();
+        this.updatePopup();
+    },
+
+    // Recompute suggestions as the user types
+    async updatePopup() {
+        const input = window.AzureAIAgent.config.chatInput;
+        const text = input ? input.value : '';
+        if (!text.startsWith('/')) {
+            this.closePopup();
+            return;
+        }
+
+        const suggestions = await this.suggest(text);
+        // Ignore results for text the user has already changed
+        if (input.value !== text) return;
+
+        this.suggestions = suggestions;
+        this.selectedIndex = 0;
+        if (suggestions.length === 0) {
+            this.closePopup();
+            return;
+        }
+        this.renderPopup();
+    },
+
+    // Draw the suggestion list, with the argument hint row when completing arguments
+    renderPopup() {
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text || '');
+        let index = 0;
+        this.popup.innerHTML = this.suggestions.map(suggestion => {
+            if (suggestion.value === null) {
+                return `<div class="slash-popup-hint"><strong>${escape(suggestion.label)}</strong> <code>${escape(suggestion.hint)}</code> ${escape(suggestion.description)}</div>`;
+            }
+            const current = index++;
+            return `
+                <div class="slash-popup-item${current === this.selectedIndex ? ' selected' : ''}" data-suggestion-index="${current}" role="option">
+                    <span class="slash-popup-label">${escape(suggestion.label)}</span>
+                    ${suggestion.hint ? `<code class="slash-popup-args">${escape(suggestion.hint)}</code>` : ''}
+                    <span class="slash-popup-description">${escape(suggestion.description)}</span>
+                </div>`;
+        }).join('');
+        this.popup.hidden = false;
+    },
+
+    // Hide the popup and forget its suggestions
+    closePopup() {
+        if (this.popup) {
+            this.popup.hidden = true;
+        }
+        this.suggestions = [];
+    }
+};
+
+console.log('✅ Slash commands loaded');
@@ -4,19 +4,18 @@
 class TemplateManager {
     constructor(baseUrl = '/api') {
         this.baseUrl = baseUrl;
-        this.currentSessionId = this.generateSessionId();
         this.adaptiveCardRenderer = new AdaptiveCards.AdaptiveCard();
     }
 
-    generateSessionId() {
-        return 'session_' + Math.random().toString(36).substr(2, 9);
+    // Deployments belong to the active chat session
+    get currentSessionId() {
+        return window.AzureAIAgent.config.SESSION_ID;
     }
 
     // 1. Show Template Gallery - Display available templates as interactive cards
     async showTemplateGallery(category = null) {
         try {
-            const response = await fetch(`${this.baseUrl}/templates/gallery${category ? `?category=${category}` : ''}`);
-            const data = await response.json();
+            const data = await window.AzureAIAgent.api.get(`${this.baseUrl}/templates/gallery`, { query: { category } });
 
             if (data.success) {
                 // Parse and render the Adaptive Card
@@ -40,8 +39,7 @@ class TemplateManager {
     // 2. Show Parameter Form - Display input form for selected template
     async showTemplateParameterForm(templateId) {
         try {
-            const response = await fetch(`${this.baseUrl}/templates/${templateId}/form`);
-            const data = await response.json();
+            const data = await window.AzureAIAgent.api.get(`${this.baseUrl}/templates/${templateId}/form`);
 
             if (data.success) {
                 // Parse and render the Adaptive Card form
@@ -65,20 +63,12 @@ class TemplateManager {
     // 3. Deploy Template - Submit form and start deployment
     async deployTemplate(templateId, parameters) {
         try {
-            const response = await fetch(`${this.baseUrl}/templates/deploy`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    templateId: templateId,
-                    parameters: parameters,
-                    sessionId: this.currentSessionId
-                })
+            const data = await window.AzureAIAgent.api.post(`${this.baseUrl}/templates/deploy`, {
+                templateId: templateId,
+                parameters: parameters,
+                sessionId: this.currentSessionId
             });
 
-            const data = await response.json();
-
             if (data.success) {
                 // Show deployment status card
                 const statusCard = JSON.parse(data.adaptiveCard);
@@ -98,45 +88,28 @@ class TemplateManager {
         }
     }
 
-    // 4. Poll Deployment Status - Monitor deployment progress
-    async startStatusPolling(deploymentId) {
-        const pollInterval = 3000; // Poll every 3 seconds
-        let pollCount = 0;
-        const maxPolls = 100; // Maximum 5 minutes of polling
-
-        const poll = async () => {
-            try {
-                const response = await fetch(`${this.baseUrl}/templates/deployments/${deploymentId}/status`);
-                const data = await response.json();
-
-                if (data.success) {
-                    // Update status card
-                    const statusCard = JSON.parse(data.adaptiveCard);
-                    this.renderAdaptiveCard(statusCard, 'deployment-status-container');
-
-                    console.log('Deployment status:', data.status);
-
-                    // Stop polling if completed or failed
-                    if (data.status === 'Completed' || data.status === 'Failed') {
-                        console.log('Deployment finished:', data.status);
-                        this.onDeploymentComplete(deploymentId, data.status);
-                        return;
-                    }
-                }
+    // 4. Watch Deployment Status - Monitor deployment progress through the shared event channel
+    startStatusPolling(deploymentId) {
+        window.AzureAIAgent.deploymentEvents.subscribe(deploymentId, {
+            onStatus: (data) => {
+                if (!data.success || !data.adaptiveCard) return;
 
-                // Continue polling if not finished and under limit
-                pollCount++;
-                if (pollCount < maxPolls) {
-                    setTimeout(poll, pollInterval);
-                } else {
-                    console.warn('Status polling timeout reached');
-                }
-            } catch (error) {
-                console.error('Error polling deployment status:', error);
-            }
-        };
+                // Update status card
+                const statusCard = JSON.parse(data.adaptiveCard);
+                this.renderAdaptiveCard(statusCard, 'deployment-status-container');
 
-        poll();
+                console.log('Deployment status:', data.status);
+            },
+            onComplete: (data) => {
+                console.log('Deployment finished:', data.status);
+                this.onDeploymentComplete(deploymentId, data.status);
+            },
+            onError: (error) => {
+                console.error('Error watching deployment status:', error);
+            }
+        }, {
+            statusPath: id => `${this.baseUrl}/templates/deployments/${id}/status`
+        });
     }
 
     // 5. Render Adaptive Card - Display cards in the UI
@@ -220,19 +193,11 @@ class TemplateManager {
     // 8. Integration with Chat Interface
     async sendChatMessage(message) {
         try {
-            const response = await fetch(`${this.baseUrl}/agent/chat`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    message: message,
-                    sessionId: this.currentSessionId
-                })
+            const data = await window.AzureAIAgent.api.post(`${this.baseUrl}/agent/chat`, {
+                message: message,
+                sessionId: this.currentSessionId
             });
 
-            const data = await response.json();
-
             if (data.success) {
                 // Check if the AI response includes template gallery triggers
                 if (this.shouldShowTemplateGallery(data.message)) {
@@ -0,0 +1,590 @@
+/**
+ * Terraform Editor
+ * Code editor for generated Terraform: HCL highlighting, bracket matching, block folding,
+ * a diff against the agent's version, and submitting the edit as the new template
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.terraformEditor = {
+
+    INDENT: '  ',
+    PAIRS: { '{': '}', '[': ']', '(': ')' },
+
+    // A folded block is replaced by its first line, one private-use character standing in
+    // for the body, and its closing line. FOLD_BASE is the first of those characters.
+    FOLD_BASE: 0xE000,
+    FOLD_PATTERN: /[\uE000-\uF8FF]/,
+
+    // Diffs of more lines than this (old × new) are shown as a full replacement
+    MAX_DIFF_CELLS: 4000000,
+    DIFF_CONTEXT: 3,
+
+    // Editor state
+    backdrop: null,
+    textarea: null,
+    highlight: null,
+    gutter: null,
+    templateId: null,
+    // The agent's version, which Reset restores
+    original: '',
+    // The code when the editor opened; the discard prompt, the diff and Submit measure edits against it
+    opened: '',
+    folds: new Map(),
+    nextFold: 0,
+    brackets: { pairs: new Map(), unmatched: new Set() },
+    foldable: new Map(),
+    showingDiff: false,
+
+    // Open the editor on the Terraform generated for a template; false when that template has no code of its own
+    open(templateId) {
+        const terraform = window.AzureAIAgent.terraform;
+        const code = templateId ? terraform.getGeneratedCode(templateId) : null;
+        if (!code) {
+            return false;
+        }
+
+        this.close();
+        this.templateId = templateId;
+        this.original = terraform.getOriginalCode(templateId) || code;
+        this.opened = code.replace(/\n$/, '');
+        this.folds = new Map();
+        this.nextFold = 0;
+        this.showingDiff = false;
+
+        this.build();
+        this.textarea.value = this.opened;
+        this.refresh();
+        this.textarea.focus();
+        this.textarea.setSelectionRange(0, 0);
+        console.log('✏️ Terraform editor opened for', templateId);
+        return true;
+    },
+
+    // Close the editor without submitting
+    close() {
+        if (this.backdrop) {
+            this.backdrop.remove();
+            this.backdrop = null;
+        }
+    },
+
+    // Close, asking first when there are edits that would be lost
+    requestClose() {
+        if (this.value() !== this.opened &&
+            !confirm('Discard your changes to this Terraform?')) {
+            return;
+        }
+        this.close();
+    },
+
+    // Modal markup and its event handlers
+    build() {
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+        const backdrop = document.createElement('div');
+        backdrop.className = 'history-log-backdrop terraform-editor-backdrop';
+        backdrop.innerHTML = `
+            <div class="history-log-modal terraform-editor-modal" role="dialog" aria-label="Edit Terraform">
+                <div class="history-log-header">
+                    <h3><i class="fas fa-code"></i> Edit Terraform <code>${escape(this.templateId)}</code></h3>
+                    <button type="button" class="history-log-close" title="Close">✕</button>
+                </div>
+                <div class="terraform-editor-toolbar">
+                    <button type="button" class="terraform-editor-btn" data-editor-action="diff" aria-pressed="false"><i class="fas fa-columns"></i> Show changes</button>
+                    <button type="button" class="terraform-editor-btn" data-editor-action="fold-all"><i class="fas fa-compress-alt"></i> Fold all</button>
+                    <button type="button" class="terraform-editor-btn" data-editor-action="unfold-all"><i class="fas fa-expand-alt"></i> Unfold all</button>
+                    <button type="button" class="terraform-editor-btn" data-editor-action="reset"><i class="fas fa-undo"></i> Reset to original</button>
+                    <span class="terraform-editor-summary"></span>
+                </div>
+                <div class="terraform-editor-body">
+                    <div class="terraform-editor-gutter" aria-hidden="true"></div>
+                    <div class="terraform-editor-code">
+                        <pre class="terraform-editor-highlight" aria-hidden="true"></pre>
+                        <textarea class="terraform-editor-input" spellcheck="false" wrap="off" autocomplete="off" autocapitalize="off" aria-label="Terraform code"></textarea>
+                    </div>
+                    <pre class="terraform-editor-diff" hidden></pre>
+                </div>
+                <div class="plan-review-footer terraform-editor-footer">
+                    <span class="terraform-editor-status"></span>
+                    <div class="plan-review-buttons">
+                        <button type="button" class="plan-review-cancel">Cancel</button>
+                        <button type="button" class="plan-review-deploy terraform-editor-submit">Submit edited template</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.backdrop = backdrop;
+        this.textarea = backdrop.querySelector('.terraform-editor-input');
+        this.highlight = backdrop.querySelector('.terraform-editor-highlight');
+        this.gutter = backdrop.querySelector('.terraform-editor-gutter');
+
+        this.textarea.addEventListener('input', () => this.refresh());
+        this.textarea.addEventListener('beforeinput', (e) => {
+            if (this.unfoldSelection()) e.preventDefault();
+        });
+        this.textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.textarea.addEventListener('scroll', () => this.syncScroll());
+        // Caret moves change which bracket pair is highlighted
+        ['keyup', 'click', 'select'].forEach(type =>
+            this.textarea.addEventListener(type, () => this.renderHighlight()));
+
+        this.gutter.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-fold-line]');
+            if (toggle) this.toggleFold(Number(toggle.dataset.foldLine));
+        });
+
+        backdrop.querySelector('.terraform-editor-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-editor-action]');
+            if (!button) return;
+            const action = button.dataset.editorAction;
+            if (action === 'diff') {
+                this.toggleDiff();
+            } else if (action === 'fold-all') {
+                this.foldAll();
+            } else if (action === 'unfold-all') {
+                this.unfoldAll();
+            } else if (action === 'reset') {
+                this.reset();
+            }
+        });
+
+        backdrop.querySelector('.terraform-editor-submit').addEventListener('click', () => this.submit());
+        backdrop.querySelector('.plan-review-cancel').addEventListener('click', () => this.requestClose());
+        backdrop.querySelector('.history-log-close').addEventListener('click', () => this.requestClose());
+        backdrop.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.requestClose();
+            }
+        });
+
+        document.body.appendChild(backdrop);
+    },
+
+    // The code with every folded block expanded
+    value() {
+        let text = this.textarea ? this.textarea.value : '';
+        // Folds can nest, so expand until no stand-in is left
+        for (let depth = 0; depth < 32 && this.FOLD_PATTERN.test(text); depth++) {
+            text = text.replace(/^.*$/gm, line => {
+                const marker = line.match(this.FOLD_PATTERN);
+                return marker && this.folds.has(marker[0]) ? this.folds.get(marker[0]) : line;
+            });
+        }
+        return text.replace(new RegExp(this.FOLD_PATTERN.source, 'g'), '');
+    },
+
+    // Re-analyse after an edit: brackets, foldable blocks, highlighting, gutter and change summary
+    refresh() {
+        const text = this.textarea.value;
+        this.tokens = window.AzureAIAgent.codeBlocks.tokenize(text, 'hcl');
+        this.brackets = this.analyzeBrackets(this.tokens);
+        this.foldable = this.findFoldable(text);
+        this.renderHighlight();
+        this.renderGutter(text);
+        this.renderSummary();
+        if (this.showingDiff) {
+            this.renderDiff();
+        }
+    },
+
+    // Pair up brackets outside strings and comments; returns { pairs: position → partner, unmatched }
+    analyzeBrackets(tokens) {
+        const closers = Object.values(this.PAIRS);
+        const pairs = new Map();
+        const unmatched = new Set();
+        const stack = [];
+        let position = 0;
+
+        tokens.forEach(token => {
+            if (token.kind !== 'string' && token.kind !== 'comment') {
+                for (let i = 0; i < token.value.length; i++) {
+                    const char = token.value[i];
+                    if (this.PAIRS[char]) {
+                        stack.push({ char, at: position + i });
+                    } else if (closers.includes(char)) {
+                        const open = stack.length > 0 && this.PAIRS[stack[stack.length - 1].char] === char ? stack.pop() : null;
+                        if (open) {
+                            pairs.set(open.at, position + i);
+                            pairs.set(position + i, open.at);
+                        } else {
+                            unmatched.add(position + i);
+                        }
+                    }
+                }
+            }
+            position += token.value.length;
+        });
+
+        stack.forEach(open => unmatched.add(open.at));
+        return { pairs, unmatched };
+    },
+
+    // Lines that open a multi-line block: line index → closing line index.
+    // Only lines ending in "{" whose block closes at the start of a line, which covers formatted HCL.
+    findFoldable(text) {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') lineStarts.push(i + 1);
+        }
+        const lineOf = (position) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (lineStarts[middle] <= position) low = middle; else high = middle - 1;
+            }
+            return low;
+        };
+
+        const lines = text.split('\n');
+        const foldable = new Map();
+        this.brackets.pairs.forEach((close, open) => {
+            if (text[open] !== '{' || close < open) return;
+            const openLine = lineOf(open);
+            const closeLine = lineOf(close);
+            if (closeLine > openLine && !foldable.has(openLine) &&
+                lines[openLine].trimEnd().endsWith('{') && lines[closeLine].trimStart().startsWith('}')) {
+                foldable.set(openLine, closeLine);
+            }
+        });
+        return foldable;
+    },
+
+    // Highlighted copy of the text under the transparent textarea, marking the bracket pair at the caret
+    renderHighlight() {
+        if (!this.highlight || !this.tokens) return;
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+        const marks = new Map();
+        this.brackets.unmatched.forEach(at => marks.set(at, 'bracket-unmatched'));
+
+        const caret = this.textarea.selectionStart;
+        const atCaret = [caret - 1, caret].find(at => this.brackets.pairs.has(at));
+        if (atCaret !== undefined && this.textarea.selectionStart === this.textarea.selectionEnd) {
+            marks.set(atCaret, 'bracket-match');
+            marks.set(this.brackets.pairs.get(atCaret), 'bracket-match');
+        }
+
+        let position = 0;
+        let html = '';
+        this.tokens.forEach(token => {
+            let inner = '';
+            let last = 0;
+            for (let i = 0; i < token.value.length; i++) {
+                const char = token.value[i];
+                const mark = marks.get(position + i) || (this.FOLD_PATTERN.test(char) ? 'fold-marker' : null);
+                if (mark) {
+                    inner += escape(token.value.slice(last, i)) + `<span class="${mark}">${escape(char)}</span>`;
+                    last = i + 1;
+                }
+            }
+            inner += escape(token.value.slice(last));
+            html += token.kind ? `<span class="token token-${token.kind}">${inner}</span>` : inner;
+            position += token.value.length;
+        });
+
+        // A trailing newline needs content after it to take up a line
+        this.highlight.innerHTML = html + '\n ';
+        this.syncScroll();
+    },
+
+    // Line numbers with fold toggles; folded lines show ▸ and unfold on click
+    renderGutter(text) {
+        this.gutter.innerHTML = text.split('\n').map((line, index) => {
+            const folded = this.FOLD_PATTERN.test(line);
+            const toggle = folded ? '▸' : this.foldable.has(index) ? '▾' : '';
+            return `<div class="terraform-editor-line${folded ? ' folded' : ''}">` +
+                (toggle ? `<span class="terraform-editor-fold" data-fold-line="${index}" title="${folded ? 'Unfold' : 'Fold'} block">${toggle}</span>` : '') +
+                `<span class="terraform-editor-number">${index + 1}</span></div>`;
+        }).join('');
+        this.syncScroll();
+    },
+
+    // Keep the highlight layer and gutter aligned with the textarea
+    syncScroll() {
+        if (!this.textarea) return;
+        this.highlight.scrollTop = this.textarea.scrollTop;
+        this.highlight.scrollLeft = this.textarea.scrollLeft;
+        this.gutter.scrollTop = this.textarea.scrollTop;
+    },
+
+    // "+3 −1 lines" since the editor opened, and a bracket warning
+    renderSummary() {
+        const diff = this.diffLines(this.opened.split('\n'), this.value().split('\n'));
+        const added = diff.filter(line => line.type === '+').length;
+        const removed = diff.filter(line => line.type === '-').length;
+        this.backdrop.querySelector('.terraform-editor-summary').textContent =
+            added || removed ? `+${added} −${removed} lines` : 'No changes';
+
+        const status = this.backdrop.querySelector('.terraform-editor-status');
+        const unmatched = this.brackets.unmatched.size;
+        status.textContent = unmatched ? `⚠️ ${unmatched} unmatched bracket${unmatched === 1 ? '' : 's'}` : '';
+    },
+
+    // Fold or unfold the block starting on a line
+    toggleFold(lineIndex) {
+        const lines = this.textarea.value.split('\n');
+        const marker = (lines[lineIndex] || '').match(this.FOLD_PATTERN);
+        if (marker) {
+            this.unfold(marker[0]);
+        } else if (this.foldable.has(lineIndex)) {
+            this.fold(lineIndex);
+        }
+    },
+
+    // Replace a block's lines with its first line, a stand-in and its closing line
+    fold(openLine) {
+        const closeLine = this.foldable.get(openLine);
+        const lines = this.textarea.value.split('\n');
+        const marker = String.fromCharCode(this.FOLD_BASE + this.nextFold++);
+        this.folds.set(marker, lines.slice(openLine, closeLine + 1).join('\n'));
+
+        const folded = lines[openLine].trimEnd() + marker + lines[closeLine].trim();
+        this.replaceLines(openLine, closeLine, folded);
+    },
+
+    // Put a folded block's lines back
+    unfold(marker) {
+        const lines = this.textarea.value.split('\n');
+        const lineIndex = lines.findIndex(line => line.includes(marker));
+        if (lineIndex < 0 || !this.folds.has(marker)) return;
+        this.replaceLines(lineIndex, lineIndex, this.folds.get(marker));
+    },
+
+    // Fold every top-level block
+    foldAll() {
+        this.unfoldAll();
+        // Fold from the bottom so earlier line numbers stay valid
+        const topLevel = [];
+        let coveredUntil = -1;
+        Array.from(this.foldable.keys()).sort((a, b) => a - b).forEach(line => {
+            if (line > coveredUntil) {
+                topLevel.push(line);
+                coveredUntil = this.foldable.get(line);
+            }
+        });
+        topLevel.reverse().forEach(line => {
+            this.fold(line);
+            this.foldable = this.findFoldable(this.textarea.value);
+        });
+    },
+
+    // Expand every fold
+    unfoldAll() {
+        const caret = this.textarea.selectionStart;
+        this.textarea.value = this.value();
+        this.textarea.setSelectionRange(caret, caret);
+        this.refresh();
+    },
+
+    // Swap lines start..end for new text, keeping the caret on the same code where it can
+    replaceLines(start, end, replacement) {
+        const text = this.textarea.value;
+        const lines = text.split('\n');
+        const from = lines.slice(0, start).reduce((length, line) => length + line.length + 1, 0);
+        const to = from + lines.slice(start, end + 1).join('\n').length;
+        const caret = this.textarea.selectionStart;
+
+        this.textarea.value = text.slice(0, from) + replacement + text.slice(to);
+        const moved = caret <= from ? caret :
+            caret >= to ? caret + replacement.length - (to - from) :
+            Math.min(caret, from + replacement.split('\n')[0].length);
+        this.textarea.setSelectionRange(moved, moved);
+        this.refresh();
+    },
+
+    // Editing a folded line unfolds it first; returns true when it did, so the edit is retried by the user
+    unfoldSelection() {
+        const text = this.textarea.value;
+        const lineStart = text.lastIndexOf('\n', this.textarea.selectionStart - 1) + 1;
+        const lineEnd = text.indexOf('\n', this.textarea.selectionEnd);
+        const span = text.slice(lineStart, lineEnd < 0 ? text.length : lineEnd);
+        const markers = span.match(new RegExp(this.FOLD_PATTERN.source, 'g'));
+        if (!markers) return false;
+
+        markers.forEach(marker => this.unfold(marker));
+        return true;
+    },
+
+    // Tab indents, Enter keeps indentation, closing brackets dedent an empty line
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const textarea = this.textarea;
+        const text = textarea.value;
+        const start = textarea.selectionStart;
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const before = text.slice(lineStart, start);
+        const indent = before.match(/^\s*/)[0];
+        const closers = Object.values(this.PAIRS);
+
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            if (this.unfoldSelection()) return;
+            if (e.shiftKey) {
+                if (text.startsWith(this.INDENT, lineStart)) {
+                    textarea.setSelectionRange(lineStart, lineStart + this.INDENT.length);
+                    this.insertText('');
+                    const caret = Math.max(lineStart, start - this.INDENT.length);
+                    textarea.setSelectionRange(caret, caret);
+                }
+            } else {
+                this.insertText(this.INDENT);
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.unfoldSelection()) return;
+            const opener = text[start - 1];
+            if (this.PAIRS[opener]) {
+                const inner = `\n${indent}${this.INDENT}`;
+                const closing = text[textarea.selectionEnd] === this.PAIRS[opener] ? `\n${indent}` : '';
+                this.insertText(inner + closing);
+                const caret = start + inner.length;
+                textarea.setSelectionRange(caret, caret);
+            } else {
+                this.insertText(`\n${indent}`);
+            }
+        } else if (closers.includes(e.key) && before.length > 0 && !before.trim() && before.endsWith(this.INDENT)) {
+            e.preventDefault();
+            if (this.unfoldSelection()) return;
+            textarea.setSelectionRange(start - this.INDENT.length, textarea.selectionEnd);
+            this.insertText(e.key);
+        }
+    },
+
+    // Insert at the selection through the browser's editing commands so undo keeps working
+    insertText(text) {
+        const textarea = this.textarea;
+        textarea.focus();
+        const inserted = text ? document.execCommand('insertText', false, text) : document.execCommand('delete');
+        if (!inserted) {
+            textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+            this.refresh();
+        }
+    },
+
+    // Switch between editing and the diff against the agent's version
+    toggleDiff() {
+        this.showingDiff = !this.showingDiff;
+        const button = this.backdrop.querySelector('[data-editor-action="diff"]');
+        button.setAttribute('aria-pressed', String(this.showingDiff));
+        this.backdrop.querySelector('.terraform-editor-diff').hidden = !this.showingDiff;
+        this.backdrop.querySelector('.terraform-editor-code').hidden = this.showingDiff;
+        this.gutter.hidden = this.showingDiff;
+        if (this.showingDiff) {
+            this.renderDiff();
+        } else {
+            this.textarea.focus();
+        }
+    },
+
+    // Unified diff with a few lines of context around each change
+    renderDiff() {
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+        const diff = this.diffLines(this.opened.split('\n'), this.value().split('\n'));
+        const pane = this.backdrop.querySelector('.terraform-editor-diff');
+        if (!diff.some(line => line.type !== ' ')) {
+            pane.innerHTML = '<div class="diff-empty">No changes since the editor opened</div>';
+            return;
+        }
+
+        const near = diff.map((line, index) => line.type !== ' ' ||
+            diff.slice(Math.max(0, index - this.DIFF_CONTEXT), index + this.DIFF_CONTEXT + 1).some(other => other.type !== ' '));
+        const classes = { '+': 'diff-add', '-': 'diff-remove', ' ': 'diff-context' };
+        let html = '';
+        let skipped = false;
+        diff.forEach((line, index) => {
+            if (!near[index]) {
+                skipped = true;
+                return;
+            }
+            if (skipped) {
+                html += '<div class="diff-gap">⋯</div>';
+                skipped = false;
+            }
+            html += `<div class="${classes[line.type]}"><span class="diff-sign">${line.type}</span>${escape(line.text)}</div>`;
+        });
+        pane.innerHTML = html;
+    },
+
+    // Line diff via longest common subsequence: [{ type: ' ' | '-' | '+', text }]
+    diffLines(before, after) {
+        let prefix = 0;
+        while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < before.length - prefix && suffix < after.length - prefix &&
+            before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+        const a = before.slice(prefix, before.length - suffix);
+        const b = after.slice(prefix, after.length - suffix);
+        const same = (lines) => lines.map(text => ({ type: ' ', text }));
+        let middle;
+
+        if (a.length * b.length > this.MAX_DIFF_CELLS) {
+            middle = a.map(text => ({ type: '-', text })).concat(b.map(text => ({ type: '+', text })));
+        } else {
+            // lengths[i][j]: LCS length of a[i..] and b[j..], flattened
+            const width = b.length + 1;
+            const lengths = new Uint32Array((a.length + 1) * width);
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    lengths[i * width + j] = a[i] === b[j] ? lengths[(i + 1) * width + j + 1] + 1 :
+                        Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+                }
+            }
+
+            middle = [];
+            let i = 0;
+            let j = 0;
+            while (i < a.length && j < b.length) {
+                if (a[i] === b[j]) {
+                    middle.push({ type: ' ', text: a[i++] });
+                    j++;
+                } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                    middle.push({ type: '-', text: a[i++] });
+                } else {
+                    middle.push({ type: '+', text: b[j++] });
+                }
+            }
+            while (i < a.length) middle.push({ type: '-', text: a[i++] });
+            while (j < b.length) middle.push({ type: '+', text: b[j++] });
+        }
+
+        return same(before.slice(0, prefix)).concat(middle, same(before.slice(before.length - suffix)));
+    },
+
+    // Go back to the agent's version
+    reset() {
+        if (!confirm('Replace your edits with the original Terraform?')) return;
+        this.folds = new Map();
+        this.textarea.value = this.original.replace(/\n$/, '');
+        this.refresh();
+    },
+
+    // Send the edited code to the agent as the template's new content
+    async submit() {
+        const code = this.value();
+        if (code === this.opened) {
+            window.AzureAIAgent.ui.showNotification('No changes to submit', 'info');
+            return;
+        }
+        if (this.brackets.unmatched.size > 0 &&
+            !confirm('The code has unmatched brackets and may not be valid Terraform. Submit anyway?')) {
+            return;
+        }
+
+        const templateId = this.templateId;
+        const diff = this.diffLines(this.opened.split('\n'), code.split('\n'));
+        const added = diff.filter(line => line.type === '+').length;
+        const removed = diff.filter(line => line.type === '-').length;
+
+        window.AzureAIAgent.terraform.applyEditedCode(templateId, code);
+        this.close();
+
+        // The agent gets the code; the chat shows a short note instead of the whole file
+        await window.AzureAIAgent.events.sendUserMessage(
+            `Update terraform template: ${templateId}\n\n\`\`\`hcl\n${code}\n\`\`\``,
+            { display: `✏️ Submitted edited Terraform for \`${templateId}\` (+${added} −${removed} lines)` });
+    }
+};
+
+console.log('✅ Terraform editor loaded');
@@ -0,0 +1,317 @@
+/**
+ * Terraform Output Parser
+ * Turns raw Terraform CLI output into resource events and renders a live progress view
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.terraformOutput = {
+
+    // Resource lifecycle lines: "<address>: <verb>... [id=...]" and friends
+    resourcePatterns: [
+        { type: 'started', action: 'create', pattern: /^(\S+): Creating\.\.\./ },
+        { type: 'started', action: 'update', pattern: /^(\S+): Modifying\.\.\./ },
+        { type: 'started', action: 'destroy', pattern: /^(\S+): Destroying\.\.\./ },
+        { type: 'started', action: 'read', pattern: /^(\S+): Reading\.\.\./ },
+        { type: 'progress', pattern: /^(\S+): Still (?:creating|modifying|destroying|reading)\.\.\. \[(?:id=[^,\]]*, )?([0-9hms]+) elapsed\]/ },
+        { type: 'completed', action: 'create', pattern: /^(\S+): Creation complete after ([0-9hms]+)/ },
+        { type: 'completed', action: 'update', pattern: /^(\S+): Modifications complete after ([0-9hms]+)/ },
+        { type: 'completed', action: 'destroy', pattern: /^(\S+): Destruction complete after ([0-9hms]+)/ },
+        { type: 'completed', action: 'read', pattern: /^(\S+): Read complete after ([0-9hms]+)/ }
+    ],
+
+    // Create a stateful parser; feed it lines as they arrive
+    createParser() {
+        const parser = {
+            resources: new Map(),
+            errors: [],
+            warnings: [],
+            outputs: {},
+            summary: null,
+            inOutputs: false,
+            currentDiagnostic: null,
+
+            // Parse a batch of raw lines and return the events they produced
+            feed: (lines) => {
+                const events = [];
+                lines.forEach(raw => {
+                    const event = this.parseLine(parser, raw);
+                    if (event) {
+                        events.push(event);
+                    }
+                });
+                return events;
+            }
+        };
+        return parser;
+    },
+
+    // Strip ANSI colours, the backend's "HH:mm:ss " prefix and diagnostic box drawing
+    cleanLine(raw) {
+        return (raw || '')
+            .replace(/\u001b\[[0-9;]*m/g, '')
+            .replace(/^\d{2}:\d{2}:\d{2}\s/, '')
+            .replace(/^[│╷╵]\s?/, '')
+            .trimEnd();
+    },
+
+    // Turn one line into an event and fold it into the parser state
+    parseLine(parser, raw) {
+        const line = this.cleanLine(raw);
+        const trimmed = line.trim();
+
+        for (const entry of this.resourcePatterns) {
+            const match = trimmed.match(entry.pattern);
+            if (!match) continue;
+
+            parser.inOutputs = false;
+            parser.currentDiagnostic = null;
+            const address = match[1];
+            const resource = parser.resources.get(address) ||
+                { address, action: entry.action || 'create', status: 'pending', elapsed: 0, id: null, updatedAt: Date.now() };
+            const idMatch = trimmed.match(/\[id=([^\]]+)\]/);
+
+            if (entry.type === 'started') {
+                resource.action = entry.action;
+                resource.status = 'in-progress';
+                resource.elapsed = 0;
+            } else if (entry.type === 'progress') {
+                resource.status = 'in-progress';
+                resource.elapsed = this.parseDuration(match[2]);
+            } else {
+                resource.status = 'complete';
+                resource.elapsed = this.parseDuration(match[2]);
+            }
+
+            if (idMatch) {
+                resource.id = idMatch[1];
+            }
+            resource.updatedAt = Date.now();
+            parser.resources.set(address, resource);
+
+            return { type: entry.type, address, action: resource.action, elapsed: resource.elapsed, id: resource.id };
+        }
+
+        // Diagnostics: "Error: summary" followed by "with <address>," and "on <file> line <n>"
+        const diagnosticMatch = trimmed.match(/^(Error|Warning): (.+)$/);
+        if (diagnosticMatch) {
+            parser.inOutputs = false;
+            const diagnostic = { severity: diagnosticMatch[1].toLowerCase(), message: diagnosticMatch[2], address: null, file: null, line: null };
+            parser.currentDiagnostic = diagnostic;
+            (diagnostic.severity === 'error' ? parser.errors : parser.warnings).push(diagnostic);
+            return { type: diagnostic.severity, diagnostic };
+        }
+
+        if (parser.currentDiagnostic) {
+            const withMatch = trimmed.match(/^with (\S+?),?$/);
+            const onMatch = trimmed.match(/^on (\S+) line (\d+)/);
+            if (withMatch) {
+                parser.currentDiagnostic.address = withMatch[1];
+                if (parser.currentDiagnostic.severity === 'error' && parser.resources.has(withMatch[1])) {
+                    parser.resources.get(withMatch[1]).status = 'failed';
+                }
+                return { type: 'diagnostic-detail', diagnostic: parser.currentDiagnostic };
+            }
+            if (onMatch) {
+                parser.currentDiagnostic.file = onMatch[1];
+                parser.currentDiagnostic.line = parseInt(onMatch[2], 10);
+                return { type: 'diagnostic-detail', diagnostic: parser.currentDiagnostic };
+            }
+        }
+
+        const summaryMatch = trimmed.match(/^(Apply|Destroy) complete! Resources: (\d+) added, (\d+) changed, (\d+) destroyed/);
+        if (summaryMatch) {
+            parser.currentDiagnostic = null;
+            parser.summary = {
+                added: parseInt(summaryMatch[2], 10),
+                changed: parseInt(summaryMatch[3], 10),
+                destroyed: parseInt(summaryMatch[4], 10)
+            };
+            return { type: 'summary', summary: parser.summary };
+        }
+
+        if (trimmed === 'Outputs:') {
+            parser.inOutputs = true;
+            parser.currentDiagnostic = null;
+            return null;
+        }
+
+        if (parser.inOutputs) {
+            const outputMatch = trimmed.match(/^([A-Za-z0-9_-]+)\s*=\s*(.*)$/);
+            if (outputMatch) {
+                parser.outputs[outputMatch[1]] = outputMatch[2].replace(/^"(.*)"$/, '$1');
+                return { type: 'output', name: outputMatch[1], value: parser.outputs[outputMatch[1]] };
+            }
+            if (trimmed) {
+                parser.inOutputs = false;
+            }
+        }
+
+        return null;
+    },
+
+    // Convert Terraform durations such as "1m30s" into seconds
+    parseDuration(text) {
+        let seconds = 0;
+        (text || '').replace(/(\d+)([hms])/g, (match, value, unit) => {
+            seconds += parseInt(value, 10) * (unit === 'h' ? 3600 : unit === 'm' ? 60 : 1);
+            return match;
+        });
+        return seconds;
+    },
+
+    // Render a live view into a container: per-resource table next to the searchable raw log.
+    // Returns a handle with append(lines), reset(), getText() and destroy().
+    createView(container) {
+        const escape = (text) => window.AzureAIAgent.formatting.escapeHtml(text);
+        const formatDuration = (seconds) => window.AzureAIAgent.formatting.formatDuration(seconds * 1000);
+
+        container.innerHTML = `
+            <div class="tf-view">
+                <div class="tf-resources">
+                    <table class="tf-resource-table">
+                        <thead><tr><th>Resource</th><th>Action</th><th>Status</th><th>Elapsed</th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                    <div class="tf-diagnostics"></div>
+                    <div class="tf-outputs"></div>
+                </div>
+                <div class="tf-log">
+                    <div class="tf-log-toolbar">
+                        <input type="search" class="tf-log-search" placeholder="Search log...">
+                        <span class="tf-log-count"></span>
+                    </div>
+                    <pre class="tf-log-pre"></pre>
+                </div>
+            </div>
+        `;
+
+        const tbody = container.querySelector('.tf-resource-table tbody');
+        const diagnostics = container.querySelector('.tf-diagnostics');
+        const outputs = container.querySelector('.tf-outputs');
+        const logPre = container.querySelector('.tf-log-pre');
+        const searchInput = container.querySelector('.tf-log-search');
+        const countLabel = container.querySelector('.tf-log-count');
+
+        const view = {
+            lines: [],
+            parser: this.createParser(),
+            timer: null,
+            query: '',
+
+            // Add newly received lines to the log and the resource table
+            append: (newLines) => {
+                if (!newLines || newLines.length === 0) return;
+
+                view.lines.push(...newLines);
+                view.parser.feed(newLines);
+
+                if (view.query) {
+                    renderLog();
+                } else {
+                    const atBottom = logPre.scrollTop + logPre.clientHeight >= logPre.scrollHeight - 10;
+                    const prefix = logPre.textContent ? '\n' : '';
+                    logPre.appendChild(document.createTextNode(prefix + newLines.join('\n')));
+                    countLabel.textContent = `${view.lines.length} lines`;
+                    if (atBottom) {
+                        logPre.scrollTop = logPre.scrollHeight;
+                    }
+                }
+
+                renderResources();
+                updateTimer();
+            },
+
+            // Clear everything for a new deployment
+            reset: () => {
+                view.lines = [];
+                view.parser = this.createParser();
+                logPre.textContent = '';
+                countLabel.textContent = '';
+                renderResources();
+                updateTimer();
+            },
+
+            // Full, untruncated log text
+            getText: () => view.lines.join('\n'),
+
+            // Stop timers and remove listeners
+            destroy: () => {
+                if (view.timer) {
+                    clearInterval(view.timer);
+                    view.timer = null;
+                }
+            }
+        };
+
+        const renderResources = () => {
+            const now = Date.now();
+            const resources = Array.from(view.parser.resources.values());
+
+            tbody.innerHTML = resources.length === 0 ?
+                '<tr class="tf-resource-empty"><td colspan="4">Waiting for resource changes...</td></tr>' :
+                resources.map(resource => {
+                    // Terraform only reports elapsed time every 10s, so tick locally in between
+                    const elapsed = resource.status === 'in-progress' ?
+                        resource.elapsed + Math.floor((now - resource.updatedAt) / 1000) : resource.elapsed;
+                    return `
+                        <tr class="tf-resource tf-status-${resource.status}"${resource.id ? ` title="${escape(resource.id)}"` : ''}>
+                            <td class="tf-resource-address">${escape(resource.address)}</td>
+                            <td>${escape(resource.action)}</td>
+                            <td class="tf-resource-status">${escape(resource.status)}</td>
+                            <td class="tf-resource-elapsed">${formatDuration(elapsed)}</td>
+                        </tr>
+                    `;
+                }).join('');
+
+            const diagnosticItems = [...view.parser.errors, ...view.parser.warnings];
+            diagnostics.innerHTML = diagnosticItems.map(diagnostic => `
+                <div class="tf-diagnostic tf-diagnostic-${diagnostic.severity}">
+                    <strong>${diagnostic.severity === 'error' ? '❌ Error' : '⚠️ Warning'}:</strong> ${escape(diagnostic.message)}
+                    ${diagnostic.file ? `<div class="tf-diagnostic-location">${escape(diagnostic.file)}${diagnostic.line ? `:${diagnostic.line}` : ''}${diagnostic.address ? ` (${escape(diagnostic.address)})` : ''}</div>` : ''}
+                </div>
+            `).join('');
+
+            const outputEntries = Object.entries(view.parser.outputs);
+            outputs.innerHTML = outputEntries.length === 0 ? '' : `
+                <div class="tf-outputs-title">Outputs</div>
+                ${outputEntries.map(([name, value]) => `
+                    <div class="tf-output"><span class="tf-output-name">${escape(name)}</span> = <span class="tf-output-value">${escape(value)}</span></div>
+                `).join('')}
+            `;
+        };
+
+        const renderLog = () => {
+            if (!view.query) {
+                logPre.textContent = view.lines.join('\n');
+                countLabel.textContent = view.lines.length ? `${view.lines.length} lines` : '';
+                return;
+            }
+
+            const query = view.query.toLowerCase();
+            const matches = view.lines.filter(line => line.toLowerCase().includes(query));
+            const pattern = new RegExp(escape(view.query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+            logPre.innerHTML = matches.map(line => escape(line).replace(pattern, match => `<mark>${match}</mark>`)).join('\n');
+            countLabel.textContent = `${matches.length} of ${view.lines.length} lines`;
+        };
+
+        const updateTimer = () => {
+            const running = Array.from(view.parser.resources.values()).some(resource => resource.status === 'in-progress');
+            if (running && !view.timer) {
+                view.timer = setInterval(renderResources, 1000);
+            } else if (!running && view.timer) {
+                clearInterval(view.timer);
+                view.timer = null;
+            }
+        };
+
+        searchInput.addEventListener('input', () => {
+            view.query = searchInput.value.trim();
+            renderLog();
+        });
+
+        renderResources();
+        return view;
+    }
+};
+
+console.log('✅ Terraform output parser loaded');
@@ -5,6 +5,18 @@
 window.AzureAIAgent = window.AzureAIAgent || {};
 window.AzureAIAgent.terraform = {
 
+    // Terraform code generated in the conversation, keyed by template ID ('latest' when unknown)
+    generatedCode: {},
+
+    // The agent's first version of each template, kept as the base for diffs after edits
+    originalCode: {},
+
+    // Variables we are currently asking the user for: { templateId, variables, values }
+    pendingParameters: null,
+
+    // Variable names already supplied per template, so a deploy does not ask twice
+    providedParameters: {},
+
     // Update Terraform context
     updateContext(key, value) {
         if (window.AzureAIAgent.config.terraformContext) {
@@ -33,6 +45,11 @@ window.AzureAIAgent.terraform = {
     // Clear Terraform context
     clearContext() {
         window.AzureAIAgent.config.terraformContext = {};
+        this.generatedCode = {};
+        this.originalCode = {};
+        window.currentTerraformCodeId = null;
+        this.pendingParameters = null;
+        this.providedParameters = {};
         
         try {
             sessionStorage.removeItem('terraformContext');
@@ -50,6 +67,8 @@ window.AzureAIAgent.terraform = {
             if (stored) {
                 window.AzureAIAgent.config.terraformContext = JSON.parse(stored);
                 console.log('📥 Terraform context loaded from sessionStorage');
+            } else {
+                window.AzureAIAgent.config.terraformContext = {};
             }
         } catch (error) {
             console.warn('⚠️ Could not load Terraform context from sessionStorage:', error);
@@ -67,8 +86,16 @@ window.AzureAIAgent.terraform = {
             sessionId: window.AzureAIAgent.config.SESSION_ID
         };
 
-        // Store in context
-        this.updateContext(`operation_${timestamp}`, operationData);
+        // Deployments live in the persistent history store, not in the template context
+        if (details.deploymentId) {
+            if (operation === 'deployment_started') {
+                window.AzureAIAgent.deploymentHistory.record(details);
+            } else if (operation === 'deployment_completed') {
+                window.AzureAIAgent.deploymentHistory.complete(details.deploymentId, 'Completed');
+            } else if (operation === 'deployment_failed') {
+                window.AzureAIAgent.deploymentHistory.complete(details.deploymentId, 'Failed');
+            }
+        }
 
         // Update dashboard counters
         if (operation === 'template_generated') {
@@ -82,18 +109,9 @@ window.AzureAIAgent.terraform = {
         console.log('📊 Template operation tracked:', operationData);
     },
 
-    // Get deployment history
-    getDeploymentHistory() {
-        const context = window.AzureAIAgent.config.terraformContext;
-        const operations = [];
-
-        for (const [key, value] of Object.entries(context)) {
-            if (key.startsWith('operation_') && value.operation) {
-                operations.push(value);
-            }
-        }
-
-        return operations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    // Get deployment history (newest first) from the persistent history store
+    getDeploymentHistory(filters = {}) {
+        return window.AzureAIAgent.deploymentHistory.list(filters);
     },
 
     // Check if template is ready for deployment
@@ -138,33 +156,185 @@ window.AzureAIAgent.terraform = {
         console.log('🔄 Template status reset');
     },
 
-    // Validate template parameters
-    validateTemplateParameters(parameters) {
-        const errors = [];
+    // Validate template parameters against the variables of the template being filled in.
+    // Parameters the template does not declare are still checked against Azure naming rules
+    // when their name says which resource they name (e.g. storage_account_name).
+    validateTemplateParameters(parameters, variables = this.getContext('template_variables') || []) {
+        const forms = window.AzureAIAgent.parameterForms;
+        const naming = window.AzureAIAgent.azureNaming;
+        const known = forms.normalizeVariables(variables)
+            .filter(variable => Object.prototype.hasOwnProperty.call(parameters, variable.name));
+        const { errors } = forms.validate(known, parameters);
+        const errorList = Object.values(errors);
         const warnings = [];
 
-        // Required parameters check
-        const required = ['resourceGroup', 'clusterName', 'region'];
-        required.forEach(param => {
-            if (!parameters[param] || parameters[param].trim() === '') {
-                errors.push(`Missing required parameter: ${param}`);
+        Object.entries(parameters).forEach(([name, value]) => {
+            const declared = variables.some(variable => variable.name === name);
+            if (variables.length > 0 && !declared) {
+                warnings.push(`Parameter ${name} is not declared by the template`);
+            }
+
+            const resourceType = declared ? null : naming.typeForVariable(name);
+            if (resourceType && value !== undefined && String(value).trim() !== '') {
+                const result = naming.validate(resourceType, String(value).trim());
+                errorList.push(...result.errors);
+                warnings.push(...result.warnings);
             }
         });
 
-        // Parameter format validation
-        if (parameters.clusterName && !/^[a-zA-Z][a-zA-Z0-9-]*$/.test(parameters.clusterName)) {
-            errors.push('Cluster name must start with a letter and contain only letters, numbers, and hyphens');
+        return { errors: errorList, warnings };
+    },
+
+    // Remember Terraform code shown in a reply so its Deploy action can check inputs
+    rememberGeneratedCode(code, templateId = null) {
+        this.generatedCode.latest = code;
+        if (templateId) {
+            this.generatedCode[templateId] = code;
+            if (!this.originalCode[templateId]) {
+                this.originalCode[templateId] = code;
+            }
+            window.currentTerraformCodeId = templateId;
+        }
+        console.log('🧩 Terraform code recorded:', templateId || 'latest');
+    },
+
+    // Replace a template's code with the user's edit; its earlier plan no longer applies
+    applyEditedCode(templateId, code) {
+        this.generatedCode.latest = code;
+        this.generatedCode[templateId] = code;
+        window.currentTerraformCodeId = templateId;
+        window.AzureAIAgent.planReview.forget(templateId);
+        this.updateContext('template_edited', templateId);
+        console.log('✏️ Terraform code edited:', templateId);
+    },
+
+    // Find the Terraform code that belongs to a template; without an ID, the latest code generated.
+    // A template with no code of its own gets null, never another template's code.
+    getGeneratedCode(templateId) {
+        if (templateId) {
+            return this.generatedCode[templateId] || null;
+        }
+        return this.generatedCode.latest || null;
+    },
+
+    // Template a piece of code was generated as, when it came from this conversation
+    findTemplateId(code) {
+        const trimmed = (code || '').trim();
+        return Object.keys(this.generatedCode)
+            .find(id => id !== 'latest' && this.generatedCode[id].trim() === trimmed) || null;
+    },
+
+    // The agent's version of a template, before any edits
+    getOriginalCode(templateId) {
+        return this.originalCode[templateId] || null;
+    },
+
+    // Variables the code references but gives no value: declared without a default, or never declared
+    checkMandatoryParameters(terraformCode, provided = []) {
+        if (!terraformCode) return [];
+
+        const analysis = window.AzureAIAgent.hcl.analyze(terraformCode);
+        const referenced = new Set(analysis.references.map(reference => reference.name));
+        const resourceTypes = window.AzureAIAgent.azureNaming.inferVariableTypes(terraformCode);
+
+        const missing = analysis.variables
+            .filter(variable => variable.required && referenced.has(variable.name))
+            .map(variable => ({ ...variable, resourceType: resourceTypes[variable.name] }));
+        analysis.undeclared.forEach(name => {
+            missing.push({
+                name,
+                type: 'string',
+                description: 'Referenced in the configuration but not declared',
+                required: true,
+                sensitive: false,
+                resourceType: resourceTypes[name],
+                validation: []
+            });
+        });
+
+        return missing.filter(variable => !provided.includes(variable.name));
+    },
+
+    // Ask for missing variables with a generated form; typed "name = value" replies work too
+    askForMandatoryParameters(missingParams, templateId) {
+        const names = missingParams.map(variable => `\`${variable.name}\``).join(', ');
+        window.AzureAIAgent.ui.addMessage('assistant',
+            `**⚠️ Missing Required Parameters**\n\nThis configuration needs values for ${names} before it can be deployed. ` +
+            'Fill in the form below or reply with `name = value` pairs.');
+
+        const variables = window.AzureAIAgent.parameterForms.normalizeVariables(missingParams);
+        this.pendingParameters = { templateId, variables, values: {} };
+        window.AzureAIAgent.parameterForms.showForm(
+            { id: templateId, name: 'Terraform variables' },
+            variables,
+            { submitAction: 'submitMandatoryParameters' });
+
+        window.waitingForMandatoryParams = true;
+    },
+
+    // Pick "name = value" or "name: value" pairs for the pending variables out of a chat reply
+    handleMandatoryParametersResponse(message) {
+        const pending = this.pendingParameters;
+        if (!pending) {
+            window.waitingForMandatoryParams = false;
+            return;
         }
 
-        if (parameters.nodeCount && (isNaN(parameters.nodeCount) || parameters.nodeCount < 1 || parameters.nodeCount > 100)) {
-            warnings.push('Node count should be between 1 and 100');
+        pending.variables.forEach(variable => {
+            const name = variable.name.replace(/[-_]/g, '[-_ ]');
+            const match = message.match(new RegExp(`\\b${name}\\s*(?:=|:|to|is)\\s*(?:"([^"]*)"|'([^']*)'|([^,;\\n]+))`, 'i'));
+            if (match) {
+                pending.values[variable.name] = (match[1] || match[2] || match[3]).trim();
+            }
+        });
+
+        const remaining = pending.variables.filter(variable => pending.values[variable.name] === undefined);
+        if (remaining.length > 0) {
+            window.AzureAIAgent.ui.addMessage('assistant',
+                '❓ **Still needed:** ' + remaining.map(variable => `\`${variable.name}\``).join(', '));
+            return;
         }
 
-        if (parameters.vmSize && !parameters.vmSize.startsWith('Standard_')) {
-            warnings.push('VM Size should follow Azure naming convention (e.g., Standard_D2s_v3)');
+        this.submitMandatoryParameters(pending.values);
+    },
+
+    // Handle the generated form's submit action
+    handleMandatoryParametersSubmit(actionData) {
+        const { action, templateId, ...values } = actionData;
+        this.submitMandatoryParameters(values);
+    },
+
+    // Validate the supplied values and hand them to the agent for this configuration
+    async submitMandatoryParameters(rawValues) {
+        const pending = this.pendingParameters;
+        if (!pending) return;
+
+        const forms = window.AzureAIAgent.parameterForms;
+        const { values, errors } = forms.validate(pending.variables, rawValues);
+        const errorList = Object.values(errors);
+        if (errorList.length > 0) {
+            window.AzureAIAgent.ui.addMessage('assistant',
+                '⚠️ **Please fix these parameters:**\n' + errorList.map(error => `* ${error}`).join('\n'));
+            return;
         }
 
-        return { errors, warnings };
+        this.pendingParameters = null;
+        window.waitingForMandatoryParams = false;
+        this.providedParameters[pending.templateId] = Object.keys(values);
+        this.updateContext('submitted_parameters', forms.maskSensitive(pending.variables, values));
+
+        const message = `Use these Terraform variable values for template ${pending.templateId}:\n` +
+            `\`\`\`json\n${JSON.stringify(values, null, 2)}\n\`\`\``;
+
+        try {
+            const result = await window.AzureAIAgent.chat.sendMessage(message);
+            if (result && result.message) {
+                window.AzureAIAgent.ui.addMessage('assistant', result.message, { entities: result.entities });
+            }
+        } catch (error) {
+            console.error('❌ Error sending Terraform variables:', error);
+            window.AzureAIAgent.ui.addMessage('assistant', `❌ **Error sending parameters**: ${error.message}`);
+        }
     },
 
     // Generate template summary
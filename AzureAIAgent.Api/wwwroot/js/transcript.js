@@ -0,0 +1,394 @@
+/**
+ * Conversation Transcript
+ * Records what the chat shows and exports it as Markdown, JSON or standalone HTML
+ */
+
+window.AzureAIAgent = window.AzureAIAgent || {};
+window.AzureAIAgent.transcript = {
+
+    FORMAT_VERSION: 1,
+    DEPLOYMENT_ID_PATTERN: /Deployment ID[:*\s]*`*([a-f0-9-]{36})`*/gi,
+    UUID_PATTERN: /[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/gi,
+
+    // Entries in display order: { id, role, type: 'message' | 'card', timestamp, content, card, submissions }
+    entries: [],
+    nextId: 1,
+
+    // Forget the transcript, e.g. when switching sessions
+    reset() {
+        this.entries = [];
+        this.nextId = 1;
+    },
+
+    // Record a text message as it is rendered
+    record(role, content, options = {}) {
+        const entry = {
+            id: this.nextId++,
+            role,
+            type: 'message',
+            timestamp: new Date().toISOString(),
+            content: content || '',
+            replayed: !!options.replay
+        };
+        this.entries.push(entry);
+        return entry;
+    },
+
+    // Record an adaptive card; its submissions are attached as the user acts on it
+    recordCard(card) {
+        const entry = {
+            id: this.nextId++,
+            role: 'assistant',
+            type: 'card',
+            timestamp: new Date().toISOString(),
+            card: typeof card === 'string' ? this.parseJson(card) : card,
+            submissions: []
+        };
+        this.entries.push(entry);
+        return entry;
+    },
+
+    // Attach submitted card values, masking password-style inputs
+    recordSubmission(entry, actionData) {
+        if (!entry) return;
+
+        const sensitive = this.sensitiveInputs(entry.card);
+        const mask = window.AzureAIAgent.parameterForms.SENSITIVE_MASK;
+        const { action, ...values } = actionData || {};
+        const masked = {};
+        Object.entries(values).forEach(([name, value]) => {
+            masked[name] = sensitive.has(name) && value ? mask : value;
+        });
+
+        entry.submissions.push({ action, values: masked, timestamp: new Date().toISOString() });
+    },
+
+    // IDs of inputs rendered as passwords anywhere in a card
+    sensitiveInputs(card) {
+        const ids = new Set();
+        this.walkCard(card, element => {
+            if (element.type === 'Input.Text' && element.style === 'Password' && element.id) {
+                ids.add(element.id);
+            }
+        });
+        return ids;
+    },
+
+    // Visit every element of a card body, including containers, columns and show-card actions
+    walkCard(node, visit) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => this.walkCard(child, visit));
+            return;
+        }
+
+        if (node.type) {
+            visit(node);
+        }
+        ['body', 'items', 'columns', 'actions', 'card', 'inlineAction'].forEach(key => {
+            if (node[key]) {
+                this.walkCard(node[key], visit);
+            }
+        });
+    },
+
+    // The readable parts of a card: text blocks, facts and input labels
+    summarizeCard(card) {
+        const summary = { text: [], facts: [], inputs: [] };
+        this.walkCard(card, element => {
+            if (element.type === 'TextBlock' && element.text) {
+                summary.text.push(element.text);
+            } else if (element.type === 'FactSet' && Array.isArray(element.facts)) {
+                summary.facts.push(...element.facts);
+            } else if (element.type && element.type.startsWith('Input.') && element.id) {
+                summary.inputs.push({ id: element.id, label: element.label || element.placeholder || element.id });
+            }
+        });
+        return summary;
+    },
+
+    // Cards normally arrive parsed; keep unparseable payloads as raw text
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return { raw: text };
+        }
+    },
+
+    // Terraform code blocks in a message
+    codeBlocks(entry) {
+        return entry.type === 'message' ? window.AzureAIAgent.hcl.extractCodeBlocks(entry.content) : [];
+    },
+
+    // Deployment IDs mentioned in a message or carried by a card
+    deploymentIds(entry) {
+        const ids = new Set();
+        if (entry.type === 'message') {
+            const pattern = new RegExp(this.DEPLOYMENT_ID_PATTERN.source, 'gi');
+            let match;
+            while ((match = pattern.exec(entry.content)) !== null) {
+                ids.add(match[1]);
+            }
+        } else {
+            // Card payloads carry IDs in data fields; keep the ones we know are deployments
+            (JSON.stringify(entry.card || {}).match(this.UUID_PATTERN) || []).forEach(id => {
+                if (window.AzureAIAgent.deploymentHistory.get(id)) {
+                    ids.add(id);
+                }
+            });
+        }
+        return Array.from(ids);
+    },
+
+    // Deployments referenced by the conversation or started in this session, with captured output
+    collectDeployments() {
+        const sessionId = window.AzureAIAgent.config.SESSION_ID;
+        const history = window.AzureAIAgent.deploymentHistory;
+        const ids = new Set(this.entries.flatMap(entry => this.deploymentIds(entry)));
+        history.list().forEach(entry => {
+            if (entry.sessionId === sessionId) {
+                ids.add(entry.deploymentId);
+            }
+        });
+
+        return Array.from(ids).map(id => {
+            const entry = history.get(id);
+            return entry ? {
+                deploymentId: id,
+                templateId: entry.templateId,
+                templateName: entry.templateName,
+                status: entry.status,
+                startedAt: entry.startedAt,
+                endedAt: entry.endedAt,
+                parameters: entry.parameters,
+                output: (entry.output || []).map(line => window.AzureAIAgent.terraformOutput.cleanLine(line))
+            } : { deploymentId: id, status: 'Unknown', output: [] };
+        });
+    },
+
+    // The whole conversation as a plain object
+    build() {
+        const session = window.AzureAIAgent.sessions.get(window.AzureAIAgent.config.SESSION_ID);
+        return {
+            version: this.FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            session: {
+                id: window.AzureAIAgent.config.SESSION_ID,
+                name: session ? session.name : window.AzureAIAgent.sessions.DEFAULT_NAME
+            },
+            messages: this.entries.map(entry => ({
+                ...entry,
+                codeBlocks: this.codeBlocks(entry),
+                deploymentIds: this.deploymentIds(entry)
+            })),
+            deployments: this.collectDeployments()
+        };
+    },
+
+    // Machine-readable export
+    toJson(data = this.build()) {
+        return JSON.stringify(data, null, 2);
+    },
+
+    // Markdown export: messages verbatim, cards summarised, deployment output as text blocks
+    toMarkdown(data = this.build()) {
+        const lines = [
+            `# ${data.session.name}`,
+            '',
+            `* Session: \`${data.session.id}\``,
+            `* Exported: ${data.exportedAt}`,
+            ''
+        ];
+
+        data.messages.forEach(message => {
+            lines.push(`## ${message.role === 'user' ? '🧑 User' : '🤖 Assistant'} · ${message.timestamp}`, '');
+            if (message.type === 'message') {
+                lines.push(message.content, '');
+            } else {
+                this.cardMarkdown(message, lines);
+            }
+        });
+
+        if (data.deployments.length > 0) {
+            lines.push('## Deployments', '');
+            data.deployments.forEach(deployment => {
+                lines.push(`### \`${deployment.deploymentId}\` · ${deployment.status}`, '');
+                if (deployment.templateName || deployment.templateId) {
+                    lines.push(`* Template: ${deployment.templateName || deployment.templateId}`);
+                }
+                if (deployment.startedAt) {
+                    lines.push(`* Started: ${deployment.startedAt}${deployment.endedAt ? `, ended: ${deployment.endedAt}` : ''}`);
+                }
+                lines.push('');
+                if (deployment.output.length > 0) {
+                    lines.push('```text', ...deployment.output, '```', '');
+                }
+            });
+        }
+
+        return lines.join('\n');
+    },
+
+    // A card as its text, facts and submitted values, with the payload folded away
+    cardMarkdown(message, lines) {
+        const summary = this.summarizeCard(message.card);
+        summary.text.forEach(text => lines.push(text, ''));
+        summary.facts.forEach(fact => lines.push(`* **${fact.title}** ${fact.value}`));
+        if (summary.facts.length > 0) lines.push('');
+
+        message.submissions.forEach(submission => {
+            lines.push(`**Submitted** \`${submission.action}\` at ${submission.timestamp}:`, '');
+            const values = Object.entries(submission.values);
+            if (values.length > 0) {
+                lines.push('| Field | Value |', '| --- | --- |');
+                values.forEach(([name, value]) => {
+                    lines.push(`| ${name} | ${String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`);
+                });
+                lines.push('');
+            }
+        });
+
+        lines.push('<details><summary>Adaptive card payload</summary>', '', '```json', JSON.stringify(message.card, null, 2), '```', '', '</details>', '');
+    },
+
+    // Self-contained HTML for change tickets; the JSON export is embedded for tooling
+    toHtml(data = this.build()) {
+        const escape = (text) => String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+        // Same Markdown renderer as the chat, with the export's own code block class
+        const renderText = (content) => {
+            const markdown = window.AzureAIAgent.markdown;
+            const tree = markdown.parse(content);
+            markdown.visit(tree, (node) => {
+                if (node.type === 'code') node.className = 'code';
+                return null;
+            });
+            return markdown.render(tree, { breaks: true });
+        };
+
+        const renderCard = (message) => {
+            const summary = this.summarizeCard(message.card);
+            const facts = summary.facts.length > 0 ?
+                `<dl>${summary.facts.map(fact => `<dt>${escape(fact.title)}</dt><dd>${escape(fact.value)}</dd>`).join('')}</dl>` : '';
+            const submissions = message.submissions.map(submission => `
+                <table>
+                    <caption>Submitted <code>${escape(submission.action)}</code> at ${escape(submission.timestamp)}</caption>
+                    ${Object.entries(submission.values).map(([name, value]) => `<tr><th>${escape(name)}</th><td>${escape(value)}</td></tr>`).join('')}
+                </table>`).join('');
+            return `<div class="card">${summary.text.map(text => `<p>${escape(text)}</p>`).join('')}${facts}${submissions}
+                <details><summary>Adaptive card payload</summary><pre class="code"><code>${escape(JSON.stringify(message.card, null, 2))}</code></pre></details></div>`;
+        };
+
+        const messages = data.messages.map(message => `
+            <section class="message ${escape(message.role)}">
+                <header>${message.role === 'user' ? 'User' : 'Assistant'} · <time>${escape(message.timestamp)}</time></header>
+                ${message.type === 'message' ? renderText(message.content) : renderCard(message)}
+            </section>`).join('');
+
+        const deployments = data.deployments.map(deployment => `
+            <section class="deployment">
+                <h3><code>${escape(deployment.deploymentId)}</code> · ${escape(deployment.status)}</h3>
+                ${deployment.templateName || deployment.templateId ? `<p>Template: ${escape(deployment.templateName || deployment.templateId)}</p>` : ''}
+                ${deployment.output.length > 0 ? `<pre class="code"><code>${escape(deployment.output.join('\n'))}</code></pre>` : ''}
+            </section>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(data.session.name)} - Azure AI Agent transcript</title>
+<style>
+    body { font-family: "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 24px auto; padding: 0 16px; color: #1f2328; }
+    h1 { color: #0078d4; }
+    .meta { color: #57606a; font-size: 13px; }
+    .message { border-radius: 8px; padding: 12px 16px; margin: 12px 0; background: #f6f8fa; }
+    .message.user { background: #e8f3fc; }
+    .message header { font-size: 12px; color: #57606a; margin-bottom: 6px; }
+    .code { background: #1e1e1e; color: #d4d4d4; padding: 12px; border-radius: 6px; overflow-x: auto; font-size: 13px; }
+    .card { border-left: 3px solid #0078d4; padding-left: 12px; }
+    table { border-collapse: collapse; margin: 8px 0; }
+    caption { text-align: left; font-size: 12px; color: #57606a; }
+    th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; }
+    dt { font-weight: 600; }
+    dd { margin: 0 0 4px 0; }
+</style>
+</head>
+<body>
+<h1>${escape(data.session.name)}</h1>
+<p class="meta">Session <code>${escape(data.session.id)}</code> · exported ${escape(data.exportedAt)}</p>
+${messages}
+${deployments ? `<h2>Deployments</h2>${deployments}` : ''}
+<script type="application/json" id="transcript-data">${this.toJson(data).replace(/</g, '\\u003c')}</script>
+</body>
+</html>
+`;
+    },
+
+    // Export the conversation as 'markdown', 'json' or 'html' and download it
+    export(format) {
+        const formats = {
+            markdown: { extension: 'md', type: 'text/markdown', render: data => this.toMarkdown(data) },
+            json: { extension: 'json', type: 'application/json', render: data => this.toJson(data) },
+            html: { extension: 'html', type: 'text/html', render: data => this.toHtml(data) }
+        };
+        const selected = formats[format];
+        if (!selected) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        if (this.entries.length === 0) {
+            window.AzureAIAgent.ui.showNotification('Nothing to export yet', 'info');
+            return;
+        }
+
+        const data = this.build();
+        const stamp = data.exportedAt.replace(/[:.]/g, '-');
+        this.download(`${data.session.id}-${stamp}.${selected.extension}`, selected.render(data), selected.type);
+        console.log(`📤 Exported ${data.messages.length} messages as ${format}`);
+    },
+
+    // Save text as a file
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // Wire the header export menu and the matching palette commands
+    setupExportMenu() {
+        [['markdown', 'Markdown', 'fa-file-alt'], ['json', 'JSON', 'fa-code'], ['html', 'standalone HTML', 'fa-file-code']]
+            .forEach(([format, label, icon]) => window.AzureAIAgent.commandPalette.register({
+                id: `transcript.export-${format}`,
+                title: `Export transcript as ${label}`,
+                category: 'Chat',
+                icon,
+                keywords: ['download', 'save', 'conversation'],
+                run: () => this.export(format)
+            }));
+
+        const menu = document.getElementById('exportMenu');
+        if (!menu) return;
+
+        menu.addEventListener('click', (e) => {
+            if (e.target.closest('.export-menu-toggle')) {
+                menu.classList.toggle('open');
+                return;
+            }
+
+            const item = e.target.closest('[data-export-format]');
+            if (item) {
+                menu.classList.remove('open');
+                this.export(item.dataset.exportFormat);
+            }
+        });
+    }
+};
+
+console.log('✅ Conversation transcript loaded');
@@ -5,8 +5,9 @@
 window.AzureAIAgent = window.AzureAIAgent || {};
 window.AzureAIAgent.ui = {
 
-    // Add message to chat
-    addMessage(role, content) {
+    // Add message to chat. options.replay renders a restored message without re-running side effects;
+    // options.entities are the resources the reply names (see formatting.makeContentClickable)
+    addMessage(role, content, options = {}) {
         // Ensure content is defined
         if (content === undefined || content === null) {
             console.warn('⚠️ Message content is undefined or null');
@@ -27,71 +28,18 @@ window.AzureAIAgent.ui = {
         bubbleDiv.className = 'message-bubble';
         
         // Process content for markdown-like formatting
-        const formattedContent = window.AzureAIAgent.formatting.formatMessageContent(content);
+        const formattedContent = window.AzureAIAgent.formatting.formatMessageContent(content, { entities: options.entities });
         bubbleDiv.innerHTML = formattedContent;
         
         messageDiv.appendChild(bubbleDiv);
         chatMessages.appendChild(messageDiv);
+        window.AzureAIAgent.transcript.record(role, content, options);
         
         // Scroll to bottom
         chatMessages.scrollTop = chatMessages.scrollHeight;
         
-        // Update dashboard stats based on message content
-        if (role === 'assistant') {
-            window.AzureAIAgent.dashboard.updateFromMessage(content);
-            
-            // Check for deployment completion indicators
-            const lowerContent = content.toLowerCase();
-            const hasSuccessIndicators = (
-                lowerContent.includes('✅ deployment completed successfully') ||
-                lowerContent.includes('apply complete!') ||
-                lowerContent.includes('resources: ') && lowerContent.includes('added') ||
-                lowerContent.includes('deployment successful') ||
-                lowerContent.includes('terraform apply completed') ||
-                (lowerContent.includes('success') && lowerContent.includes('deploy'))
-            );
-            
-            if (hasSuccessIndicators) {
-                console.log('✅ Success indicators detected in message, updating progress');
-                // Use timeout to ensure progress system is ready
-                setTimeout(() => {
-                    if (window.AzureAIAgent.progress) {
-                        window.AzureAIAgent.progress.handleSuccess('Deployment completed successfully!');
-                    }
-                }, 500);
-            }
-        }
-        
-        // Show contextual suggestions for assistant messages
-        if (role === 'assistant') {
-            setTimeout(() => {
-                // Focus on deployment progress tracking
-                console.log('Processing assistant message:', content.substring(0, 150) + '...');
-                
-                const lowerContent = content.toLowerCase();
-                const isActuallyDeploying = (
-                    lowerContent.includes('great! the deployment is in progress') ||
-                    lowerContent.includes('deployment is in progress for your aks cluster') ||
-                    lowerContent.includes('applying template') ||
-                    lowerContent.includes('deploying infrastructure') ||
-                    lowerContent.includes('terraform init') ||
-                    lowerContent.includes('terraform plan') ||
-                    lowerContent.includes('terraform apply') ||
-                    lowerContent.includes('deployment started') ||
-                    lowerContent.includes('applying terraform template') ||
-                    lowerContent.includes('proceeding with deployment')
-                );
-                
-                // Don't show progress indicator for template displays
-                const isTemplateDisplay = lowerContent.includes('github template:') || 
-                                        lowerContent.includes('terraform template preview');
-                
-                if (isActuallyDeploying && !isTemplateDisplay) {
-                    console.log('🚀 Deployment detected, showing progress indicator');
-                    window.AzureAIAgent.progress.showDeploymentLoading('Deploying Azure resources...');
-                    // Don't auto-hide - let the progress tracking handle it
-                }
-            }, 500);
+        if (role === 'assistant' && !options.replay) {
+            this.handleAssistantMessage(content);
         }
         
         // Enhance scroll indicators for log blocks
@@ -100,6 +48,110 @@ window.AzureAIAgent.ui = {
         }, 100);
     },
 
+    // Side effects shared by every rendered assistant reply
+    handleAssistantMessage(content) {
+        window.AzureAIAgent.dashboard.updateFromMessage(content);
+        
+        // Deployment progress is driven by the deployment state machine, not by reply wording
+        console.log('Processing assistant message:', content.substring(0, 150) + '...');
+    },
+
+    // Start an assistant bubble that is filled progressively while a reply streams in.
+    // Returns a handle with append(text) for deltas, complete(result) for the final frame and interrupt() on failure.
+    beginStreamingMessage() {
+        const chatMessages = window.AzureAIAgent.config.chatMessages;
+        if (!chatMessages) {
+            console.error('❌ Chat messages container not found');
+            return null;
+        }
+        
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant streaming';
+        
+        const bubbleDiv = document.createElement('div');
+        bubbleDiv.className = 'message-bubble';
+        
+        messageDiv.appendChild(bubbleDiv);
+        chatMessages.appendChild(messageDiv);
+        
+        let text = '';
+        let frame = null;
+        
+        // Re-render at most once per frame so long replies don't thrash the layout
+        const render = () => {
+            frame = null;
+            const isAtBottom = chatMessages.scrollTop + chatMessages.clientHeight >= chatMessages.scrollHeight - 10;
+            bubbleDiv.textContent = text;
+            if (isAtBottom) {
+                chatMessages.scrollTop = chatMessages.scrollHeight;
+            }
+        };
+        
+        const cancelRender = () => {
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+        };
+        
+        return {
+            append(delta) {
+                text += delta;
+                if (frame === null) {
+                    frame = requestAnimationFrame(render);
+                }
+            },
+            
+            complete: (result) => {
+                // A frame still pending would overwrite the formatted reply with raw text
+                cancelRender();
+                messageDiv.classList.remove('streaming');
+                const finalText = (result && result.message) || text;
+                
+                if (result && result.contentType === 'adaptive-card' && result.adaptiveCard) {
+                    // The card arrives as the typed final frame; keep the streamed text above it
+                    if (finalText && finalText.trim()) {
+                        bubbleDiv.innerHTML = window.AzureAIAgent.formatting.formatMessageContent(finalText, { entities: result && result.entities });
+                        window.AzureAIAgent.transcript.record('assistant', finalText);
+                        this.handleAssistantMessage(finalText);
+                    } else {
+                        messageDiv.remove();
+                    }
+                    this.addAdaptiveCardMessage(null, result.adaptiveCard);
+                    return;
+                }
+                
+                if (!finalText) {
+                    messageDiv.remove();
+                    return;
+                }
+                
+                bubbleDiv.innerHTML = window.AzureAIAgent.formatting.formatMessageContent(finalText, { entities: result && result.entities });
+                chatMessages.scrollTop = chatMessages.scrollHeight;
+                window.AzureAIAgent.transcript.record('assistant', finalText);
+                this.handleAssistantMessage(finalText);
+                setTimeout(() => {
+                    this.enhanceScrollIndicators();
+                }, 100);
+            },
+            
+            // The request failed midway: keep the text that arrived, marked as cut off
+            interrupt() {
+                cancelRender();
+                messageDiv.classList.remove('streaming');
+                if (!text.trim()) {
+                    messageDiv.remove();
+                    return;
+                }
+
+                const interruptedText = `${text}\n\n*⚠️ Reply interrupted*`;
+                messageDiv.classList.add('interrupted');
+                bubbleDiv.innerHTML = window.AzureAIAgent.formatting.formatMessageContent(interruptedText);
+                window.AzureAIAgent.transcript.record('assistant', interruptedText);
+            }
+        };
+    },
+
     // Add adaptive card message
     addAdaptiveCardMessage(textContent, adaptiveCardData) {
         console.log('🃏 addAdaptiveCardMessage called');
@@ -130,6 +182,8 @@ window.AzureAIAgent.ui = {
         const cardContainer = document.createElement('div');
         cardContainer.className = 'adaptive-card-container';
         
+        const transcriptEntry = window.AzureAIAgent.transcript.recordCard(adaptiveCardData);
+        
         try {
             console.log('🎨 Creating adaptive card...');
             const adaptiveCard = new AdaptiveCards.AdaptiveCard();
@@ -147,6 +201,7 @@ window.AzureAIAgent.ui = {
                 }
                 
                 isProcessing = true;
+                cardContainer.classList.add('card-pending');
                 console.log('🎯 Adaptive card action executed:', action);
                 const actionData = action.data || {};
                 
@@ -155,13 +210,16 @@ window.AzureAIAgent.ui = {
                 actionData.action = actionData.action || action.id || 'submit';
                 
                 console.log('🎯 Final action data:', actionData);
+                window.AzureAIAgent.transcript.recordSubmission(transcriptEntry, actionData);
                 
-                // Reset processing flag after a short delay
-                setTimeout(() => {
+                // The card stays locked until its action settles (including abort or timeout),
+                // and for at least a second to swallow double clicks
+                const minimumDelay = new Promise(resolve => setTimeout(resolve, 1000));
+                const result = window.AzureAIAgent.cards.handleAdaptiveCardAction(actionData);
+                Promise.all([Promise.resolve(result).catch(() => null), minimumDelay]).then(() => {
                     isProcessing = false;
-                }, 1000);
-                
-                window.AzureAIAgent.cards.handleAdaptiveCardAction(actionData);
+                    cardContainer.classList.remove('card-pending');
+                });
             };
             
             console.log('🔄 Parsing card data...');
@@ -208,6 +266,20 @@ window.AzureAIAgent.ui = {
         });
     },
 
+    // Show the Stop control while a request is in flight; once nothing is pending,
+    // put the composer back into a usable state whatever ended the request
+    setRequestActive(busy) {
+        const stopButton = window.AzureAIAgent.config.stopButton;
+        if (stopButton) {
+            stopButton.hidden = !busy;
+        }
+        
+        if (!busy) {
+            this.hideTyping();
+            this.setFormDisabled(false);
+        }
+    },
+
     // Form and UI state management
     setFormDisabled(disabled) {
         const chatInput = window.AzureAIAgent.config.chatInput;
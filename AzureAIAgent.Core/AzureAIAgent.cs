@@ -15,6 +15,7 @@ namespace AzureAIAgent.Core;
 public interface IAzureAIAgent
 {
     Task<string> ProcessRequestAsync(string sessionId, string message);
+    Task<string> ProcessRequestStreamingAsync(string sessionId, string message, Func<string, Task> onToken, CancellationToken cancellationToken = default);
     Task<List<ConversationMessage>> GetChatHistoryAsync(string sessionId);
     Task ClearChatHistoryAsync(string sessionId);
 }
@@ -55,7 +56,19 @@ public class AzureAIAgent : IAzureAIAgent
         _portDetectionService = portDetectionService;
     }
 
-    public async Task<string> ProcessRequestAsync(string sessionId, string message)
+    public Task<string> ProcessRequestAsync(string sessionId, string message)
+    {
+        return ProcessRequestCoreAsync(sessionId, message, null, CancellationToken.None);
+    }
+
+    // Same as ProcessRequestAsync, but model output is passed to onToken as it is generated.
+    // Replies that bypass the model (form submissions, direct commands) arrive only as the return value.
+    public Task<string> ProcessRequestStreamingAsync(string sessionId, string message, Func<string, Task> onToken, CancellationToken cancellationToken = default)
+    {
+        return ProcessRequestCoreAsync(sessionId, message, onToken, cancellationToken);
+    }
+
+    private async Task<string> ProcessRequestCoreAsync(string sessionId, string message, Func<string, Task>? onToken, CancellationToken cancellationToken)
     {
         try
         {
@@ -105,6 +118,16 @@ AVAILABLE FUNCTIONS: ApplyTerraformTemplate, AnalyzeTerraformError, ExecuteAzure
 
 Always ask for confirmation before deploying. Be helpful and conversational.");
 
+            // Code edited in the browser is the current configuration for its template
+            if (session.State?.Context != null &&
+                session.State.Context.TryGetValue("terraform_code", out var editedCode) &&
+                editedCode is string code && !string.IsNullOrWhiteSpace(code))
+            {
+                var editedId = session.State.Context.TryGetValue("terraform_code_id", out var id) ? id?.ToString() : null;
+                chatHistory.AddSystemMessage($"The user edited the Terraform for template {editedId}. " +
+                    $"This is its current configuration; use it instead of earlier versions:\n```hcl\n{code}\n```");
+            }
+
             // Convert existing messages to ChatHistory (limit to last 5 messages for token efficiency)
             var recentMessages = session.Messages.TakeLast(5).ToList();
             foreach (var msg in recentMessages)
@@ -123,7 +146,9 @@ Always ask for confirmation before deploying. Be helpful and conversational.");
                 sessionId, chatHistory.Count, EstimateTokens(chatHistory));
 
             // Get AI response with retry logic
-            var response = await GetChatResponseWithRetryAsync(chatCompletionService, chatHistory, _kernel);
+            var response = onToken == null
+                ? await GetChatResponseWithRetryAsync(chatCompletionService, chatHistory, _kernel)
+                : await GetStreamingChatResponseWithRetryAsync(chatCompletionService, chatHistory, _kernel, onToken, cancellationToken);
 
             // Add assistant response to history
             chatHistory.AddAssistantMessage(response);
@@ -134,6 +159,10 @@ Always ask for confirmation before deploying. Be helpful and conversational.");
 
             return response;
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            throw;
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error processing request for session {SessionId}", sessionId);
@@ -211,6 +240,56 @@ Always ask for confirmation before deploying. Be helpful and conversational.");
         throw new InvalidOperationException("Max retries exceeded");
     }
 
+    private async Task<string> GetStreamingChatResponseWithRetryAsync(IChatCompletionService chatService, ChatHistory chatHistory, Kernel kernel, Func<string, Task> onToken, CancellationToken cancellationToken)
+    {
+        var maxRetries = _rateLimitConfig.MaxRetries;
+        var baseDelay = TimeSpan.FromSeconds(_rateLimitConfig.BaseDelaySeconds);
+
+        for (int attempt = 0; attempt <= maxRetries; attempt++)
+        {
+            var content = new StringBuilder();
+            try
+            {
+                await foreach (var chunk in chatService.GetStreamingChatMessageContentsAsync(
+                    chatHistory,
+                    executionSettings: new OpenAIPromptExecutionSettings()
+                    {
+                        ToolCallBehavior = ToolCallBehavior.AutoInvokeKernelFunctions,
+                        Temperature = 0.1,
+                        MaxTokens = 1000
+                    },
+                    kernel: kernel,
+                    cancellationToken: cancellationToken))
+                {
+                    if (string.IsNullOrEmpty(chunk.Content)) continue;
+                    content.Append(chunk.Content);
+                    await onToken(chunk.Content);
+                }
+
+                _logger.LogInformation("Successfully streamed response with {TokenCount} tokens (estimated)", content.Length / 4);
+
+                return content.Length > 0 ? content.ToString() : "I apologize, but I couldn't generate a response.";
+            }
+            // Once text has reached the client a retry would repeat it, so only retry before the first token
+            catch (Exception ex) when (content.Length == 0 && attempt < maxRetries && ex is not OperationCanceledException)
+            {
+                var delay = ex.Message.Contains("429")
+                    ? ExtractRetryDelayFromError(ex.Message) ?? TimeSpan.FromMilliseconds(baseDelay.TotalMilliseconds * Math.Pow(2, attempt))
+                    : baseDelay;
+                if (delay.TotalSeconds > 30)
+                {
+                    throw new InvalidOperationException($"Azure OpenAI rate limit requires {delay.TotalSeconds}s delay. This suggests quota exhaustion. Please wait and try again later or upgrade your Azure OpenAI pricing tier.");
+                }
+
+                _logger.LogWarning(ex, "Streaming chat response failed (attempt {Attempt}/{MaxRetries}). Waiting {Delay} seconds before retry.",
+                    attempt + 1, maxRetries + 1, delay.TotalSeconds);
+                await Task.Delay(delay, cancellationToken);
+            }
+        }
+
+        throw new InvalidOperationException("Max retries exceeded");
+    }
+
     public async Task<List<ConversationMessage>> GetChatHistoryAsync(string sessionId)
     {
         try
@@ -284,6 +363,17 @@ Always ask for confirmation before deploying. Be helpful and conversational.");
                 return await HandleTerraformEditActionAsync(sessionId, deploymentId);
             }
             
+            // Handle code submitted from the Terraform editor: the ID line, then the code in a fence
+            if (message.StartsWith("Update terraform template:"))
+            {
+                _logger.LogInformation("Update terraform template action detected");
+                var body = message.Substring("Update terraform template:".Length);
+                var lineEnd = body.IndexOf('\n');
+                var deploymentId = (lineEnd < 0 ? body : body.Substring(0, lineEnd)).Trim();
+                var codeMatch = Regex.Match(body, @"```(?:hcl|terraform)?\s*\n(.*?)\n?```", RegexOptions.Singleline);
+                return await HandleTerraformUpdateActionAsync(sessionId, deploymentId, codeMatch.Success ? codeMatch.Groups[1].Value : string.Empty);
+            }
+            
             // Handle cancel terraform template action buttons
             if (message.StartsWith("Cancel terraform template:"))
             {
@@ -1556,9 +1646,7 @@ Respond with ONLY the action and parameters: action_name|param1|param2|param3
                 var deploymentRequest = new
                 {
                     sessionId = sessionId, // Use the passed session ID
-                    terraformCode = "# AKS Cluster Terraform Configuration\n" +
-                                   $"# Generated for cluster: {clusterName}\n" +
-                                   "# This will be replaced with actual terraform template",
+                    terraformCode = string.Empty, // The API downloads the template
                     parameters = new Dictionary<string, object>() // Empty - let DeployTemplate get from session
                 };
 
@@ -1676,12 +1764,16 @@ Respond with ONLY the action and parameters: action_name|param1|param2|param3
             // Call the actual deployment API with the stored parameters
             try
             {
+                // Code edited in the browser replaces the generated configuration for its template
+                var editedCode = session.State.Context.TryGetValue("terraform_code_id", out var editedId) && editedId?.ToString() == deploymentId
+                    ? session.State.Context["terraform_code"] as string
+                    : null;
+
                 var deploymentRequest = new
                 {
                     sessionId = sessionId,
-                    terraformCode = "# AKS Cluster Terraform Configuration\n" +
-                                   $"# Deployment ID: {deploymentId}\n" +
-                                   "# Generated from form submission",
+                    templateId = editedCode != null ? deploymentId : null,
+                    terraformCode = editedCode ?? string.Empty, // Without edits the API downloads the template
                     parameters = new Dictionary<string, object>() // Let API get from session
                 };
 
@@ -1763,6 +1855,45 @@ Respond with ONLY the action and parameters: action_name|param1|param2|param3
         }
     }
 
+    private async Task<string> HandleTerraformUpdateActionAsync(string sessionId, string deploymentId, string terraformCode)
+    {
+        try
+        {
+            _logger.LogInformation("Handling edited code for template {DeploymentId} in session {SessionId}", deploymentId, sessionId);
+
+            if (string.IsNullOrWhiteSpace(terraformCode))
+            {
+                return $"❌ **Error**: No Terraform code was submitted for template {deploymentId}.";
+            }
+
+            var session = await _sessionManager.GetSessionAsync(sessionId);
+            if (session?.State?.Context == null)
+            {
+                return $"❌ **Error**: Session {sessionId} not found. Please start a new conversation.";
+            }
+
+            // The edited code becomes the template's context for deploys and follow-up questions
+            session.State.Context["terraform_code"] = terraformCode;
+            session.State.Context["terraform_code_id"] = deploymentId;
+            await _sessionManager.UpdateSessionAsync(session);
+
+            var lineCount = terraformCode.Split('\n').Length;
+            return $@"✏️ **Template Updated**
+
+Deployment ID: {deploymentId}
+**Status**: Edited code saved ({lineCount} lines)
+
+The edited Terraform replaces the generated version for this template. Review the plan before deploying.
+
+🎯 **Actions:** Deploy, Edit or Cancel";
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error handling terraform update action");
+            return $"❌ **Error**: Failed to update template: {ex.Message}";
+        }
+    }
+
     private async Task<string> HandleTerraformCancelActionAsync(string sessionId, string deploymentId)
     {
         try
@@ -1774,6 +1905,8 @@ Respond with ONLY the action and parameters: action_name|param1|param2|param3
             if (session?.State?.Context != null)
             {
                 session.State.Context.Remove("terraform_parameters");
+                session.State.Context.Remove("terraform_code");
+                session.State.Context.Remove("terraform_code_id");
                 await _sessionManager.UpdateSessionAsync(session);
             }
             
@@ -0,0 +1,26 @@
+namespace AzureAIAgent.Core.Models;
+
+/// <summary>
+/// A resource named in an agent reply, reported by the tool that produced it so the
+/// chat UI can make exactly that name clickable instead of guessing from the text
+/// </summary>
+public class ChatEntity
+{
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Kubernetes kind in lower case (pod, service, namespace, node) or an Azure resource type
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    public string? Namespace { get; set; }
+
+    /// <summary>
+    /// Azure resource ID or Kubernetes UID
+    /// </summary>
+    public string? ResourceId { get; set; }
+
+    public string? ResourceGroup { get; set; }
+
+    public string? Cluster { get; set; }
+}
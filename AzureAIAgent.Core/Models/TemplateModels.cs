@@ -18,6 +18,13 @@ public class TemplateParameter
     public bool Required { get; set; }
     public string? Default { get; set; }
     public bool Sensitive { get; set; }
+    public List<TemplateValidationRule> Validation { get; set; } = new(); // validation {} blocks from variables.tf
+}
+
+public class TemplateValidationRule
+{
+    public string Condition { get; set; } = string.Empty; // HCL expression, e.g. length(var.name) <= 24
+    public string ErrorMessage { get; set; } = string.Empty;
 }
 
 public class DeploymentInfo
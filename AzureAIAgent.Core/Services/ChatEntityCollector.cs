@@ -0,0 +1,93 @@
+using AzureAIAgent.Core.Models;
+
+namespace AzureAIAgent.Core.Services;
+
+/// <summary>
+/// Collects the entities plugins report while one chat request is processed.
+/// The scope flows with the async call chain, so singleton plugins invoked by the
+/// kernel add to the request that called them without any extra plumbing.
+/// </summary>
+public static class ChatEntityCollector
+{
+    private static readonly AsyncLocal<ChatEntityScope?> _current = new();
+
+    /// <summary>
+    /// Start collecting for the current request; dispose the scope when the reply is built
+    /// </summary>
+    public static ChatEntityScope Begin()
+    {
+        var scope = new ChatEntityScope(_current.Value);
+        _current.Value = scope;
+        return scope;
+    }
+
+    /// <summary>
+    /// Record an entity; ignored when no request is collecting (console host, background work)
+    /// </summary>
+    public static void Add(ChatEntity entity)
+    {
+        _current.Value?.Add(entity);
+    }
+
+    internal static void End(ChatEntityScope scope)
+    {
+        if (_current.Value == scope)
+        {
+            _current.Value = scope.Parent;
+        }
+    }
+}
+
+public sealed class ChatEntityScope : IDisposable
+{
+    private readonly List<ChatEntity> _entities = [];
+    private readonly object _lockObject = new();
+
+    internal ChatEntityScope(ChatEntityScope? parent)
+    {
+        Parent = parent;
+    }
+
+    internal ChatEntityScope? Parent { get; }
+
+    /// <summary>
+    /// Entities in the order they were reported, without duplicates
+    /// </summary>
+    public IReadOnlyList<ChatEntity> Entities
+    {
+        get
+        {
+            lock (_lockObject)
+            {
+                return _entities.ToList();
+            }
+        }
+    }
+
+    internal void Add(ChatEntity entity)
+    {
+        if (string.IsNullOrWhiteSpace(entity.Name) || string.IsNullOrWhiteSpace(entity.Kind))
+        {
+            return;
+        }
+
+        lock (_lockObject)
+        {
+            var exists = _entities.Any(e =>
+                e.Name == entity.Name &&
+                string.Equals(e.Kind, entity.Kind, StringComparison.OrdinalIgnoreCase) &&
+                e.Namespace == entity.Namespace &&
+                e.Cluster == entity.Cluster);
+
+            if (!exists)
+            {
+                _entities.Add(entity);
+            }
+        }
+    }
+
+    public void Dispose()
+    {
+        ChatEntityCollector.End(this);
+    }
+}
@@ -426,47 +426,140 @@ public class GitHubTemplateService
     }
 
     private List<TemplateParameter> ExtractParametersFromVariablesFile(string variablesContent)
+    {
+        return ParseVariablesFile(variablesContent);
+    }
+
+    /// <summary>
+    /// Parses the variable blocks of a variables.tf, including their validation {} rules.
+    /// Blocks are matched by brace depth, so nested validation blocks do not cut a variable short.
+    /// </summary>
+    public static List<TemplateParameter> ParseVariablesFile(string variablesContent)
     {
         var parameters = new List<TemplateParameter>();
-        
-        // Simple regex-based extraction from variables.tf
-        // You could enhance this with proper HCL parsing
-        var variablePattern = @"variable\s+""([^""]+)""\s*\{([^}]+)\}";
-        var matches = System.Text.RegularExpressions.Regex.Matches(variablesContent, variablePattern, System.Text.RegularExpressions.RegexOptions.Singleline);
-        
-        foreach (System.Text.RegularExpressions.Match match in matches)
+        var headers = System.Text.RegularExpressions.Regex.Matches(variablesContent, @"variable\s+""([^""]+)""\s*\{");
+
+        foreach (System.Text.RegularExpressions.Match header in headers)
         {
-            var variableName = match.Groups[1].Value;
-            var variableBlock = match.Groups[2].Value;
-            
+            var variableName = header.Groups[1].Value;
+            var variableBlock = ReadBlockBody(variablesContent, header.Index + header.Length);
+
+            // Nested blocks (validation) are collected and removed, leaving the variable's own attributes
+            var validation = new List<TemplateValidationRule>();
+            var attributes = new System.Text.StringBuilder();
+            var position = 0;
+            foreach (System.Text.RegularExpressions.Match nested in System.Text.RegularExpressions.Regex.Matches(variableBlock, @"(?m)^\s*(\w+)\s*\{"))
+            {
+                if (nested.Index < position) continue;
+
+                var nestedBody = ReadBlockBody(variableBlock, nested.Index + nested.Length);
+                attributes.Append(variableBlock, position, nested.Index - position);
+                position = Math.Min(variableBlock.Length, nested.Index + nested.Length + nestedBody.Length + 1);
+
+                if (nested.Groups[1].Value == "validation")
+                {
+                    var conditionMatch = System.Text.RegularExpressions.Regex.Match(nestedBody, @"condition\s*=\s*(.+)");
+                    var messageMatch = System.Text.RegularExpressions.Regex.Match(nestedBody, @"error_message\s*=\s*""((?:[^""\\]|\\.)*)""");
+                    validation.Add(new TemplateValidationRule
+                    {
+                        Condition = conditionMatch.Success ? conditionMatch.Groups[1].Value.Trim() : string.Empty,
+                        ErrorMessage = messageMatch.Success ? System.Text.RegularExpressions.Regex.Unescape(messageMatch.Groups[1].Value) : string.Empty
+                    });
+                }
+            }
+            attributes.Append(variableBlock, position, variableBlock.Length - position);
+            var ownAttributes = attributes.ToString();
+
             // Extract description
-            var descriptionMatch = System.Text.RegularExpressions.Regex.Match(variableBlock, @"description\s*=\s*""([^""]+)""");
+            var descriptionMatch = System.Text.RegularExpressions.Regex.Match(ownAttributes, @"description\s*=\s*""([^""]+)""");
             var description = descriptionMatch.Success ? descriptionMatch.Groups[1].Value : $"Parameter for {variableName}";
-            
+
             // Extract type
-            var typeMatch = System.Text.RegularExpressions.Regex.Match(variableBlock, @"type\s*=\s*(\w+)");
+            var typeMatch = System.Text.RegularExpressions.Regex.Match(ownAttributes, @"type\s*=\s*(\w+)");
             var type = typeMatch.Success ? typeMatch.Groups[1].Value : "string";
-            
-            // Extract default
-            var defaultMatch = System.Text.RegularExpressions.Regex.Match(variableBlock, @"default\s*=\s*""?([^""\n]+)""?");
-            var defaultValue = defaultMatch.Success ? defaultMatch.Groups[1].Value.Trim('"') : null;
-            
+
+            // Extract default; "default = null" makes the variable optional without giving it a value
+            var defaultMatch = System.Text.RegularExpressions.Regex.Match(ownAttributes, @"default\s*=\s*""?([^""\n]*)""?");
+            var defaultValue = defaultMatch.Success ? defaultMatch.Groups[1].Value.Trim().Trim('"') : null;
+            if (defaultValue == "null")
+            {
+                defaultValue = null;
+            }
+
             // Check if required (no default value typically means required)
             var required = !defaultMatch.Success;
-            
+
             parameters.Add(new TemplateParameter
             {
                 Name = variableName,
                 Type = type,
                 Description = description,
                 Required = required,
-                Default = defaultValue
+                Default = defaultValue,
+                Sensitive = System.Text.RegularExpressions.Regex.IsMatch(ownAttributes, @"sensitive\s*=\s*true"),
+                Validation = validation
             });
         }
-        
+
         return parameters;
     }
 
+    // Text between an opening brace (just before start) and its matching closing brace, skipping braces inside strings
+    private static string ReadBlockBody(string content, int start)
+    {
+        var depth = 1;
+        var inString = false;
+        for (var i = start; i < content.Length; i++)
+        {
+            var c = content[i];
+            if (inString)
+            {
+                if (c == '\\') i++;
+                else if (c == '"') inString = false;
+            }
+            else if (c == '"') inString = true;
+            else if (c == '{') depth++;
+            else if (c == '}' && --depth == 0) return content.Substring(start, i - start);
+        }
+
+        return content.Substring(start);
+    }
+
+    /// <summary>
+    /// Validation rules from the variables.tf next to a template's main.tf, keyed by variable name.
+    /// Empty when there is no such file; Terraform still enforces the rules at plan time.
+    /// </summary>
+    public async Task<Dictionary<string, List<TemplateValidationRule>>> GetValidationRulesAsync(TemplateMetadata template)
+    {
+        var rules = new Dictionary<string, List<TemplateValidationRule>>();
+        if (!template.GitHubUrl.EndsWith("/main.tf", StringComparison.OrdinalIgnoreCase))
+        {
+            return rules;
+        }
+
+        try
+        {
+            var variablesUrl = template.GitHubUrl[..^"main.tf".Length] + "variables.tf";
+            var response = await _httpClient.GetAsync(variablesUrl);
+            if (!response.IsSuccessStatusCode)
+            {
+                return rules;
+            }
+
+            var content = await response.Content.ReadAsStringAsync();
+            foreach (var parameter in ParseVariablesFile(content).Where(p => p.Validation.Count > 0))
+            {
+                rules[parameter.Name] = parameter.Validation;
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not load validation rules for template {TemplateId}", template.Id);
+        }
+
+        return rules;
+    }
+
     private string FormatTemplateName(string templateName)
     {
         return System.Globalization.CultureInfo.CurrentCulture.TextInfo.ToTitleCase(
@@ -4,6 +4,8 @@ using k8s;
 using k8s.Models;
 using Microsoft.SemanticKernel;
 using System.Text.Json;
+using AzureAIAgent.Core.Models;
+using AzureAIAgent.Core.Services;
 
 namespace AzureAIAgent.Plugins;
 
@@ -11,9 +13,26 @@ namespace AzureAIAgent.Plugins;
 /// AKS MCP Plugin for querying internal state of deployed AKS clusters
 /// Provides deep visibility into Kubernetes resources and workloads
 /// </summary>
-public class AksMcpPlugin
+public class AksMcpPlugin : IDisposable
 {
     private readonly Dictionary<string, IKubernetes> _kubernetesClients = new();
+    private readonly object _lock = new();
+    private IKubernetes? _currentContextClient;
+
+    /// <summary>
+    /// Report a listed resource so the chat reply links exactly this name
+    /// </summary>
+    private static void ReportEntity(string kind, string name, string? namespaceName, string? uid, string deploymentName)
+    {
+        ChatEntityCollector.Add(new ChatEntity
+        {
+            Name = name,
+            Kind = kind,
+            Namespace = namespaceName,
+            ResourceId = uid,
+            Cluster = deploymentName == "current" ? null : deploymentName
+        });
+    }
 
     [KernelFunction("GetPods")]
     [Description("Get all pods in an AKS cluster or use current kubectl context")]
@@ -81,6 +100,7 @@ public class AksMcpPlugin
                 foreach (var pod in namespacePods.OrderBy(p => p.Metadata.Name))
                 {
                     var name = pod.Metadata.Name ?? "Unknown";
+                    ReportEntity("pod", name, pod.Metadata.NamespaceProperty, pod.Metadata.Uid, deploymentName);
                     var status = pod.Status.Phase ?? "Unknown";
                     var restarts = pod.Status.ContainerStatuses?.Sum(c => c.RestartCount) ?? 0;
                     var age = pod.Metadata.CreationTimestamp.HasValue 
@@ -154,6 +174,7 @@ public class AksMcpPlugin
                 foreach (var service in namespaceGroup.OrderBy(s => s.Metadata.Name))
                 {
                     var name = service.Metadata.Name ?? "Unknown";
+                    ReportEntity("service", name, service.Metadata.NamespaceProperty, service.Metadata.Uid, deploymentName);
                     var type = service.Spec.Type ?? "ClusterIP";
                     var clusterIp = service.Spec.ClusterIP ?? "None";
                     var externalIp = service.Status?.LoadBalancer?.Ingress?.FirstOrDefault()?.Ip ?? 
@@ -219,6 +240,7 @@ public class AksMcpPlugin
             foreach (var ns in namespaces.Items.OrderBy(n => n.Metadata.Name))
             {
                 var name = ns.Metadata.Name ?? "Unknown";
+                ReportEntity("namespace", name, null, ns.Metadata.Uid, deploymentName);
                 var status = ns.Status.Phase ?? "Unknown";
                 var age = ns.Metadata.CreationTimestamp.HasValue 
                     ? (DateTime.UtcNow - ns.Metadata.CreationTimestamp.Value).Days + "d"
@@ -278,6 +300,7 @@ public class AksMcpPlugin
             foreach (var node in nodes.Items.OrderBy(n => n.Metadata.Name))
             {
                 var name = node.Metadata.Name ?? "Unknown";
+                ReportEntity("node", name, null, node.Metadata.Uid, deploymentName);
                 var status = node.Status.Conditions?.FirstOrDefault(c => c.Type == "Ready")?.Status == "True" ? "Ready" : "NotReady";
                 var roles = string.Join(", ", node.Metadata.Labels?.Where(l => l.Key.Contains("node-role")).Select(l => l.Key.Split('/').Last()) ?? new[] { "worker" });
                 var age = node.Metadata.CreationTimestamp.HasValue 
@@ -544,4 +567,193 @@ public class AksMcpPlugin
             return $"❌ Error executing kubectl command: {ex.Message}";
         }
     }
+
+    /// <summary>
+    /// Container names of a pod, for the log viewer's container picker
+    /// </summary>
+    public async Task<IReadOnlyList<string>> GetPodContainersAsync(
+        string deploymentName,
+        string namespaceName,
+        string podName,
+        CancellationToken cancellationToken = default)
+    {
+        var client = GetClient(deploymentName);
+        var pod = await client.CoreV1.ReadNamespacedPodAsync(podName, namespaceName, cancellationToken: cancellationToken);
+        return pod.Spec.Containers.Select(c => c.Name).ToList();
+    }
+
+    /// <summary>
+    /// Open a pod's log stream with RFC 3339 timestamps on every line; with follow the stream
+    /// stays open until the container stops or the token is cancelled
+    /// </summary>
+    public async Task<Stream> OpenPodLogStreamAsync(
+        string deploymentName,
+        string namespaceName,
+        string podName,
+        string? containerName,
+        int tailLines,
+        bool follow,
+        CancellationToken cancellationToken = default)
+    {
+        var client = GetClient(deploymentName);
+        return await client.CoreV1.ReadNamespacedPodLogAsync(
+            name: podName,
+            namespaceParameter: namespaceName,
+            container: containerName,
+            follow: follow,
+            tailLines: tailLines,
+            timestamps: true,
+            cancellationToken: cancellationToken);
+    }
+
+    /// <summary>
+    /// Events about one object in a namespace, newest first; kind narrows the match when names are shared
+    /// </summary>
+    public async Task<IReadOnlyList<Corev1Event>> GetEventsAsync(
+        string deploymentName,
+        string namespaceName,
+        string name,
+        string? kind,
+        CancellationToken cancellationToken = default)
+    {
+        var client = GetClient(deploymentName);
+        var events = await client.CoreV1.ListNamespacedEventAsync(
+            namespaceName,
+            fieldSelector: $"involvedObject.name={name}",
+            cancellationToken: cancellationToken);
+
+        return events.Items
+            .Where(e => string.IsNullOrEmpty(kind) || string.Equals(e.InvolvedObject.Kind, kind, StringComparison.OrdinalIgnoreCase))
+            .OrderByDescending(e => e.LastTimestamp ?? e.EventTime ?? e.Metadata.CreationTimestamp)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Restart a pod by deleting it so its controller creates a replacement; refuses pods without
+    /// a controller, which would be gone for good
+    /// </summary>
+    public async Task RestartPodAsync(
+        string deploymentName,
+        string namespaceName,
+        string podName,
+        CancellationToken cancellationToken = default)
+    {
+        var client = GetClient(deploymentName);
+        var pod = await client.CoreV1.ReadNamespacedPodAsync(podName, namespaceName, cancellationToken: cancellationToken);
+        if (pod.Metadata.OwnerReferences == null || !pod.Metadata.OwnerReferences.Any(o => o.Controller == true))
+        {
+            throw new InvalidOperationException($"Pod {podName} has no controller, so deleting it would not bring it back");
+        }
+
+        await client.CoreV1.DeleteNamespacedPodAsync(podName, namespaceName, cancellationToken: cancellationToken);
+    }
+
+    /// <summary>
+    /// Delete a pod
+    /// </summary>
+    public async Task DeletePodAsync(
+        string deploymentName,
+        string namespaceName,
+        string podName,
+        CancellationToken cancellationToken = default)
+    {
+        var client = GetClient(deploymentName);
+        await client.CoreV1.DeleteNamespacedPodAsync(podName, namespaceName, cancellationToken: cancellationToken);
+    }
+
+    /// <summary>
+    /// Set a deployment's replica count through its scale subresource
+    /// </summary>
+    public async Task ScaleDeploymentAsync(
+        string deploymentName,
+        string namespaceName,
+        string name,
+        int replicas,
+        CancellationToken cancellationToken = default)
+    {
+        var client = GetClient(deploymentName);
+        var patch = new V1Patch(JsonSerializer.Serialize(new { spec = new { replicas } }), V1Patch.PatchType.MergePatch);
+        await client.AppsV1.PatchNamespacedDeploymentScaleAsync(patch, name, namespaceName, cancellationToken: cancellationToken);
+    }
+
+    /// <summary>
+    /// Roll a deployment back to its previous revision, as kubectl rollout undo does: the pod template of
+    /// the deployment's ReplicaSet with the next lower revision replaces the current one. Returns that revision.
+    /// </summary>
+    public async Task<long> RollbackDeploymentAsync(
+        string deploymentName,
+        string namespaceName,
+        string name,
+        CancellationToken cancellationToken = default)
+    {
+        var client = GetClient(deploymentName);
+        var deployment = await client.AppsV1.ReadNamespacedDeploymentAsync(name, namespaceName, cancellationToken: cancellationToken);
+        var currentRevision = GetRevision(deployment.Metadata);
+
+        var matchLabels = deployment.Spec.Selector?.MatchLabels;
+        var replicaSets = await client.AppsV1.ListNamespacedReplicaSetAsync(
+            namespaceName,
+            labelSelector: matchLabels == null ? null : string.Join(",", matchLabels.Select(label => $"{label.Key}={label.Value}")),
+            cancellationToken: cancellationToken);
+
+        var previous = replicaSets.Items
+            .Where(rs => rs.Metadata.OwnerReferences?.Any(owner => owner.Uid == deployment.Metadata.Uid) == true)
+            .Where(rs => GetRevision(rs.Metadata) < currentRevision)
+            .OrderByDescending(rs => GetRevision(rs.Metadata))
+            .FirstOrDefault()
+            ?? throw new InvalidOperationException($"Deployment {name} has no earlier revision to roll back to");
+
+        // The ReplicaSet's hash label is added by the deployment controller and must not be carried over
+        var template = previous.Spec.Template;
+        template.Metadata?.Labels?.Remove("pod-template-hash");
+
+        var patch = new V1Patch(
+            KubernetesJson.Serialize(new[] { new { op = "replace", path = "/spec/template", value = template } }),
+            V1Patch.PatchType.JsonPatch);
+        await client.AppsV1.PatchNamespacedDeploymentAsync(patch, name, namespaceName, cancellationToken: cancellationToken);
+        return GetRevision(previous.Metadata);
+    }
+
+    // Rollout revision the deployment controller records on deployments and their ReplicaSets
+    private static long GetRevision(V1ObjectMeta metadata) =>
+        metadata.Annotations != null &&
+        metadata.Annotations.TryGetValue("deployment.kubernetes.io/revision", out var value) &&
+        long.TryParse(value, out var revision) ? revision : 0;
+
+    // Connected cluster by deployment name, or for "current" the current kubectl context,
+    // built on first use and reused like the connected clients
+    private IKubernetes GetClient(string deploymentName)
+    {
+        lock (_lock)
+        {
+            if (_kubernetesClients.TryGetValue(deploymentName, out var client))
+            {
+                return client;
+            }
+
+            if (deploymentName != "current")
+            {
+                throw new InvalidOperationException(
+                    $"Not connected to cluster '{deploymentName}'. Connect to it with ConnectToAksCluster first.");
+            }
+
+            _currentContextClient ??= new Kubernetes(KubernetesClientConfiguration.BuildConfigFromConfigFile());
+            return _currentContextClient;
+        }
+    }
+
+    public void Dispose()
+    {
+        lock (_lock)
+        {
+            foreach (var client in _kubernetesClients.Values)
+            {
+                client.Dispose();
+            }
+            _kubernetesClients.Clear();
+
+            _currentContextClient?.Dispose();
+            _currentContextClient = null;
+        }
+    }
 }
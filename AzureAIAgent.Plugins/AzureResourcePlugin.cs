@@ -33,6 +33,23 @@ public class AzureResourcePlugin
         _logger = logger;
     }
 
+    /// <summary>
+    /// Report a listed resource so the chat reply links exactly this name
+    /// </summary>
+    private static void ReportEntity(string kind, string? name, string? resourceGroup = null, string? resourceId = null,
+        string? namespaceName = null, string? cluster = null)
+    {
+        ChatEntityCollector.Add(new ChatEntity
+        {
+            Name = name ?? string.Empty,
+            Kind = kind,
+            ResourceGroup = resourceGroup,
+            ResourceId = resourceId,
+            Namespace = namespaceName,
+            Cluster = cluster
+        });
+    }
+
     [KernelFunction("CreateInfrastructure")]
     [Description("Create Azure infrastructure using pre-built GitHub templates when possible, or generate custom Terraform")]
     public async Task<string> CreateInfrastructure(
@@ -450,6 +467,7 @@ public class AzureResourcePlugin
             
             foreach (var rg in resourceGroups)
             {
+                ReportEntity("resource-group", (string?)rg.GetProperty("name").GetString(), resourceId: (string?)rg.GetProperty("id").GetString());
                 cardJson += $"🔹 **{rg.GetProperty("name").GetString()}**\n";
                 cardJson += $"   📍 Location: {rg.GetProperty("location").GetString()}\n";
                 cardJson += $"   🆔 ID: {rg.GetProperty("id").GetString()}\n\n";
@@ -499,6 +517,7 @@ public class AzureResourcePlugin
                 var resourceGroup = vm.GetProperty("resourceGroup").GetString();
                 var vmSize = vm.GetProperty("vmSize").GetString();
                 var powerState = vm.TryGetProperty("powerState", out JsonElement powerProp) ? powerProp.GetString() : "Unknown";
+                ReportEntity("virtual-machine", name, resourceGroup);
                 
                 vms.Add(new
                 {
@@ -582,6 +601,7 @@ public class AzureResourcePlugin
                 var kind = storage.GetProperty("kind").GetString();
                 var accessTier = storage.TryGetProperty("accessTier", out JsonElement tierProp) ? tierProp.GetString() : "N/A";
                 var sku = storage.GetProperty("sku").GetString();
+                ReportEntity("storage-account", name, resourceGroup);
                 
                 storageAccounts.Add(new
                 {
@@ -665,6 +685,7 @@ public class AzureResourcePlugin
                 var defaultHostName = webApp.GetProperty("defaultHostName").GetString();
                 var state = webApp.GetProperty("state").GetString();
                 var kind = webApp.GetProperty("kind").GetString();
+                ReportEntity("app-service", (string?)name, (string?)resourceGroup);
                 
                 var statusIcon = state?.Equals("Running", StringComparison.OrdinalIgnoreCase) == true ? "🟢" : "🔴";
                 
@@ -785,6 +806,7 @@ public class AzureResourcePlugin
                 var podName = metadata.GetProperty("name").GetString();
                 var podNamespace = metadata.GetProperty("namespace").GetString();
                 var podPhase = status.GetProperty("phase").GetString();
+                ReportEntity("pod", podName, namespaceName: podNamespace, cluster: clusterName);
                 
                 // Check if containers are ready
                 var ready = "0/0";
@@ -4898,6 +4920,9 @@ terraform {
                 if (resource.TryGetProperty("status", out var statusProp))
                     resourceObj["status"] = statusProp.GetString();
 
+                ReportEntity("azure-resource", resourceObj.GetValueOrDefault("name") as string,
+                    resourceObj.GetValueOrDefault("resourceGroup") as string, resourceObj.GetValueOrDefault("id") as string);
+
                 resources.Add(resourceObj);
             }
 
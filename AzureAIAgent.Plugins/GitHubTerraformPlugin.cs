@@ -762,30 +762,42 @@ public class GitHubTerraformPlugin
         }
     }
 
-    // Overloaded method with real-time output callback for streaming terraform output
+    // Overloaded method with real-time output callback for streaming terraform output.
+    // terraformCode, when given, is deployed in place of the downloaded template (code edited in the browser).
     public async Task<string> DeployTemplateWithCallback(
         string templateId,
         string? parametersJson = null,
         string? sessionId = null,
-        Action<string>? outputCallback = null)
+        Action<string>? outputCallback = null,
+        string? terraformCode = null)
     {
         try
         {
             var template = _templateService.GetTemplate(templateId);
-            if (template == null)
+            if (template == null && string.IsNullOrWhiteSpace(terraformCode))
             {
                 return $"❌ Template '{templateId}' not found.";
             }
+            var templateName = template?.Name ?? templateId;
 
             _logger.LogInformation("Starting deployment of template: {TemplateId}", templateId);
-            outputCallback?.Invoke($"🚀 Starting deployment of template: {template.Name}");
+            outputCallback?.Invoke($"🚀 Starting deployment of template: {templateName}");
 
-            // Download the template content
-            outputCallback?.Invoke("📥 Downloading template content...");
-            var templateContent = await _templateService.DownloadTemplateAsync(templateId);
-            if (string.IsNullOrEmpty(templateContent))
+            string? templateContent;
+            if (!string.IsNullOrWhiteSpace(terraformCode))
             {
-                return $"❌ Failed to download template content from: {template.GitHubUrl}";
+                outputCallback?.Invoke("✏️ Using the edited Terraform code...");
+                templateContent = terraformCode;
+            }
+            else
+            {
+                // Download the template content
+                outputCallback?.Invoke("📥 Downloading template content...");
+                templateContent = await _templateService.DownloadTemplateAsync(templateId);
+                if (string.IsNullOrEmpty(templateContent))
+                {
+                    return $"❌ Failed to download template content from: {template!.GitHubUrl}";
+                }
             }
 
             // Parse parameters - first check provided parameters, then check session
@@ -832,7 +844,7 @@ public class GitHubTerraformPlugin
 
             // Execute Terraform commands with real-time output
             var result = new StringBuilder();
-            result.AppendLine($"🚀 **Deploying Template: {template.Name}**");
+            result.AppendLine($"🚀 **Deploying Template: {templateName}**");
             result.AppendLine($"📁 **Deployment ID:** `{deploymentId}`");
             result.AppendLine();
 
@@ -891,6 +903,81 @@ public class GitHubTerraformPlugin
         }
     }
 
+    // Run terraform init and plan for a template without applying anything, and return the plan output.
+    // terraformCode, when given, is planned in place of the downloaded template (code edited in the browser).
+    public async Task<(bool Success, string Output)> PlanTemplateAsync(
+        string templateId,
+        string? parametersJson = null,
+        string? terraformCode = null)
+    {
+        var planDir = Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.UserProfile),
+            ".azure-ai-agent", "terraform", "plans", $"{templateId}-{Guid.NewGuid():N}");
+        try
+        {
+            string? templateContent = terraformCode;
+            if (string.IsNullOrWhiteSpace(templateContent))
+            {
+                if (_templateService.GetTemplate(templateId) == null)
+                {
+                    return (false, $"Template '{templateId}' not found.");
+                }
+                templateContent = await _templateService.DownloadTemplateAsync(templateId);
+                if (string.IsNullOrEmpty(templateContent))
+                {
+                    return (false, $"Failed to download template '{templateId}'.");
+                }
+            }
+
+            var parameters = new Dictionary<string, object>();
+            if (!string.IsNullOrEmpty(parametersJson))
+            {
+                try
+                {
+                    parameters = JsonSerializer.Deserialize<Dictionary<string, object>>(parametersJson) ?? parameters;
+                }
+                catch (JsonException ex)
+                {
+                    return (false, $"Invalid parameters JSON: {ex.Message}");
+                }
+            }
+
+            Directory.CreateDirectory(planDir);
+            await File.WriteAllTextAsync(Path.Combine(planDir, "main.tf"), SubstituteTemplateParameters(templateContent, parameters));
+            await File.WriteAllTextAsync(Path.Combine(planDir, "terraform.tfvars.json"),
+                JsonSerializer.Serialize(parameters, new JsonSerializerOptions { WriteIndented = true }));
+
+            _logger.LogInformation("Planning template {TemplateId} in {PlanDir}", templateId, planDir);
+            var initResult = await ExecuteTerraformCommand("init -no-color", planDir);
+            if (!initResult.Contains("Terraform has been successfully initialized"))
+            {
+                return (false, initResult);
+            }
+
+            var planResult = await ExecuteTerraformCommand("plan -no-color -input=false -var-file=terraform.tfvars.json", planDir);
+            return (planResult.Contains("Plan:") || planResult.Contains("No changes."), planResult);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error planning template: {TemplateId}", templateId);
+            return (false, $"Terraform plan failed: {ex.Message}");
+        }
+        finally
+        {
+            // The plan is only shown for review; nothing in the directory is needed afterwards
+            try
+            {
+                if (Directory.Exists(planDir))
+                {
+                    Directory.Delete(planDir, true);
+                }
+            }
+            catch (IOException ex)
+            {
+                _logger.LogWarning(ex, "Could not remove plan directory {PlanDir}", planDir);
+            }
+        }
+    }
+
     [KernelFunction("ShowDeploymentStatus")]
     [Description("Show the status of a deployment with interactive actions")]
     public async Task<string> ShowDeploymentStatus(
@@ -1,5 +1,7 @@
 using System.Diagnostics;
 using System.Text.Json;
+using AzureAIAgent.Core.Models;
+using AzureAIAgent.Core.Services;
 using Microsoft.Extensions.Logging;
 using Microsoft.SemanticKernel;
 using System.ComponentModel;
@@ -191,6 +193,7 @@ public class McpKubernetesPlugin : IDisposable
             });
 
             _logger.LogInformation("Successfully retrieved pods from cluster {ClusterName}", clusterName);
+            ReportEntities(result, "pods", "pod", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -297,6 +300,7 @@ public class McpKubernetesPlugin : IDisposable
             });
 
             _logger.LogInformation("Successfully retrieved deployments from cluster {ClusterName}", clusterName);
+            ReportEntities(result, "deployments", "deployment", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -330,6 +334,7 @@ public class McpKubernetesPlugin : IDisposable
             });
 
             _logger.LogInformation("Successfully retrieved services from cluster {ClusterName}", clusterName);
+            ReportEntities(result, "services", "service", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -360,6 +365,7 @@ public class McpKubernetesPlugin : IDisposable
             });
 
             _logger.LogInformation("Successfully retrieved namespaces from cluster {ClusterName}", clusterName);
+            ReportEntities(result, "namespaces", "namespace", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -426,6 +432,7 @@ public class McpKubernetesPlugin : IDisposable
                 arguments
             });
 
+            ReportEntities(result, "configMaps", "configmap", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -461,6 +468,7 @@ public class McpKubernetesPlugin : IDisposable
                 arguments
             });
 
+            ReportEntities(result, "secrets", "secret", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -496,6 +504,7 @@ public class McpKubernetesPlugin : IDisposable
                 arguments
             });
 
+            ReportEntities(result, "ingresses", "ingress", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -555,6 +564,7 @@ public class McpKubernetesPlugin : IDisposable
                 arguments
             });
 
+            ReportEntities(result, "cronJobs", "cronjob", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -590,6 +600,7 @@ public class McpKubernetesPlugin : IDisposable
                 arguments
             });
 
+            ReportEntities(result, "jobs", "job", clusterName);
             return result;
         }
         catch (Exception ex)
@@ -688,6 +699,36 @@ public class McpKubernetesPlugin : IDisposable
         }
     }
 
+    /// <summary>
+    /// Report the items of an MCP listing so the chat reply links exactly those names
+    /// </summary>
+    private static void ReportEntities(string result, string listProperty, string kind, string clusterName)
+    {
+        try
+        {
+            using var doc = JsonDocument.Parse(result);
+            if (!doc.RootElement.TryGetProperty(listProperty, out var items) || items.ValueKind != JsonValueKind.Array)
+            {
+                return;
+            }
+
+            foreach (var item in items.EnumerateArray())
+            {
+                ChatEntityCollector.Add(new ChatEntity
+                {
+                    Name = item.TryGetProperty("name", out var name) ? name.GetString() ?? string.Empty : string.Empty,
+                    Kind = kind,
+                    Namespace = item.TryGetProperty("namespace", out var ns) && ns.ValueKind == JsonValueKind.String ? ns.GetString() : null,
+                    Cluster = clusterName
+                });
+            }
+        }
+        catch (JsonException)
+        {
+            // Not a JSON listing, e.g. an error message; nothing to report
+        }
+    }
+
     private async Task<string> SendMcpRequestAsync(string method, object parameters)
     {
         if (_mcpServerInput == null || _mcpServerOutput == null)
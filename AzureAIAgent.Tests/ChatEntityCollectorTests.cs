@@ -0,0 +1,93 @@
+using AzureAIAgent.Core.Models;
+using AzureAIAgent.Core.Services;
+
+namespace AzureAIAgent.Tests;
+
+public class ChatEntityCollectorTests
+{
+    private static ChatEntity Pod(string name, string? namespaceName = "default") =>
+        new() { Name = name, Kind = "pod", Namespace = namespaceName };
+
+    [Fact]
+    public void Add_WithoutScope_IsIgnored()
+    {
+        ChatEntityCollector.Add(Pod("orphan"));
+
+        using var scope = ChatEntityCollector.Begin();
+        Assert.Empty(scope.Entities);
+    }
+
+    [Fact]
+    public void Add_DedupesOnNameKindNamespaceAndCluster()
+    {
+        using var scope = ChatEntityCollector.Begin();
+
+        ChatEntityCollector.Add(Pod("web-0"));
+        ChatEntityCollector.Add(new ChatEntity { Name = "web-0", Kind = "Pod", Namespace = "default" });
+        ChatEntityCollector.Add(Pod("web-0", "staging"));
+        ChatEntityCollector.Add(new ChatEntity { Name = "web-0", Kind = "service", Namespace = "default" });
+        ChatEntityCollector.Add(new ChatEntity { Name = "web-0", Kind = "pod", Namespace = "default", Cluster = "aks-2" });
+
+        Assert.Equal(4, scope.Entities.Count);
+        Assert.Equal("pod", scope.Entities[0].Kind);
+    }
+
+    [Fact]
+    public void Add_SkipsEntitiesWithoutNameOrKind()
+    {
+        using var scope = ChatEntityCollector.Begin();
+
+        ChatEntityCollector.Add(new ChatEntity { Name = "", Kind = "pod" });
+        ChatEntityCollector.Add(new ChatEntity { Name = "web-0", Kind = " " });
+
+        Assert.Empty(scope.Entities);
+    }
+
+    [Fact]
+    public async Task Scope_FlowsIntoAwaitedWork()
+    {
+        using var scope = ChatEntityCollector.Begin();
+
+        await Task.Run(async () =>
+        {
+            await Task.Yield();
+            ChatEntityCollector.Add(Pod("from-plugin"));
+        });
+
+        Assert.Equal("from-plugin", Assert.Single(scope.Entities).Name);
+    }
+
+    [Fact]
+    public async Task ConcurrentRequests_CollectSeparately()
+    {
+        async Task<IReadOnlyList<ChatEntity>> Request(string name)
+        {
+            using var scope = ChatEntityCollector.Begin();
+            await Task.Delay(10);
+            ChatEntityCollector.Add(Pod(name));
+            await Task.Delay(10);
+            return scope.Entities;
+        }
+
+        var results = await Task.WhenAll(Task.Run(() => Request("first")), Task.Run(() => Request("second")));
+
+        Assert.Equal("first", Assert.Single(results[0]).Name);
+        Assert.Equal("second", Assert.Single(results[1]).Name);
+    }
+
+    [Fact]
+    public void NestedScope_RestoresParentWhenDisposed()
+    {
+        using var outer = ChatEntityCollector.Begin();
+
+        using (var inner = ChatEntityCollector.Begin())
+        {
+            ChatEntityCollector.Add(Pod("inner"));
+            Assert.Equal("inner", Assert.Single(inner.Entities).Name);
+        }
+
+        ChatEntityCollector.Add(Pod("outer"));
+
+        Assert.Equal("outer", Assert.Single(outer.Entities).Name);
+    }
+}
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const window = loadScripts(['requests', 'api-client'], {
+    config: {
+        API_BASE_URL: '',
+        API_RETRY: { attempts: 3, baseDelay: 500, maxDelay: 8000 },
+        REQUEST_TIMEOUTS: { default: 0 }
+    },
+    auth: { authorize: async (headers) => headers, refresh: async () => false }
+});
+const { api } = window.AzureAIAgent;
+
+// Answer fetches from a list of replies in order: a [status, body, headers] triple, or an Error to throw.
+// Returns the methods that were fetched; the delays the client waited are collected in `delays`.
+let delays = [];
+const serve = (replies) => {
+    const calls = [];
+    delays = [];
+    window.fetch = async (url, init) => {
+        calls.push(init.method);
+        const reply = replies.shift();
+        if (reply instanceof Error) throw reply;
+        const [status, data, headers = {}] = reply;
+        return new Response(status === 204 ? null : JSON.stringify(data), { status, headers });
+    };
+    api.wait = async (delay) => {
+        delays.push(delay);
+    };
+    return calls;
+};
+
+// A fetch body that yields the given chunks and records whether it was cancelled; it closes after the last one
+const body = (chunks) => {
+    const state = { cancelled: false };
+    const encoder = new TextEncoder();
+    state.stream = new ReadableStream({
+        pull(controller) {
+            if (chunks.length) {
+                controller.enqueue(encoder.encode(chunks.shift()));
+            } else {
+                controller.close();
+            }
+        },
+        cancel() {
+            state.cancelled = true;
+        }
+    });
+    return state;
+};
+
+test('readEvents parses named JSON and text frames split across chunks', async () => {
+    const source = body(['event: token\ndata: {"text":"Hel', 'lo"}\n\n', 'data: plain\n\n']);
+
+    const frames = [];
+    await api.readEvents(source.stream, (name, data) => frames.push([name, plain(data)]));
+    assert.deepEqual(frames, [['token', { text: 'Hello' }], ['message', { text: 'plain' }]]);
+});
+
+test('readEvents cancels the body when a handler throws', async () => {
+    const source = body(['event: error\ndata: {"error":"boom"}\n\n', 'event: token\ndata: {}\n\n']);
+
+    await assert.rejects(api.readEvents(source.stream, (name, data) => {
+        throw new Error(data.error);
+    }), /boom/);
+    assert.equal(source.cancelled, true);
+});
+
+test('a GET retries server and network errors with backoff until it succeeds', async () => {
+    const calls = serve([[500, { error: 'busy' }], new TypeError('Failed to fetch'), [200, { ok: true }]]);
+
+    assert.deepEqual(plain(await api.get('/api/thing')), { ok: true });
+    assert.deepEqual(calls, ['GET', 'GET', 'GET']);
+    assert.equal(delays.length, 2);
+});
+
+test('a GET gives up with the last error once its retries are spent', async () => {
+    const calls = serve([[502, {}], [502, {}], [502, {}], [502, { error: 'still down' }]]);
+
+    await assert.rejects(api.get('/api/thing'), error => error.kind === 'server' && error.message === 'still down');
+    assert.equal(calls.length, 4);
+});
+
+test('a POST is not replayed after a server error', async () => {
+    const calls = serve([[500, { error: 'failed' }], [200, {}]]);
+
+    await assert.rejects(api.post('/api/thing', {}), error => error.status === 500);
+    assert.deepEqual(calls, ['POST']);
+});
+
+test('any method retries 429 and 503, waiting as long as Retry-After asks', async () => {
+    const calls = serve([[429, {}, { 'Retry-After': '2' }], [503, {}], [200, { done: true }]]);
+
+    assert.deepEqual(plain(await api.post('/api/thing', {})), { done: true });
+    assert.deepEqual(calls, ['POST', 'POST', 'POST']);
+    assert.equal(delays[0], 2000);
+    assert.ok(delays[1] >= 250 && delays[1] <= 1000, `backoff after the second attempt was ${delays[1]}`);
+});
+
+test('retries: 0 sends a request exactly once', async () => {
+    const calls = serve([[503, {}], [200, {}]]);
+
+    await assert.rejects(api.post('/api/thing', {}, { retries: 0 }), error => error.status === 503);
+    assert.equal(calls.length, 1);
+});
+
+test('validation errors and requireSuccess failures are never retried', async () => {
+    let calls = serve([[400, { error: 'bad input' }]]);
+    await assert.rejects(api.get('/api/thing'), error => error.kind === 'validation' && error.message === 'bad input');
+    assert.equal(calls.length, 1);
+
+    calls = serve([[200, { success: false, error: 'refused' }]]);
+    await assert.rejects(api.get('/api/thing', { requireSuccess: true }), error => error.kind === 'validation' && error.message === 'refused');
+    assert.equal(calls.length, 1);
+});
+
+test('backoffDelay doubles per attempt, with jitter, up to the maximum', () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const full = Math.min(500 * Math.pow(2, attempt), 8000);
+        const delay = api.backoffDelay(attempt);
+        assert.ok(delay >= full / 2 && delay <= full, `attempt ${attempt}: ${delay}ms`);
+    }
+});
+
+test('parseRetryAfter reads seconds or an HTTP date and caps the wait', () => {
+    assert.equal(api.parseRetryAfter(null), null);
+    assert.equal(api.parseRetryAfter('3'), 3000);
+    assert.equal(api.parseRetryAfter('3600'), 8000);
+    assert.equal(api.parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+
+    const soon = api.parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(soon > 3000 && soon <= 5000, `HTTP date gave ${soon}ms`);
+    assert.equal(api.parseRetryAfter('not a date'), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { azureNaming } = loadScripts(['hcl-parser', 'azure-naming']).AzureAIAgent;
+
+test('storage account names must be 3-24 lowercase letters and numbers', () => {
+    assert.equal(azureNaming.validate('storage-account', 'stdemo001').valid, true);
+
+    const result = azureNaming.validate('storage-account', 'St-Demo');
+    assert.equal(result.valid, false);
+    assert.deepEqual(plain(result.errors), ['Storage account name may only contain lowercase letters and numbers']);
+    assert.match(azureNaming.validate('storage-account', 'st').errors[0], /3-24 characters \(got 2\)/);
+});
+
+test('globally unique names carry a uniqueness warning once they are valid', () => {
+    assert.deepEqual(plain(azureNaming.validate('key-vault', 'kv-demo').warnings), ['Key Vault names are globally unique across Azure']);
+    assert.deepEqual(plain(azureNaming.validate('key-vault', '1kv').warnings), []);
+});
+
+test('start, end and consecutive hyphen rules are each reported', () => {
+    const result = azureNaming.validate('key-vault', '9kv--demo-');
+    assert.deepEqual(plain(result.errors), [
+        'Key Vault name must start with a letter',
+        'Key Vault name must end with a letter or number',
+        'Key Vault name cannot contain consecutive hyphens'
+    ]);
+    assert.deepEqual(plain(azureNaming.validate('resource-group', 'rg-demo.').errors), ['Resource group name cannot end with a period']);
+});
+
+test('long virtual machine names are valid but warn about the Windows limit', () => {
+    const result = azureNaming.validate('virtual-machine', 'vm-application-server-01');
+    assert.equal(result.valid, true);
+    assert.deepEqual(plain(result.warnings), ['Windows computer names are limited to 15 characters']);
+});
+
+test('rules are found by rule key, Terraform resource type and variable name', () => {
+    assert.equal(azureNaming.getRule('azurerm_kubernetes_cluster'), azureNaming.RULES['aks-cluster']);
+    assert.equal(azureNaming.getRule('azurerm_unknown_thing'), null);
+    assert.equal(azureNaming.validate('azurerm_unknown_thing', '***').valid, true);
+    assert.equal(azureNaming.typeForVariable('storage_account_name'), 'storage-account');
+    assert.equal(azureNaming.typeForVariable('resource_group_name'), 'resource-group');
+    assert.equal(azureNaming.typeForVariable('location'), null);
+});
+
+test('inferVariableTypes maps variables to the resources they name', () => {
+    const types = azureNaming.inferVariableTypes(`
+resource "azurerm_storage_account" "main" {
+  name                = var.sa
+  resource_group_name = var.group
+}
+`);
+    assert.deepEqual(plain(types), { sa: 'storage-account', group: 'resource-group' });
+});
+
+test('toPattern builds an input pattern that agrees with validate', () => {
+    const pattern = new RegExp(azureNaming.toPattern('key-vault'));
+    ['kv-demo', '9kv', 'kv-', 'ab'].forEach(name => {
+        const { errors } = azureNaming.validate('key-vault', name);
+        const structural = errors.filter(error => !/consecutive/.test(error));
+        assert.equal(pattern.test(name), structural.length === 0, name);
+    });
+});
+
+test('detect recognises names by prefix only when they are also valid', () => {
+    assert.equal(azureNaming.detect('rg-demo'), 'resource-group');
+    assert.equal(azureNaming.detect('aks-demo'), 'aks-cluster');
+    assert.equal(azureNaming.detect('kv--demo'), null);
+    assert.equal(azureNaming.detect('hello'), null);
+});
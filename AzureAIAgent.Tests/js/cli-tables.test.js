@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { cliTables } = loadScripts(['markdown', 'cli-tables']).AzureAIAgent;
+
+test('detects kubectl tables by their upper-case header', () => {
+    const table = cliTables.detect([
+        'Pods in default:',
+        'NAME                      READY   STATUS    RESTARTS   AGE',
+        'web-7d9f8b6c5d-x2k4q      1/1     Running   0          5m',
+        'db-0                      1/1     Running   2          1d',
+        '',
+        'trailing prose'
+    ]);
+    assert.equal(table.kind, 'kubectl');
+    assert.deepEqual(plain(table.columns), ['NAME', 'READY', 'STATUS', 'RESTARTS', 'AGE']);
+    assert.deepEqual(plain(table.rows), [
+        ['web-7d9f8b6c5d-x2k4q', '1/1', 'Running', '0', '5m'],
+        ['db-0', '1/1', 'Running', '2', '1d']
+    ]);
+    assert.deepEqual([table.start, table.end], [1, 4]);
+});
+
+test('detects az table output by its dashed separator', () => {
+    const table = cliTables.detect([
+        'Name      ResourceGroup    Location',
+        '--------  ---------------  ----------',
+        'rg-one    rg-one           eastus'
+    ]);
+    assert.equal(table.kind, 'az');
+    assert.deepEqual(plain(table.columns), ['Name', 'ResourceGroup', 'Location']);
+    assert.deepEqual(plain(table.rows), [['rg-one', 'rg-one', 'eastus']]);
+});
+
+test('ignores prose and headers without rows', () => {
+    assert.equal(cliTables.detect(['just prose', 'more prose']), null);
+    assert.equal(cliTables.detect(['NAME   READY   STATUS', '']), null);
+});
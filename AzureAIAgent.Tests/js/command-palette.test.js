@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { commandPalette } = loadScripts(['command-palette']).AzureAIAgent;
+
+const command = (id, title, extra = {}) => ({ id, title, run() {}, ...extra });
+
+test('score matches letters in order and rejects queries that are not a subsequence', () => {
+    assert.equal(commandPalette.score('', 'Anything'), 0);
+    assert.ok(commandPalette.score('tc', 'Toggle Terraform console') > 0);
+    assert.equal(commandPalette.score('ct', 'Toggle'), -1);
+    assert.equal(commandPalette.score('xyz', 'Toggle Terraform console'), -1);
+});
+
+test('score prefers consecutive letters and word starts', () => {
+    assert.ok(commandPalette.score('dep', 'Deploy template') > commandPalette.score('dep', 'Delete pod'));
+    assert.ok(commandPalette.score('nt', 'New theme') > commandPalette.score('nt', 'Deployment'));
+});
+
+test('search ranks by title, category and keywords, and leaves out non-matches', () => {
+    commandPalette.commands.clear();
+    commandPalette.register(command('a', 'Show deployment history', { category: 'Deployments' }));
+    commandPalette.register(command('b', 'Toggle theme', { category: 'View', keywords: ['dark', 'light'] }));
+    commandPalette.register(command('c', 'Start new session', { category: 'Sessions' }));
+
+    assert.deepEqual(plain(commandPalette.search('theme').map(c => c.id)), ['b', 'a']);
+    assert.deepEqual(plain(commandPalette.search('dark').map(c => c.id)), ['b']);
+    assert.deepEqual(plain(commandPalette.search('zzz')), []);
+    assert.deepEqual(plain(commandPalette.search('sessions').map(c => c.id)), ['c']);
+    assert.deepEqual(plain(commandPalette.search('   ').map(c => c.id)), ['a', 'b', 'c']);
+});
+
+test('registering an ID again replaces the command, and sources add generated commands', () => {
+    commandPalette.commands.clear();
+    commandPalette.sources = [];
+    commandPalette.register(command('a', 'Old title'));
+    commandPalette.register(command('a', 'New title'));
+    commandPalette.registerSource(() => [command('deploy-1', 'Open deployment dep-1')]);
+    commandPalette.registerSource(() => {
+        throw new Error('source failed');
+    });
+
+    assert.deepEqual(plain(commandPalette.allCommands().map(c => c.title)), ['New title', 'Open deployment dep-1']);
+    commandPalette.unregister('a');
+    assert.deepEqual(plain(commandPalette.search('dep').map(c => c.id)), ['deploy-1']);
+});
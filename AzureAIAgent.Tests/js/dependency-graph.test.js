@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const window = loadScripts(['hcl-parser', 'dependency-graph'], { planReview: { getPlan: () => null } });
+const { dependencyGraph } = window.AzureAIAgent;
+
+// Edges as "from→to" strings, sorted, for order-independent comparison
+const edgesOf = (graph) => plain(graph.edges.map(edge => `${edge.from}→${edge.to}`).sort());
+
+test('sourceKind recognises HCL, plan JSON and DOT', () => {
+    assert.equal(dependencyGraph.sourceKind('resource "azurerm_resource_group" "main" {}', 'hcl'), 'hcl');
+    assert.equal(dependencyGraph.sourceKind('{"resource_changes": []}', 'json'), 'plan');
+    assert.equal(dependencyGraph.sourceKind('digraph {\n}', 'text'), 'dot');
+    assert.equal(dependencyGraph.sourceKind('variable "x" {}', 'hcl'), null);
+});
+
+test('addressOf folds instances and module contents and skips non-resources', () => {
+    assert.equal(dependencyGraph.addressOf('azurerm_subnet.app[0]'), 'azurerm_subnet.app');
+    assert.equal(dependencyGraph.addressOf('azurerm_subnet.app["web"].id'), 'azurerm_subnet.app');
+    assert.equal(dependencyGraph.addressOf('module.network.azurerm_virtual_network.main'), 'module.network');
+    assert.equal(dependencyGraph.addressOf('data.azurerm_client_config.current.tenant_id'), 'data.azurerm_client_config.current');
+    assert.equal(dependencyGraph.addressOf('var.location'), null);
+    assert.equal(dependencyGraph.addressOf('provider["registry.terraform.io/hashicorp/azurerm"]'), null);
+});
+
+test('HCL references become edges from the resource to what it uses', () => {
+    const graph = dependencyGraph.parse(`
+resource "azurerm_resource_group" "main" {
+  name     = var.name
+  location = var.location
+}
+
+resource "azurerm_virtual_network" "main" {
+  resource_group_name = azurerm_resource_group.main.name
+}
+
+resource "azurerm_subnet" "app" {
+  resource_group_name  = azurerm_resource_group.main.name
+  virtual_network_name = azurerm_virtual_network.main.name
+}
+`, 'hcl');
+
+    assert.deepEqual(plain(graph.nodes.map(node => node.address)),
+        ['azurerm_resource_group.main', 'azurerm_virtual_network.main', 'azurerm_subnet.app']);
+    assert.deepEqual(edgesOf(graph), [
+        'azurerm_subnet.app→azurerm_resource_group.main',
+        'azurerm_subnet.app→azurerm_virtual_network.main',
+        'azurerm_virtual_network.main→azurerm_resource_group.main'
+    ]);
+});
+
+test('plan JSON gives each node its strongest action and edges from configuration references', () => {
+    const graph = dependencyGraph.parse(JSON.stringify({
+        resource_changes: [
+            { address: 'azurerm_resource_group.main', change: { actions: ['no-op'] } },
+            { address: 'azurerm_subnet.app[0]', change: { actions: ['update'] } },
+            { address: 'azurerm_subnet.app[1]', change: { actions: ['delete', 'create'] } }
+        ],
+        configuration: {
+            root_module: {
+                resources: [{
+                    address: 'azurerm_subnet.app',
+                    expressions: { resource_group_name: { references: ['azurerm_resource_group.main.name', 'azurerm_resource_group.main'] } },
+                    depends_on: ['azurerm_resource_group.main']
+                }]
+            }
+        }
+    }), 'plan');
+
+    assert.deepEqual(plain(graph.nodes.map(node => [node.address, node.action])), [
+        ['azurerm_resource_group.main', 'none'],
+        ['azurerm_subnet.app', 'replace']
+    ]);
+    assert.deepEqual(edgesOf(graph), ['azurerm_subnet.app→azurerm_resource_group.main']);
+});
+
+test('DOT output from terraform graph is read in both naming styles', () => {
+    const graph = dependencyGraph.parse(`digraph {
+  compound = "true"
+  subgraph "root" {
+    "[root] azurerm_subnet.app (expand)" -> "[root] azurerm_resource_group.main (expand)"
+    "[root] azurerm_subnet.app (expand)" -> "[root] var.location"
+    "azurerm_public_ip.main" -> "azurerm_resource_group.main"
+    "[root] provider[\\"registry.terraform.io/hashicorp/azurerm\\"]" [label = "provider"]
+  }
+}`, 'dot');
+
+    assert.deepEqual(plain(graph.nodes.map(node => node.address).sort()),
+        ['azurerm_public_ip.main', 'azurerm_resource_group.main', 'azurerm_subnet.app']);
+    assert.deepEqual(edgesOf(graph), [
+        'azurerm_public_ip.main→azurerm_resource_group.main',
+        'azurerm_subnet.app→azurerm_resource_group.main'
+    ]);
+});
+
+test('layout places each node one column right of the longest chain it depends on', () => {
+    const node = (address) => dependencyGraph.nodeFor(address);
+    const graph = {
+        nodes: [node('a.one'), node('b.two'), node('c.three'), node('d.four')],
+        edges: [{ from: 'b.two', to: 'a.one' }, { from: 'c.three', to: 'b.two' }, { from: 'c.three', to: 'a.one' }]
+    };
+    const column = (positions, address) =>
+        (positions.get(address).x - dependencyGraph.PADDING) / (dependencyGraph.NODE_WIDTH + dependencyGraph.COLUMN_GAP);
+
+    const { positions } = dependencyGraph.layout(graph);
+    assert.deepEqual(graph.nodes.map(n => column(positions, n.address)), [0, 1, 2, 0]);
+
+    // An edge closing a cycle is ignored rather than recursing forever
+    graph.edges.push({ from: 'a.one', to: 'c.three' });
+    const cyclic = dependencyGraph.layout(graph).positions;
+    graph.nodes.forEach(n => assert.ok(Number.isFinite(cyclic.get(n.address).x) && Number.isFinite(cyclic.get(n.address).y), n.address));
+});
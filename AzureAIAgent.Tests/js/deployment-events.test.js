@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const window = loadScripts(['deployment-events'], { api: {} });
+const { deploymentEvents } = window.AzureAIAgent;
+
+// A subscription that records the output it is handed
+const subscriber = () => {
+    const received = [];
+    const subscription = { lastLine: 0, handlers: { onOutput: (lines, first) => received.push([first, plain(lines)]) } };
+    return { subscription, received };
+};
+
+test('handleOutputFrame passes on lines in order with absolute line numbers', () => {
+    const { subscription, received } = subscriber();
+    deploymentEvents.handleOutputFrame(subscription, 0, ['a', 'b']);
+    deploymentEvents.handleOutputFrame(subscription, 2, ['c']);
+    assert.deepEqual(received, [[0, ['a', 'b']], [2, ['c']]]);
+    assert.equal(subscription.lastLine, 3);
+});
+
+test('handleOutputFrame drops lines it already has when frames overlap', () => {
+    const { subscription, received } = subscriber();
+    deploymentEvents.handleOutputFrame(subscription, 0, ['a', 'b', 'c']);
+    deploymentEvents.handleOutputFrame(subscription, 1, ['b', 'c', 'd']);
+    deploymentEvents.handleOutputFrame(subscription, 0, ['a', 'b', 'c', 'd']);
+    assert.deepEqual(received, [[0, ['a', 'b', 'c']], [3, ['d']]]);
+    assert.equal(subscription.lastLine, 4);
+});
+
+test('handleOutputFrame resumes past a gap when the server has trimmed older lines', () => {
+    const { subscription, received } = subscriber();
+    deploymentEvents.handleOutputFrame(subscription, 0, ['a']);
+    deploymentEvents.handleOutputFrame(subscription, 600, ['x', 'y']);
+    assert.deepEqual(received, [[0, ['a']], [600, ['x', 'y']]]);
+    assert.equal(subscription.lastLine, 602);
+});
+
+test('a refused stream is retried with backoff before falling back to polling', async () => {
+    let connects = 0;
+    window.AzureAIAgent.api.eventStream = (path, handlers) => {
+        connects++;
+        window.setTimeout(() => handlers.onError(new Error('404')), 0);
+        return { close() {} };
+    };
+    deploymentEvents.maxReconnectDelay = 0;
+    window.ReadableStream = function () {};
+
+    const polled = new Promise(resolve => {
+        deploymentEvents.startFallbackPolling = (subscription) => resolve(subscription);
+    });
+    const subscription = deploymentEvents.subscribe('dep-1', {});
+    assert.equal(await polled, subscription);
+    assert.equal(connects, deploymentEvents.maxConnectRetries + 1);
+    subscription.close();
+});
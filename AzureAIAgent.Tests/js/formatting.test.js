@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+// Generated Terraform is handed to the terraform module, which these tests do not load
+const remembered = [];
+const window = loadScripts(
+    ['markdown', 'hcl-parser', 'azure-naming', 'cli-tables', 'code-blocks', 'plan-review', 'dependency-graph', 'formatting'],
+    { terraform: { rememberGeneratedCode: (code, templateId) => remembered.push({ code, templateId }) } });
+const { formatting } = window.AzureAIAgent;
+
+const render = (content, options) => {
+    const container = window.document.createElement('div');
+    container.innerHTML = formatting.formatMessageContent(content, options);
+    return container;
+};
+const linked = (container) => Array.from(container.querySelectorAll('.clickable-resource'))
+    .map(element => [element.dataset.resourceType, element.dataset.resourceName]);
+
+test('links exactly the entities a reply reports', () => {
+    const container = render('The pod web-api-7d9f8b6c5d-x2k4q is running next to web-api.', {
+        entities: [{ name: 'web-api-7d9f8b6c5d-x2k4q', kind: 'Pod', namespace: 'default' }]
+    });
+    assert.deepEqual(linked(container), [['pod', 'web-api-7d9f8b6c5d-x2k4q']]);
+    assert.equal(container.querySelector('.clickable-resource').dataset.namespace, 'default');
+});
+
+test('links entity names inside backticks as a whole', () => {
+    const container = render('Restart `web-0` when ready.', { entities: [{ name: 'web-0', kind: 'pod' }] });
+    const element = container.querySelector('.clickable-resource');
+    assert.equal(element.dataset.resourceName, 'web-0');
+    assert.ok(element.querySelector('code'));
+});
+
+test('falls back to "type: name" lines when a reply carries no entities', () => {
+    const container = render('pod: web-api-7d9f8b6c5d-x2k4q\n');
+    assert.deepEqual(linked(container), [['pod', 'web-api-7d9f8b6c5d-x2k4q']]);
+});
+
+test('falls back to "type: name" lines when no tool reported an entity', () => {
+    const container = render('pod: web-api-7d9f8b6c5d-x2k4q\n', { entities: [] });
+    assert.deepEqual(linked(container), [['pod', 'web-api-7d9f8b6c5d-x2k4q']]);
+});
+
+test('leaves welcome text unlinked', () => {
+    const container = render('Welcome to the Azure AI Agent!\n\npod: example-pod');
+    assert.deepEqual(linked(container), []);
+});
+
+test('escapes HTML in replies and keeps the output sanitised', () => {
+    const container = render('<img src=x onerror="alert(1)"> [x](javascript:alert(1))');
+    assert.equal(container.querySelector('img'), null);
+    assert.equal(container.querySelector('a'), null);
+    assert.match(container.textContent, /<img src=x onerror="alert\(1\)">/);
+});
+
+test('remembers Terraform code blocks for the Deploy action', () => {
+    remembered.length = 0;
+    render('Here is the configuration:\n\n```hcl\nresource "azurerm_resource_group" "main" {\n  name = "rg"\n}\n```');
+    assert.equal(remembered.length, 1);
+    assert.match(remembered[0].code, /azurerm_resource_group/);
+});
+
+test('escapeHtml escapes markup characters', () => {
+    assert.equal(formatting.escapeHtml('<a href="x">&</a>'), '&lt;a href="x"&gt;&amp;&lt;/a&gt;');
+});
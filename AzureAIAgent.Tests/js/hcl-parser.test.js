@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { hcl } = loadScripts(['hcl-parser']).AzureAIAgent;
+
+const SOURCE = `terraform {
+  required_providers {
+    azurerm = { source = "hashicorp/azurerm" }
+  }
+}
+
+variable "name" {
+  type        = string
+  description = "Cluster name"
+  validation {
+    condition     = length(var.name) <= 24
+    error_message = "Too long."
+  }
+}
+
+variable "node_count" {
+  type    = number
+  default = 3
+}
+
+resource "azurerm_resource_group" "main" {
+  name     = "rg-\${var.name}"
+  location = "eastus"
+}
+
+resource "azurerm_kubernetes_cluster" "aks" {
+  name                = var.name
+  resource_group_name = azurerm_resource_group.main.name
+  node_count          = var.node_count
+}
+
+output "id" {
+  value = azurerm_kubernetes_cluster.aks.id
+}
+`;
+
+test('parses attributes, nested blocks and escaped strings', () => {
+    const body = hcl.parse('a = "x\\"y"\nb = [1, 2]\nc { d = true }');
+    assert.equal(body.attributes.a.value, 'x"y');
+    assert.deepEqual(plain(body.attributes.b.value), [1, 2]);
+    assert.equal(body.blocks[0].type, 'c');
+    assert.equal(body.blocks[0].body.attributes.d.value, true);
+});
+
+test('extracts variables with defaults, requiredness and validation rules', () => {
+    const variables = hcl.extractVariables(SOURCE);
+    assert.deepEqual(plain(variables.map(variable => [variable.name, variable.type, variable.required])),
+        [['name', 'string', true], ['node_count', 'number', false]]);
+    assert.equal(variables[1].default, 3);
+    assert.deepEqual(plain(variables[0].validation), [{ condition: 'length(var.name) <= 24', errorMessage: 'Too long.' }]);
+});
+
+test('finds variable references outside variable blocks', () => {
+    assert.deepEqual(plain(hcl.analyze(SOURCE).references.map(reference => reference.name)), ['name', 'name', 'node_count']);
+});
+
+test('builds the resource dependency graph', () => {
+    const graph = hcl.findDependencies(SOURCE);
+    assert.deepEqual(plain(graph.nodes.map(node => node.address)), ['azurerm_resource_group.main', 'azurerm_kubernetes_cluster.aks']);
+    assert.deepEqual(plain(graph.edges), [{ from: 'azurerm_kubernetes_cluster.aks', to: 'azurerm_resource_group.main' }]);
+});
+
+test('splits source into top-level blocks', () => {
+    const blocks = hcl.splitBlocks(SOURCE);
+    assert.deepEqual(plain(blocks.map(block => [block.type, ...block.labels])), [
+        ['terraform'], ['variable', 'name'], ['variable', 'node_count'],
+        ['resource', 'azurerm_resource_group', 'main'], ['resource', 'azurerm_kubernetes_cluster', 'aks'], ['output', 'id']
+    ]);
+    assert.match(blocks[1].text, /^variable "name" \{[\s\S]*error_message[\s\S]*\}$/);
+});
+
+test('extracts Terraform code blocks from a reply, skipping other languages', () => {
+    const content = 'text\n```hcl\nresource "a" "b" {}\n```\n```bash\nls\n```';
+    assert.deepEqual(plain(hcl.extractCodeBlocks(content)), ['resource "a" "b" {}\n']);
+});
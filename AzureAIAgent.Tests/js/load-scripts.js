@@ -0,0 +1,32 @@
+// Loads wwwroot/js scripts into a fresh jsdom window, the way index.html does, and returns the window
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SCRIPT_DIR = path.join(__dirname, '..', '..', 'AzureAIAgent.Api', 'wwwroot', 'js');
+
+// scripts: file names without .js, in load order. modules: stand-ins for modules the test does not load.
+function loadScripts(scripts, modules = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+        runScripts: 'outside-only',
+        url: 'http://localhost/',
+        virtualConsole: new VirtualConsole()
+    });
+    const window = dom.window;
+    // jsdom leaves out the encoding API that every supported browser has
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.AzureAIAgent = { ...modules };
+
+    scripts.forEach(name => {
+        window.eval(fs.readFileSync(path.join(SCRIPT_DIR, `${name}.js`), 'utf8'));
+    });
+    return window;
+}
+
+// Copy a value out of the window's realm so node:assert's deep equality can compare it
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
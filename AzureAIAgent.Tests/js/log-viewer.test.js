@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const window = loadScripts(['log-viewer']);
+const { logViewer } = window.AzureAIAgent;
+
+test('parseLine splits off the timestamp kubectl adds with --timestamps', () => {
+    assert.deepEqual(plain(logViewer.parseLine('2024-05-01T10:20:30.123456789Z GET /healthz 200')), {
+        timestamp: '2024-05-01T10:20:30.123456789Z',
+        text: 'GET /healthz 200',
+        level: null
+    });
+    assert.equal(logViewer.parseLine('2024-05-01T10:20:30+02:00 started').timestamp, '2024-05-01T10:20:30+02:00');
+    assert.deepEqual(plain(logViewer.parseLine('no timestamp here')), { timestamp: null, text: 'no timestamp here', level: null });
+});
+
+test('parseLine finds the level from words, key=value and JSON fields', () => {
+    const level = (text) => logViewer.parseLine(`2024-05-01T10:20:30Z ${text}`).level;
+    assert.equal(level('ERROR failed to connect'), 'error');
+    assert.equal(level('level=warn msg="slow query"'), 'warning');
+    assert.equal(level('{"level":"info","msg":"ready"}'), 'info');
+    assert.equal(level('DEBUG cache miss'), 'debug');
+    assert.equal(level('panic: runtime error'), 'error');
+});
+
+test('parseLine reads klog prefixes and the first matching level wins', () => {
+    assert.equal(logViewer.parseLine('E0501 10:20:30.000000 1 controller.go:42] sync failed').level, 'error');
+    assert.equal(logViewer.parseLine('W0501 10:20:30.000000 1 reflector.go:7] watch closed').level, 'warning');
+    assert.equal(logViewer.parseLine('I0501 10:20:30.000000 1 main.go:1] starting').level, 'info');
+    assert.equal(logViewer.parseLine('info: retrying after error').level, 'error');
+});
+
+test('parseLine does not take level words inside other words', () => {
+    assert.equal(logViewer.parseLine('terror information warnings').level, null);
+});
+
+test('the filter matches plain text case-insensitively, or a regex, and ignores an invalid regex', () => {
+    logViewer.filterInput = window.document.createElement('input');
+    logViewer.render = () => {};
+    const entry = logViewer.parseLine('2024-05-01T10:20:30Z GET /api/Orders 500');
+
+    logViewer.setFilter('orders', false);
+    assert.equal(logViewer.matches(entry), true);
+    logViewer.setFilter('5\\d\\d$', true);
+    assert.equal(logViewer.matches(entry), true);
+    logViewer.setFilter('^POST', true);
+    assert.equal(logViewer.matches(entry), false);
+
+    logViewer.setFilter('(unclosed', true);
+    assert.equal(logViewer.filterInput.classList.contains('invalid'), true);
+    assert.equal(logViewer.matches(entry), true);
+});
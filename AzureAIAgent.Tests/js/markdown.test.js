@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const window = loadScripts(['markdown']);
+const { markdown } = window.AzureAIAgent;
+const html = (text) => markdown.sanitize(markdown.toHtml(text));
+
+test('renders headings, lists, tables and fenced code', () => {
+    assert.equal(html('# Title'), '<h1>Title</h1>');
+    assert.equal(html('- a\n- b'), '<ul><li>a</li><li>b</li></ul>');
+    assert.equal(html('| a | b |\n|---|---|\n| 1 | 2 |'),
+        '<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>');
+    assert.equal(html('```hcl\nx = 1\n```'), '<pre class="code-block" data-language="hcl"><code>x = 1</code></pre>');
+});
+
+test('renders inline emphasis, code and safe links', () => {
+    assert.equal(html('**bold** and *em* and `code`'),
+        '<p><strong>bold</strong> and <em>em</em> and <code class="inline-code">code</code></p>');
+    assert.equal(html('[docs](https://example.com)'),
+        '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">docs</a></p>');
+    assert.equal(html('[home](/relative)'),
+        '<p><a href="/relative" target="_blank" rel="noopener noreferrer">home</a></p>');
+});
+
+test('escapes raw HTML in Markdown source', () => {
+    assert.equal(html('<script>alert(1)</script> `<b>`'),
+        '<p>&lt;script&gt;alert(1)&lt;/script&gt; <code class="inline-code">&lt;b&gt;</code></p>');
+    assert.equal(html('<a href="javascript:alert(1)">x</a>'),
+        '<p>&lt;a href="javascript:alert(1)"&gt;x&lt;/a&gt;</p>');
+});
+
+test('parse and visit give access to code blocks', () => {
+    const blocks = [];
+    markdown.visit(markdown.parse('text\n\n```\nline 1\nline 2\n```'), (node) => {
+        if (node.type === 'code') blocks.push(node.value);
+        return null;
+    });
+    assert.deepEqual(blocks, ['line 1\nline 2']);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const messages = [];
+const window = loadScripts(['plan-review'], {
+    config: { SESSION_ID: 'session-1' },
+    ui: { showNotification() {}, addMessage: (role, text) => messages.push(text) },
+    api: {}
+});
+const { planReview } = window.AzureAIAgent;
+
+const PLAN = [
+    '\u001b[1m  # azurerm_resource_group.main\u001b[0m will be created',
+    '  + resource "azurerm_resource_group" "main" {',
+    '      + location = "eastus"',
+    '      + tags     = {',
+    '          + "env" = "dev"',
+    '        }',
+    '    }',
+    '',
+    '12:00:01   # azurerm_kubernetes_cluster.main must be replaced',
+    '-/+ resource "azurerm_kubernetes_cluster" "main" {',
+    '      ~ name = "aks-old" -> "aks-{new}" # forces replacement',
+    '    }',
+    '',
+    '  # azurerm_storage_account.logs will be updated in-place',
+    '  ~ resource "azurerm_storage_account" "logs" {',
+    '      ~ min_tls_version = "TLS1_0" -> "TLS1_2"',
+    '    }',
+    '',
+    'Plan: 2 to add, 1 to change, 1 to destroy.'
+].join('\n');
+
+test('parsePlan reads each resource header, its body and the summary line', () => {
+    const plan = planReview.parsePlan(PLAN);
+    assert.deepEqual(plain(plan.resources.map(r => [r.address, r.action, r.lines.length])), [
+        ['azurerm_resource_group.main', 'create', 6],
+        ['azurerm_kubernetes_cluster.main', 'replace', 3],
+        ['azurerm_storage_account.logs', 'update', 3]
+    ]);
+    assert.deepEqual(plain(plan.summary), { add: 2, change: 1, destroy: 1 });
+    assert.equal(plan.hasDestructive, true);
+    assert.deepEqual(plain(plan.destructive.map(r => r.address)), ['azurerm_kubernetes_cluster.main']);
+});
+
+test('parsePlan ignores braces inside quoted strings when finding where a resource ends', () => {
+    const plan = planReview.parsePlan(PLAN);
+    assert.equal(plan.resources[1].lines[1].trim(), '~ name = "aks-old" -> "aks-{new}" # forces replacement');
+    assert.equal(plan.resources[1].lines.length, 3);
+});
+
+test('parsePlan derives the summary from the resources when the summary line is missing', () => {
+    const plan = planReview.parsePlan([
+        '  # azurerm_public_ip.old will be destroyed',
+        '  - resource "azurerm_public_ip" "old" {',
+        '    }',
+        '  # azurerm_public_ip.new will be created',
+        '  + resource "azurerm_public_ip" "new" {',
+        '    }'
+    ].join('\n'));
+    assert.deepEqual(plain(plan.summary), { add: 1, change: 0, destroy: 1 });
+    assert.equal(plan.hasDestructive, true);
+});
+
+test('parsePlan of a plan with no changes has nothing destructive', () => {
+    const plan = planReview.parsePlan('No changes. Your infrastructure matches the configuration.');
+    assert.equal(plan.resources.length, 0);
+    assert.deepEqual(plain(plan.summary), { add: 0, change: 0, destroy: 0 });
+    assert.equal(plan.hasDestructive, false);
+});
+
+test('confirmDeploy refuses when no plan is recorded and the backend plan fails', async () => {
+    const error = Object.assign(new Error('Terraform plan failed'), { details: { plan: 'Error: Invalid reference' } });
+    const posted = [];
+    window.AzureAIAgent.api.post = async (path, body) => {
+        posted.push([path, plain(body)]);
+        throw error;
+    };
+    window.AzureAIAgent.api.report = () => {};
+
+    assert.equal(await planReview.confirmDeploy('aks-cluster'), false);
+    assert.deepEqual(posted, [['/api/azure/terraform-plan', { templateId: 'aks-cluster', sessionId: 'session-1' }]]);
+    assert.match(messages.at(-1), /Deployment not started[\s\S]*Error: Invalid reference/);
+    assert.equal(window.document.querySelector('.plan-review-backdrop'), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { projectExport } = loadScripts(['project-export']).AzureAIAgent;
+
+// Read the entries back through the central directory, as an unzip tool would
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50, 'end of central directory signature');
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50, 'central directory signature');
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const path = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+        assert.equal(view.getUint32(offset, true), 0x04034b50, 'local header signature');
+        assert.equal(view.getUint16(offset + 8, true), 0, 'stored without compression');
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + size);
+
+        entries.push({ path, crc, content: decoder.decode(data) });
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+    return entries;
+}
+
+test('crc32 matches the standard check values', () => {
+    assert.equal(projectExport.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.equal(projectExport.crc32(new Uint8Array(0)), 0);
+});
+
+test('zip stores every file so it can be read back', () => {
+    const files = [
+        { path: 'project/main.tf', content: 'resource "azurerm_resource_group" "main" {}\n' },
+        { path: 'project/README.md', content: '# Café ☁️\n' },
+        { path: 'project/empty.tf', content: '' }
+    ];
+    const entries = readZip(projectExport.zip(files));
+
+    assert.deepEqual(entries.map(entry => [entry.path, entry.content]), files.map(file => [file.path, file.content]));
+    entries.forEach(entry => assert.equal(entry.crc, projectExport.crc32(new TextEncoder().encode(entry.content))));
+});
+
+test('hclValue writes numbers, booleans and collections unquoted', () => {
+    assert.equal(projectExport.hclValue('3', 'number'), '3');
+    assert.equal(projectExport.hclValue('true', 'bool'), 'true');
+    assert.equal(projectExport.hclValue('["a","b"]', 'list(string)'), '["a","b"]');
+    assert.equal(projectExport.hclValue('say "hi"'), '"say \\"hi\\""');
+});
@@ -0,0 +1,58 @@
+// XSS regressions for the Markdown renderer's URL check and DOM allowlist
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const window = loadScripts(['markdown']);
+const { markdown } = window.AzureAIAgent;
+const html = (text) => markdown.sanitize(markdown.toHtml(text));
+
+test('isSafeUrl rejects script schemes hidden by case, whitespace and control characters', () => {
+    ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', ' javascript:alert(1)', 'java\tscript:alert(1)',
+        'java\nscript:alert(1)', 'java\u0000script:alert(1)', 'javascript\u007f:alert(1)',
+        'vbscript:msgbox(1)', 'data:text/html,<script>alert(1)</script>'
+    ].forEach(url => assert.equal(markdown.isSafeUrl(url), false, JSON.stringify(url)));
+});
+
+test('isSafeUrl allows http, https, mailto and relative URLs', () => {
+    ['https://example.com', 'http://example.com', 'mailto:ops@example.com', '/path', '#anchor', 'page?x=1']
+        .forEach(url => assert.equal(markdown.isSafeUrl(url), true, url));
+});
+
+test('Markdown links with unsafe or entity-encoded schemes lose the link', () => {
+    assert.equal(html('[a](javascript:alert(1))'), '<p>a</p>');
+    assert.equal(html('[a](JaVaScRiPt:alert(1))'), '<p>a</p>');
+    assert.equal(html('[a](&#106;avascript:alert(1))'), '<p>a</p>');
+    assert.equal(html('[a](&#x6A;avascript&#58;alert(1))'), '<p>a</p>');
+    assert.equal(html('[a](data:text/html,x)'), '<p>a</p>');
+});
+
+test('sanitizeChildren strips unsafe hrefs, including entity-encoded and control-character schemes', () => {
+    const result = markdown.sanitize(
+        '<a href="&#106;avascript:alert(1)">a</a>' +
+        '<a href="&#x6A;avascript&#58;alert(1)">b</a>' +
+        '<a href="java&#13;script:alert(1)">c</a>' +
+        '<a href="java&#x09;script:alert(1)">d</a>' +
+        '<a href="https://example.com" target="_blank">e</a>');
+    assert.equal(result, '<a>a</a><a>b</a><a>c</a><a>d</a><a href="https://example.com" target="_blank" rel="noopener noreferrer">e</a>');
+});
+
+test('sanitizeChildren removes on* handlers and other attributes off the allowlist', () => {
+    assert.equal(markdown.sanitize('<div class="k" onclick="x()" onmouseover="y()" style="color:red">t</div>'),
+        '<div class="k">t</div>');
+    assert.equal(markdown.sanitize('<span ONCLICK="x()" title="t">s</span>'), '<span title="t">s</span>');
+    assert.equal(markdown.sanitize('<img src="x" onerror="alert(1)">'), '');
+});
+
+test('sanitizeChildren drops scripting elements and unwraps unknown ones', () => {
+    assert.equal(markdown.sanitize('<script>alert(1)</script><iframe src="x"></iframe><style>*{}</style>ok'), 'ok');
+    assert.equal(markdown.sanitize('<svg><a xlink:href="javascript:alert(1)">s</a></svg>'), '<a>s</a>');
+    assert.equal(markdown.sanitize('<!-- comment --><b>bold</b>'), 'bold');
+});
+
+test('sanitizeChildren cleans a DOM subtree in place', () => {
+    const container = window.document.createElement('div');
+    container.innerHTML = '<p onclick="x()">text <a href="javascript:alert(1)">link</a><script>alert(1)</script></p>';
+    markdown.sanitizeChildren(container);
+    assert.equal(container.innerHTML, '<p>text <a>link</a></p>');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const messages = [];
+const window = loadScripts(['slash-commands'], {
+    ui: { addMessage: (role, text) => messages.push([role, text]) },
+    api: {},
+    deploymentHistory: { list: () => [{ deploymentId: 'dep-1', templateName: 'AKS', status: 'Completed' }] },
+    deploymentEvents: {}
+});
+const { slashCommands } = window.AzureAIAgent;
+slashCommands.registerBuiltIns();
+
+test('parse splits the command name from its argument text', () => {
+    assert.deepEqual(plain(slashCommands.parse('/Status  dep-1 ')), { name: 'status', arg: 'dep-1' });
+    assert.deepEqual(plain(slashCommands.parse('/session rename My   session')), { name: 'session', arg: 'rename My   session' });
+    assert.deepEqual(plain(slashCommands.parse('/')), { name: '', arg: '' });
+    assert.equal(slashCommands.parse('hello /status'), null);
+    assert.equal(slashCommands.parse('/path/to/file'), null);
+});
+
+test('execute runs known commands and leaves anything else for the agent', async () => {
+    const received = [];
+    slashCommands.register({ name: 'echo', args: '<text>', description: 'Echo', run: async (arg) => received.push(arg) });
+
+    assert.equal(await slashCommands.execute('/echo hi there'), true);
+    assert.deepEqual(received, ['hi there']);
+    assert.equal(await slashCommands.execute('/unknown thing'), false);
+    assert.equal(await slashCommands.execute('plain text'), false);
+});
+
+test('a failing command is reported instead of being sent as chat', async () => {
+    slashCommands.register({ name: 'broken', args: '', description: 'Fails', run: async () => {
+        throw new Error('nope');
+    } });
+
+    assert.equal(await slashCommands.execute('/broken'), true);
+    assert.deepEqual(messages.at(-1), ['assistant', '❌ **/broken failed**: nope']);
+});
+
+test('suggest completes command names, then the command\'s arguments', async () => {
+    const names = await slashCommands.suggest('/de');
+    assert.deepEqual(plain(names.map(s => [s.value, s.hint])), [['/deploy ', '[template-id]'], ['/destroy ', '<deployment-id>']]);
+
+    const args = await slashCommands.suggest('/destroy d');
+    assert.equal(args[0].value, null);
+    assert.deepEqual(plain(args.slice(1).map(s => [s.value, s.description])), [['/destroy dep-1', 'AKS · Completed']]);
+    assert.deepEqual(plain(await slashCommands.suggest('/nosuch x')), []);
+});
+
+test('/destroy starts the destroy once and follows it until it finishes', async () => {
+    const posts = [];
+    let handlers = null;
+    window.confirm = () => true;
+    window.AzureAIAgent.api.post = async (path, body, options) => {
+        posts.push([path, plain(options)]);
+        return { success: true, operationId: 'op-1' };
+    };
+    window.AzureAIAgent.deploymentEvents.subscribe = (id, subscribed) => {
+        handlers = subscribed;
+        assert.equal(id, 'op-1');
+    };
+
+    await slashCommands.execute('/destroy dep-1');
+    assert.deepEqual(posts, [['/api/azure/destroy-deployment/dep-1', { retries: 0, requireSuccess: true }]]);
+
+    handlers.onComplete({ message: 'Resources of dep-1 destroyed', detailedMessage: '✅ Resources destroyed successfully' });
+    assert.deepEqual(messages.at(-1), ['assistant', '✅ Resources destroyed successfully']);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const sent = [];
+const notifications = [];
+const window = loadScripts(['code-blocks', 'terraform-editor'], {
+    formatting: { escapeHtml: (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') },
+    terraform: {
+        generatedCode: {},
+        originalCode: {},
+        getGeneratedCode(id) { return this.generatedCode[id] || null; },
+        getOriginalCode(id) { return this.originalCode[id] || null; },
+        applyEditedCode(id, code) { this.generatedCode[id] = code; }
+    },
+    events: { sendUserMessage: async (message, options) => sent.push([message, options.display]) },
+    ui: { showNotification: (text) => notifications.push(text) }
+});
+const { terraformEditor, terraform } = window.AzureAIAgent;
+
+// Compact form of a diff: "+text", "-text", " text"
+const compact = (diff) => plain(diff.map(line => line.type + line.text));
+
+test('diffLines keeps unchanged lines and marks removed and added ones', () => {
+    const diff = terraformEditor.diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']);
+    assert.deepEqual(compact(diff), [' a', '-b', '+x', ' c', ' d', '+e']);
+});
+
+test('diffLines of identical text has no changes, and of empty text only additions', () => {
+    assert.deepEqual(compact(terraformEditor.diffLines(['a', 'b'], ['a', 'b'])), [' a', ' b']);
+    assert.deepEqual(compact(terraformEditor.diffLines([], ['a'])), ['+a']);
+    assert.deepEqual(compact(terraformEditor.diffLines(['a'], [])), ['-a']);
+});
+
+test('diffLines finds the longest common run when lines move', () => {
+    const diff = terraformEditor.diffLines(['x', 'a', 'b', 'c'], ['a', 'b', 'c', 'x']);
+    assert.deepEqual(compact(diff), ['-x', ' a', ' b', ' c', '+x']);
+});
+
+test('diffLines falls back to remove-then-add past the size limit', () => {
+    const limit = terraformEditor.MAX_DIFF_CELLS;
+    terraformEditor.MAX_DIFF_CELLS = 1;
+    try {
+        const diff = terraformEditor.diffLines(['a', 'b', 'c', 'z'], ['a', 'c', 'b', 'z']);
+        assert.deepEqual(compact(diff), [' a', '-b', '-c', '+c', '+b', ' z']);
+    } finally {
+        terraformEditor.MAX_DIFF_CELLS = limit;
+    }
+});
+
+test('edits are measured against the code the editor opened with, not the agent\'s version', async () => {
+    window.confirm = () => {
+        throw new Error('no prompt expected');
+    };
+    terraform.originalCode.web = 'resource "a" "b" {}\n';
+    terraform.generatedCode.web = 'resource "a" "b" {\n  edited = true\n}\n';
+
+    // Reopening earlier edits: nothing has changed yet, so closing does not ask and Submit refuses
+    assert.equal(terraformEditor.open('web'), true);
+    assert.equal(terraformEditor.backdrop.querySelector('.terraform-editor-summary').textContent, 'No changes');
+    terraformEditor.requestClose();
+    assert.equal(terraformEditor.backdrop, null);
+
+    // Going back to the agent's version is a change that can be submitted
+    terraformEditor.open('web');
+    terraformEditor.textarea.value = 'resource "a" "b" {}';
+    terraformEditor.refresh();
+    await terraformEditor.submit();
+    assert.equal(terraform.generatedCode.web, 'resource "a" "b" {}');
+    assert.match(sent.at(-1)[1], /\(\+1 −3 lines\)$/);
+    assert.deepEqual(notifications, []);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const window = loadScripts(['terraform-output']);
+const { terraformOutput } = window.AzureAIAgent;
+
+test('resource lines move a resource from started through progress to complete', () => {
+    const parser = terraformOutput.createParser();
+    const events = parser.feed([
+        '12:00:00 azurerm_resource_group.main: Creating...',
+        '12:00:10 azurerm_resource_group.main: Still creating... [10s elapsed]',
+        '12:01:30 azurerm_resource_group.main: Creation complete after 1m30s [id=/subscriptions/1/resourceGroups/rg]'
+    ]);
+
+    assert.deepEqual(plain(events.map(event => [event.type, event.action, event.elapsed])), [
+        ['started', 'create', 0],
+        ['progress', 'create', 10],
+        ['completed', 'create', 90]
+    ]);
+    const resource = parser.resources.get('azurerm_resource_group.main');
+    assert.equal(resource.status, 'complete');
+    assert.equal(resource.id, '/subscriptions/1/resourceGroups/rg');
+});
+
+test('ANSI colours and diagnostic box drawing are stripped before matching', () => {
+    const parser = terraformOutput.createParser();
+    parser.feed([
+        '\u001b[0m\u001b[1mazurerm_public_ip.main: Destroying... [id=pip-1]\u001b[0m',
+        '╷',
+        '│ \u001b[31mError: \u001b[0mdeleting Public IP: still in use',
+        '│ ',
+        '│   with azurerm_public_ip.main,',
+        '│   on main.tf line 42, in resource "azurerm_public_ip" "main":',
+        '╵'
+    ]);
+
+    assert.deepEqual(plain(parser.errors), [{
+        severity: 'error',
+        message: 'deleting Public IP: still in use',
+        address: 'azurerm_public_ip.main',
+        file: 'main.tf',
+        line: 42
+    }]);
+    assert.equal(parser.resources.get('azurerm_public_ip.main').status, 'failed');
+});
+
+test('warnings are collected apart from errors', () => {
+    const parser = terraformOutput.createParser();
+    const events = parser.feed(['Warning: Argument is deprecated']);
+    assert.equal(events[0].type, 'warning');
+    assert.equal(parser.warnings.length, 1);
+    assert.equal(parser.errors.length, 0);
+});
+
+test('the apply summary and the outputs block that follows it are read', () => {
+    const parser = terraformOutput.createParser();
+    parser.feed([
+        'Apply complete! Resources: 3 added, 1 changed, 0 destroyed.',
+        '',
+        'Outputs:',
+        '',
+        'cluster_name = "aks-demo"',
+        'node_count = 3',
+        'Some other line'
+    ]);
+
+    assert.deepEqual(plain(parser.summary), { added: 3, changed: 1, destroyed: 0 });
+    assert.deepEqual(plain(parser.outputs), { cluster_name: 'aks-demo', node_count: '3' });
+    assert.equal(parser.inOutputs, false);
+});
+
+test('parseDuration converts Terraform durations to seconds', () => {
+    assert.equal(terraformOutput.parseDuration('45s'), 45);
+    assert.equal(terraformOutput.parseDuration('2m5s'), 125);
+    assert.equal(terraformOutput.parseDuration('1h0m10s'), 3610);
+    assert.equal(terraformOutput.parseDuration(''), 0);
+});